@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title GrievanceForwarder
+ * @notice EIP-2771 trusted forwarder for gasless grievance transactions: users sign an EIP-712
+ *         ForwardRequest, and a funded relayer (scripts/relayer.js) submits it and pays the gas
+ * @dev GrievanceSystemSecure treats the last 20 bytes of a call from its trusted forwarder as the
+ *      sender (see _msgSender). Each signer's nonce makes a request usable once, in order.
+ */
+contract GrievanceForwarder {
+
+    struct ForwardRequest {
+        address from;                 // Signer, seen as the caller by the target
+        address to;                   // Contract to call (the grievance system proxy)
+        uint256 gas;                  // Gas to forward to the call
+        uint256 nonce;                // Must equal nonces(from)
+        uint256 deadline;             // Unix time after which the request can no longer be executed
+        bytes data;                   // Encoded function call
+    }
+
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    // Upper half of the secp256k1 order; signatures with s above it are rejected as malleable
+    uint256 internal constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    // Mapping: signer => nonce of their next request
+    mapping(address => uint256) public nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, address indexed relayer);
+
+    constructor() {
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("GrievanceForwarder")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice Whether a request is signed by its sender and can be executed now
+     */
+    function verify(ForwardRequest calldata _request, bytes calldata _signature) public view returns (bool) {
+        return _request.from != address(0) &&
+            _request.nonce == nonces[_request.from] &&
+            _request.deadline >= block.timestamp &&
+            _recover(_digest(_request), _signature) == _request.from;
+    }
+
+    /**
+     * @notice Execute a signed request on behalf of its signer (ANYONE, usually the relayer)
+     * @dev Reverts with the target's revert data if the call fails, so a failed request does not
+     *      use up the nonce
+     */
+    function execute(ForwardRequest calldata _request, bytes calldata _signature) external returns (bytes memory) {
+        require(verify(_request, _signature), "GrievanceForwarder: Invalid or expired request signature");
+        nonces[_request.from]++;
+
+        (bool success, bytes memory result) = _request.to.call{gas: _request.gas}(
+            abi.encodePacked(_request.data, _request.from)
+        );
+        // The relayer must not be able to make the call fail by forwarding too little gas (EIP-150 keeps 1/64 back)
+        require(gasleft() > _request.gas / 63, "GrievanceForwarder: Relayer supplied too little gas");
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit RequestExecuted(_request.from, _request.to, _request.nonce, msg.sender);
+        return result;
+    }
+
+    function _digest(ForwardRequest calldata _request) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            _request.from,
+            _request.to,
+            _request.gas,
+            _request.nonce,
+            _request.deadline,
+            keccak256(_request.data)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    function _recover(bytes32 _hash, bytes calldata _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (uint256(s) > MAX_SIGNATURE_S) {
+            return address(0);
+        }
+        return ecrecover(_hash, v, r, s);
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title GrievanceSystemProxy
+ * @notice Permanent address of the grievance system; holds all state and delegates every call
+ *         to the current GrievanceSystemSecure implementation
+ * @dev ERC-1967 implementation slot, UUPS style: the proxy has no functions of its own, and
+ *      upgrades are GrievanceCouncil proposals executed by the implementation (see ProposalAction.UPGRADE).
+ */
+contract GrievanceSystemProxy {
+    
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    event Upgraded(address indexed implementation);
+    
+    /**
+     * @notice Point the proxy at its first implementation and initialize it in the same transaction
+     * @param _implementation Deployed GrievanceSystemSecure
+     * @param _initData Encoded initialize() call; the deployer becomes admin
+     */
+    constructor(address _implementation, bytes memory _initData) {
+        require(_implementation.code.length > 0, "GrievanceSystemSecure: Invalid implementation");
+        require(_initData.length > 0, "GrievanceSystemSecure: Initialization required");
+        
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _implementation)
+        }
+        emit Upgraded(_implementation);
+        
+        (bool success, bytes memory result) = _implementation.delegatecall(_initData);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+    
+    fallback() external {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            let implementation := sload(slot)
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -1,243 +1,260 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./GrievanceSystemStorage.sol";
+import "./interfaces/IGrievanceImplementation.sol";
+
 /**
  * @title GrievanceSystemSecure
  * @author Senior Web3 Security Architect
  * @notice Secure, role-based grievance management system with strict access control
- * @dev Implements zero-trust model with single admin, role-based access, and strict visibility rules
+ * @dev Implements zero-trust model with a council-governed admin, role-based access, and strict visibility rules.
+ *      Admin functions (GrievanceAdministration), role changes by the admin council (GrievanceCouncil),
+ *      the clarification thread (GrievanceConversation), evidence attachments (GrievanceAttachments),
+ *      student sign-off (GrievanceOutcomes), the legacy import (GrievanceMigration), paginated queries
+ *      (GrievanceQueries), conflict-of-interest recusals (GrievanceRecusal) and duplicate groups (GrievanceDuplicates) live in modules under contracts/modules and are reached through this contract's fallback,
+ *      keeping the deployed code under the EIP-170 limit. This contract is the implementation behind
+ *      GrievanceSystemProxy; users talk to the proxy, which holds all state.
  * 
  * SECURITY FEATURES:
- * 1. Single Admin - Only deployer/admin can assign roles
+ * 1. Admin Council - Role assignments, revocations and admin transfers need M-of-N council
+ *    approvals and a timelock; the single admin only enrolls students and manages configuration
  * 2. Role-Based Access Control - Each wallet has exactly one role
- * 3. Student-Only Submission - Only STUDENT role can submit grievances
+ * 3. Student-Only Submission - Only enrolled STUDENT wallets can submit grievances;
+ *    every other wallet is UNREGISTERED by default
  * 4. Strict Visibility - Users only see grievances they're authorized to view
  * 5. HOD Assignment - Grievances must be explicitly assigned to HODs
  * 6. Immutable Audit Trail - All actions emit events
+ * 7. Encrypted Content - Descriptions and remarks are stored as ciphertext;
+ *    only the submitting student and holders of a role's decryption key can read them
+ * 8. Anonymous Submission - Students can prove enrollment with a Semaphore proof
+ *    instead of attaching their wallet; nullifiers limit anonymous submissions per epoch
+ * 9. Department Scoping - Students belong to a cohort within a department; Counselors and
+ *    HODs only handle their department's grievances, Year Coordinators only their cohort's
+ * 10. Category Routing - Admin-configured rules decide the starting level and handler per category
+ * 11. SLA Deadlines - Grievances left at a level past its admin-set SLA can be escalated by anyone
+ * 12. Student Sign-off - Students accept or dispute a resolution; disputes reopen it one level up,
+ *     and unanswered resolutions become final after RESOLUTION_RESPONSE_WINDOW
+ * 13. Withdrawal - Students can retract their own grievance until its outcome is final
+ * 14. Clarification Requests - Handlers can ask the student a question; the SLA clock pauses until they answer
+ * 15. Evidence Attachments - Encrypted files live off-chain (IPFS); the contract anchors their CIDs and hashes
+ * 16. Upgradeable - Deployed behind GrievanceSystemProxy; upgrades are council proposals, and state
+ *     survives them because every implementation shares the append-only GrievanceSystemStorage layout
+ * 17. Gasless Transactions - Calls relayed by the council-set EIP-2771 forwarder act for the signer (_msgSender)
+ * 18. Emergency Pause - The admin or a council-appointed guardian can freeze every grievance and admin action
+ * 19. Duplicate Grievances - Handlers link near-identical grievances to a primary and act on the group in one call
  */
-contract GrievanceSystemSecure {
+contract GrievanceSystemSecure is GrievanceSystemStorage {
     
-    // ============ ENUMS ============
+    // ============ DEPLOYMENT ============
     
     /**
-     * @notice User roles in the system
-     * Each wallet has exactly ONE role
+     * @notice Deploy an implementation for GrievanceSystemProxy
+     * @dev Validates and records the modules this implementation ships with; the proxy registers them
+     *      when it is initialized or upgraded here. The implementation's own state is never used,
+     *      so it is marked initialized straight away.
+     * @param _modules Deployed modules; every function a module lists in moduleSelectors() is forwarded to it
      */
-    enum Role {
-        STUDENT,              // 0: Can submit grievances, view own grievances
-        COUNSELOR,            // 1: Can view all student grievances, assign to HOD
-        YEAR_COORDINATOR,     // 2: Can view all student grievances, assign to HOD
-        HOD,                  // 3: Can view only assigned grievances
-        DEAN,                 // 4: Can view escalated grievances
-        ADMIN                 // 5: Can assign/revoke roles (system management only)
+    constructor(address[] memory _modules) {
+        for (uint256 i = 0; i < _modules.length; i++) {
+            _registerModule(_modules[i]);
+        }
+        initialized = true;
     }
     
     /**
-     * @notice Grievance status lifecycle
+     * @notice Set up the proxy with the caller as admin and sole council member
+     * @dev Called by GrievanceSystemProxy's constructor, in the deployment transaction. The council starts
+     *      at 1-of-1 with no timelock, so role changes take effect at once until it is expanded through
+     *      its own proposals.
      */
-    enum Status {
-        SUBMITTED,            // 0: Initial state
-        IN_REVIEW,            // 1: Being reviewed
-        ASSIGNED_TO_HOD,      // 2: Assigned to specific HOD
-        ESCALATED,            // 3: Escalated to Dean
-        RESOLVED,             // 4: Resolved
-        CLOSED                // 5: Closed by Dean
+    function initialize() external {
+        require(!initialized, "GrievanceSystemSecure: Already initialized");
+        initialized = true;
+        
+        address[] memory modules = IGrievanceImplementation(_implementation()).getModules();
+        for (uint256 i = 0; i < modules.length; i++) {
+            _registerModule(modules[i]);
+        }
+        
+        admin = msg.sender;
+        roles[msg.sender] = Role.ADMIN;
+        grievanceCounter = 0;
+        emit RoleAssigned(msg.sender, Role.ADMIN, msg.sender, block.timestamp);
+        
+        councilMembers.push(msg.sender);
+        isCouncilMember[msg.sender] = true;
+        councilThreshold = 1;
+        emit CouncilMemberAdded(msg.sender, block.timestamp);
     }
     
-    // ============ STRUCTS ============
+    // ============ UPGRADES ============
     
     /**
-     * @notice Core grievance data structure
+     * @notice Release of this implementation, shown by the frontend
      */
-    struct Grievance {
-        uint256 grievanceId;
-        address studentAddress;
-        string description;
-        Status status;
-        address assignedHOD;          // HOD assigned to handle this
-        address currentHandler;       // Current authority handling
-        uint256 submittedAt;
-        uint256 lastUpdatedAt;
-        string resolutionRemarks;
-        address resolvedBy;
+    function version() public pure virtual returns (string memory) {
+        return "1.0.0";
     }
     
-    // ============ STATE VARIABLES ============
-    
-    address public admin;              // Single admin (contract deployer)
-    uint256 private grievanceCounter;
-    
-    // Mapping: wallet address => Role
-    mapping(address => Role) public roles;
-    
-    // Mapping: grievanceId => Grievance
-    mapping(uint256 => Grievance) public grievances;
-    
-    // Mapping: student address => grievanceId[]
-    mapping(address => uint256[]) public studentGrievances;
-    
-    // Mapping: HOD address => grievanceId[] (only assigned grievances)
-    mapping(address => uint256[]) public hodGrievances;
-    
-    // Mapping: grievanceId => bool (track if assigned to HOD)
-    mapping(uint256 => bool) public assignedToHOD;
-    
-    // Mapping: grievanceId => Role (track current escalation level for hierarchical workflow)
-    mapping(uint256 => Role) public grievanceLevel;
-    
-    // ============ EVENTS ============
-    
-    event RoleAssigned(address indexed user, Role role, address indexed assignedBy, uint256 timestamp);
-    event RoleRevoked(address indexed user, Role role, address indexed revokedBy, uint256 timestamp);
-    event GrievanceSubmitted(uint256 indexed grievanceId, address indexed student, string description, uint256 timestamp);
-    event GrievanceAssignedToHOD(uint256 indexed grievanceId, address indexed hod, address indexed assignedBy, uint256 timestamp);
-    event GrievanceEscalated(uint256 indexed grievanceId, address indexed escalatedBy, address indexed toHandler, uint256 timestamp);
-    event GrievanceResolved(uint256 indexed grievanceId, address indexed resolvedBy, string remarks, uint256 timestamp);
-    event GrievanceClosed(uint256 indexed grievanceId, address indexed closedBy, string remarks, uint256 timestamp);
-    
-    // ============ MODIFIERS ============
-    
     /**
-     * @notice Ensures only admin can execute
+     * @notice Modules that calls are routed to (through the proxy) or shipped with (on the implementation)
      */
-    modifier onlyAdmin() {
-        require(roles[msg.sender] == Role.ADMIN, "GrievanceSystemSecure: Only admin can perform this action");
-        require(msg.sender == admin, "GrievanceSystemSecure: Only admin address allowed");
-        _;
+    function getModules() external view returns (address[] memory) {
+        return registeredModules;
     }
     
     /**
-     * @notice Ensures only students can execute
+     * @notice ERC-1822 check that this contract can be a GrievanceSystemProxy implementation
+     * @dev Reverts through the proxy, so the proxy itself is never accepted as an implementation
      */
-    modifier onlyStudent() {
-        require(roles[msg.sender] == Role.STUDENT, "GrievanceSystemSecure: Only students can perform this action");
-        _;
+    function proxiableUUID() external view returns (bytes32) {
+        require(_implementation() == address(0), "GrievanceSystemSecure: Must not be called through the proxy");
+        return IMPLEMENTATION_SLOT;
     }
     
+    // ============ MODULE DISPATCH ============
+    
     /**
-     * @notice Ensures only counselor or year coordinator can execute
+     * @notice Forward any function not defined here to the module that registered it
+     * @dev Modules share this contract's storage layout (GrievanceSystemStorage); reverts bubble up unchanged
      */
-    modifier onlyCounselorOrCoordinator() {
-        Role userRole = roles[msg.sender];
-        require(
-            userRole == Role.COUNSELOR || userRole == Role.YEAR_COORDINATOR,
-            "GrievanceSystemSecure: Only counselor or year coordinator can perform this action"
-        );
-        _;
+    fallback() external {
+        address module = selectorModules[msg.sig];
+        require(module != address(0), "GrievanceSystemSecure: Function does not exist");
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
     
+    // ============ STUDENT FUNCTIONS ============
+    
     /**
-     * @notice Ensures only assigned HOD can execute
+     * @notice Submit a new grievance (STUDENTS ONLY)
+     * @dev Only students can submit grievances. The description is never stored in plaintext.
+     *      Subject to the admin's cooldown and open-grievance cap (setSubmissionLimits).
+     * @param _description Encrypted description envelope
+     * @param _contentHash Hash of the plaintext description keyed with its data key (integrity check after decryption)
+     * @param _categoryId Grievance category (0 = General); its routing rule picks the starting level
+     * @return grievanceId Unique identifier of created grievance
      */
-    modifier onlyAssignedHOD(uint256 _grievanceId) {
+    function submitGrievance(string memory _description, bytes32 _contentHash, uint256 _categoryId) 
+        external 
+        whenNotPaused
+        onlyStudent 
+        returns (uint256) 
+    {
+        address student = _msgSender();
         require(
-            roles[msg.sender] == Role.HOD,
-            "GrievanceSystemSecure: Only HOD can perform this action"
+            lastSubmissionAt[student] == 0 || block.timestamp >= lastSubmissionAt[student] + submissionCooldown,
+            "GrievanceSystemSecure: Submission cooldown has not passed"
         );
         require(
-            grievances[_grievanceId].assignedHOD == msg.sender,
-            "GrievanceSystemSecure: You are not assigned to this grievance"
+            maxOpenGrievances == 0 || _openGrievanceCount(student) < maxOpenGrievances,
+            "GrievanceSystemSecure: Open grievance limit reached"
         );
-        _;
-    }
-    
-    /**
-     * @notice Ensures only Dean can execute
-     */
-    modifier onlyDean() {
-        require(roles[msg.sender] == Role.DEAN, "GrievanceSystemSecure: Only Dean can perform this action");
-        _;
-    }
-    
-    /**
-     * @notice Ensures grievance exists
-     */
-    modifier grievanceExists(uint256 _grievanceId) {
-        require(_grievanceId > 0 && _grievanceId <= grievanceCounter, "GrievanceSystemSecure: Grievance does not exist");
-        _;
-    }
-    
-    // ============ CONSTRUCTOR ============
-    
-    /**
-     * @notice Initialize contract with deployer as admin
-     */
-    constructor() {
-        admin = msg.sender;
-        roles[msg.sender] = Role.ADMIN;
-        grievanceCounter = 0;
-        emit RoleAssigned(msg.sender, Role.ADMIN, msg.sender, block.timestamp);
-    }
-    
-    // ============ ADMIN FUNCTIONS ============
-    
-    /**
-     * @notice Assign role to a user (ADMIN ONLY)
-     * @dev Only admin can assign roles. Cannot assign ADMIN role (except in constructor)
-     * @param _user Address to assign role to
-     * @param _role Role to assign (cannot be ADMIN)
-     */
-    function assignRole(address _user, Role _role) external onlyAdmin {
-        require(_user != address(0), "GrievanceSystemSecure: Invalid address");
-        require(_role != Role.ADMIN, "GrievanceSystemSecure: Cannot assign ADMIN role");
-        require(_user != admin, "GrievanceSystemSecure: Cannot change admin role");
+        lastSubmissionAt[student] = block.timestamp;
         
-        // Prevent self-assignment of roles
-        require(_user != msg.sender, "GrievanceSystemSecure: Cannot assign role to yourself");
+        uint256 grievanceId = _createGrievance(student, _description, _contentHash, _categoryId);
+        studentGrievances[student].push(grievanceId);
         
-        roles[_user] = _role;
-        emit RoleAssigned(_user, _role, msg.sender, block.timestamp);
+        return grievanceId;
     }
     
     /**
-     * @notice Revoke role from a user (ADMIN ONLY)
-     * @param _user Address to revoke role from
+     * @notice Register a Semaphore identity commitment for anonymous submissions (STUDENTS ONLY)
+     * @dev One commitment per student. The admin includes it in the next published enrollment root.
+     * @param _identityCommitment Poseidon commitment of the student's Semaphore identity
      */
-    function revokeRole(address _user) external onlyAdmin {
-        require(_user != address(0), "GrievanceSystemSecure: Invalid address");
-        require(_user != admin, "GrievanceSystemSecure: Cannot revoke admin role");
+    function registerIdentityCommitment(uint256 _identityCommitment) external whenNotPaused onlyStudent {
+        require(_identityCommitment != 0, "GrievanceSystemSecure: Invalid identity commitment");
+        require(identityCommitments[_msgSender()] == 0, "GrievanceSystemSecure: Identity already registered");
         
-        Role oldRole = roles[_user];
-        require(oldRole != Role.ADMIN, "GrievanceSystemSecure: Cannot revoke admin");
+        identityCommitments[_msgSender()] = _identityCommitment;
+        enrolledCommitments.push(_identityCommitment);
+        commitmentOwners.push(_msgSender());
+        commitmentPositions[_msgSender()] = enrolledCommitments.length;
         
-        delete roles[_user];
-        emit RoleRevoked(_user, oldRole, msg.sender, block.timestamp);
+        emit IdentityCommitmentRegistered(_msgSender(), _identityCommitment, block.timestamp);
     }
     
     /**
-     * @notice Transfer admin role (ADMIN ONLY)
-     * @param _newAdmin Address of new admin
+     * @notice Submit a grievance without revealing the student's wallet
+     * @dev Callable from any address: the caller is not recorded. The proof shows the
+     *      submitter owns an identity in the enrollment tree; the nullifier (scoped to the
+     *      current epoch) blocks repeat submissions. Content hash, tracking hash and category
+     *      are bound to the proof as its signal so they cannot be swapped by a front-runner.
+     * @param _description Encrypted description envelope
+     * @param _contentHash Hash of the plaintext description keyed with its data key
+     * @param _categoryId Grievance category (0 = General)
+     * @param _trackingHash keccak256 of the student's secret tracking code
+     * @param _nullifierHash Semaphore nullifier hash for the current epoch
+     * @param _proof Semaphore Groth16 proof
+     * @return grievanceId Unique identifier of created grievance
      */
-    function transferAdmin(address _newAdmin) external onlyAdmin {
-        require(_newAdmin != address(0), "GrievanceSystemSecure: Invalid address");
-        require(_newAdmin != admin, "GrievanceSystemSecure: Already admin");
+    function submitAnonymousGrievance(
+        string memory _description,
+        bytes32 _contentHash,
+        uint256 _categoryId,
+        bytes32 _trackingHash,
+        uint256 _nullifierHash,
+        uint256[8] calldata _proof
+    ) external whenNotPaused returns (uint256) {
+        require(
+            address(enrollmentVerifier) != address(0) && enrollmentRoot != 0,
+            "GrievanceSystemSecure: Anonymous submission is not enabled"
+        );
+        require(_trackingHash != bytes32(0), "GrievanceSystemSecure: Tracking hash required");
+        require(anonymousTracking[_trackingHash] == 0, "GrievanceSystemSecure: Tracking code already used");
+        require(!usedNullifiers[_nullifierHash], "GrievanceSystemSecure: Anonymous submission limit reached for this epoch");
+        
+        uint256 epoch = currentAnonymousEpoch();
+        enrollmentVerifier.verifyProof(
+            enrollmentRoot,
+            _nullifierHash,
+            anonymousSignal(_contentHash, _trackingHash, _categoryId),
+            epoch,
+            _proof,
+            enrollmentTreeDepth
+        );
+        
+        usedNullifiers[_nullifierHash] = true;
+        
+        uint256 grievanceId = _createGrievance(address(0), _description, _contentHash, _categoryId);
+        anonymousTracking[_trackingHash] = grievanceId;
         
-        roles[admin] = Role.STUDENT; // Old admin becomes student
-        admin = _newAdmin;
-        roles[_newAdmin] = Role.ADMIN;
+        emit AnonymousGrievanceSubmitted(grievanceId, _nullifierHash, epoch, block.timestamp);
         
-        emit RoleRevoked(admin, Role.ADMIN, msg.sender, block.timestamp);
-        emit RoleAssigned(_newAdmin, Role.ADMIN, msg.sender, block.timestamp);
+        return grievanceId;
     }
     
-    // ============ STUDENT FUNCTIONS ============
-    
     /**
-     * @notice Submit a new grievance (STUDENTS ONLY)
-     * @dev Only students can submit grievances
-     * @param _description Grievance description
-     * @return grievanceId Unique identifier of created grievance
+     * @notice Create and store a grievance, routed by its category
+     * @param _student Submitting student, or address(0) for anonymous grievances
      */
-    function submitGrievance(string memory _description) external onlyStudent returns (uint256) {
+    function _createGrievance(
+        address _student,
+        string memory _description,
+        bytes32 _contentHash,
+        uint256 _categoryId
+    ) internal returns (uint256) {
         require(bytes(_description).length > 0, "GrievanceSystemSecure: Description cannot be empty");
-        require(bytes(_description).length <= 1000, "GrievanceSystemSecure: Description too long");
+        require(_categoryId <= categoryCount, "GrievanceSystemSecure: Category does not exist");
+        require(bytes(_description).length <= MAX_DESCRIPTION_LENGTH, "GrievanceSystemSecure: Description too long");
+        require(_contentHash != bytes32(0), "GrievanceSystemSecure: Content hash required");
         
         grievanceCounter++;
         
         Grievance memory newGrievance = Grievance({
             grievanceId: grievanceCounter,
-            studentAddress: msg.sender,
+            studentAddress: _student,
             description: _description,
+            contentHash: _contentHash,
             status: Status.SUBMITTED,
             assignedHOD: address(0),
             currentHandler: address(0),
@@ -248,29 +265,72 @@ contract GrievanceSystemSecure {
         });
         
         grievances[grievanceCounter] = newGrievance;
-        studentGrievances[msg.sender].push(grievanceCounter);
-        grievanceLevel[grievanceCounter] = Role.COUNSELOR; // Start at Counselor level
+        grievanceCohort[grievanceCounter] = userCohort[_student];
+        grievanceCategory[grievanceCounter] = _categoryId;
         
-        emit GrievanceSubmitted(grievanceCounter, msg.sender, _description, block.timestamp);
+        emit GrievanceSubmitted(grievanceCounter, _student, _contentHash, block.timestamp);
+        _routeGrievance(grievanceCounter, _categoryId);
+        _recordAction(grievanceCounter, _student, Status.SUBMITTED, Role.UNREGISTERED, "");
         
         return grievanceCounter;
     }
     
+    /**
+     * @notice Apply the category's routing rule to a new grievance
+     * @dev Falls back to Counselor level when no rule is set or the rule's handler
+     *      no longer holds the routed role, so a stale rule never blocks submissions
+     */
+    function _routeGrievance(uint256 _grievanceId, uint256 _categoryId) internal {
+        RoutingRule memory rule = routingRules[_categoryId];
+        Role level = rule.startLevel;
+        address handler = rule.handler;
+        
+        if (level == Role.UNREGISTERED || (handler != address(0) && _activeRole(handler) != level)) {
+            level = Role.COUNSELOR;
+            handler = address(0);
+        }
+        
+        Grievance storage grievance = grievances[_grievanceId];
+        _setLevel(_grievanceId, level);
+        grievance.currentHandler = handler;
+        levelEnteredAt[_grievanceId] = block.timestamp;
+        
+        if (level == Role.HOD) {
+            grievance.assignedHOD = handler;
+            _setStatus(_grievanceId, Status.ASSIGNED_TO_HOD);
+            hodGrievances[handler].push(_grievanceId);
+            assignedToHOD[_grievanceId] = true;
+            emit GrievanceAssignedToHOD(_grievanceId, handler, address(this), block.timestamp);
+        } else if (level == Role.DEAN) {
+            _setStatus(_grievanceId, Status.ESCALATED); // Dean acts on escalated grievances
+        } else {
+            _setStatus(_grievanceId, Status.SUBMITTED); // Adds the new grievance to the status index
+        }
+        
+        emit GrievanceRouted(_grievanceId, _categoryId, level, handler, block.timestamp);
+    }
+    
     // ============ COUNSELOR/YEAR COORDINATOR FUNCTIONS ============
     
     /**
      * @notice Assign grievance to a specific HOD
-     * @dev Only counselor or year coordinator can assign
+     * @dev Only counselor or year coordinator can assign, and only to the HOD of the grievance's department
+     *      who has no conflict of interest with it (see GrievanceRecusal)
      * @param _grievanceId Grievance ID to assign
      * @param _hodAddress HOD address to assign to
      */
     function assignGrievanceToHOD(uint256 _grievanceId, address _hodAddress) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
         onlyCounselorOrCoordinator 
+        withinScope(_grievanceId)
+        recordsAction(_grievanceId, "")
     {
-        require(roles[_hodAddress] == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
+        require(_activeRole(_hodAddress) == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
         require(_hodAddress != address(0), "GrievanceSystemSecure: Invalid HOD address");
+        require(!grievanceConflicts[_grievanceId][_hodAddress], "GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+        require(_isInScope(_hodAddress, _grievanceId), "GrievanceSystemSecure: HOD is not in the grievance's department");
         
         Grievance storage grievance = grievances[_grievanceId];
         require(
@@ -281,32 +341,40 @@ contract GrievanceSystemSecure {
         
         grievance.assignedHOD = _hodAddress;
         grievance.currentHandler = _hodAddress;
-        grievance.status = Status.ASSIGNED_TO_HOD;
+        _setStatus(_grievanceId, Status.ASSIGNED_TO_HOD);
         grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
         
         hodGrievances[_hodAddress].push(_grievanceId);
         assignedToHOD[_grievanceId] = true;
         
-        emit GrievanceAssignedToHOD(_grievanceId, _hodAddress, msg.sender, block.timestamp);
+        emit GrievanceAssignedToHOD(_grievanceId, _hodAddress, _msgSender(), block.timestamp);
     }
     
     /**
      * @notice Review a grievance (mark as IN_REVIEW)
      * @dev Counselor/Coordinator can review before assigning
      */
-    function reviewGrievance(uint256 _grievanceId) external grievanceExists(_grievanceId) onlyCounselorOrCoordinator {
+    function reviewGrievance(uint256 _grievanceId) 
+        external 
+        whenNotPaused
+        grievanceExists(_grievanceId) 
+        onlyCounselorOrCoordinator 
+        withinScope(_grievanceId)
+        recordsAction(_grievanceId, "")
+    {
         Grievance storage grievance = grievances[_grievanceId];
         require(grievance.status == Status.SUBMITTED, "GrievanceSystemSecure: Can only review submitted grievances");
         
         // Check if grievance is at user's level
         require(
             grievanceLevel[_grievanceId] == Role.COUNSELOR || 
-            (grievanceLevel[_grievanceId] == Role.YEAR_COORDINATOR && roles[msg.sender] == Role.YEAR_COORDINATOR),
+            (grievanceLevel[_grievanceId] == Role.YEAR_COORDINATOR && _activeRole(_msgSender()) == Role.YEAR_COORDINATOR),
             "GrievanceSystemSecure: Grievance is not at your level"
         );
         
-        grievance.status = Status.IN_REVIEW;
-        grievance.currentHandler = msg.sender;
+        _setStatus(_grievanceId, Status.IN_REVIEW);
+        grievance.currentHandler = _msgSender();
         grievance.lastUpdatedAt = block.timestamp;
     }
     
@@ -316,11 +384,14 @@ contract GrievanceSystemSecure {
      */
     function resolveGrievanceByCounselorOrCoordinator(uint256 _grievanceId, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
         onlyCounselorOrCoordinator
+        withinScope(_grievanceId)
+        recordsAction(_grievanceId, _remarks)
     {
         Grievance storage grievance = grievances[_grievanceId];
-        Role userRole = roles[msg.sender];
+        Role userRole = _activeRole(_msgSender());
         Role currentLevel = grievanceLevel[_grievanceId];
         
         // Counselor can only resolve grievances at Counselor level
@@ -335,14 +406,15 @@ contract GrievanceSystemSecure {
             grievance.status == Status.SUBMITTED || grievance.status == Status.IN_REVIEW,
             "GrievanceSystemSecure: Cannot resolve grievance in current status"
         );
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievance.status = Status.RESOLVED;
+        _setStatus(_grievanceId, Status.RESOLVED);
         grievance.resolutionRemarks = _remarks;
-        grievance.resolvedBy = msg.sender;
+        grievance.resolvedBy = _msgSender();
         grievance.lastUpdatedAt = block.timestamp;
+        resolvedAt[_grievanceId] = block.timestamp;
         
-        emit GrievanceResolved(_grievanceId, msg.sender, _remarks, block.timestamp);
+        emit GrievanceResolved(_grievanceId, _msgSender(), _remarks, block.timestamp);
     }
     
     /**
@@ -350,9 +422,12 @@ contract GrievanceSystemSecure {
      */
     function escalateToYearCoordinator(uint256 _grievanceId, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
+        recordsAction(_grievanceId, _remarks)
     {
-        require(roles[msg.sender] == Role.COUNSELOR, "GrievanceSystemSecure: Only Counselor can escalate to Year Coordinator");
+        require(_activeRole(_msgSender()) == Role.COUNSELOR, "GrievanceSystemSecure: Only Counselor can escalate to Year Coordinator");
+        require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
         
         Grievance storage grievance = grievances[_grievanceId];
         require(
@@ -363,26 +438,33 @@ contract GrievanceSystemSecure {
             grievance.status == Status.SUBMITTED || grievance.status == Status.IN_REVIEW,
             "GrievanceSystemSecure: Cannot escalate grievance in current status"
         );
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievanceLevel[_grievanceId] = Role.YEAR_COORDINATOR;
-        grievance.status = Status.IN_REVIEW; // Set to IN_REVIEW for Year Coordinator
+        _setLevel(_grievanceId, Role.YEAR_COORDINATOR);
+        _setStatus(_grievanceId, Status.IN_REVIEW); // Set to IN_REVIEW for Year Coordinator
         grievance.currentHandler = address(0); // Will be set when Year Coordinator handles
         grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
         
-        emit GrievanceEscalated(_grievanceId, msg.sender, address(0), block.timestamp);
+        emit GrievanceEscalated(_grievanceId, _msgSender(), address(0), block.timestamp);
     }
     
     /**
      * @notice Escalate grievance to HOD (Year Coordinator only)
+     * @dev The HOD must belong to the grievance's department and have no conflict of interest with it
      */
     function escalateToHOD(uint256 _grievanceId, address _hodAddress, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
+        recordsAction(_grievanceId, _remarks)
     {
-        require(roles[msg.sender] == Role.YEAR_COORDINATOR, "GrievanceSystemSecure: Only Year Coordinator can escalate to HOD");
-        require(roles[_hodAddress] == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
+        require(_activeRole(_msgSender()) == Role.YEAR_COORDINATOR, "GrievanceSystemSecure: Only Year Coordinator can escalate to HOD");
+        require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
+        require(_activeRole(_hodAddress) == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
         require(_hodAddress != address(0), "GrievanceSystemSecure: Invalid HOD address");
+        require(!grievanceConflicts[_grievanceId][_hodAddress], "GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+        require(_isInScope(_hodAddress, _grievanceId), "GrievanceSystemSecure: HOD is not in the grievance's department");
         
         Grievance storage grievance = grievances[_grievanceId];
         require(
@@ -393,19 +475,20 @@ contract GrievanceSystemSecure {
             grievance.status == Status.SUBMITTED || grievance.status == Status.IN_REVIEW,
             "GrievanceSystemSecure: Cannot escalate grievance in current status"
         );
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievanceLevel[_grievanceId] = Role.HOD;
+        _setLevel(_grievanceId, Role.HOD);
         grievance.assignedHOD = _hodAddress;
         grievance.currentHandler = _hodAddress;
-        grievance.status = Status.ASSIGNED_TO_HOD;
+        _setStatus(_grievanceId, Status.ASSIGNED_TO_HOD);
         grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
         
         hodGrievances[_hodAddress].push(_grievanceId);
         assignedToHOD[_grievanceId] = true;
         
-        emit GrievanceAssignedToHOD(_grievanceId, _hodAddress, msg.sender, block.timestamp);
-        emit GrievanceEscalated(_grievanceId, msg.sender, _hodAddress, block.timestamp);
+        emit GrievanceAssignedToHOD(_grievanceId, _hodAddress, _msgSender(), block.timestamp);
+        emit GrievanceEscalated(_grievanceId, _msgSender(), _hodAddress, block.timestamp);
     }
     
     // ============ HOD FUNCTIONS ============
@@ -417,22 +500,25 @@ contract GrievanceSystemSecure {
      */
     function resolveGrievance(uint256 _grievanceId, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
         onlyAssignedHOD(_grievanceId)
+        recordsAction(_grievanceId, _remarks)
     {
         Grievance storage grievance = grievances[_grievanceId];
         require(
             grievance.status == Status.ASSIGNED_TO_HOD,
             "GrievanceSystemSecure: Grievance must be assigned to HOD to resolve"
         );
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievance.status = Status.RESOLVED;
+        _setStatus(_grievanceId, Status.RESOLVED);
         grievance.resolutionRemarks = _remarks;
-        grievance.resolvedBy = msg.sender;
+        grievance.resolvedBy = _msgSender();
         grievance.lastUpdatedAt = block.timestamp;
+        resolvedAt[_grievanceId] = block.timestamp;
         
-        emit GrievanceResolved(_grievanceId, msg.sender, _remarks, block.timestamp);
+        emit GrievanceResolved(_grievanceId, _msgSender(), _remarks, block.timestamp);
     }
     
     /**
@@ -442,21 +528,24 @@ contract GrievanceSystemSecure {
      */
     function escalateGrievance(uint256 _grievanceId, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
         onlyAssignedHOD(_grievanceId)
+        recordsAction(_grievanceId, _remarks)
     {
         Grievance storage grievance = grievances[_grievanceId];
         require(
             grievance.status == Status.ASSIGNED_TO_HOD,
             "GrievanceSystemSecure: Grievance must be assigned to HOD to escalate"
         );
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievance.status = Status.ESCALATED;
+        _setStatus(_grievanceId, Status.ESCALATED);
         grievance.currentHandler = address(0); // Will be set when Dean handles
         grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
         
-        emit GrievanceEscalated(_grievanceId, msg.sender, address(0), block.timestamp);
+        emit GrievanceEscalated(_grievanceId, _msgSender(), address(0), block.timestamp);
     }
     
     // ============ DEAN FUNCTIONS ============
@@ -468,20 +557,59 @@ contract GrievanceSystemSecure {
      */
     function closeGrievance(uint256 _grievanceId, string memory _remarks) 
         external 
+        whenNotPaused
         grievanceExists(_grievanceId)
         onlyDean
+        recordsAction(_grievanceId, _remarks)
     {
         Grievance storage grievance = grievances[_grievanceId];
         require(grievance.status == Status.ESCALATED, "GrievanceSystemSecure: Can only close escalated grievances");
-        require(bytes(_remarks).length <= 500, "GrievanceSystemSecure: Remarks too long");
+        require(bytes(_remarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
         
-        grievance.status = Status.CLOSED;
+        _setStatus(_grievanceId, Status.CLOSED);
         grievance.resolutionRemarks = _remarks;
-        grievance.resolvedBy = msg.sender;
-        grievance.currentHandler = msg.sender;
+        grievance.resolvedBy = _msgSender();
+        grievance.currentHandler = _msgSender();
         grievance.lastUpdatedAt = block.timestamp;
         
-        emit GrievanceClosed(_grievanceId, msg.sender, _remarks, block.timestamp);
+        emit GrievanceClosed(_grievanceId, _msgSender(), _remarks, block.timestamp);
+    }
+    
+    // ============ SLA ENFORCEMENT ============
+    
+    /**
+     * @notice Escalate a grievance whose SLA deadline has passed (ANYONE)
+     * @dev Permissionless so a keeper script (scripts/enforceDeadlines.js) can run it.
+     *      Counselor level moves to the Year Coordinators. Overdue Year Coordinator and HOD
+     *      grievances go to the Dean: no HOD can be chosen without a human decision.
+     * @param _grievanceId Overdue grievance
+     */
+    function enforceDeadline(uint256 _grievanceId)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        recordsAction(_grievanceId, SLA_ESCALATION_REMARK)
+    {
+        uint256 deadline = _slaDeadline(_grievanceId);
+        require(deadline != 0, "GrievanceSystemSecure: No SLA applies to this grievance");
+        require(block.timestamp > deadline, "GrievanceSystemSecure: Deadline has not passed");
+        
+        Grievance storage grievance = grievances[_grievanceId];
+        Role fromLevel = _slaLevel(_grievanceId);
+        Role toLevel = fromLevel == Role.COUNSELOR ? Role.YEAR_COORDINATOR : Role.DEAN;
+        
+        if (toLevel == Role.YEAR_COORDINATOR) {
+            _setLevel(_grievanceId, Role.YEAR_COORDINATOR);
+            _setStatus(_grievanceId, Status.IN_REVIEW);
+        } else {
+            _setStatus(_grievanceId, Status.ESCALATED);
+        }
+        grievance.currentHandler = address(0);
+        grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
+        
+        emit GrievanceEscalated(_grievanceId, address(this), address(0), block.timestamp);
+        emit DeadlineEnforced(_grievanceId, fromLevel, toLevel, _msgSender(), SLA_ESCALATION_REMARK, block.timestamp);
     }
     
     // ============ VIEW FUNCTIONS ============
@@ -495,117 +623,40 @@ contract GrievanceSystemSecure {
         grievanceExists(_grievanceId) 
         returns (Grievance memory) 
     {
-        Grievance memory grievance = grievances[_grievanceId];
-        Role userRole = roles[msg.sender];
-        
-        // Students can only see their own grievances
-        if (userRole == Role.STUDENT) {
-            require(grievance.studentAddress == msg.sender, "GrievanceSystemSecure: Not authorized to view this grievance");
-        }
-        // Counselor can only see grievances at Counselor level
-        else if (userRole == Role.COUNSELOR) {
-            require(grievanceLevel[_grievanceId] == Role.COUNSELOR, "GrievanceSystemSecure: Grievance is not at Counselor level");
-        }
-        // Year Coordinator can only see grievances at Year Coordinator level
-        else if (userRole == Role.YEAR_COORDINATOR) {
-            require(grievanceLevel[_grievanceId] == Role.YEAR_COORDINATOR, "GrievanceSystemSecure: Grievance is not at Year Coordinator level");
-        }
-        // HOD can only see assigned grievances
-        else if (userRole == Role.HOD) {
-            require(grievance.assignedHOD == msg.sender, "GrievanceSystemSecure: Not assigned to this grievance");
-        }
-        // Dean can see escalated and closed grievances
-        else if (userRole == Role.DEAN) {
-            require(
-                grievance.status == Status.ESCALATED || grievance.status == Status.CLOSED,
-                "GrievanceSystemSecure: Can only view escalated or closed grievances"
-            );
-        }
-        // Admin can see all (for system management)
-        
-        return grievance;
+        _requireCanView(_grievanceId);
+        return grievances[_grievanceId];
     }
     
     /**
-     * @notice Get visible grievances based on user role
-     * @return Array of grievance IDs visible to the caller
+     * @notice Look up an anonymous grievance by its secret tracking code
+     * @dev Only the hash of the code is stored; query with eth_call, never in a transaction
+     * @param _trackingCode Secret code kept by the submitting student
      */
-    function getVisibleGrievances() external view returns (uint256[] memory) {
-        Role userRole = roles[msg.sender];
-        
-        if (userRole == Role.STUDENT) {
-            return studentGrievances[msg.sender];
-        } else if (userRole == Role.HOD) {
-            return hodGrievances[msg.sender];
-        } else if (userRole == Role.COUNSELOR) {
-            // Counselor sees grievances at Counselor level (including resolved/closed they handled)
-            uint256[] memory counselorGrievances = new uint256[](grievanceCounter);
-            uint256 count = 0;
-            for (uint256 i = 1; i <= grievanceCounter; i++) {
-                if (grievances[i].grievanceId > 0 && grievanceLevel[i] == Role.COUNSELOR) {
-                    counselorGrievances[count] = i;
-                    count++;
-                }
-            }
-            uint256[] memory result = new uint256[](count);
-            for (uint256 i = 0; i < count; i++) {
-                result[i] = counselorGrievances[i];
-            }
-            return result;
-        } else if (userRole == Role.YEAR_COORDINATOR) {
-            // Year Coordinator sees grievances at Year Coordinator level (including resolved/closed they handled)
-            uint256[] memory yearCoordGrievances = new uint256[](grievanceCounter);
-            uint256 count = 0;
-            for (uint256 i = 1; i <= grievanceCounter; i++) {
-                if (grievances[i].grievanceId > 0 && grievanceLevel[i] == Role.YEAR_COORDINATOR) {
-                    yearCoordGrievances[count] = i;
-                    count++;
-                }
-            }
-            uint256[] memory result = new uint256[](count);
-            for (uint256 i = 0; i < count; i++) {
-                result[i] = yearCoordGrievances[i];
-            }
-            return result;
-        } else if (userRole == Role.DEAN) {
-            // Return escalated and closed grievances
-            uint256[] memory escalated = new uint256[](grievanceCounter);
-            uint256 count = 0;
-            for (uint256 i = 1; i <= grievanceCounter; i++) {
-                if (grievances[i].status == Status.ESCALATED || grievances[i].status == Status.CLOSED) {
-                    escalated[count] = i;
-                    count++;
-                }
-            }
-            uint256[] memory result = new uint256[](count);
-            for (uint256 i = 0; i < count; i++) {
-                result[i] = escalated[i];
-            }
-            return result;
-        } else if (userRole == Role.ADMIN) {
-            // Admin sees all (empty array - use getAllGrievances for admin)
-            return new uint256[](0);
-        }
-        
-        return new uint256[](0);
+    function getAnonymousGrievance(bytes32 _trackingCode) external view returns (Grievance memory) {
+        uint256 grievanceId = anonymousTracking[keccak256(abi.encodePacked(_trackingCode))];
+        require(grievanceId != 0, "GrievanceSystemSecure: Unknown tracking code");
+        return grievances[grievanceId];
     }
     
     /**
-     * @notice Get all grievances (ADMIN ONLY - for system management)
+     * @notice Current anonymous submission epoch (used as the Semaphore external nullifier)
      */
-    function getAllGrievances() external view onlyAdmin returns (uint256[] memory) {
-        uint256[] memory allGrievances = new uint256[](grievanceCounter);
-        for (uint256 i = 1; i <= grievanceCounter; i++) {
-            allGrievances[i - 1] = i;
-        }
-        return allGrievances;
+    function currentAnonymousEpoch() public view returns (uint256) {
+        return block.timestamp / ANONYMOUS_EPOCH;
+    }
+    
+    /**
+     * @notice Semaphore signal binding an anonymous submission to its content, tracking hash and category
+     */
+    function anonymousSignal(bytes32 _contentHash, bytes32 _trackingHash, uint256 _categoryId) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(_contentHash, _trackingHash, _categoryId)));
     }
     
     /**
-     * @notice Get user role
+     * @notice Get user role (UNREGISTERED once a term-limited role has expired)
      */
     function getUserRole(address _user) external view returns (Role) {
-        return roles[_user];
+        return _activeRole(_user);
     }
     
     /**
@@ -615,4 +666,3 @@ contract GrievanceSystemSecure {
         return grievanceCounter;
     }
 }
-
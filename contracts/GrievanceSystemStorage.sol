@@ -0,0 +1,938 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/ISemaphoreVerifier.sol";
+import "./interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceSystemStorage
+ * @notice Shared types, storage layout, events and access modifiers of GrievanceSystemSecure
+ * @dev Inherited by GrievanceSystemSecure and by every module it delegates to, so all of them
+ *      agree on the storage layout. Contracts inheriting this must not declare state variables
+ *      of their own, and new state must only ever be appended here: the layout lives in the
+ *      GrievanceSystemProxy and has to stay valid for every implementation it is upgraded to
+ *      (scripts/upgradeSecure.js refuses layouts that move or retype existing variables).
+ */
+abstract contract GrievanceSystemStorage {
+    
+    // ============ ENUMS ============
+    
+    /**
+     * @notice User roles in the system
+     * Each wallet has exactly ONE role. UNREGISTERED is the default for every address.
+     */
+    enum Role {
+        UNREGISTERED,         // 0: Default - no access until enrolled or assigned a role
+        STUDENT,              // 1: Can submit grievances, view own grievances (enrolled by admin)
+        COUNSELOR,            // 2: Can view student grievances in their department, assign to HOD
+        YEAR_COORDINATOR,     // 3: Can view student grievances in their cohort, assign to HOD
+        HOD,                  // 4: Can view only assigned grievances
+        DEAN,                 // 5: Can view escalated grievances
+        ADMIN                 // 6: Enrolls students and manages configuration (system management only)
+    }
+    
+    /**
+     * @notice Grievance status lifecycle
+     */
+    enum Status {
+        SUBMITTED,            // 0: Initial state
+        IN_REVIEW,            // 1: Being reviewed
+        ASSIGNED_TO_HOD,      // 2: Assigned to specific HOD
+        ESCALATED,            // 3: Escalated to Dean
+        RESOLVED,             // 4: Resolved
+        CLOSED,               // 5: Closed by Dean
+        WITHDRAWN,            // 6: Retracted by the student
+        REQUEST_INFO          // 7: Handler is waiting for the student to answer a question
+    }
+    
+    /**
+     * @notice Changes only the admin council can make, each through an approved proposal
+     */
+    enum ProposalAction {
+        ASSIGN_ROLE,           // 0: target gets Role(value), for a term if proposalRoleExpiry is set
+        REVOKE_ROLE,           // 1: target goes back to UNREGISTERED
+        TRANSFER_ADMIN,        // 2: target is nominated as admin and must accept
+        ADD_COUNCIL_MEMBER,    // 3: target joins the council
+        REMOVE_COUNCIL_MEMBER, // 4: target leaves the council
+        SET_THRESHOLD,         // 5: value approvals are needed from now on
+        SET_TIMELOCK,          // 6: approved proposals wait value seconds before execution
+        UPGRADE,               // 7: the proxy switches to implementation target and its modules
+        ASSIGN_ROLES,          // 8: each user of the batch gets its Role (value = batch size)
+        REVOKE_ROLES,          // 9: each user of the batch goes back to UNREGISTERED (value = batch size)
+        RENEW_ROLE,            // 10: target's role term now ends at timestamp value
+        SET_FORWARDER,         // 11: target becomes the trusted EIP-2771 forwarder (address(0) turns relaying off)
+        SET_GUARDIAN           // 12: target can pause the system (address(0) leaves it to the admin)
+    }
+    
+    // ============ STRUCTS ============
+    
+    /**
+     * @notice Core grievance data structure
+     */
+    struct Grievance {
+        uint256 grievanceId;
+        address studentAddress;
+        string description;           // Encrypted envelope (see frontend/crypto.js)
+        bytes32 contentHash;          // keccak256 of data key + plaintext description (see frontend/crypto.js)
+        Status status;
+        address assignedHOD;          // HOD assigned to handle this
+        address currentHandler;       // Current authority handling
+        uint256 submittedAt;
+        uint256 lastUpdatedAt;
+        string resolutionRemarks;     // Encrypted with the grievance data key
+        address resolvedBy;
+    }
+    
+    /**
+     * @notice A year group within a department (e.g. "CSE - Batch of 2027")
+     */
+    struct Cohort {
+        uint256 departmentId;
+        string name;
+    }
+    
+    /**
+     * @notice One entry of a grievance's clarification thread
+     */
+    struct Message {
+        address author;               // Handler who asked, or the student who replied
+        string body;                  // Encrypted with the grievance data key
+        uint256 timestamp;
+    }
+    
+    /**
+     * @notice Evidence file stored off-chain, encrypted with the grievance data key
+     */
+    struct Attachment {
+        string cid;                   // IPFS CID of the encrypted file
+        bytes32 contentHash;          // keccak256 of the encrypted file (checked after download)
+        bytes32 remarkHash;           // keccak256 of the remark it supports (0 = the grievance itself)
+        address addedBy;
+        uint256 timestamp;
+    }
+    
+    /**
+     * @notice A pending or settled admin council proposal
+     */
+    struct Proposal {
+        ProposalAction action;
+        address target;               // User, new admin or council member (unused for SET_* and batch actions)
+        uint256 value;                // Role for ASSIGN_ROLE and TRANSFER_ADMIN, new threshold or timelock for SET_* actions, batch size for *_ROLES
+        address proposer;
+        uint256 approvals;            // Every approval given; getProposal counts only current members'
+        uint256 createdAt;
+        uint256 executableAt;         // 0 until approvals reach the threshold, then that time plus the timelock
+        bool executed;
+        bool cancelled;
+    }
+    
+    /**
+     * @notice Where new grievances of a category start
+     * @dev startLevel UNREGISTERED means no rule (Counselor level, no specific handler)
+     */
+    struct RoutingRule {
+        Role startLevel;              // COUNSELOR, YEAR_COORDINATOR, HOD or DEAN
+        address handler;              // Specific authority to handle it (required for HOD, optional otherwise)
+    }
+    
+    /**
+     * @notice One state transition in a grievance's action log
+     * @dev A submission starts from level UNREGISTERED; accepting a resolution keeps the status
+     */
+    struct ActionRecord {
+        address actor;                // address(0) for anonymous submissions
+        Role actorRole;               // Role the actor held at the time (UNREGISTERED for deadline keepers)
+        Status fromStatus;
+        Status toStatus;
+        Role fromLevel;
+        Role toLevel;
+        string remarks;               // Encrypted with the grievance data key, like the matching event's remarks
+        uint256 timestamp;
+    }
+    
+    /**
+     * @notice A stretch of maintenance mode, during which SLA and response-window clocks stand still
+     */
+    struct PausePeriod {
+        uint256 startedAt;
+        uint256 endedAt;              // 0 while the pause is still in progress
+    }
+    
+    // ============ CONSTANTS ============
+    
+    uint256 public constant MAX_DESCRIPTION_LENGTH = 8192;  // Ciphertext envelope, not plaintext
+    uint256 public constant MAX_REMARKS_LENGTH = 2048;      // Ciphertext, not plaintext
+    uint256 public constant ANONYMOUS_EPOCH = 7 days;       // One anonymous grievance per student per epoch
+    uint256 public constant MAX_ATTACHMENTS_PER_CALL = 10;
+    uint256 public constant MAX_CID_LENGTH = 128;
+    uint256 public constant MAX_COUNCIL_SIZE = 15;
+    uint256 public constant MAX_COUNCIL_TIMELOCK = 30 days;
+    uint256 public constant MAX_IMPORT_BATCH = 50;          // Legacy grievances per importGrievances call
+    uint256 public constant MAX_PAGE_SIZE = 100;            // Index entries scanned per paginated query
+    uint256 public constant MAX_ROLE_BATCH = 50;            // Users per assignRoles / revokeRoles proposal
+    uint256 public constant MAX_CONFLICT_FLAGS = 5;         // Staff a student can flag per grievance
+    uint256 public constant RESOLUTION_RESPONSE_WINDOW = 7 days;  // Student's time to accept or dispute a resolution
+    uint256 public constant MAX_SUBMISSION_COOLDOWN = 30 days;    // Longest wait the admin can impose between submissions
+    uint256 internal constant MAX_DUPLICATES = 25;          // Duplicates linked to one primary (bounds the gas of actOnGroup)
+    // ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    string public constant SLA_ESCALATION_REMARK = "Automatically escalated: the SLA deadline for this level passed without action";
+    
+    // ============ STATE VARIABLES ============
+    
+    address public admin;              // Operational admin (initially the deployer; changed by the council)
+    uint256 internal grievanceCounter;
+    
+    // Mapping: wallet address => Role as assigned (access checks use _activeRole, which applies roleExpiresAt)
+    mapping(address => Role) public roles;
+    
+    // Mapping: grievanceId => Grievance
+    mapping(uint256 => Grievance) public grievances;
+    
+    // Mapping: student address => grievanceId[]
+    mapping(address => uint256[]) public studentGrievances;
+    
+    // Mapping: HOD address => grievanceId[] (only assigned grievances; reassignment and recusal remove them)
+    mapping(address => uint256[]) public hodGrievances;
+    
+    // Mapping: grievanceId => bool (track if assigned to HOD)
+    mapping(uint256 => bool) public assignedToHOD;
+    
+    // Mapping: grievanceId => Role (track current escalation level for hierarchical workflow)
+    mapping(uint256 => Role) public grievanceLevel;
+    
+    // Mapping: authority Role => x25519 public key used to wrap grievance data keys
+    mapping(Role => bytes32) public roleEncryptionKeys;
+    
+    // ============ ANONYMOUS SUBMISSION STATE ============
+    
+    ISemaphoreVerifier public enrollmentVerifier;  // Semaphore Groth16 verifier
+    uint256 public enrollmentRoot;                 // Merkle root of enrolled identity commitments (published by admin)
+    uint256 public enrollmentTreeDepth;
+    
+    // Mapping: student address => Semaphore identity commitment
+    mapping(address => uint256) public identityCommitments;
+    
+    // All registered identity commitments, in registration order (leaves of the enrollment tree)
+    uint256[] internal enrolledCommitments;
+    
+    // Owner of each entry in enrolledCommitments (same order)
+    address[] internal commitmentOwners;
+    
+    // Mapping: student address => index + 1 in enrolledCommitments (0 = not registered)
+    mapping(address => uint256) internal commitmentPositions;
+    
+    // Mapping: nullifier hash => used (one anonymous submission per identity per epoch)
+    mapping(uint256 => bool) public usedNullifiers;
+    
+    // Mapping: keccak256(tracking code) => grievanceId (anonymous grievances only)
+    mapping(bytes32 => uint256) internal anonymousTracking;
+    
+    // ============ DEPARTMENT & COHORT STATE ============
+    
+    // Ids start at 1; 0 means "not scoped" (institution-wide)
+    uint256 public departmentCount;
+    uint256 public cohortCount;
+    
+    // Mapping: departmentId => department name
+    mapping(uint256 => string) public departments;
+    
+    // Mapping: cohortId => Cohort
+    mapping(uint256 => Cohort) public cohorts;
+    
+    // Mapping: Counselor/HOD address => departmentId
+    mapping(address => uint256) public userDepartment;
+    
+    // Mapping: Student/Year Coordinator address => cohortId
+    mapping(address => uint256) public userCohort;
+    
+    // Mapping: grievanceId => cohortId of the submitting student (0 for unscoped and anonymous grievances)
+    mapping(uint256 => uint256) public grievanceCohort;
+    
+    // ============ CATEGORY & ROUTING STATE ============
+    
+    // Category 0 is "General" and always exists; admin-created categories start at 1
+    uint256 public categoryCount;
+    
+    // Mapping: categoryId => category name
+    mapping(uint256 => string) public categories;
+    
+    // Mapping: categoryId => RoutingRule
+    mapping(uint256 => RoutingRule) public routingRules;
+    
+    // Mapping: grievanceId => categoryId
+    mapping(uint256 => uint256) public grievanceCategory;
+    
+    // ============ SLA STATE ============
+    
+    // Mapping: level (COUNSELOR, YEAR_COORDINATOR or HOD) => seconds allowed at that level (0 = no SLA)
+    mapping(Role => uint256) public slaDurations;
+    
+    // Mapping: grievanceId => when it reached its current level (the SLA clock)
+    mapping(uint256 => uint256) public levelEnteredAt;
+    
+    // ============ RESOLUTION RESPONSE STATE ============
+    
+    // Mapping: grievanceId => when it was last resolved (starts the student's response window)
+    mapping(uint256 => uint256) public resolvedAt;
+    
+    // Mapping: grievanceId => student accepted the current resolution
+    mapping(uint256 => bool) public resolutionAccepted;
+    
+    // Mapping: grievanceId => status it had when the student withdrew it
+    mapping(uint256 => Status) public statusBeforeWithdrawal;
+    
+    // ============ MODULE STATE ============
+    
+    // Mapping: function selector => module serving it (replaced on upgrade)
+    mapping(bytes4 => address) public selectorModules;
+    
+    // ============ CLARIFICATION STATE ============
+    
+    // Mapping: grievanceId => question/answer thread, oldest first
+    mapping(uint256 => Message[]) internal grievanceMessages;
+    
+    // Mapping: grievanceId => status to return to once the student answers
+    mapping(uint256 => Status) public statusBeforeInfoRequest;
+    
+    // Mapping: grievanceId => when the open question was asked (SLA clock paused since)
+    mapping(uint256 => uint256) public infoRequestedAt;
+    
+    // ============ ATTACHMENT STATE ============
+    
+    // Mapping: grievanceId => attachments, in the order they were added
+    mapping(uint256 => Attachment[]) internal grievanceAttachments;
+    
+    // ============ ADMIN COUNCIL STATE ============
+    
+    address[] internal councilMembers;
+    mapping(address => bool) internal isCouncilMember;
+    uint256 internal councilThreshold;             // Approvals a proposal needs
+    uint256 internal councilTimelock;              // Delay between reaching the threshold and execution
+    uint256 public proposalCount;
+    
+    // Mapping: proposalId => Proposal
+    mapping(uint256 => Proposal) internal proposals;
+    
+    // Mapping: proposalId => council member => approved
+    mapping(uint256 => mapping(address => bool)) internal proposalApprovals;
+    
+    // Admin nominated by the council, waiting to call acceptAdmin
+    address internal pendingAdmin;
+    Role internal pendingFormerAdminRole;          // Role the current admin keeps once the transfer completes
+    
+    // ============ UPGRADE STATE ============
+    
+    bool internal initialized;                     // Set by initialize() behind the proxy, and on the implementation itself
+    address[] internal registeredModules;          // Modules behind selectorModules, in registration order
+    
+    // ============ MIGRATION STATE ============
+    
+    uint256 public importedGrievanceCount;         // Grievances 1..importedGrievanceCount came from the legacy GrievanceSystem
+    bool internal migrationFinished;
+    
+    // ============ QUERY INDEX STATE ============
+    
+    // Mapping: Status => grievanceIds currently in it (unordered: removals swap in the last entry)
+    mapping(Status => uint256[]) internal statusGrievances;
+    
+    // Mapping: level => grievanceIds currently at it (unordered, like statusGrievances)
+    mapping(Role => uint256[]) internal levelGrievances;
+    
+    // Mapping: grievanceId => index + 1 in statusGrievances / levelGrievances (0 = not indexed yet)
+    mapping(uint256 => uint256) internal statusPositions;
+    mapping(uint256 => uint256) internal levelPositions;
+    
+    // ============ ROLE BATCH STATE ============
+    
+    // Mapping: proposalId => users of an ASSIGN_ROLES / REVOKE_ROLES proposal
+    mapping(uint256 => address[]) internal proposalBatchUsers;
+    
+    // Mapping: proposalId => role for each user of an ASSIGN_ROLES proposal (same order)
+    mapping(uint256 => Role[]) internal proposalBatchRoles;
+    
+    // ============ ROLE TERM STATE ============
+    
+    // Mapping: wallet address => timestamp its role stops counting (0 = no expiry)
+    mapping(address => uint256) public roleExpiresAt;
+    
+    // Users whose role has an expiry (unordered: removals swap in the last entry)
+    address[] internal termLimitedUsers;
+    mapping(address => uint256) internal termLimitedPositions;  // index + 1 (0 = not term-limited)
+    
+    // Mapping: proposalId => expiry of an ASSIGN_ROLE proposal's role (0 = no expiry)
+    mapping(uint256 => uint256) internal proposalRoleExpiry;
+    
+    // ============ CONFLICT OF INTEREST STATE ============
+    
+    // Mapping: grievanceId => staff address => may never handle it (flagged by the student or recused)
+    mapping(uint256 => mapping(address => bool)) internal grievanceConflicts;
+    
+    // Mapping: grievanceId => staff with a conflict, in the order they were added
+    mapping(uint256 => address[]) internal grievanceConflictList;
+    
+    // Mapping: grievanceId => staff flagged by the student (recusals do not count)
+    mapping(uint256 => uint256) internal studentConflictFlags;
+    
+    // ============ DEAN REMAND STATE ============
+    
+    // Mapping: grievanceId => times the Dean sent it back down
+    mapping(uint256 => uint256) public remandCount;
+    
+    // Every grievance the Dean has remanded, once each (keeps them in the Dean's history)
+    uint256[] internal remandedGrievances;
+    
+    // ============ ACTION HISTORY STATE ============
+    
+    // Mapping: grievanceId => every state transition, oldest first
+    mapping(uint256 => ActionRecord[]) internal grievanceHistory;
+    
+    // ============ META-TRANSACTION STATE ============
+    
+    // EIP-2771 forwarder whose calls carry the signer's address in their last 20 bytes (0 = relaying off)
+    address public trustedForwarder;
+    
+    // ============ PAUSE STATE ============
+    
+    bool public paused;                // Maintenance mode: grievance and admin actions revert; views and the council still work
+    address public guardian;           // May pause alongside the admin, e.g. a security officer (set by the council)
+    string public pauseReason;         // Shown in the maintenance banner while paused
+    
+    // ============ SUBMISSION LIMIT STATE ============
+    
+    uint256 public submissionCooldown; // Seconds a student must wait between submissions (0 = no limit)
+    uint256 public maxOpenGrievances;  // Grievances a student may have open at once (0 = no limit)
+    
+    // Mapping: student address => when they last submitted a grievance
+    mapping(address => uint256) public lastSubmissionAt;
+    
+    // ============ DUPLICATE STATE ============
+    
+    // Mapping: grievanceId => primary grievance it is a duplicate of (0 = not a duplicate)
+    mapping(uint256 => uint256) internal duplicateOf;
+    
+    // Mapping: primary grievanceId => its duplicates (unordered: unlinking swaps in the last entry)
+    mapping(uint256 => uint256[]) internal grievanceDuplicates;
+    
+    // ============ PAUSE CLOCK STATE ============
+    
+    // Every pause so far, oldest first (see _clockDeadline)
+    PausePeriod[] internal pausePeriods;
+    
+    // ============ EVENTS ============
+    
+    event RoleAssigned(address indexed user, Role role, address indexed assignedBy, uint256 timestamp);
+    event RoleRevoked(address indexed user, Role role, address indexed revokedBy, uint256 timestamp);
+    event RoleExpirySet(address indexed user, Role role, uint256 expiresAt, address indexed setBy, uint256 timestamp);
+    event RoleRenewed(address indexed user, Role role, uint256 previousExpiry, uint256 expiresAt, address indexed renewedBy, uint256 timestamp);
+    event RoleEncryptionKeySet(Role indexed role, bytes32 publicKey, address indexed setBy, uint256 timestamp);
+    event GrievanceSubmitted(uint256 indexed grievanceId, address indexed student, bytes32 contentHash, uint256 timestamp);
+    event IdentityCommitmentRegistered(address indexed student, uint256 identityCommitment, uint256 timestamp);
+    event IdentityCommitmentRemoved(address indexed student, uint256 identityCommitment, uint256 timestamp);
+    event EnrollmentVerifierSet(address indexed verifier, address indexed setBy, uint256 timestamp);
+    event EnrollmentRootPublished(uint256 root, uint256 treeDepth, address indexed publishedBy, uint256 timestamp);
+    event AnonymousGrievanceSubmitted(uint256 indexed grievanceId, uint256 nullifierHash, uint256 epoch, uint256 timestamp);
+    event DepartmentCreated(uint256 indexed departmentId, string name, address indexed createdBy, uint256 timestamp);
+    event CohortCreated(uint256 indexed cohortId, uint256 indexed departmentId, string name, address indexed createdBy, uint256 timestamp);
+    event DepartmentAssigned(address indexed user, uint256 indexed departmentId, address indexed assignedBy, uint256 timestamp);
+    event CohortAssigned(address indexed user, uint256 indexed cohortId, address indexed assignedBy, uint256 timestamp);
+    event CategoryCreated(uint256 indexed categoryId, string name, address indexed createdBy, uint256 timestamp);
+    event RoutingRuleSet(uint256 indexed categoryId, Role startLevel, address indexed handler, address indexed setBy, uint256 timestamp);
+    event GrievanceRouted(uint256 indexed grievanceId, uint256 indexed categoryId, Role level, address indexed handler, uint256 timestamp);
+    event SlaDurationSet(Role indexed level, uint256 duration, address indexed setBy, uint256 timestamp);
+    event DeadlineEnforced(uint256 indexed grievanceId, Role fromLevel, Role toLevel, address indexed triggeredBy, string remarks, uint256 timestamp);
+    event ResolutionAccepted(uint256 indexed grievanceId, address indexed student, uint256 timestamp);
+    event ResolutionDisputed(uint256 indexed grievanceId, address indexed student, Role reopenedAt, string reason, uint256 timestamp);
+    event GrievanceWithdrawn(uint256 indexed grievanceId, address indexed student, Status previousStatus, string reason, uint256 timestamp);
+    event ModuleRegistered(address indexed module, bytes4[] selectors);
+    event ModuleUnregistered(address indexed module);
+    event Upgraded(address indexed implementation);
+    event GrievanceImported(uint256 indexed grievanceId, address indexed student, Status status, Role level, uint256 submittedAt, uint256 timestamp);
+    event MigrationFinished(uint256 importedGrievances, address indexed finishedBy, uint256 timestamp);
+    event InformationRequested(uint256 indexed grievanceId, address indexed handler, string question, uint256 timestamp);
+    event InformationProvided(uint256 indexed grievanceId, address indexed student, string answer, uint256 timestamp);
+    event AttachmentAdded(uint256 indexed grievanceId, address indexed addedBy, string cid, bytes32 contentHash, bytes32 remarkHash, uint256 timestamp);
+    event ConflictFlagged(uint256 indexed grievanceId, address indexed staff, address indexed flaggedBy, uint256 timestamp);
+    event GrievanceReassigned(uint256 indexed grievanceId, address indexed fromHod, address indexed toHod, address reassignedBy, string reason, uint256 timestamp);
+    event DuplicateLinked(uint256 indexed grievanceId, uint256 indexed primaryId, address indexed linkedBy, uint256 timestamp);
+    event DuplicateUnlinked(uint256 indexed grievanceId, uint256 indexed primaryId, address indexed unlinkedBy, uint256 timestamp);
+    event GroupActionApplied(uint256 indexed primaryId, bytes4 action, uint256 grievancesActedOn, address indexed actedBy, uint256 timestamp);
+    event GrievanceActionRecorded(uint256 indexed grievanceId, address indexed actor, Role actorRole, Status fromStatus, Status toStatus, Role fromLevel, Role toLevel, string remarks, uint256 timestamp);
+    event GrievanceRemanded(uint256 indexed grievanceId, address indexed dean, Role toLevel, address indexed toHandler, string instructions, uint256 timestamp);
+    event HandlerRecused(uint256 indexed grievanceId, address indexed handler, Role returnedTo, address indexed requestedBy, string reason, uint256 timestamp);
+    event ProposalCreated(uint256 indexed proposalId, ProposalAction action, address indexed target, uint256 value, address indexed proposer, uint256 timestamp);
+    event ProposalApproved(uint256 indexed proposalId, address indexed member, uint256 approvals, uint256 timestamp);
+    event ProposalQueued(uint256 indexed proposalId, uint256 executableAt, uint256 timestamp);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executedBy, uint256 timestamp);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed cancelledBy, uint256 timestamp);
+    event AdminTransferStarted(address indexed currentAdmin, address indexed nominee, Role formerAdminRole, uint256 timestamp);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin, Role formerAdminRole, uint256 timestamp);
+    event CouncilMemberAdded(address indexed member, uint256 timestamp);
+    event CouncilMemberRemoved(address indexed member, uint256 timestamp);
+    event CouncilThresholdSet(uint256 threshold, uint256 timestamp);
+    event CouncilTimelockSet(uint256 delay, uint256 timestamp);
+    event TrustedForwarderSet(address indexed forwarder, uint256 timestamp);
+    event GuardianSet(address indexed guardian, uint256 timestamp);
+    event SystemPaused(address indexed pausedBy, string reason, uint256 timestamp);
+    event SystemUnpaused(address indexed unpausedBy, string reason, uint256 timestamp);
+    event SubmissionLimitsSet(uint256 cooldown, uint256 maxOpenGrievances, address indexed setBy, uint256 timestamp);
+    event GrievanceAssignedToHOD(uint256 indexed grievanceId, address indexed hod, address indexed assignedBy, uint256 timestamp);
+    event GrievanceEscalated(uint256 indexed grievanceId, address indexed escalatedBy, address indexed toHandler, uint256 timestamp);
+    event GrievanceResolved(uint256 indexed grievanceId, address indexed resolvedBy, string remarks, uint256 timestamp);
+    event GrievanceClosed(uint256 indexed grievanceId, address indexed closedBy, string remarks, uint256 timestamp);
+    
+    // ============ MODIFIERS ============
+    
+    /**
+     * @notice Ensures only admin can execute
+     */
+    modifier onlyAdmin() {
+        require(_activeRole(_msgSender()) == Role.ADMIN, "GrievanceSystemSecure: Only admin can perform this action");
+        require(_msgSender() == admin, "GrievanceSystemSecure: Only admin address allowed");
+        _;
+    }
+    
+    /**
+     * @notice Ensures only admin council members can execute
+     */
+    modifier onlyCouncil() {
+        require(isCouncilMember[_msgSender()], "GrievanceSystemSecure: Only council members can perform this action");
+        _;
+    }
+    
+    /**
+     * @notice Ensures only students can execute
+     */
+    modifier onlyStudent() {
+        require(_activeRole(_msgSender()) == Role.STUDENT, "GrievanceSystemSecure: Only students can perform this action");
+        _;
+    }
+    
+    /**
+     * @notice Ensures only counselor or year coordinator can execute
+     */
+    modifier onlyCounselorOrCoordinator() {
+        Role userRole = _activeRole(_msgSender());
+        require(
+            userRole == Role.COUNSELOR || userRole == Role.YEAR_COORDINATOR,
+            "GrievanceSystemSecure: Only counselor or year coordinator can perform this action"
+        );
+        _;
+    }
+    
+    /**
+     * @notice Ensures only assigned HOD can execute
+     */
+    modifier onlyAssignedHOD(uint256 _grievanceId) {
+        require(
+            _activeRole(_msgSender()) == Role.HOD,
+            "GrievanceSystemSecure: Only HOD can perform this action"
+        );
+        require(
+            grievances[_grievanceId].assignedHOD == _msgSender(),
+            "GrievanceSystemSecure: You are not assigned to this grievance"
+        );
+        _;
+    }
+    
+    /**
+     * @notice Ensures only Dean can execute
+     */
+    modifier onlyDean() {
+        require(_activeRole(_msgSender()) == Role.DEAN, "GrievanceSystemSecure: Only Dean can perform this action");
+        _;
+    }
+    
+    /**
+     * @notice Ensures the grievance belongs to the caller's department or cohort
+     */
+    modifier withinScope(uint256 _grievanceId) {
+        require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
+        _;
+    }
+    
+    /**
+     * @notice Ensures the system is not paused for maintenance
+     */
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+    
+    /**
+     * @notice Logs the transition the function makes to the grievance (see _recordAction)
+     */
+    modifier recordsAction(uint256 _grievanceId, string memory _remarks) {
+        Status fromStatus = grievances[_grievanceId].status;
+        Role fromLevel = grievanceLevel[_grievanceId];
+        _;
+        _recordAction(_grievanceId, _msgSender(), fromStatus, fromLevel, _remarks);
+    }
+    
+    /**
+     * @notice Ensures grievance exists
+     */
+    modifier grievanceExists(uint256 _grievanceId) {
+        require(_grievanceId > 0 && _grievanceId <= grievanceCounter, "GrievanceSystemSecure: Grievance does not exist");
+        _;
+    }
+    
+    // ============ MODULE & UPGRADE HELPERS ============
+    
+    /**
+     * @notice Route a module's functions to it
+     * @dev Two modules may not claim the same function
+     */
+    function _registerModule(address _module) internal {
+        require(_module.code.length > 0, "GrievanceSystemSecure: Invalid module");
+        
+        bytes4[] memory selectors = IGrievanceModule(_module).moduleSelectors();
+        for (uint256 i = 0; i < selectors.length; i++) {
+            require(selectorModules[selectors[i]] == address(0), "GrievanceSystemSecure: Duplicate module selector");
+            selectorModules[selectors[i]] = _module;
+        }
+        
+        registeredModules.push(_module);
+        emit ModuleRegistered(_module, selectors);
+    }
+    
+    /**
+     * @notice Stop routing to every registered module
+     */
+    function _unregisterModules() internal {
+        for (uint256 i = 0; i < registeredModules.length; i++) {
+            bytes4[] memory selectors = IGrievanceModule(registeredModules[i]).moduleSelectors();
+            for (uint256 j = 0; j < selectors.length; j++) {
+                delete selectorModules[selectors[j]];
+            }
+            emit ModuleUnregistered(registeredModules[i]);
+        }
+        delete registeredModules;
+    }
+    
+    /**
+     * @notice Implementation the proxy delegates to (zero when not called through the proxy)
+     */
+    function _implementation() internal view returns (address implementation) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            implementation := sload(slot)
+        }
+    }
+    
+    function _setImplementation(address _newImplementation) internal {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _newImplementation)
+        }
+        emit Upgraded(_newImplementation);
+    }
+    
+    // ============ INDEXED TRANSITIONS ============
+    
+    /**
+     * @notice Move a grievance to a new status, keeping statusGrievances in sync
+     * @dev Every status change goes through here (or _setLevel for levels) so the paginated
+     *      queries in GrievanceQueries never need to scan all grievances
+     */
+    function _setStatus(uint256 _grievanceId, Status _status) internal {
+        Grievance storage grievance = grievances[_grievanceId];
+        if (grievance.status == _status && statusPositions[_grievanceId] != 0) {
+            return;
+        }
+        _moveInIndex(statusGrievances[grievance.status], statusGrievances[_status], statusPositions, _grievanceId);
+        grievance.status = _status;
+    }
+    
+    /**
+     * @notice Move a grievance to a new level, keeping levelGrievances in sync
+     */
+    function _setLevel(uint256 _grievanceId, Role _level) internal {
+        if (grievanceLevel[_grievanceId] == _level && levelPositions[_grievanceId] != 0) {
+            return;
+        }
+        _moveInIndex(levelGrievances[grievanceLevel[_grievanceId]], levelGrievances[_level], levelPositions, _grievanceId);
+        grievanceLevel[_grievanceId] = _level;
+    }
+    
+    /**
+     * @notice Swap-and-pop a grievance out of one index (if it is in it) and append it to another
+     */
+    function _moveInIndex(
+        uint256[] storage _from,
+        uint256[] storage _to,
+        mapping(uint256 => uint256) storage _positions,
+        uint256 _grievanceId
+    ) private {
+        uint256 position = _positions[_grievanceId];
+        if (position != 0) {
+            uint256 lastId = _from[_from.length - 1];
+            _from[position - 1] = lastId;
+            _positions[lastId] = position;
+            _from.pop();
+        }
+        _to.push(_grievanceId);
+        _positions[_grievanceId] = _to.length;
+    }
+    
+    /**
+     * @notice Append a transition to a grievance's action log, once the grievance is in its new state
+     */
+    function _recordAction(
+        uint256 _grievanceId,
+        address _actor,
+        Status _fromStatus,
+        Role _fromLevel,
+        string memory _remarks
+    ) internal {
+        ActionRecord memory record = ActionRecord({
+            actor: _actor,
+            actorRole: _activeRole(_actor),
+            fromStatus: _fromStatus,
+            toStatus: grievances[_grievanceId].status,
+            fromLevel: _fromLevel,
+            toLevel: grievanceLevel[_grievanceId],
+            remarks: _remarks,
+            timestamp: block.timestamp
+        });
+        grievanceHistory[_grievanceId].push(record);
+        
+        emit GrievanceActionRecorded(
+            _grievanceId,
+            _actor,
+            record.actorRole,
+            _fromStatus,
+            record.toStatus,
+            _fromLevel,
+            record.toLevel,
+            _remarks,
+            block.timestamp
+        );
+    }
+    
+    // ============ SHARED INTERNAL HELPERS ============
+    
+    /**
+     * @notice The account a call acts for: the request signer when relayed by the trusted
+     *         forwarder (EIP-2771), msg.sender otherwise
+     * @dev Every caller check goes through here instead of reading msg.sender
+     */
+    function _msgSender() internal view returns (address sender) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+            return sender;
+        }
+        return msg.sender;
+    }
+    
+    /**
+     * @dev Shared by every whenNotPaused function, so the revert string is compiled in once
+     */
+    function _requireNotPaused() internal view {
+        require(!paused, "GrievanceSystemSecure: System is paused for maintenance");
+    }
+    
+    /**
+     * @notice A user's role, or UNREGISTERED once its term has ended
+     * @dev Access checks go through here instead of reading roles. A lapsed role stays stored
+     *      until it is renewed or revoked, so the admin can still see who held it.
+     */
+    function _activeRole(address _user) internal view returns (Role) {
+        uint256 expiresAt = roleExpiresAt[_user];
+        if (expiresAt != 0 && block.timestamp >= expiresAt) {
+            return Role.UNREGISTERED;
+        }
+        return roles[_user];
+    }
+    
+    /**
+     * @notice Set when a user's role stops counting, keeping termLimitedUsers in sync
+     * @param _expiresAt Timestamp, or 0 for no expiry
+     */
+    function _setRoleExpiry(address _user, uint256 _expiresAt) internal {
+        roleExpiresAt[_user] = _expiresAt;
+        uint256 position = termLimitedPositions[_user];
+        if (_expiresAt != 0 && position == 0) {
+            termLimitedUsers.push(_user);
+            termLimitedPositions[_user] = termLimitedUsers.length;
+        } else if (_expiresAt == 0 && position != 0) {
+            // Swap-and-pop: move the last user into the removed slot
+            address lastUser = termLimitedUsers[termLimitedUsers.length - 1];
+            termLimitedUsers[position - 1] = lastUser;
+            termLimitedPositions[lastUser] = position;
+            termLimitedUsers.pop();
+            delete termLimitedPositions[_user];
+        }
+    }
+    
+    /**
+     * @notice Remove a user's department and cohort bindings
+     */
+    function _clearScope(address _user) internal {
+        delete userDepartment[_user];
+        delete userCohort[_user];
+    }
+    
+    /**
+     * @notice Check whether a grievance falls within an authority's department or cohort
+     * @dev Unscoped grievances (no cohort, e.g. anonymous) are visible institution-wide.
+     *      Authorities without a binding only match unscoped grievances. The grievance's
+     *      current handler (e.g. named by a routing rule) is always in scope, unless the
+     *      student flagged them or they recused.
+     */
+    function _isInScope(address _user, uint256 _grievanceId) internal view returns (bool) {
+        if (grievanceConflicts[_grievanceId][_user]) {
+            return false;
+        }
+        uint256 cohortId = grievanceCohort[_grievanceId];
+        if (cohortId == 0 || grievances[_grievanceId].currentHandler == _user) {
+            return true;
+        }
+        
+        Role userRole = _activeRole(_user);
+        if (userRole == Role.YEAR_COORDINATOR) {
+            return userCohort[_user] == cohortId;
+        }
+        if (userRole == Role.COUNSELOR || userRole == Role.HOD) {
+            return userDepartment[_user] == cohorts[cohortId].departmentId;
+        }
+        return userRole == Role.DEAN || userRole == Role.ADMIN;
+    }
+    
+    /**
+     * @notice Status a grievance is in, looking through withdrawals and open questions
+     * @dev Withdrawn grievances report where they were withdrawn from, and grievances waiting
+     *      for the student's answer report the status they will return to
+     */
+    function _underlyingStatus(uint256 _grievanceId) internal view returns (Status) {
+        Status status = grievances[_grievanceId].status;
+        if (status == Status.WITHDRAWN) {
+            status = statusBeforeWithdrawal[_grievanceId];
+        }
+        if (status == Status.REQUEST_INFO) {
+            status = statusBeforeInfoRequest[_grievanceId];
+        }
+        return status;
+    }
+    
+    /**
+     * @notice Whether a grievance's outcome can no longer change
+     * @dev Closed and withdrawn grievances are always final. Resolutions become final once the student
+     *      accepts them or RESOLUTION_RESPONSE_WINDOW passes without a response, not counting pauses.
+     */
+    function _isFinal(uint256 _grievanceId) internal view returns (bool) {
+        Status status = grievances[_grievanceId].status;
+        if (status == Status.CLOSED || status == Status.WITHDRAWN) {
+            return true;
+        }
+        return status == Status.RESOLVED && (
+            resolutionAccepted[_grievanceId] ||
+            block.timestamp > _clockDeadline(resolvedAt[_grievanceId], RESOLUTION_RESPONSE_WINDOW)
+        );
+    }
+    
+    /**
+     * @notice Level whose SLA applies to a grievance's current stage
+     * @dev A grievance assigned to a HOD runs on the HOD SLA even if a Counselor assigned it
+     */
+    function _slaLevel(uint256 _grievanceId) internal view returns (Role) {
+        Status status = grievances[_grievanceId].status;
+        if (status == Status.ASSIGNED_TO_HOD) {
+            return Role.HOD;
+        }
+        if (status == Status.SUBMITTED || status == Status.IN_REVIEW) {
+            return grievanceLevel[_grievanceId];
+        }
+        return Role.UNREGISTERED; // Escalated to the Dean, resolved or closed: no SLA
+    }
+    
+    /**
+     * @notice SLA deadline of a grievance at its current level, or 0 if no SLA applies
+     */
+    function _slaDeadline(uint256 _grievanceId) internal view returns (uint256) {
+        uint256 duration = slaDurations[_slaLevel(_grievanceId)];
+        return duration == 0 ? 0 : _clockDeadline(levelEnteredAt[_grievanceId], duration);
+    }
+    
+    /**
+     * @notice When a clock started at _startedAt runs out after _duration, not counting time spent paused
+     * @dev Nobody can act while paused, so SLA and response windows stand still. A pause still in
+     *      progress counts up to now, so a clock cannot run out before it ends.
+     */
+    function _clockDeadline(uint256 _startedAt, uint256 _duration) internal view returns (uint256 deadline) {
+        deadline = _startedAt + _duration;
+        
+        // Skip pauses that ended before the clock started
+        uint256 i = pausePeriods.length;
+        while (i > 0 && (pausePeriods[i - 1].endedAt == 0 || pausePeriods[i - 1].endedAt > _startedAt)) {
+            i--;
+        }
+        for (; i < pausePeriods.length && pausePeriods[i].startedAt <= deadline; i++) {
+            PausePeriod storage period = pausePeriods[i];
+            uint256 endedAt = period.endedAt == 0 ? block.timestamp : period.endedAt;
+            deadline += endedAt - (period.startedAt > _startedAt ? period.startedAt : _startedAt);
+        }
+    }
+    
+    /**
+     * @notice Number of a student's grievances still being handled (not resolved, closed or withdrawn)
+     * @dev A resolution the student disputes reopens the grievance, so it counts again from then on
+     */
+    function _openGrievanceCount(address _student) internal view returns (uint256 count) {
+        uint256[] storage ids = studentGrievances[_student];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Status status = grievances[ids[i]].status;
+            if (status != Status.RESOLVED && status != Status.CLOSED && status != Status.WITHDRAWN) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Whether a grievance is with the Dean, or was closed by them
+     */
+    function _isDeanGrievance(uint256 _grievanceId) internal view returns (bool) {
+        Status status = _underlyingStatus(_grievanceId);
+        return status == Status.ESCALATED || status == Status.CLOSED;
+    }
+    
+    /**
+     * @notice Ensure the caller may read a grievance (role-based visibility)
+     */
+    function _requireCanView(uint256 _grievanceId) internal view {
+        Grievance storage grievance = grievances[_grievanceId];
+        Role userRole = _activeRole(_msgSender());
+        
+        // Students can only see their own grievances
+        if (userRole == Role.STUDENT) {
+            require(grievance.studentAddress == _msgSender(), "GrievanceSystemSecure: Not authorized to view this grievance");
+        }
+        // Counselor can only see grievances at Counselor level in their department
+        else if (userRole == Role.COUNSELOR) {
+            require(grievanceLevel[_grievanceId] == Role.COUNSELOR, "GrievanceSystemSecure: Grievance is not at Counselor level");
+            require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
+        }
+        // Year Coordinator can only see grievances at Year Coordinator level in their cohort
+        else if (userRole == Role.YEAR_COORDINATOR) {
+            require(grievanceLevel[_grievanceId] == Role.YEAR_COORDINATOR, "GrievanceSystemSecure: Grievance is not at Year Coordinator level");
+            require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
+        }
+        // HOD can only see assigned grievances
+        else if (userRole == Role.HOD) {
+            require(grievance.assignedHOD == _msgSender(), "GrievanceSystemSecure: Not assigned to this grievance");
+        }
+        // Dean can see escalated and closed grievances, ones withdrawn while escalated, and ones they remanded
+        else if (userRole == Role.DEAN) {
+            require(
+                _isDeanGrievance(_grievanceId) || remandCount[_grievanceId] > 0,
+                "GrievanceSystemSecure: Can only view escalated, closed or remanded grievances"
+            );
+        }
+        // Admin can see all (for system management); unregistered wallets see nothing
+        else {
+            require(userRole == Role.ADMIN, "GrievanceSystemSecure: Not authorized to view this grievance");
+        }
+    }
+}
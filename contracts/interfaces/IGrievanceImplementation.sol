@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IGrievanceImplementation
+ * @notice What GrievanceSystemProxy expects from an implementation it is pointed at
+ * @dev The council checks proxiableUUID() before an upgrade and registers the modules the
+ *      new implementation was deployed with.
+ */
+interface IGrievanceImplementation {
+    function proxiableUUID() external view returns (bytes32);
+    function getModules() external view returns (address[] memory);
+    function version() external pure returns (string memory);
+}
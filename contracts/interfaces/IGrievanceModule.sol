@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IGrievanceModule
+ * @notice Implemented by every module GrievanceSystemSecure delegates to
+ * @dev GrievanceSystemSecure reads the selectors when it is initialized or upgraded, and
+ *      forwards calls to those functions to the module with delegatecall.
+ */
+interface IGrievanceModule {
+    function moduleSelectors() external pure returns (bytes4[] memory);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISemaphoreVerifier
+ * @notice Minimal interface of the Semaphore v3 Groth16 verifier
+ * @dev Matches `SemaphoreVerifier.verifyProof` from @semaphore-protocol/contracts v3.
+ *      The verifier hashes `signal` and `externalNullifier` itself and reverts on an invalid proof.
+ */
+interface ISemaphoreVerifier {
+    function verifyProof(
+        uint256 merkleTreeRoot,
+        uint256 nullifierHash,
+        uint256 signal,
+        uint256 externalNullifier,
+        uint256[8] calldata proof,
+        uint256 merkleTreeDepth
+    ) external view;
+}
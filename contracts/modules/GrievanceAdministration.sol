@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceAdministration
+ * @notice Admin functions of GrievanceSystemSecure: student enrollment, encryption keys,
+ *         anonymous submission settings, departments, cohorts, categories, SLAs, submission limits
+ *         and maintenance mode
+ * @dev Deployed on its own and reached through GrievanceSystemSecure's fallback with delegatecall,
+ *      so it always runs against the main contract's storage. Called directly it has no admin and
+ *      every function reverts. Role changes other than enrollment need the admin council and live
+ *      in GrievanceCouncil.
+ */
+contract GrievanceAdministration is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](16);
+        selectors[0] = this.enrollStudent.selector;
+        selectors[1] = this.enrollStudents.selector;
+        selectors[2] = this.setRoleEncryptionKey.selector;
+        selectors[3] = this.setEnrollmentVerifier.selector;
+        selectors[4] = this.publishEnrollmentRoot.selector;
+        selectors[5] = this.createDepartment.selector;
+        selectors[6] = this.createCohort.selector;
+        selectors[7] = this.assignDepartment.selector;
+        selectors[8] = this.assignCohort.selector;
+        selectors[9] = this.createCategory.selector;
+        selectors[10] = this.setRoutingRule.selector;
+        selectors[11] = this.setSlaDuration.selector;
+        selectors[12] = this.pause.selector;
+        selectors[13] = this.unpause.selector;
+        selectors[14] = this.setSubmissionLimits.selector;
+        selectors[15] = this.getEnrolledCommitments.selector;
+    }
+    
+    // ============ ADMIN FUNCTIONS ============
+    
+    /**
+     * @notice Enroll a single student (ADMIN ONLY)
+     * @param _student Student wallet address
+     */
+    function enrollStudent(address _student) external whenNotPaused onlyAdmin {
+        require(_enrollStudent(_student), "GrievanceSystemSecure: Student already enrolled");
+    }
+    
+    /**
+     * @notice Enroll a batch of students (ADMIN ONLY)
+     * @dev Addresses already enrolled are skipped so a class list can be re-submitted safely.
+     *      Reverts if any address is invalid or holds another role.
+     * @param _students Student wallet addresses
+     * @return enrolled Number of newly enrolled students
+     */
+    function enrollStudents(address[] calldata _students) external whenNotPaused onlyAdmin returns (uint256 enrolled) {
+        for (uint256 i = 0; i < _students.length; i++) {
+            if (_enrollStudent(_students[i])) {
+                enrolled++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Set an address to STUDENT
+     * @dev An address whose role term has ended counts as unregistered. Its lapsed role is replaced
+     *      along with the expiry and, for staff, the department or cohort binding that came with it.
+     * @return True if newly enrolled, false if it was already a student
+     */
+    function _enrollStudent(address _student) internal returns (bool) {
+        require(_student != address(0), "GrievanceSystemSecure: Invalid address");
+        
+        Role currentRole = _activeRole(_student);
+        if (currentRole == Role.STUDENT) {
+            return false;
+        }
+        require(currentRole == Role.UNREGISTERED, "GrievanceSystemSecure: Address already holds another role");
+        
+        if (roleExpiresAt[_student] != 0) {
+            if (roles[_student] != Role.STUDENT) {
+                _clearScope(_student);
+            }
+            _setRoleExpiry(_student, 0);
+        }
+        roles[_student] = Role.STUDENT;
+        emit RoleAssigned(_student, Role.STUDENT, _msgSender(), block.timestamp);
+        return true;
+    }
+    
+    /**
+     * @notice Publish the encryption public key for an authority role (ADMIN ONLY)
+     * @dev The matching private key is distributed off-chain to holders of the role.
+     *      Students wrap each grievance's data key to every published role key.
+     * @param _role Authority role (COUNSELOR, YEAR_COORDINATOR, HOD or DEAN)
+     * @param _publicKey x25519 public key
+     */
+    function setRoleEncryptionKey(Role _role, bytes32 _publicKey) external whenNotPaused onlyAdmin {
+        require(
+            _role != Role.UNREGISTERED && _role != Role.STUDENT && _role != Role.ADMIN,
+            "GrievanceSystemSecure: Encryption keys are only held by authority roles"
+        );
+        require(_publicKey != bytes32(0), "GrievanceSystemSecure: Invalid public key");
+        
+        roleEncryptionKeys[_role] = _publicKey;
+        emit RoleEncryptionKeySet(_role, _publicKey, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @notice Set the Semaphore verifier used for anonymous submissions (ADMIN ONLY)
+     * @param _verifier Deployed SemaphoreVerifier (v3) address
+     */
+    function setEnrollmentVerifier(address _verifier) external whenNotPaused onlyAdmin {
+        require(_verifier != address(0), "GrievanceSystemSecure: Invalid address");
+        
+        enrollmentVerifier = ISemaphoreVerifier(_verifier);
+        emit EnrollmentVerifierSet(_verifier, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @notice Publish the Merkle root of enrolled students' identity commitments (ADMIN ONLY)
+     * @dev The tree is built off-chain from getEnrolledCommitments(). Proofs against an
+     *      older root are rejected, so publish after each batch of registrations.
+     * @param _root Merkle root of the Semaphore group
+     * @param _treeDepth Depth of the tree (16 to 32, as supported by Semaphore)
+     */
+    function publishEnrollmentRoot(uint256 _root, uint256 _treeDepth) external whenNotPaused onlyAdmin {
+        require(_root != 0, "GrievanceSystemSecure: Invalid enrollment root");
+        require(_treeDepth >= 16 && _treeDepth <= 32, "GrievanceSystemSecure: Invalid tree depth");
+        
+        enrollmentRoot = _root;
+        enrollmentTreeDepth = _treeDepth;
+        emit EnrollmentRootPublished(_root, _treeDepth, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @notice Get all registered identity commitments (leaves of the enrollment tree)
+     */
+    function getEnrolledCommitments() external view returns (uint256[] memory) {
+        return enrolledCommitments;
+    }
+    
+    // ============ DEPARTMENT & COHORT FUNCTIONS ============
+    
+    /**
+     * @notice Create a department (ADMIN ONLY)
+     * @param _name Department name
+     * @return New department ID
+     */
+    function createDepartment(string calldata _name) external whenNotPaused onlyAdmin returns (uint256) {
+        require(bytes(_name).length > 0, "GrievanceSystemSecure: Name cannot be empty");
+        
+        departmentCount++;
+        departments[departmentCount] = _name;
+        
+        emit DepartmentCreated(departmentCount, _name, _msgSender(), block.timestamp);
+        return departmentCount;
+    }
+    
+    /**
+     * @notice Create a cohort within a department (ADMIN ONLY)
+     * @param _departmentId Department the cohort belongs to
+     * @param _name Cohort name
+     * @return New cohort ID
+     */
+    function createCohort(uint256 _departmentId, string calldata _name) external whenNotPaused onlyAdmin returns (uint256) {
+        require(_departmentId > 0 && _departmentId <= departmentCount, "GrievanceSystemSecure: Department does not exist");
+        require(bytes(_name).length > 0, "GrievanceSystemSecure: Name cannot be empty");
+        
+        cohortCount++;
+        cohorts[cohortCount] = Cohort({departmentId: _departmentId, name: _name});
+        
+        emit CohortCreated(cohortCount, _departmentId, _name, _msgSender(), block.timestamp);
+        return cohortCount;
+    }
+    
+    /**
+     * @notice Bind a Counselor or HOD to a department (ADMIN ONLY)
+     * @param _user Counselor or HOD address
+     * @param _departmentId Department ID (0 to clear)
+     */
+    function assignDepartment(address _user, uint256 _departmentId) external whenNotPaused onlyAdmin {
+        Role userRole = _activeRole(_user);
+        require(
+            userRole == Role.COUNSELOR || userRole == Role.HOD,
+            "GrievanceSystemSecure: Departments are assigned to Counselors and HODs"
+        );
+        require(_departmentId <= departmentCount, "GrievanceSystemSecure: Department does not exist");
+        
+        userDepartment[_user] = _departmentId;
+        emit DepartmentAssigned(_user, _departmentId, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @notice Place Students or Year Coordinators in a cohort (ADMIN ONLY)
+     * @dev Grievances keep the cohort their student had at submission time
+     * @param _users Student or Year Coordinator addresses
+     * @param _cohortId Cohort ID (0 to clear)
+     */
+    function assignCohort(address[] calldata _users, uint256 _cohortId) external whenNotPaused onlyAdmin {
+        require(_cohortId <= cohortCount, "GrievanceSystemSecure: Cohort does not exist");
+        
+        for (uint256 i = 0; i < _users.length; i++) {
+            Role userRole = _activeRole(_users[i]);
+            require(
+                userRole == Role.STUDENT || userRole == Role.YEAR_COORDINATOR,
+                "GrievanceSystemSecure: Cohorts are assigned to Students and Year Coordinators"
+            );
+            
+            userCohort[_users[i]] = _cohortId;
+            emit CohortAssigned(_users[i], _cohortId, _msgSender(), block.timestamp);
+        }
+    }
+    
+    // ============ CATEGORY & ROUTING FUNCTIONS ============
+    
+    /**
+     * @notice Create a grievance category (ADMIN ONLY)
+     * @dev New categories start at Counselor level until a routing rule is set
+     * @param _name Category name (e.g. "Exam", "Hostel")
+     * @return New category ID
+     */
+    function createCategory(string calldata _name) external whenNotPaused onlyAdmin returns (uint256) {
+        require(bytes(_name).length > 0, "GrievanceSystemSecure: Name cannot be empty");
+        
+        categoryCount++;
+        categories[categoryCount] = _name;
+        
+        emit CategoryCreated(categoryCount, _name, _msgSender(), block.timestamp);
+        return categoryCount;
+    }
+    
+    /**
+     * @notice Decide where new grievances of a category start (ADMIN ONLY)
+     * @dev Applies to grievances submitted after the change. A HOD rule assigns the grievance
+     *      to that HOD directly, regardless of the student's department.
+     * @param _categoryId Category ID (0 = General)
+     * @param _startLevel COUNSELOR, YEAR_COORDINATOR, HOD or DEAN
+     * @param _handler Authority holding _startLevel's role, or address(0) for anyone at that level
+     */
+    function setRoutingRule(uint256 _categoryId, Role _startLevel, address _handler) external whenNotPaused onlyAdmin {
+        require(_categoryId <= categoryCount, "GrievanceSystemSecure: Category does not exist");
+        require(
+            _startLevel == Role.COUNSELOR || _startLevel == Role.YEAR_COORDINATOR ||
+            _startLevel == Role.HOD || _startLevel == Role.DEAN,
+            "GrievanceSystemSecure: Invalid routing level"
+        );
+        require(
+            _handler == address(0) || _activeRole(_handler) == _startLevel,
+            "GrievanceSystemSecure: Handler must hold the routing level's role"
+        );
+        require(_startLevel != Role.HOD || _handler != address(0), "GrievanceSystemSecure: HOD routing requires a handler");
+        
+        routingRules[_categoryId] = RoutingRule({startLevel: _startLevel, handler: _handler});
+        emit RoutingRuleSet(_categoryId, _startLevel, _handler, _msgSender(), block.timestamp);
+    }
+    
+    // ============ SLA FUNCTIONS ============
+    
+    /**
+     * @notice Set how long a grievance may stay at a level before anyone can escalate it (ADMIN ONLY)
+     * @dev Applies to grievances already at that level as well; the clock starts when a grievance
+     *      reaches the level. Dean has no SLA since there is no level above it.
+     * @param _level COUNSELOR, YEAR_COORDINATOR or HOD
+     * @param _duration Seconds allowed at the level (0 disables the SLA)
+     */
+    function setSlaDuration(Role _level, uint256 _duration) external whenNotPaused onlyAdmin {
+        require(
+            _level == Role.COUNSELOR || _level == Role.YEAR_COORDINATOR || _level == Role.HOD,
+            "GrievanceSystemSecure: Invalid SLA level"
+        );
+        
+        slaDurations[_level] = _duration;
+        emit SlaDurationSet(_level, _duration, _msgSender(), block.timestamp);
+    }
+    
+    // ============ SUBMISSION LIMITS ============
+    
+    /**
+     * @notice Limit how often students can submit grievances (ADMIN ONLY)
+     * @dev Applies to submissions from student wallets; anonymous submissions are already limited
+     *      to one per ANONYMOUS_EPOCH. Lowering the cap does not touch grievances already open.
+     * @param _cooldown Seconds between a student's submissions, at most MAX_SUBMISSION_COOLDOWN (0 = no limit)
+     * @param _maxOpen Grievances a student may have open at once (0 = no limit)
+     */
+    function setSubmissionLimits(uint256 _cooldown, uint256 _maxOpen) external whenNotPaused onlyAdmin {
+        require(_cooldown <= MAX_SUBMISSION_COOLDOWN, "GrievanceSystemSecure: Cooldown too long");
+        
+        submissionCooldown = _cooldown;
+        maxOpenGrievances = _maxOpen;
+        emit SubmissionLimitsSet(_cooldown, _maxOpen, _msgSender(), block.timestamp);
+    }
+    
+    // ============ MAINTENANCE MODE ============
+    
+    /**
+     * @notice Stop all grievance and admin actions, e.g. after a bad role assignment or a suspected exploit (ADMIN OR GUARDIAN)
+     * @dev Views keep working, and so does the council, which can revoke roles or upgrade while paused.
+     *      SLA deadlines and resolution response windows are extended by the length of the pause.
+     * @param _reason Public explanation, shown in the maintenance banner
+     */
+    function pause(string calldata _reason) external {
+        address caller = _msgSender();
+        require(
+            (caller == admin && _activeRole(caller) == Role.ADMIN) || (caller == guardian && guardian != address(0)),
+            "GrievanceSystemSecure: Only admin or guardian can pause"
+        );
+        require(!paused, "GrievanceSystemSecure: Already paused");
+        require(bytes(_reason).length > 0 && bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Invalid pause reason");
+        
+        paused = true;
+        pauseReason = _reason;
+        pausePeriods.push(PausePeriod({startedAt: block.timestamp, endedAt: 0}));
+        emit SystemPaused(caller, _reason, block.timestamp);
+    }
+    
+    /**
+     * @notice Resume normal operation (ADMIN ONLY)
+     * @dev The guardian can only pause, so a compromised guardian wallet cannot undo the admin's pause
+     * @param _reason Public note on what was fixed
+     */
+    function unpause(string calldata _reason) external onlyAdmin {
+        require(paused, "GrievanceSystemSecure: Not paused");
+        require(bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Invalid pause reason");
+        
+        paused = false;
+        delete pauseReason;
+        pausePeriods[pausePeriods.length - 1].endedAt = block.timestamp;
+        emit SystemUnpaused(_msgSender(), _reason, block.timestamp);
+    }
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceAttachments
+ * @notice Evidence attachments of GrievanceSystemSecure: files are encrypted with the grievance
+ *         data key and stored off-chain (IPFS), and only their CIDs and content hashes are recorded here
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      The content hash is taken over the encrypted file as uploaded, so it reveals nothing about the
+ *      plaintext while still letting a reader check what they downloaded.
+ */
+contract GrievanceAttachments is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](2);
+        selectors[0] = this.addAttachments.selector;
+        selectors[1] = this.getAttachments.selector;
+    }
+    
+    // ============ PARTICIPANT FUNCTIONS ============
+    
+    /**
+     * @notice Attach evidence to a grievance or to one of its remarks (STUDENT OR AUTHORITY WHO CAN VIEW IT)
+     * @dev Admins can view every grievance but are not party to any, so they cannot attach.
+     *      Nothing can be attached once the outcome is final.
+     * @param _grievanceId Grievance the files belong to
+     * @param _remarkHash keccak256 of the (encrypted) remark the files support, or zero for the grievance itself
+     * @param _cids IPFS CIDs of the encrypted files
+     * @param _contentHashes keccak256 of each encrypted file, in the same order as _cids
+     */
+    function addAttachments(
+        uint256 _grievanceId,
+        bytes32 _remarkHash,
+        string[] calldata _cids,
+        bytes32[] calldata _contentHashes
+    )
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+    {
+        _requireCanView(_grievanceId);
+        require(_activeRole(_msgSender()) != Role.ADMIN, "GrievanceSystemSecure: Only the student or an authority on this grievance can attach files");
+        require(!_isFinal(_grievanceId), "GrievanceSystemSecure: Grievance is final");
+        require(
+            _cids.length > 0 && _cids.length <= MAX_ATTACHMENTS_PER_CALL && _cids.length == _contentHashes.length,
+            "GrievanceSystemSecure: Invalid attachment list"
+        );
+        
+        for (uint256 i = 0; i < _cids.length; i++) {
+            require(bytes(_cids[i]).length > 0 && bytes(_cids[i]).length <= MAX_CID_LENGTH, "GrievanceSystemSecure: Invalid CID");
+            require(_contentHashes[i] != bytes32(0), "GrievanceSystemSecure: Content hash required");
+            
+            grievanceAttachments[_grievanceId].push(Attachment({
+                cid: _cids[i],
+                contentHash: _contentHashes[i],
+                remarkHash: _remarkHash,
+                addedBy: _msgSender(),
+                timestamp: block.timestamp
+            }));
+            emit AttachmentAdded(_grievanceId, _msgSender(), _cids[i], _contentHashes[i], _remarkHash, block.timestamp);
+        }
+        
+        grievances[_grievanceId].lastUpdatedAt = block.timestamp;
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get every attachment of a grievance (same visibility as getGrievanceById)
+     */
+    function getAttachments(uint256 _grievanceId)
+        external
+        view
+        grievanceExists(_grievanceId)
+        returns (Attachment[] memory)
+    {
+        _requireCanView(_grievanceId);
+        return grievanceAttachments[_grievanceId];
+    }
+}
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceConversation
+ * @notice Clarification thread of GrievanceSystemSecure: the authority handling a grievance asks
+ *         the student a question, the grievance waits in REQUEST_INFO, and the student's answer
+ *         returns it to where it was
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      The SLA clock does not run while a question is open.
+ */
+contract GrievanceConversation is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](3);
+        selectors[0] = this.requestInformation.selector;
+        selectors[1] = this.provideInformation.selector;
+        selectors[2] = this.getMessages.selector;
+    }
+    
+    // ============ HANDLER FUNCTIONS ============
+    
+    /**
+     * @notice Ask the student for more detail (AUTHORITY CURRENTLY HANDLING THE GRIEVANCE)
+     * @dev Counselors and Year Coordinators at the grievance's level and scope, the assigned HOD,
+     *      or the Dean once escalated. The caller becomes the current handler.
+     * @param _grievanceId Grievance to ask about
+     * @param _question Question for the student (encrypted with the grievance data key)
+     */
+    function requestInformation(uint256 _grievanceId, string calldata _question)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        recordsAction(_grievanceId, _question)
+    {
+        Grievance storage grievance = grievances[_grievanceId];
+        require(_isHandling(_msgSender(), _grievanceId), "GrievanceSystemSecure: You are not handling this grievance");
+        require(grievance.studentAddress != address(0), "GrievanceSystemSecure: Anonymous students cannot answer questions");
+        _requireMessage(_question);
+        
+        statusBeforeInfoRequest[_grievanceId] = grievance.status;
+        infoRequestedAt[_grievanceId] = block.timestamp;
+        _setStatus(_grievanceId, Status.REQUEST_INFO);
+        grievance.currentHandler = _msgSender();
+        grievance.lastUpdatedAt = block.timestamp;
+        
+        grievanceMessages[_grievanceId].push(Message({author: _msgSender(), body: _question, timestamp: block.timestamp}));
+        emit InformationRequested(_grievanceId, _msgSender(), _question, block.timestamp);
+    }
+    
+    // ============ STUDENT FUNCTIONS ============
+    
+    /**
+     * @notice Answer the open question on your grievance (STUDENTS ONLY)
+     * @dev Restores the grievance's previous status and pushes its SLA deadline back by the time spent waiting
+     * @param _grievanceId Grievance submitted by the caller
+     * @param _answer Answer for the handler (encrypted with the grievance data key)
+     */
+    function provideInformation(uint256 _grievanceId, string calldata _answer)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyStudent
+        recordsAction(_grievanceId, _answer)
+    {
+        Grievance storage grievance = grievances[_grievanceId];
+        require(grievance.studentAddress == _msgSender(), "GrievanceSystemSecure: Not your grievance");
+        require(grievance.status == Status.REQUEST_INFO, "GrievanceSystemSecure: No open question on this grievance");
+        _requireMessage(_answer);
+        
+        _setStatus(_grievanceId, statusBeforeInfoRequest[_grievanceId]);
+        grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] += block.timestamp - infoRequestedAt[_grievanceId];
+        delete infoRequestedAt[_grievanceId];
+        
+        grievanceMessages[_grievanceId].push(Message({author: _msgSender(), body: _answer, timestamp: block.timestamp}));
+        emit InformationProvided(_grievanceId, _msgSender(), _answer, block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get the clarification thread of a grievance (same visibility as getGrievanceById)
+     */
+    function getMessages(uint256 _grievanceId)
+        external
+        view
+        grievanceExists(_grievanceId)
+        returns (Message[] memory)
+    {
+        _requireCanView(_grievanceId);
+        return grievanceMessages[_grievanceId];
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    /**
+     * @notice Whether an authority can act on a grievance at its current stage
+     */
+    function _isHandling(address _user, uint256 _grievanceId) internal view returns (bool) {
+        Grievance storage grievance = grievances[_grievanceId];
+        Role userRole = _activeRole(_user);
+        
+        if (grievance.status == Status.ASSIGNED_TO_HOD) {
+            return userRole == Role.HOD && grievance.assignedHOD == _user;
+        }
+        if (grievance.status == Status.ESCALATED) {
+            return userRole == Role.DEAN;
+        }
+        if (grievance.status == Status.SUBMITTED || grievance.status == Status.IN_REVIEW) {
+            return (userRole == Role.COUNSELOR || userRole == Role.YEAR_COORDINATOR) &&
+                grievanceLevel[_grievanceId] == userRole &&
+                _isInScope(_user, _grievanceId);
+        }
+        return false; // Resolved, closed, withdrawn or already waiting for an answer
+    }
+    
+    function _requireMessage(string calldata _body) internal pure {
+        require(bytes(_body).length > 0, "GrievanceSystemSecure: Message cannot be empty");
+        require(bytes(_body).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Message too long");
+    }
+}
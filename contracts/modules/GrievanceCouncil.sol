@@ -0,0 +1,639 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+import "../interfaces/IGrievanceImplementation.sol";
+
+/**
+ * @title GrievanceCouncil
+ * @notice Admin council of GrievanceSystemSecure: role assignments, renewals and revocations (singly or in batches), admin transfers,
+ *         upgrades, the trusted forwarder, the guardian and changes to the council itself are proposals that need M-of-N member approvals and then wait
+ *         out a timelock before they take effect
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      A proposal that is ready as soon as it is created or approved (enough approvals, no timelock)
+ *      executes in the same call, so a 1-of-1 council without a timelock behaves like a single admin.
+ *      Proposals are validated when created and again when executed.
+ */
+contract GrievanceCouncil is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](25);
+        selectors[0] = this.assignRole.selector;
+        selectors[1] = this.revokeRole.selector;
+        selectors[2] = this.transferAdmin.selector;
+        selectors[3] = this.addCouncilMember.selector;
+        selectors[4] = this.removeCouncilMember.selector;
+        selectors[5] = this.setCouncilThreshold.selector;
+        selectors[6] = this.setCouncilTimelock.selector;
+        selectors[7] = this.approveProposal.selector;
+        selectors[8] = this.executeProposal.selector;
+        selectors[9] = this.cancelProposal.selector;
+        selectors[10] = this.getProposal.selector;
+        selectors[11] = this.hasApproved.selector;
+        selectors[12] = this.getCouncil.selector;
+        selectors[13] = this.acceptAdmin.selector;
+        selectors[14] = this.getPendingAdmin.selector;
+        selectors[15] = this.upgradeTo.selector;
+        selectors[16] = this.assignRoles.selector;
+        selectors[17] = this.revokeRoles.selector;
+        selectors[18] = this.getProposalBatch.selector;
+        selectors[19] = this.assignRoleUntil.selector;
+        selectors[20] = this.renewRole.selector;
+        selectors[21] = this.getProposalRoleExpiry.selector;
+        selectors[22] = this.getRoleTerms.selector;
+        selectors[23] = this.setTrustedForwarder.selector;
+        selectors[24] = this.setGuardian.selector;
+    }
+    
+    // ============ PROPOSALS ============
+    
+    /**
+     * @notice Propose assigning a role to a user (COUNCIL ONLY)
+     * @dev Cannot assign ADMIN (use transferAdmin) or UNREGISTERED (use revokeRole),
+     *      change the admin's role, or target the proposer. The role has no expiry,
+     *      replacing any term the user had.
+     * @param _user Address to assign role to
+     * @param _role Role to assign
+     * @return Proposal ID
+     */
+    function assignRole(address _user, Role _role) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.ASSIGN_ROLE, _user, uint256(_role));
+    }
+    
+    /**
+     * @notice Propose assigning a role for a fixed term (COUNCIL ONLY)
+     * @dev Same rules as assignRole. Once the term ends the user is treated as UNREGISTERED
+     *      until the council renews or revokes the role.
+     * @param _user Address to assign role to
+     * @param _role Role to assign
+     * @param _expiresAt Timestamp the role stops counting; must still be in the future at execution
+     * @return Proposal ID
+     */
+    function assignRoleUntil(address _user, Role _role, uint256 _expiresAt) external onlyCouncil returns (uint256) {
+        require(_expiresAt != 0, "GrievanceSystemSecure: Expiry must be in the future");
+        proposalRoleExpiry[proposalCount + 1] = _expiresAt;
+        return _propose(ProposalAction.ASSIGN_ROLE, _user, uint256(_role));
+    }
+    
+    /**
+     * @notice Propose moving the end of a user's role term (COUNCIL ONLY)
+     * @dev Works on lapsed roles too, which reinstates them. Use assignRole to make a role permanent.
+     * @param _user Address holding the role
+     * @param _expiresAt New end of the term, in the future
+     * @return Proposal ID
+     */
+    function renewRole(address _user, uint256 _expiresAt) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.RENEW_ROLE, _user, _expiresAt);
+    }
+    
+    /**
+     * @notice Propose revoking a user's role (COUNCIL ONLY)
+     * @param _user Address to revoke role from
+     * @return Proposal ID
+     */
+    function revokeRole(address _user) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.REVOKE_ROLE, _user, 0);
+    }
+    
+    /**
+     * @notice Propose assigning roles to several users at once, as a single proposal (COUNCIL ONLY)
+     * @dev Every entry follows the rules of assignRole, and an address may appear only once.
+     *      The batch is approved and executed as a whole: if any entry is no longer valid at
+     *      execution time, nothing is applied.
+     * @param _users Addresses to assign roles to (at most MAX_ROLE_BATCH)
+     * @param _roles Role for each address, in the same order
+     * @return Proposal ID
+     */
+    function assignRoles(address[] calldata _users, Role[] calldata _roles) external onlyCouncil returns (uint256) {
+        require(_users.length == _roles.length, "GrievanceSystemSecure: Invalid role batch");
+        proposalBatchUsers[proposalCount + 1] = _users;
+        proposalBatchRoles[proposalCount + 1] = _roles;
+        return _propose(ProposalAction.ASSIGN_ROLES, address(0), _users.length);
+    }
+    
+    /**
+     * @notice Propose revoking the roles of several users at once, as a single proposal (COUNCIL ONLY)
+     * @dev Every entry follows the rules of revokeRole; see assignRoles for how batches execute
+     * @param _users Addresses to revoke roles from (at most MAX_ROLE_BATCH)
+     * @return Proposal ID
+     */
+    function revokeRoles(address[] calldata _users) external onlyCouncil returns (uint256) {
+        proposalBatchUsers[proposalCount + 1] = _users;
+        return _propose(ProposalAction.REVOKE_ROLES, address(0), _users.length);
+    }
+    
+    /**
+     * @notice Propose nominating a new admin (COUNCIL ONLY)
+     * @dev Once executed the nominee still has to call acceptAdmin, so a mistyped address never
+     *      takes control. A later transfer proposal replaces a nomination nobody accepted.
+     * @param _newAdmin Address of new admin
+     * @param _formerAdminRole Role the current admin keeps afterwards (UNREGISTERED to remove them)
+     * @return Proposal ID
+     */
+    function transferAdmin(address _newAdmin, Role _formerAdminRole) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.TRANSFER_ADMIN, _newAdmin, uint256(_formerAdminRole));
+    }
+    
+    /**
+     * @notice Take over as admin (NOMINEE ONLY)
+     * @dev The nominee's previous role, scope and anonymous identity are dropped, and the
+     *      previous admin gets the role chosen in the transfer proposal.
+     */
+    function acceptAdmin() external {
+        require(pendingAdmin != address(0) && _msgSender() == pendingAdmin, "GrievanceSystemSecure: Not the nominated admin");
+        
+        address previousAdmin = admin;
+        Role formerAdminRole = pendingFormerAdminRole;
+        delete pendingAdmin;
+        delete pendingFormerAdminRole;
+        
+        _clearScope(_msgSender());
+        _removeIdentityCommitment(_msgSender());
+        admin = _msgSender();
+        roles[_msgSender()] = Role.ADMIN;
+        _setRoleExpiry(_msgSender(), 0); // The admin role never expires
+        emit RoleAssigned(_msgSender(), Role.ADMIN, _msgSender(), block.timestamp);
+        
+        if (formerAdminRole == Role.UNREGISTERED) {
+            delete roles[previousAdmin];
+        } else {
+            roles[previousAdmin] = formerAdminRole;
+        }
+        emit RoleRevoked(previousAdmin, Role.ADMIN, _msgSender(), block.timestamp);
+        if (formerAdminRole != Role.UNREGISTERED) {
+            emit RoleAssigned(previousAdmin, formerAdminRole, _msgSender(), block.timestamp);
+        }
+        
+        emit AdminTransferred(previousAdmin, _msgSender(), formerAdminRole, block.timestamp);
+    }
+    
+    /**
+     * @notice Propose adding a council member (COUNCIL ONLY)
+     * @return Proposal ID
+     */
+    function addCouncilMember(address _member) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.ADD_COUNCIL_MEMBER, _member, 0);
+    }
+    
+    /**
+     * @notice Propose removing a council member (COUNCIL ONLY)
+     * @dev The council can never shrink below its threshold; lower the threshold first
+     * @return Proposal ID
+     */
+    function removeCouncilMember(address _member) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.REMOVE_COUNCIL_MEMBER, _member, 0);
+    }
+    
+    /**
+     * @notice Propose a new number of approvals proposals need (COUNCIL ONLY)
+     * @param _threshold Between 1 and the council size
+     * @return Proposal ID
+     */
+    function setCouncilThreshold(uint256 _threshold) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.SET_THRESHOLD, address(0), _threshold);
+    }
+    
+    /**
+     * @notice Propose a new delay between approval and execution (COUNCIL ONLY)
+     * @dev Applies to proposals reaching the threshold after the change
+     * @param _delay Seconds, at most MAX_COUNCIL_TIMELOCK
+     * @return Proposal ID
+     */
+    function setCouncilTimelock(uint256 _delay) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.SET_TIMELOCK, address(0), _delay);
+    }
+    
+    /**
+     * @notice Propose upgrading the proxy to a new implementation (COUNCIL ONLY)
+     * @dev On execution the proxy switches to the implementation and to the modules it was deployed
+     *      with; all state stays. Check the storage layout first (scripts/upgradeSecure.js does).
+     * @param _newImplementation Deployed GrievanceSystemSecure
+     * @return Proposal ID
+     */
+    function upgradeTo(address _newImplementation) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.UPGRADE, _newImplementation, 0);
+    }
+    
+    /**
+     * @notice Propose a new trusted forwarder for gasless (relayed) transactions (COUNCIL ONLY)
+     * @dev The forwarder can act as any user, so only deploy one you have reviewed (contracts/GrievanceForwarder.sol)
+     * @param _forwarder Deployed forwarder contract, or address(0) to stop accepting relayed calls
+     * @return Proposal ID
+     */
+    function setTrustedForwarder(address _forwarder) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.SET_FORWARDER, _forwarder, 0);
+    }
+    
+    /**
+     * @notice Propose who may pause the system besides the admin (COUNCIL ONLY)
+     * @dev The council itself keeps working while paused, so it can always replace the guardian
+     * @param _guardian Wallet of the guardian, or address(0) for none
+     * @return Proposal ID
+     */
+    function setGuardian(address _guardian) external onlyCouncil returns (uint256) {
+        return _propose(ProposalAction.SET_GUARDIAN, _guardian, 0);
+    }
+    
+    // ============ APPROVAL & EXECUTION ============
+    
+    /**
+     * @notice Approve a pending proposal (COUNCIL ONLY)
+     * @dev Reaching the threshold starts the timelock
+     */
+    function approveProposal(uint256 _proposalId) external onlyCouncil {
+        _pendingProposal(_proposalId);
+        require(!proposalApprovals[_proposalId][_msgSender()], "GrievanceSystemSecure: Already approved");
+        
+        _approve(_proposalId);
+        _executeIfReady(_proposalId);
+    }
+    
+    /**
+     * @notice Execute an approved proposal once its timelock has passed (COUNCIL ONLY)
+     * @dev A proposal that only has enough approvals because the threshold was lowered since its
+     *      last approval is queued by this call instead, and executes in it if there is no timelock
+     */
+    function executeProposal(uint256 _proposalId) external onlyCouncil {
+        Proposal storage proposal = _pendingProposal(_proposalId);
+        require(_currentApprovals(_proposalId) >= councilThreshold, "GrievanceSystemSecure: Not enough approvals");
+        if (proposal.executableAt == 0) {
+            _queue(_proposalId);
+            if (councilTimelock != 0) return;
+        }
+        require(block.timestamp >= proposal.executableAt, "GrievanceSystemSecure: Timelock has not passed");
+        
+        _execute(_proposalId);
+    }
+    
+    /**
+     * @notice Withdraw a pending proposal you made (COUNCIL ONLY)
+     * @dev Only the proposer can cancel, so no single member can veto what the others approve
+     */
+    function cancelProposal(uint256 _proposalId) external onlyCouncil {
+        Proposal storage proposal = _pendingProposal(_proposalId);
+        require(proposal.proposer == _msgSender(), "GrievanceSystemSecure: Only the proposer can cancel");
+        proposal.cancelled = true;
+        emit ProposalCancelled(_proposalId, _msgSender(), block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get a proposal, with approvals counting only current council members
+     */
+    function getProposal(uint256 _proposalId) external view returns (Proposal memory proposal) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "GrievanceSystemSecure: Proposal does not exist");
+        proposal = proposals[_proposalId];
+        proposal.approvals = _currentApprovals(_proposalId);
+    }
+    
+    /**
+     * @notice Get the users of an ASSIGN_ROLES or REVOKE_ROLES proposal and, for assignments, their roles
+     */
+    function getProposalBatch(uint256 _proposalId) external view returns (address[] memory users, Role[] memory batchRoles) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "GrievanceSystemSecure: Proposal does not exist");
+        return (proposalBatchUsers[_proposalId], proposalBatchRoles[_proposalId]);
+    }
+    
+    /**
+     * @notice Get the expiry an ASSIGN_ROLE proposal gives its role (0 if permanent)
+     */
+    function getProposalRoleExpiry(uint256 _proposalId) external view returns (uint256) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "GrievanceSystemSecure: Proposal does not exist");
+        return proposalRoleExpiry[_proposalId];
+    }
+    
+    /**
+     * @notice Get every user whose role has an expiry, with their assigned role and its expiry
+     * @dev Includes roles that have already lapsed but were not revoked yet
+     */
+    function getRoleTerms() external view returns (address[] memory users, Role[] memory userRoles, uint256[] memory expiries) {
+        users = termLimitedUsers;
+        userRoles = new Role[](users.length);
+        expiries = new uint256[](users.length);
+        for (uint256 i = 0; i < users.length; i++) {
+            userRoles[i] = roles[users[i]];
+            expiries[i] = roleExpiresAt[users[i]];
+        }
+    }
+    
+    function hasApproved(uint256 _proposalId, address _member) external view returns (bool) {
+        return proposalApprovals[_proposalId][_member];
+    }
+    
+    /**
+     * @notice Get the nominated admin (zero if none) and the role the current admin keeps after the transfer
+     */
+    function getPendingAdmin() external view returns (address nominee, Role formerAdminRole) {
+        return (pendingAdmin, pendingFormerAdminRole);
+    }
+    
+    /**
+     * @notice Get the council members, the approvals a proposal needs and the timelock in seconds
+     */
+    function getCouncil() external view returns (address[] memory members, uint256 threshold, uint256 timelock) {
+        return (councilMembers, councilThreshold, councilTimelock);
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    function _propose(ProposalAction _action, address _target, uint256 _value) internal returns (uint256) {
+        proposalCount++;
+        proposals[proposalCount] = Proposal({
+            action: _action,
+            target: _target,
+            value: _value,
+            proposer: _msgSender(),
+            approvals: 0,
+            createdAt: block.timestamp,
+            executableAt: 0,
+            executed: false,
+            cancelled: false
+        });
+        _checkProposal(proposalCount);
+        emit ProposalCreated(proposalCount, _action, _target, _value, _msgSender(), block.timestamp);
+        
+        _approve(proposalCount);
+        _executeIfReady(proposalCount);
+        return proposalCount;
+    }
+    
+    function _pendingProposal(uint256 _proposalId) internal view returns (Proposal storage proposal) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "GrievanceSystemSecure: Proposal does not exist");
+        proposal = proposals[_proposalId];
+        require(!proposal.executed && !proposal.cancelled, "GrievanceSystemSecure: Proposal is not pending");
+    }
+    
+    function _approve(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        proposalApprovals[_proposalId][_msgSender()] = true;
+        proposal.approvals++;
+        uint256 approvals = _currentApprovals(_proposalId);
+        emit ProposalApproved(_proposalId, _msgSender(), approvals, block.timestamp);
+        
+        if (proposal.executableAt == 0 && approvals >= councilThreshold) {
+            _queue(_proposalId);
+        }
+    }
+    
+    function _queue(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.executableAt = block.timestamp + councilTimelock;
+        emit ProposalQueued(_proposalId, proposal.executableAt, block.timestamp);
+    }
+    
+    function _executeIfReady(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        if (
+            proposal.executableAt != 0 &&
+            block.timestamp >= proposal.executableAt &&
+            _currentApprovals(_proposalId) >= councilThreshold
+        ) {
+            _execute(_proposalId);
+        }
+    }
+    
+    /**
+     * @notice Count a proposal's approvals from current council members
+     * @dev The stored tally also counts members removed since they approved
+     */
+    function _currentApprovals(uint256 _proposalId) internal view returns (uint256 approvals) {
+        for (uint256 i = 0; i < councilMembers.length; i++) {
+            if (proposalApprovals[_proposalId][councilMembers[i]]) {
+                approvals++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Check that a proposal could be executed in the current state
+     */
+    function _checkProposal(uint256 _proposalId) internal view {
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.action == ProposalAction.ASSIGN_ROLES || proposal.action == ProposalAction.REVOKE_ROLES) {
+            _checkRoleBatch(_proposalId, proposal.action == ProposalAction.ASSIGN_ROLES, proposal.proposer);
+        } else {
+            _checkAction(proposal.action, proposal.target, proposal.value, proposal.proposer);
+            uint256 expiresAt = proposalRoleExpiry[_proposalId]; // Only set for term-limited ASSIGN_ROLE
+            require(expiresAt == 0 || expiresAt > block.timestamp, "GrievanceSystemSecure: Expiry must be in the future");
+        }
+    }
+    
+    /**
+     * @notice Check every entry of a role batch as if it were its own ASSIGN_ROLE / REVOKE_ROLE proposal
+     */
+    function _checkRoleBatch(uint256 _proposalId, bool _assign, address _proposer) internal view {
+        address[] storage users = proposalBatchUsers[_proposalId];
+        require(users.length > 0 && users.length <= MAX_ROLE_BATCH, "GrievanceSystemSecure: Invalid role batch");
+        
+        for (uint256 i = 0; i < users.length; i++) {
+            for (uint256 j = 0; j < i; j++) {
+                require(users[j] != users[i], "GrievanceSystemSecure: Duplicate address in batch");
+            }
+            if (_assign) {
+                _checkAction(ProposalAction.ASSIGN_ROLE, users[i], uint256(proposalBatchRoles[_proposalId][i]), _proposer);
+            } else {
+                _checkAction(ProposalAction.REVOKE_ROLE, users[i], 0, _proposer);
+            }
+        }
+    }
+    
+    function _checkAction(ProposalAction _action, address _target, uint256 _value, address _proposer) internal view {
+        if (_action == ProposalAction.SET_THRESHOLD) {
+            require(_value > 0 && _value <= councilMembers.length, "GrievanceSystemSecure: Invalid threshold");
+            return;
+        }
+        if (_action == ProposalAction.SET_TIMELOCK) {
+            require(_value <= MAX_COUNCIL_TIMELOCK, "GrievanceSystemSecure: Timelock too long");
+            return;
+        }
+        if (_action == ProposalAction.SET_FORWARDER) {
+            require(_target != trustedForwarder, "GrievanceSystemSecure: Already the trusted forwarder");
+            require(_target == address(0) || _target.code.length > 0, "GrievanceSystemSecure: Invalid forwarder");
+            return;
+        }
+        if (_action == ProposalAction.SET_GUARDIAN) {
+            require(_target != guardian, "GrievanceSystemSecure: Already the guardian");
+            return;
+        }
+        
+        require(_target != address(0), "GrievanceSystemSecure: Invalid address");
+        if (_action == ProposalAction.ASSIGN_ROLE) {
+            require(_value <= uint256(type(Role).max), "GrievanceSystemSecure: Invalid role");
+            require(Role(_value) != Role.ADMIN, "GrievanceSystemSecure: Cannot assign ADMIN role");
+            require(Role(_value) != Role.UNREGISTERED, "GrievanceSystemSecure: Use revokeRole to remove a role");
+            require(_target != admin, "GrievanceSystemSecure: Cannot change admin role");
+            require(_target != _proposer, "GrievanceSystemSecure: Cannot assign role to yourself");
+        } else if (_action == ProposalAction.REVOKE_ROLE) {
+            require(_target != admin, "GrievanceSystemSecure: Cannot revoke admin role");
+            require(roles[_target] != Role.UNREGISTERED, "GrievanceSystemSecure: Address has no role");
+        } else if (_action == ProposalAction.RENEW_ROLE) {
+            require(_target != admin, "GrievanceSystemSecure: Cannot change admin role");
+            require(_target != _proposer, "GrievanceSystemSecure: Cannot renew your own role");
+            require(roles[_target] != Role.UNREGISTERED, "GrievanceSystemSecure: Address has no role");
+            require(_value > block.timestamp, "GrievanceSystemSecure: Expiry must be in the future");
+        } else if (_action == ProposalAction.TRANSFER_ADMIN) {
+            require(_target != admin, "GrievanceSystemSecure: Already admin");
+            require(_value < uint256(Role.ADMIN), "GrievanceSystemSecure: Invalid role for the former admin");
+        } else if (_action == ProposalAction.ADD_COUNCIL_MEMBER) {
+            require(!isCouncilMember[_target], "GrievanceSystemSecure: Already a council member");
+            require(councilMembers.length < MAX_COUNCIL_SIZE, "GrievanceSystemSecure: Council is full");
+        } else if (_action == ProposalAction.UPGRADE) {
+            require(_target != _implementation(), "GrievanceSystemSecure: Already the current implementation");
+            require(_isImplementation(_target), "GrievanceSystemSecure: Invalid implementation");
+        } else {
+            require(isCouncilMember[_target], "GrievanceSystemSecure: Not a council member");
+            require(councilMembers.length > councilThreshold, "GrievanceSystemSecure: Council would fall below its threshold");
+        }
+    }
+    
+    function _execute(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        _checkProposal(_proposalId);
+        proposal.executed = true;
+        
+        address target = proposal.target;
+        if (proposal.action == ProposalAction.ASSIGN_ROLE) {
+            _assignRole(target, Role(proposal.value), proposalRoleExpiry[_proposalId], proposal.proposer);
+        } else if (proposal.action == ProposalAction.REVOKE_ROLE) {
+            _revokeRole(target, proposal.proposer);
+        } else if (proposal.action == ProposalAction.ASSIGN_ROLES) {
+            address[] storage users = proposalBatchUsers[_proposalId];
+            for (uint256 i = 0; i < users.length; i++) {
+                _assignRole(users[i], proposalBatchRoles[_proposalId][i], 0, proposal.proposer);
+            }
+        } else if (proposal.action == ProposalAction.REVOKE_ROLES) {
+            address[] storage users = proposalBatchUsers[_proposalId];
+            for (uint256 i = 0; i < users.length; i++) {
+                _revokeRole(users[i], proposal.proposer);
+            }
+        } else if (proposal.action == ProposalAction.RENEW_ROLE) {
+            emit RoleRenewed(target, roles[target], roleExpiresAt[target], proposal.value, proposal.proposer, block.timestamp);
+            _setRoleExpiry(target, proposal.value);
+        } else if (proposal.action == ProposalAction.TRANSFER_ADMIN) {
+            pendingAdmin = target;
+            pendingFormerAdminRole = Role(proposal.value);
+            emit AdminTransferStarted(admin, target, Role(proposal.value), block.timestamp);
+        } else if (proposal.action == ProposalAction.ADD_COUNCIL_MEMBER) {
+            councilMembers.push(target);
+            isCouncilMember[target] = true;
+            emit CouncilMemberAdded(target, block.timestamp);
+        } else if (proposal.action == ProposalAction.REMOVE_COUNCIL_MEMBER) {
+            _removeCouncilMember(target);
+        } else if (proposal.action == ProposalAction.UPGRADE) {
+            _upgrade(target);
+        } else if (proposal.action == ProposalAction.SET_FORWARDER) {
+            trustedForwarder = target;
+            emit TrustedForwarderSet(target, block.timestamp);
+        } else if (proposal.action == ProposalAction.SET_GUARDIAN) {
+            guardian = target;
+            emit GuardianSet(target, block.timestamp);
+        } else if (proposal.action == ProposalAction.SET_THRESHOLD) {
+            councilThreshold = proposal.value;
+            emit CouncilThresholdSet(proposal.value, block.timestamp);
+        } else {
+            councilTimelock = proposal.value;
+            emit CouncilTimelockSet(proposal.value, block.timestamp);
+        }
+        
+        emit ProposalExecuted(_proposalId, _msgSender(), block.timestamp);
+    }
+    
+    function _assignRole(address _user, Role _role, uint256 _expiresAt, address _proposer) internal {
+        if (roles[_user] != _role) {
+            _clearScope(_user); // Department/cohort bindings are role-specific
+            if (roles[_user] == Role.STUDENT) {
+                _removeIdentityCommitment(_user); // Staff must not keep proving enrollment as a student
+            }
+        }
+        roles[_user] = _role;
+        _setRoleExpiry(_user, _expiresAt);
+        emit RoleAssigned(_user, _role, _proposer, block.timestamp);
+        if (_expiresAt != 0) {
+            emit RoleExpirySet(_user, _role, _expiresAt, _proposer, block.timestamp);
+        }
+    }
+    
+    function _revokeRole(address _user, address _proposer) internal {
+        Role oldRole = roles[_user];
+        delete roles[_user]; // Back to UNREGISTERED
+        _setRoleExpiry(_user, 0);
+        _clearScope(_user);
+        _removeIdentityCommitment(_user);
+        emit RoleRevoked(_user, oldRole, _proposer, block.timestamp);
+    }
+    
+    /**
+     * @notice Switch the proxy to a new implementation and route calls to its modules
+     */
+    function _upgrade(address _newImplementation) internal {
+        _unregisterModules();
+        _setImplementation(_newImplementation);
+        
+        address[] memory modules = IGrievanceImplementation(_newImplementation).getModules();
+        for (uint256 i = 0; i < modules.length; i++) {
+            _registerModule(modules[i]);
+        }
+    }
+    
+    /**
+     * @notice Whether an address is a GrievanceSystemSecure implementation (and not a proxy)
+     */
+    function _isImplementation(address _target) internal view returns (bool) {
+        if (_target.code.length == 0) {
+            return false;
+        }
+        try IGrievanceImplementation(_target).proxiableUUID() returns (bytes32 uuid) {
+            return uuid == IMPLEMENTATION_SLOT;
+        } catch {
+            return false;
+        }
+    }
+    
+    function _removeCouncilMember(address _member) internal {
+        // Swap-and-pop: move the last member into the removed slot
+        for (uint256 i = 0; i < councilMembers.length; i++) {
+            if (councilMembers[i] == _member) {
+                councilMembers[i] = councilMembers[councilMembers.length - 1];
+                councilMembers.pop();
+                break;
+            }
+        }
+        delete isCouncilMember[_member];
+        emit CouncilMemberRemoved(_member, block.timestamp);
+    }
+    
+    /**
+     * @notice Drop a student's identity commitment from the enrollment tree leaves
+     * @dev Called when a student loses their role; the admin must republish the root
+     */
+    function _removeIdentityCommitment(address _student) internal {
+        uint256 position = commitmentPositions[_student];
+        if (position == 0) {
+            return;
+        }
+        
+        // Swap-and-pop: move the last leaf into the removed slot
+        uint256 lastIndex = enrolledCommitments.length - 1;
+        if (position - 1 != lastIndex) {
+            address movedOwner = commitmentOwners[lastIndex];
+            enrolledCommitments[position - 1] = enrolledCommitments[lastIndex];
+            commitmentOwners[position - 1] = movedOwner;
+            commitmentPositions[movedOwner] = position;
+        }
+        enrolledCommitments.pop();
+        commitmentOwners.pop();
+        
+        uint256 commitment = identityCommitments[_student];
+        delete commitmentPositions[_student];
+        delete identityCommitments[_student];
+        emit IdentityCommitmentRemoved(_student, commitment, block.timestamp);
+    }
+}
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../GrievanceSystemSecure.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceDuplicates
+ * @notice Duplicate grievances in GrievanceSystemSecure: handlers link near-identical grievances (e.g. a
+ *         dozen complaints about the same exam paper) to a primary grievance, then review, escalate,
+ *         resolve or close the whole group in one call
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      actOnGroup runs the core function once per grievance by delegatecalling the implementation, so
+ *      every access check, index update, action record and event is exactly that of acting on each
+ *      grievance by hand. Duplicates stay ordinary grievances: each keeps its own student, encrypted
+ *      remarks and sign-off, and can still be handled on its own.
+ */
+contract GrievanceDuplicates is GrievanceSystemStorage, IGrievanceModule {
+
+    // ============ MODULE REGISTRATION ============
+
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](5);
+        selectors[0] = this.linkDuplicates.selector;
+        selectors[1] = this.unlinkDuplicate.selector;
+        selectors[2] = this.actOnGroup.selector;
+        selectors[3] = this.getDuplicates.selector;
+        selectors[4] = this.getPrimary.selector;
+    }
+
+    // ============ HANDLER FUNCTIONS ============
+
+    /**
+     * @notice Mark grievances as duplicates of a primary grievance (COUNSELOR, YEAR COORDINATOR, HOD OR DEAN)
+     * @dev The caller must be able to see every grievance involved, and each duplicate must be at the
+     *      primary's stage (same status, level and HOD) so that group actions apply to all of them.
+     *      A primary cannot itself be a duplicate, and a grievance with duplicates cannot become one.
+     * @param _primaryId Grievance the group follows
+     * @param _duplicateIds Grievances to link to it
+     */
+    function linkDuplicates(uint256 _primaryId, uint256[] calldata _duplicateIds)
+        external
+        whenNotPaused
+        grievanceExists(_primaryId)
+    {
+        _requireHandlerOf(_primaryId);
+        require(grievances[_primaryId].status <= Status.ESCALATED, "GrievanceSystemSecure: Grievance is not open for handling");
+        require(duplicateOf[_primaryId] == 0, "GrievanceSystemSecure: Primary is itself a duplicate");
+        require(_duplicateIds.length > 0, "GrievanceSystemSecure: No duplicates given");
+        require(
+            grievanceDuplicates[_primaryId].length + _duplicateIds.length <= MAX_DUPLICATES,
+            "GrievanceSystemSecure: Too many duplicates"
+        );
+
+        for (uint256 i = 0; i < _duplicateIds.length; i++) {
+            uint256 duplicateId = _duplicateIds[i];
+            require(duplicateId > 0 && duplicateId <= grievanceCounter, "GrievanceSystemSecure: Grievance does not exist");
+            require(duplicateId != _primaryId, "GrievanceSystemSecure: Grievance cannot duplicate itself");
+            require(duplicateOf[duplicateId] == 0, "GrievanceSystemSecure: Grievance is already a duplicate");
+            require(grievanceDuplicates[duplicateId].length == 0, "GrievanceSystemSecure: Grievance has duplicates of its own");
+            _requireHandlerOf(duplicateId);
+            require(_inStep(duplicateId, _primaryId), "GrievanceSystemSecure: Duplicate is not at the primary's stage");
+
+            duplicateOf[duplicateId] = _primaryId;
+            grievanceDuplicates[_primaryId].push(duplicateId);
+
+            emit DuplicateLinked(duplicateId, _primaryId, _msgSender(), block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Detach a grievance from its primary, e.g. one linked by mistake (COUNSELOR, YEAR COORDINATOR, HOD OR DEAN)
+     * @param _grievanceId Duplicate to unlink
+     */
+    function unlinkDuplicate(uint256 _grievanceId) external whenNotPaused grievanceExists(_grievanceId) {
+        uint256 primaryId = duplicateOf[_grievanceId];
+        require(primaryId != 0, "GrievanceSystemSecure: Grievance is not a duplicate");
+        _requireHandlerOf(_grievanceId);
+
+        uint256[] storage duplicates = grievanceDuplicates[primaryId];
+        for (uint256 i = 0; i < duplicates.length; i++) {
+            if (duplicates[i] == _grievanceId) {
+                duplicates[i] = duplicates[duplicates.length - 1];
+                duplicates.pop();
+                break;
+            }
+        }
+        delete duplicateOf[_grievanceId];
+
+        emit DuplicateUnlinked(_grievanceId, primaryId, _msgSender(), block.timestamp);
+    }
+
+    /**
+     * @notice Apply a handler action to a primary grievance and its duplicates (WHOEVER MAY TAKE THE ACTION)
+     * @dev _action is the selector of reviewGrievance, assignGrievanceToHOD, resolveGrievanceByCounselorOrCoordinator,
+     *      escalateToYearCoordinator, escalateToHOD, resolveGrievance, escalateGrievance or closeGrievance.
+     *      Duplicates no longer at the primary's stage (withdrawn, waiting for their student's answer, handled
+     *      on their own...) are skipped; any other failure reverts the whole group.
+     * @param _primaryId Grievance the group follows
+     * @param _action Core function to run on each grievance
+     * @param _hodAddress HOD for assignGrievanceToHOD and escalateToHOD (ignored otherwise)
+     * @param _remarks One entry per grievance, in getDuplicates order after the primary, each encrypted with
+     *        that grievance's data key; empty for actions without remarks
+     * @return grievancesActedOn Number of grievances the action was applied to, the primary included
+     */
+    function actOnGroup(uint256 _primaryId, bytes4 _action, address _hodAddress, string[] calldata _remarks)
+        external
+        whenNotPaused
+        grievanceExists(_primaryId)
+        returns (uint256 grievancesActedOn)
+    {
+        require(duplicateOf[_primaryId] == 0, "GrievanceSystemSecure: Act on the primary grievance instead");
+
+        // Copied: acting on the primary changes its stage, and duplicates are compared against the old one
+        uint256[] memory duplicates = grievanceDuplicates[_primaryId];
+        bool withRemarks = _action != GrievanceSystemSecure.reviewGrievance.selector &&
+            _action != GrievanceSystemSecure.assignGrievanceToHOD.selector;
+        require(
+            _remarks.length == (withRemarks ? duplicates.length + 1 : 0),
+            "GrievanceSystemSecure: Remarks must cover every grievance in the group"
+        );
+
+        bool[] memory inStep = new bool[](duplicates.length);
+        for (uint256 i = 0; i < duplicates.length; i++) {
+            inStep[i] = _inStep(duplicates[i], _primaryId);
+        }
+
+        _actOn(_primaryId, _action, _hodAddress, withRemarks ? _remarks[0] : "");
+        grievancesActedOn = 1;
+        for (uint256 i = 0; i < duplicates.length; i++) {
+            if (inStep[i]) {
+                _actOn(duplicates[i], _action, _hodAddress, withRemarks ? _remarks[i + 1] : "");
+                grievancesActedOn++;
+            }
+        }
+
+        emit GroupActionApplied(_primaryId, _action, grievancesActedOn, _msgSender(), block.timestamp);
+    }
+
+    // ============ QUERIES ============
+
+    /**
+     * @notice Primary grievance a grievance is a duplicate of, 0 if it is not one (ANYONE WHO CAN SEE IT)
+     */
+    function getPrimary(uint256 _grievanceId) external view grievanceExists(_grievanceId) returns (uint256) {
+        _requireCanView(_grievanceId);
+        return duplicateOf[_grievanceId];
+    }
+
+    /**
+     * @notice Grievances linked to a primary grievance (STAFF WHO CAN SEE THE PRIMARY)
+     * @dev Students only learn which grievance theirs follows (getPrimary)
+     */
+    function getDuplicates(uint256 _primaryId) external view grievanceExists(_primaryId) returns (uint256[] memory) {
+        _requireCanView(_primaryId);
+        require(_activeRole(_msgSender()) != Role.STUDENT, "GrievanceSystemSecure: Not authorized to view this grievance");
+        return grievanceDuplicates[_primaryId];
+    }
+
+    // ============ INTERNAL HELPERS ============
+
+    /**
+     * @notice Ensure the caller is an authority who can see a grievance and has no conflict with it
+     */
+    function _requireHandlerOf(uint256 _grievanceId) internal view {
+        Role callerRole = _activeRole(_msgSender());
+        require(
+            callerRole >= Role.COUNSELOR && callerRole <= Role.DEAN,
+            "GrievanceSystemSecure: Only handlers can manage duplicates"
+        );
+        _requireCanView(_grievanceId);
+        require(
+            _isInScope(_msgSender(), _grievanceId),
+            "GrievanceSystemSecure: Grievance is outside your department or cohort"
+        );
+    }
+
+    /**
+     * @notice Whether a grievance is at the same stage as another, so the same action applies to both
+     */
+    function _inStep(uint256 _grievanceId, uint256 _otherId) internal view returns (bool) {
+        Grievance storage grievance = grievances[_grievanceId];
+        Grievance storage other = grievances[_otherId];
+        return grievance.status == other.status &&
+            grievance.status <= Status.ESCALATED &&
+            grievanceLevel[_grievanceId] == grievanceLevel[_otherId] &&
+            grievance.assignedHOD == other.assignedHOD;
+    }
+
+    /**
+     * @notice Run a core handler function on one grievance, as the caller
+     * @dev Delegatecalls the implementation, so the call keeps this transaction's sender and the
+     *      proxy's storage. A relayed call passes on the signer's address the way the forwarder does.
+     */
+    function _actOn(uint256 _grievanceId, bytes4 _action, address _hodAddress, string memory _remarks) internal {
+        bytes memory data;
+        if (_action == GrievanceSystemSecure.reviewGrievance.selector) {
+            data = abi.encodeWithSelector(_action, _grievanceId);
+        } else if (_action == GrievanceSystemSecure.assignGrievanceToHOD.selector) {
+            data = abi.encodeWithSelector(_action, _grievanceId, _hodAddress);
+        } else if (_action == GrievanceSystemSecure.escalateToHOD.selector) {
+            data = abi.encodeWithSelector(_action, _grievanceId, _hodAddress, _remarks);
+        } else {
+            require(
+                _action == GrievanceSystemSecure.resolveGrievanceByCounselorOrCoordinator.selector ||
+                _action == GrievanceSystemSecure.escalateToYearCoordinator.selector ||
+                _action == GrievanceSystemSecure.resolveGrievance.selector ||
+                _action == GrievanceSystemSecure.escalateGrievance.selector ||
+                _action == GrievanceSystemSecure.closeGrievance.selector,
+                "GrievanceSystemSecure: Action cannot be applied to a group"
+            );
+            data = abi.encodeWithSelector(_action, _grievanceId, _remarks);
+        }
+        if (msg.sender == trustedForwarder) {
+            data = abi.encodePacked(data, _msgSender());
+        }
+
+        (bool success, bytes memory result) = _implementation().delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceMigration
+ * @notice Import of grievances from the legacy GrievanceSystem contract (see scripts/migrateLegacy.js)
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      Imports keep the legacy IDs, submitters and timestamps, so they are only accepted while every
+ *      existing grievance is an import: the first native submission, or finishMigration, closes the
+ *      migration for good. The module can be dropped in a later upgrade once that has happened.
+ */
+contract GrievanceMigration is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](3);
+        selectors[0] = this.importGrievances.selector;
+        selectors[1] = this.finishMigration.selector;
+        selectors[2] = this.isMigrationOpen.selector;
+    }
+    
+    // ============ ADMIN FUNCTIONS ============
+    
+    /**
+     * @notice Import legacy grievances, already mapped onto this contract's Status and Role (ADMIN ONLY)
+     * @dev Grievances must arrive in ID order starting at getTotalGrievances() + 1. Descriptions and
+     *      remarks stay in plaintext, as on the legacy contract. Imported resolutions keep their
+     *      original date, so RESOLUTION_RESPONSE_WINDOW runs from when they were resolved.
+     * @param _grievances Legacy grievances (currentHandler is ignored)
+     * @param _levels Level each grievance is at: COUNSELOR, YEAR_COORDINATOR, HOD or DEAN
+     */
+    function importGrievances(Grievance[] calldata _grievances, Role[] calldata _levels) external whenNotPaused onlyAdmin {
+        require(isMigrationOpen(), "GrievanceSystemSecure: Migration is closed");
+        require(
+            _grievances.length > 0 && _grievances.length == _levels.length && _grievances.length <= MAX_IMPORT_BATCH,
+            "GrievanceSystemSecure: Invalid import batch"
+        );
+        
+        for (uint256 i = 0; i < _grievances.length; i++) {
+            _importGrievance(_grievances[i], _levels[i]);
+        }
+        importedGrievanceCount = grievanceCounter;
+    }
+    
+    /**
+     * @notice Close the migration so nothing more can be imported (ADMIN ONLY)
+     */
+    function finishMigration() external whenNotPaused onlyAdmin {
+        require(!migrationFinished, "GrievanceSystemSecure: Migration already finished");
+        migrationFinished = true;
+        emit MigrationFinished(importedGrievanceCount, _msgSender(), block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Whether legacy grievances can still be imported
+     */
+    function isMigrationOpen() public view returns (bool) {
+        return !migrationFinished && grievanceCounter == importedGrievanceCount;
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    function _importGrievance(Grievance calldata _grievance, Role _level) internal {
+        uint256 grievanceId = grievanceCounter + 1;
+        require(_grievance.grievanceId == grievanceId, "GrievanceSystemSecure: Legacy grievances must be imported in order");
+        require(_grievance.studentAddress != address(0), "GrievanceSystemSecure: Invalid address");
+        require(bytes(_grievance.description).length > 0, "GrievanceSystemSecure: Description cannot be empty");
+        require(bytes(_grievance.description).length <= MAX_DESCRIPTION_LENGTH, "GrievanceSystemSecure: Description too long");
+        require(_grievance.contentHash != bytes32(0), "GrievanceSystemSecure: Content hash required");
+        require(bytes(_grievance.resolutionRemarks).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        require(
+            _grievance.submittedAt > 0 &&
+            _grievance.submittedAt <= _grievance.lastUpdatedAt &&
+            _grievance.lastUpdatedAt <= block.timestamp,
+            "GrievanceSystemSecure: Invalid timestamps"
+        );
+        require(_isConsistent(_grievance, _level), "GrievanceSystemSecure: Status does not match level");
+        
+        grievanceCounter = grievanceId;
+        grievances[grievanceId] = _grievance;
+        grievances[grievanceId].currentHandler = _grievance.status == Status.ASSIGNED_TO_HOD
+            ? _grievance.assignedHOD
+            : address(0);
+        studentGrievances[_grievance.studentAddress].push(grievanceId);
+        _setStatus(grievanceId, _grievance.status);
+        _setLevel(grievanceId, _level);
+        levelEnteredAt[grievanceId] = _grievance.lastUpdatedAt;
+        
+        if (_grievance.assignedHOD != address(0)) {
+            hodGrievances[_grievance.assignedHOD].push(grievanceId);
+            assignedToHOD[grievanceId] = true;
+        }
+        if (_grievance.status == Status.RESOLVED) {
+            resolvedAt[grievanceId] = _grievance.lastUpdatedAt;
+        }
+        _recordAction(grievanceId, _msgSender(), Status.SUBMITTED, Role.UNREGISTERED, "");
+        
+        emit GrievanceImported(
+            grievanceId,
+            _grievance.studentAddress,
+            _grievance.status,
+            _level,
+            _grievance.submittedAt,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @notice Whether an imported grievance's status, level, HOD and resolver fit together
+     * @dev Open grievances sit with Counselors or Year Coordinators, with their assigned HOD, or with
+     *      the Dean (ESCALATED). Resolutions below the Dean name their resolver, and an HOD's
+     *      resolution names the HOD so they keep seeing it. The Dean's outcome is CLOSED.
+     */
+    function _isConsistent(Grievance calldata _grievance, Role _level) internal view returns (bool) {
+        Status status = _grievance.status;
+        bool resolved = _grievance.resolvedBy != address(0);
+        
+        if (status == Status.SUBMITTED || status == Status.IN_REVIEW) {
+            return (_level == Role.COUNSELOR || _level == Role.YEAR_COORDINATOR) &&
+                _grievance.assignedHOD == address(0) && !resolved;
+        }
+        if (status == Status.ASSIGNED_TO_HOD) {
+            return _level == Role.HOD && _activeRole(_grievance.assignedHOD) == Role.HOD && !resolved;
+        }
+        if (status == Status.ESCALATED) {
+            return _level == Role.DEAN && !resolved;
+        }
+        if (status == Status.RESOLVED) {
+            return resolved && (
+                _level == Role.HOD
+                    ? _grievance.assignedHOD == _grievance.resolvedBy
+                    : (_level == Role.COUNSELOR || _level == Role.YEAR_COORDINATOR) && _grievance.assignedHOD == address(0)
+            );
+        }
+        return status == Status.CLOSED && _level == Role.DEAN && resolved;
+    }
+}
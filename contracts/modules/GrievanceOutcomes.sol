@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceOutcomes
+ * @notice Student sign-off of GrievanceSystemSecure: students accept or dispute the resolution of
+ *         their grievance, or withdraw it while its outcome is still open
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      Unanswered resolutions become final on their own after RESOLUTION_RESPONSE_WINDOW (see _isFinal).
+ */
+contract GrievanceOutcomes is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](4);
+        selectors[0] = this.acceptResolution.selector;
+        selectors[1] = this.disputeResolution.selector;
+        selectors[2] = this.withdrawGrievance.selector;
+        selectors[3] = this.isResolutionFinal.selector;
+    }
+    
+    // ============ STUDENT FUNCTIONS ============
+    
+    /**
+     * @notice Accept the resolution of your grievance, making it final (STUDENTS ONLY)
+     * @param _grievanceId Resolved grievance submitted by the caller
+     */
+    function acceptResolution(uint256 _grievanceId)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyStudent
+        recordsAction(_grievanceId, "")
+    {
+        _requireOpenResolution(_grievanceId);
+        
+        resolutionAccepted[_grievanceId] = true;
+        grievances[_grievanceId].lastUpdatedAt = block.timestamp;
+        
+        emit ResolutionAccepted(_grievanceId, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @notice Reject the resolution of your grievance and reopen it one level up (STUDENTS ONLY)
+     * @dev A Counselor's resolution reopens with the Year Coordinators. Year Coordinator and HOD
+     *      resolutions go to the Dean, as no HOD can be picked without a human decision.
+     * @param _grievanceId Resolved grievance submitted by the caller
+     * @param _reason Why the resolution is not acceptable (encrypted with the grievance data key)
+     */
+    function disputeResolution(uint256 _grievanceId, string memory _reason)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyStudent
+        recordsAction(_grievanceId, _reason)
+    {
+        _requireOpenResolution(_grievanceId);
+        require(bytes(_reason).length > 0, "GrievanceSystemSecure: Dispute reason required");
+        require(bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        
+        Grievance storage grievance = grievances[_grievanceId];
+        Role reopenedAt;
+        if (grievance.assignedHOD == address(0) && grievanceLevel[_grievanceId] == Role.COUNSELOR) {
+            reopenedAt = Role.YEAR_COORDINATOR;
+            _setLevel(_grievanceId, Role.YEAR_COORDINATOR);
+            _setStatus(_grievanceId, Status.IN_REVIEW);
+        } else {
+            reopenedAt = Role.DEAN;
+            _setStatus(_grievanceId, Status.ESCALATED);
+        }
+        
+        grievance.resolutionRemarks = "";
+        grievance.resolvedBy = address(0);
+        grievance.currentHandler = address(0);
+        grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
+        
+        emit ResolutionDisputed(_grievanceId, _msgSender(), reopenedAt, _reason, block.timestamp);
+    }
+    
+    /**
+     * @notice Retract your grievance, e.g. after settling it informally (STUDENTS ONLY)
+     * @dev Allowed at any level until the outcome is final. Anonymous grievances cannot be
+     *      withdrawn as they have no student address to act from.
+     * @param _grievanceId Grievance submitted by the caller
+     * @param _reason Why it is withdrawn (encrypted with the grievance data key)
+     */
+    function withdrawGrievance(uint256 _grievanceId, string memory _reason)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyStudent
+        recordsAction(_grievanceId, _reason)
+    {
+        Grievance storage grievance = grievances[_grievanceId];
+        require(grievance.studentAddress == _msgSender(), "GrievanceSystemSecure: Not your grievance");
+        require(!_isFinal(_grievanceId), "GrievanceSystemSecure: Grievance can no longer be withdrawn");
+        require(bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        
+        Status previousStatus = grievance.status;
+        statusBeforeWithdrawal[_grievanceId] = previousStatus;
+        _setStatus(_grievanceId, Status.WITHDRAWN);
+        grievance.currentHandler = address(0);
+        grievance.lastUpdatedAt = block.timestamp;
+        
+        emit GrievanceWithdrawn(_grievanceId, _msgSender(), previousStatus, _reason, block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Whether a grievance's outcome can no longer be disputed
+     * @dev Closed and withdrawn grievances are always final. Resolutions become final once the student accepts
+     *      them or RESOLUTION_RESPONSE_WINDOW passes without a response, so anonymous grievances
+     *      (which have no student address to respond from) finalize after the window.
+     */
+    function isResolutionFinal(uint256 _grievanceId) external view returns (bool) {
+        return _isFinal(_grievanceId);
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    /**
+     * @notice Ensure the caller's grievance has a resolution still awaiting their response
+     */
+    function _requireOpenResolution(uint256 _grievanceId) internal view {
+        require(grievances[_grievanceId].studentAddress == _msgSender(), "GrievanceSystemSecure: Not your grievance");
+        require(grievances[_grievanceId].status == Status.RESOLVED, "GrievanceSystemSecure: Grievance is not resolved");
+        require(!_isFinal(_grievanceId), "GrievanceSystemSecure: Resolution is already final");
+    }
+}
@@ -0,0 +1,388 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceQueries
+ * @notice Grievance lists of GrievanceSystemSecure, including paginated ones served from the
+ *         status and level indexes so no call has to walk every grievance ever submitted,
+ *         each grievance's action history and SLA deadline, and students' submission quotas
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      Each page covers up to _limit index entries starting at _offset. Entries the caller may not
+ *      see are skipped, so a page can come back short (even empty) while hasMore is still true:
+ *      keep calling with nextOffset until hasMore is false. Indexes are unordered, and an entry
+ *      can move between pages when a grievance changes status or level mid-scroll.
+ */
+contract GrievanceQueries is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](12);
+        selectors[0] = this.getVisibleGrievances.selector;
+        selectors[1] = this.getAllGrievances.selector;
+        selectors[2] = this.getVisibleGrievancesPage.selector;
+        selectors[3] = this.getAllGrievancesPage.selector;
+        selectors[4] = this.getGrievancesByStatus.selector;
+        selectors[5] = this.getGrievancesByLevel.selector;
+        selectors[6] = this.getGrievanceCountByStatus.selector;
+        selectors[7] = this.getGrievanceCountByLevel.selector;
+        selectors[8] = this.indexGrievances.selector;
+        selectors[9] = this.getGrievanceHistory.selector;
+        selectors[10] = this.getSubmissionQuota.selector;
+        selectors[11] = this.getDeadline.selector;
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get visible grievances based on user role
+     * @dev Scans every grievance for Counselors, Year Coordinators and the Dean, so large deployments
+     *      outgrow RPC gas caps; use getVisibleGrievancesPage there
+     * @return Array of grievance IDs visible to the caller, in ID order
+     */
+    function getVisibleGrievances() external view returns (uint256[] memory) {
+        Role userRole = _activeRole(_msgSender());
+        
+        if (userRole == Role.STUDENT) {
+            return studentGrievances[_msgSender()];
+        } else if (userRole == Role.HOD) {
+            return hodGrievances[_msgSender()];
+        } else if (userRole == Role.COUNSELOR) {
+            // Counselor sees their department's grievances at Counselor level (including resolved, closed and withdrawn ones)
+            uint256[] memory counselorGrievances = new uint256[](grievanceCounter);
+            uint256 count = 0;
+            for (uint256 i = 1; i <= grievanceCounter; i++) {
+                if (grievances[i].grievanceId > 0 && grievanceLevel[i] == Role.COUNSELOR && _isInScope(_msgSender(), i)) {
+                    counselorGrievances[count] = i;
+                    count++;
+                }
+            }
+            uint256[] memory result = new uint256[](count);
+            for (uint256 i = 0; i < count; i++) {
+                result[i] = counselorGrievances[i];
+            }
+            return result;
+        } else if (userRole == Role.YEAR_COORDINATOR) {
+            // Year Coordinator sees their cohort's grievances at Year Coordinator level (including resolved, closed and withdrawn ones)
+            uint256[] memory yearCoordGrievances = new uint256[](grievanceCounter);
+            uint256 count = 0;
+            for (uint256 i = 1; i <= grievanceCounter; i++) {
+                if (grievances[i].grievanceId > 0 && grievanceLevel[i] == Role.YEAR_COORDINATOR && _isInScope(_msgSender(), i)) {
+                    yearCoordGrievances[count] = i;
+                    count++;
+                }
+            }
+            uint256[] memory result = new uint256[](count);
+            for (uint256 i = 0; i < count; i++) {
+                result[i] = yearCoordGrievances[i];
+            }
+            return result;
+        } else if (userRole == Role.DEAN) {
+            // Return escalated and closed grievances (and ones withdrawn while escalated), plus the Dean's remands
+            uint256[] memory escalated = new uint256[](grievanceCounter);
+            uint256 count = 0;
+            for (uint256 i = 1; i <= grievanceCounter; i++) {
+                if (_isDeanGrievance(i) || remandCount[i] > 0) {
+                    escalated[count] = i;
+                    count++;
+                }
+            }
+            uint256[] memory result = new uint256[](count);
+            for (uint256 i = 0; i < count; i++) {
+                result[i] = escalated[i];
+            }
+            return result;
+        } else if (userRole == Role.ADMIN) {
+            // Admin sees all (empty array - use getAllGrievances for admin)
+            return new uint256[](0);
+        }
+        
+        return new uint256[](0);
+    }
+    
+    /**
+     * @notice Get all grievances (ADMIN ONLY - for system management)
+     * @dev Unbounded; see getAllGrievancesPage for large deployments
+     */
+    function getAllGrievances() external view onlyAdmin returns (uint256[] memory) {
+        uint256[] memory allGrievances = new uint256[](grievanceCounter);
+        for (uint256 i = 1; i <= grievanceCounter; i++) {
+            allGrievances[i - 1] = i;
+        }
+        return allGrievances;
+    }
+    
+    /**
+     * @notice Page through the grievances visible to the caller (same visibility as getVisibleGrievances)
+     * @dev Students page through their own grievances and HODs through the ones assigned to them.
+     *      Counselors and Year Coordinators scan their level's index for grievances in scope; the Dean
+     *      scans escalated, closed, waiting and withdrawn grievances for those that reached the Dean,
+     *      then the grievances they remanded.
+     * @param _offset Index entry to start at (0, then the previous page's nextOffset)
+     * @param _limit Index entries to scan, at most MAX_PAGE_SIZE
+     * @return page Visible grievance IDs among the scanned entries
+     * @return nextOffset Offset of the next page
+     * @return hasMore Whether entries remain after this page
+     */
+    function getVisibleGrievancesPage(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory page, uint256 nextOffset, bool hasMore)
+    {
+        _requirePageSize(_limit);
+        Role userRole = _activeRole(_msgSender());
+        
+        if (userRole == Role.STUDENT) {
+            return _page(studentGrievances[_msgSender()], _offset, _limit, _isListed);
+        } else if (userRole == Role.HOD) {
+            return _page(hodGrievances[_msgSender()], _offset, _limit, _isListed);
+        } else if (userRole == Role.COUNSELOR || userRole == Role.YEAR_COORDINATOR) {
+            return _page(levelGrievances[userRole], _offset, _limit, _isInCallerScope);
+        } else if (userRole == Role.DEAN) {
+            return _deanPage(_offset, _limit);
+        }
+        
+        // Admins use getAllGrievancesPage; unregistered wallets see nothing
+        return (new uint256[](0), _offset, false);
+    }
+    
+    /**
+     * @notice Page through every grievance in ID order (ADMIN ONLY)
+     */
+    function getAllGrievancesPage(uint256 _offset, uint256 _limit)
+        external
+        view
+        onlyAdmin
+        returns (uint256[] memory page, uint256 nextOffset, bool hasMore)
+    {
+        _requirePageSize(_limit);
+        nextOffset = _pageEnd(_offset, _limit, grievanceCounter);
+        page = new uint256[](nextOffset > _offset ? nextOffset - _offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _offset + i + 1;
+        }
+        hasMore = nextOffset < grievanceCounter;
+    }
+    
+    /**
+     * @notice Page through the grievances currently in a status (ADMIN ONLY)
+     */
+    function getGrievancesByStatus(Status _status, uint256 _offset, uint256 _limit)
+        external
+        view
+        onlyAdmin
+        returns (uint256[] memory page, uint256 nextOffset, bool hasMore)
+    {
+        _requirePageSize(_limit);
+        return _page(statusGrievances[_status], _offset, _limit, _isListed);
+    }
+    
+    /**
+     * @notice Page through the grievances currently at a level (ADMIN ONLY)
+     * @dev A grievance keeps the level it was escalated from while it waits for the Dean
+     */
+    function getGrievancesByLevel(Role _level, uint256 _offset, uint256 _limit)
+        external
+        view
+        onlyAdmin
+        returns (uint256[] memory page, uint256 nextOffset, bool hasMore)
+    {
+        _requirePageSize(_limit);
+        return _page(levelGrievances[_level], _offset, _limit, _isListed);
+    }
+    
+    /**
+     * @notice Number of grievances currently in a status
+     */
+    function getGrievanceCountByStatus(Status _status) external view returns (uint256) {
+        return statusGrievances[_status].length;
+    }
+    
+    /**
+     * @notice Number of grievances currently at a level
+     */
+    function getGrievanceCountByLevel(Role _level) external view returns (uint256) {
+        return levelGrievances[_level].length;
+    }
+    
+    /**
+     * @notice Every state transition of a grievance, oldest first (role-based visibility)
+     * @dev Grievances submitted before the action log existed only have the transitions made since
+     */
+    function getGrievanceHistory(uint256 _grievanceId)
+        external
+        view
+        grievanceExists(_grievanceId)
+        returns (ActionRecord[] memory)
+    {
+        _requireCanView(_grievanceId);
+        return grievanceHistory[_grievanceId];
+    }
+    
+    /**
+     * @notice How many more grievances the caller can submit, and when (STUDENTS ONLY)
+     * @return openGrievances Caller's grievances still being handled
+     * @return maxOpen Cap on open grievances (0 = no limit)
+     * @return nextSubmissionAt Earliest time the cooldown allows another submission (0 = now)
+     */
+    function getSubmissionQuota()
+        external
+        view
+        onlyStudent
+        returns (uint256 openGrievances, uint256 maxOpen, uint256 nextSubmissionAt)
+    {
+        address student = _msgSender();
+        openGrievances = _openGrievanceCount(student);
+        maxOpen = maxOpenGrievances;
+        if (lastSubmissionAt[student] != 0 && submissionCooldown != 0) {
+            uint256 allowedAt = lastSubmissionAt[student] + submissionCooldown;
+            nextSubmissionAt = allowedAt > block.timestamp ? allowedAt : 0;
+        }
+    }
+    
+    /**
+     * @notice SLA deadline of a grievance at its current level, pushed back by any pause since it started
+     * @return Timestamp after which enforceDeadline succeeds, or 0 if no SLA applies
+     */
+    function getDeadline(uint256 _grievanceId) external view grievanceExists(_grievanceId) returns (uint256) {
+        return _slaDeadline(_grievanceId);
+    }
+    
+    // ============ ADMIN FUNCTIONS ============
+    
+    /**
+     * @notice Add grievances submitted before the indexes existed to them (ADMIN ONLY)
+     * @dev Only needed once, after upgrading a deployment that predates GrievanceQueries.
+     *      Grievances that are already indexed are skipped, so ranges may overlap.
+     * @param _fromId First grievance ID to index
+     * @param _toId Last grievance ID to index (at most MAX_PAGE_SIZE IDs per call)
+     */
+    function indexGrievances(uint256 _fromId, uint256 _toId) external onlyAdmin {
+        require(
+            _fromId > 0 && _fromId <= _toId && _toId <= grievanceCounter && _toId - _fromId < MAX_PAGE_SIZE,
+            "GrievanceSystemSecure: Invalid grievance range"
+        );
+        
+        for (uint256 id = _fromId; id <= _toId; id++) {
+            if (statusPositions[id] == 0) {
+                _setStatus(id, grievances[id].status);
+            }
+            if (levelPositions[id] == 0) {
+                _setLevel(id, grievanceLevel[id]);
+            }
+        }
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    /**
+     * @notice Collect the entries of one index that pass a visibility check
+     */
+    function _page(
+        uint256[] storage _index,
+        uint256 _offset,
+        uint256 _limit,
+        function(uint256) internal view returns (bool) _visible
+    ) internal view returns (uint256[] memory page, uint256 nextOffset, bool hasMore) {
+        nextOffset = _pageEnd(_offset, _limit, _index.length);
+        uint256[] memory found = new uint256[](nextOffset > _offset ? nextOffset - _offset : 0);
+        uint256 count = _collect(_index, 0, _offset, nextOffset, found, 0, _visible);
+        return (_trim(found, count), nextOffset, nextOffset < _index.length);
+    }
+    
+    /**
+     * @notice Page through the Dean's grievances: the ESCALATED, CLOSED, REQUEST_INFO and WITHDRAWN
+     *         indexes and the remand list laid end to end, keeping the waiting and withdrawn ones that
+     *         were with the Dean and the remanded ones that are not with the Dean again
+     */
+    function _deanPage(uint256 _offset, uint256 _limit)
+        internal
+        view
+        returns (uint256[] memory page, uint256 nextOffset, bool hasMore)
+    {
+        Status[4] memory statuses = [Status.ESCALATED, Status.CLOSED, Status.REQUEST_INFO, Status.WITHDRAWN];
+        uint256 total = 0;
+        for (uint256 i = 0; i < statuses.length; i++) {
+            total += statusGrievances[statuses[i]].length;
+        }
+        total += remandedGrievances.length;
+        
+        nextOffset = _pageEnd(_offset, _limit, total);
+        uint256[] memory found = new uint256[](nextOffset > _offset ? nextOffset - _offset : 0);
+        uint256 count = 0;
+        uint256 start = 0;
+        for (uint256 i = 0; i < statuses.length; i++) {
+            uint256[] storage index = statusGrievances[statuses[i]];
+            count = _collect(index, start, _offset, nextOffset, found, count, _isDeanGrievance);
+            start += index.length;
+        }
+        count = _collect(remandedGrievances, start, _offset, nextOffset, found, count, _isRemandedAway);
+        return (_trim(found, count), nextOffset, nextOffset < total);
+    }
+    
+    /**
+     * @notice Append the visible entries of an index that fall within [_from, _to)
+     * @param _start Position of the index's first entry in the combined list being paged
+     * @return Number of entries in _found afterwards
+     */
+    function _collect(
+        uint256[] storage _index,
+        uint256 _start,
+        uint256 _from,
+        uint256 _to,
+        uint256[] memory _found,
+        uint256 _count,
+        function(uint256) internal view returns (bool) _visible
+    ) internal view returns (uint256) {
+        uint256 first = _from > _start ? _from - _start : 0;
+        uint256 end = _to > _start ? _to - _start : 0;
+        if (end > _index.length) {
+            end = _index.length;
+        }
+        
+        for (uint256 i = first; i < end; i++) {
+            if (_visible(_index[i])) {
+                _found[_count] = _index[i];
+                _count++;
+            }
+        }
+        return _count;
+    }
+    
+    function _pageEnd(uint256 _offset, uint256 _limit, uint256 _total) internal pure returns (uint256) {
+        if (_offset >= _total) {
+            return _total;
+        }
+        return _total - _offset < _limit ? _total : _offset + _limit;
+    }
+    
+    function _trim(uint256[] memory _found, uint256 _count) internal pure returns (uint256[] memory result) {
+        result = new uint256[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            result[i] = _found[i];
+        }
+    }
+    
+    function _requirePageSize(uint256 _limit) internal pure {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "GrievanceSystemSecure: Invalid page size");
+    }
+    
+    function _isListed(uint256) internal pure returns (bool) {
+        return true;
+    }
+    
+    function _isRemandedAway(uint256 _grievanceId) internal view returns (bool) {
+        return !_isDeanGrievance(_grievanceId);
+    }
+    
+    function _isInCallerScope(uint256 _grievanceId) internal view returns (bool) {
+        return _isInScope(_msgSender(), _grievanceId);
+    }
+}
@@ -0,0 +1,276 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemStorage.sol";
+import "../interfaces/IGrievanceModule.sol";
+
+/**
+ * @title GrievanceRecusal
+ * @notice Moving grievances away from their handler in GrievanceSystemSecure: handlers can step aside from
+ *         a grievance, students can name staff who must never handle theirs (e.g. the HOD the grievance is
+ *         about), Year Coordinators or the admin can hand a HOD's grievance to another HOD, and the Dean
+ *         can send an escalated grievance back down with instructions
+ * @dev Reached through GrievanceSystemSecure's fallback with delegatecall, like GrievanceAdministration.
+ *      Staff with a conflict are out of scope for the grievance (see _isInScope), and assignGrievanceToHOD,
+ *      escalateToHOD and reassignHOD refuse them.
+ */
+contract GrievanceRecusal is GrievanceSystemStorage, IGrievanceModule {
+    
+    // ============ MODULE REGISTRATION ============
+    
+    /**
+     * @notice Functions GrievanceSystemSecure forwards to this module
+     * @dev Must list every external function below (checked against the ABI by the test suite)
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](5);
+        selectors[0] = this.recuse.selector;
+        selectors[1] = this.flagConflicts.selector;
+        selectors[2] = this.getConflicts.selector;
+        selectors[3] = this.reassignHOD.selector;
+        selectors[4] = this.remandGrievance.selector;
+    }
+    
+    // ============ HANDLER FUNCTIONS ============
+    
+    /**
+     * @notice Step aside from a grievance you are handling (CURRENT HANDLER ONLY)
+     * @dev A HOD hands it back to the level that assigned it, or to the Year Coordinators if it was
+     *      escalated or routed straight to the HOD. A Counselor or Year Coordinator returns it to
+     *      the other authorities at their level. The caller can never be given it again.
+     * @param _grievanceId Grievance the caller is assigned to or has picked up
+     * @param _reason Why (encrypted with the grievance data key)
+     */
+    function recuse(uint256 _grievanceId, string memory _reason) external whenNotPaused grievanceExists(_grievanceId) {
+        require(_isCurrentHandler(_grievanceId, _msgSender()), "GrievanceSystemSecure: Only the current handler can recuse");
+        require(bytes(_reason).length > 0, "GrievanceSystemSecure: Recusal reason required");
+        require(bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        
+        _addConflict(_grievanceId, _msgSender());
+        _returnForReassignment(_grievanceId, _msgSender(), _reason);
+    }
+    
+    /**
+     * @notice Hand a grievance waiting for its HOD to a different HOD, e.g. one on leave (YEAR COORDINATOR OR ADMIN)
+     * @dev Year Coordinators can only move grievances in their cohort. The new HOD must belong to the
+     *      grievance's department and have no conflict with it; the SLA clock restarts for them.
+     * @param _grievanceId Grievance in ASSIGNED_TO_HOD
+     * @param _newHod HOD to take it over
+     * @param _reason Why (encrypted with the grievance data key when a Year Coordinator reassigns)
+     */
+    function reassignHOD(uint256 _grievanceId, address _newHod, string memory _reason)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        recordsAction(_grievanceId, _reason)
+    {
+        Role callerRole = _activeRole(_msgSender());
+        require(
+            callerRole == Role.ADMIN || callerRole == Role.YEAR_COORDINATOR,
+            "GrievanceSystemSecure: Only Year Coordinator or admin can reassign"
+        );
+        require(_isInScope(_msgSender(), _grievanceId), "GrievanceSystemSecure: Grievance is outside your department or cohort");
+        
+        Grievance storage grievance = grievances[_grievanceId];
+        address oldHod = grievance.assignedHOD;
+        require(grievance.status == Status.ASSIGNED_TO_HOD, "GrievanceSystemSecure: Grievance is not waiting for a HOD");
+        require(_activeRole(_newHod) == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
+        require(_newHod != oldHod, "GrievanceSystemSecure: Already assigned to this HOD");
+        require(!grievanceConflicts[_grievanceId][_newHod], "GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+        require(_isInScope(_newHod, _grievanceId), "GrievanceSystemSecure: HOD is not in the grievance's department");
+        require(bytes(_reason).length > 0, "GrievanceSystemSecure: Reassignment reason required");
+        require(bytes(_reason).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        
+        _removeFromHodList(oldHod, _grievanceId);
+        grievance.assignedHOD = _newHod;
+        grievance.currentHandler = _newHod;
+        grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
+        hodGrievances[_newHod].push(_grievanceId);
+        
+        emit GrievanceReassigned(_grievanceId, oldHod, _newHod, _msgSender(), _reason, block.timestamp);
+    }
+    
+    // ============ DEAN FUNCTIONS ============
+    
+    /**
+     * @notice Send an escalated grievance back to a lower level with instructions (DEAN ONLY)
+     * @dev HOD assigns it to the chosen HOD, who must pass the same checks as in assignGrievanceToHOD,
+     *      or returns it to the HOD who had it. Counselor or Year Coordinator reopens it for that
+     *      level (in the grievance's department or cohort) to pick up or assign to a new HOD. The
+     *      grievance stays in the Dean's history, and the SLA clock restarts at the target level.
+     * @param _grievanceId Grievance in ESCALATED
+     * @param _targetLevel COUNSELOR, YEAR_COORDINATOR or HOD
+     * @param _hodAddress HOD to take it over at HOD level (zero = the HOD who had it; ignored otherwise)
+     * @param _instructions What the Dean expects done (encrypted with the grievance data key)
+     */
+    function remandGrievance(uint256 _grievanceId, Role _targetLevel, address _hodAddress, string memory _instructions)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyDean
+        recordsAction(_grievanceId, _instructions)
+    {
+        Grievance storage grievance = grievances[_grievanceId];
+        require(grievance.status == Status.ESCALATED, "GrievanceSystemSecure: Can only remand escalated grievances");
+        require(
+            _targetLevel == Role.COUNSELOR || _targetLevel == Role.YEAR_COORDINATOR || _targetLevel == Role.HOD,
+            "GrievanceSystemSecure: Invalid remand level"
+        );
+        require(bytes(_instructions).length > 0, "GrievanceSystemSecure: Remand instructions required");
+        require(bytes(_instructions).length <= MAX_REMARKS_LENGTH, "GrievanceSystemSecure: Remarks too long");
+        
+        address hod = grievance.assignedHOD;
+        address handler = address(0);
+        if (_targetLevel == Role.HOD) {
+            handler = _hodAddress == address(0) ? hod : _hodAddress;
+            require(handler != address(0), "GrievanceSystemSecure: No HOD has handled this grievance");
+            require(_activeRole(handler) == Role.HOD, "GrievanceSystemSecure: Address must be a HOD");
+            require(!grievanceConflicts[_grievanceId][handler], "GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+            require(_isInScope(handler, _grievanceId), "GrievanceSystemSecure: HOD is not in the grievance's department");
+            if (handler != hod) {
+                if (hod != address(0)) {
+                    _removeFromHodList(hod, _grievanceId);
+                }
+                grievance.assignedHOD = handler;
+                assignedToHOD[_grievanceId] = true;
+                hodGrievances[handler].push(_grievanceId);
+            }
+            _setLevel(_grievanceId, Role.HOD); // A grievance routed straight to the Dean was never at HOD level
+            _setStatus(_grievanceId, Status.ASSIGNED_TO_HOD);
+        } else {
+            if (hod != address(0)) {
+                _removeFromHodList(hod, _grievanceId);
+                grievance.assignedHOD = address(0);
+                assignedToHOD[_grievanceId] = false;
+            }
+            _setLevel(_grievanceId, _targetLevel);
+            _setStatus(_grievanceId, Status.IN_REVIEW);
+        }
+        
+        if (remandCount[_grievanceId] == 0) {
+            remandedGrievances.push(_grievanceId);
+        }
+        remandCount[_grievanceId]++;
+        grievance.currentHandler = handler;
+        grievance.lastUpdatedAt = block.timestamp;
+        levelEnteredAt[_grievanceId] = block.timestamp;
+        
+        emit GrievanceRemanded(_grievanceId, _msgSender(), _targetLevel, handler, _instructions, block.timestamp);
+    }
+    
+    // ============ STUDENT FUNCTIONS ============
+    
+    /**
+     * @notice Name staff who must never handle your grievance (STUDENTS ONLY)
+     * @dev Flags cannot be taken back. A flagged authority who is handling the grievance right now is
+     *      taken off it as if they had recused. Addresses already flagged are skipped.
+     * @param _grievanceId Open grievance submitted by the caller
+     * @param _staff Staff addresses; at most MAX_CONFLICT_FLAGS per grievance in total
+     */
+    function flagConflicts(uint256 _grievanceId, address[] calldata _staff)
+        external
+        whenNotPaused
+        grievanceExists(_grievanceId)
+        onlyStudent
+    {
+        Grievance storage grievance = grievances[_grievanceId];
+        require(grievance.studentAddress == _msgSender(), "GrievanceSystemSecure: Not your grievance");
+        require(
+            !_isFinal(_grievanceId) && grievance.status != Status.REQUEST_INFO,
+            "GrievanceSystemSecure: Cannot flag staff in current status"
+        );
+        
+        for (uint256 i = 0; i < _staff.length; i++) {
+            address staff = _staff[i];
+            require(staff != address(0) && staff != _msgSender(), "GrievanceSystemSecure: Invalid address");
+            if (grievanceConflicts[_grievanceId][staff]) {
+                continue;
+            }
+            require(studentConflictFlags[_grievanceId] < MAX_CONFLICT_FLAGS, "GrievanceSystemSecure: Too many conflict flags");
+            
+            studentConflictFlags[_grievanceId]++;
+            _addConflict(_grievanceId, staff);
+            emit ConflictFlagged(_grievanceId, staff, _msgSender(), block.timestamp);
+            
+            if (_isCurrentHandler(_grievanceId, staff)) {
+                _returnForReassignment(_grievanceId, staff, "");
+            }
+        }
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get the staff who may not handle a grievance (role-based visibility)
+     */
+    function getConflicts(uint256 _grievanceId) external view grievanceExists(_grievanceId) returns (address[] memory) {
+        _requireCanView(_grievanceId);
+        return grievanceConflictList[_grievanceId];
+    }
+    
+    // ============ INTERNAL HELPERS ============
+    
+    /**
+     * @notice Whether a user is handling a grievance in a state it can be handed back from
+     * @dev The assigned HOD while it waits for them, or the Counselor / Year Coordinator
+     *      who picked it up (or was named by a routing rule) at their level
+     */
+    function _isCurrentHandler(uint256 _grievanceId, address _user) internal view returns (bool) {
+        Grievance storage grievance = grievances[_grievanceId];
+        if (grievance.status == Status.ASSIGNED_TO_HOD) {
+            return grievance.assignedHOD == _user;
+        }
+        return (grievance.status == Status.SUBMITTED || grievance.status == Status.IN_REVIEW) &&
+            grievance.currentHandler == _user;
+    }
+    
+    function _addConflict(uint256 _grievanceId, address _staff) internal {
+        grievanceConflicts[_grievanceId][_staff] = true;
+        grievanceConflictList[_grievanceId].push(_staff);
+    }
+    
+    /**
+     * @notice Drop a grievance from a HOD's list, keeping the rest in ID order
+     */
+    function _removeFromHodList(address _hod, uint256 _grievanceId) internal {
+        uint256[] storage list = hodGrievances[_hod];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == _grievanceId) {
+                for (uint256 j = i + 1; j < list.length; j++) {
+                    list[j - 1] = list[j];
+                }
+                list.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @notice Take a grievance off its handler so someone else at the returned level can pick it up
+     */
+    function _returnForReassignment(uint256 _grievanceId, address _handler, string memory _reason) internal {
+        Grievance storage grievance = grievances[_grievanceId];
+        Status fromStatus = grievance.status;
+        Role fromLevel = grievanceLevel[_grievanceId];
+        Role level = fromLevel;
+        
+        if (grievance.status == Status.ASSIGNED_TO_HOD) {
+            _removeFromHodList(grievance.assignedHOD, _grievanceId);
+            grievance.assignedHOD = address(0);
+            assignedToHOD[_grievanceId] = false;
+            if (level == Role.HOD) {
+                level = Role.YEAR_COORDINATOR; // They choose HODs
+                _setLevel(_grievanceId, level);
+            }
+            levelEnteredAt[_grievanceId] = block.timestamp; // A new HOD has to be chosen
+        }
+        
+        grievance.currentHandler = address(0);
+        _setStatus(_grievanceId, Status.IN_REVIEW);
+        grievance.lastUpdatedAt = block.timestamp;
+        
+        emit HandlerRecused(_grievanceId, _handler, level, _msgSender(), _reason, block.timestamp);
+        _recordAction(_grievanceId, _msgSender(), fromStatus, fromLevel, _reason);
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GrievanceSystemSecure.sol";
+
+/**
+ * @title GrievanceSystemSecureV2
+ * @notice Upgrade target for the upgrade tests (TESTS ONLY - never deploy)
+ * @dev Same storage layout as GrievanceSystemSecure; only the reported version changes.
+ */
+contract GrievanceSystemSecureV2 is GrievanceSystemSecure {
+    constructor(address[] memory _modules) GrievanceSystemSecure(_modules) {}
+    
+    function version() public pure override returns (string memory) {
+        return "2.0.0-test";
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/ISemaphoreVerifier.sol";
+
+/**
+ * @title MockSemaphoreVerifier
+ * @notice Test double for the Semaphore verifier (TESTS ONLY - never deploy)
+ * @dev Accepts a proof only if proof[0] equals keccak256 of the public inputs,
+ *      so tests can produce "valid" and "invalid" proofs without a trusted setup.
+ */
+contract MockSemaphoreVerifier is ISemaphoreVerifier {
+    function verifyProof(
+        uint256 merkleTreeRoot,
+        uint256 nullifierHash,
+        uint256 signal,
+        uint256 externalNullifier,
+        uint256[8] calldata proof,
+        uint256 merkleTreeDepth
+    ) external pure override {
+        uint256 expected = uint256(
+            keccak256(abi.encode(merkleTreeRoot, nullifierHash, signal, externalNullifier, merkleTreeDepth))
+        );
+        require(proof[0] == expected, "MockSemaphoreVerifier: Invalid proof");
+    }
+}
@@ -4,11 +4,73 @@
 
 // Contract ABI - For GrievanceSystemSecure contract
 const CONTRACT_ABI = [
-  "function assignRole(address _user, uint8 _role) external",
-  "function revokeRole(address _user) external",
+  "function assignRole(address _user, uint8 _role) external returns (uint256)",
+  "function revokeRole(address _user) external returns (uint256)",
+  "function assignRoleUntil(address _user, uint8 _role, uint256 _expiresAt) external returns (uint256)",
+  "function renewRole(address _user, uint256 _expiresAt) external returns (uint256)",
+  "function getRoleTerms() external view returns (address[] users, uint8[] userRoles, uint256[] expiries)",
+  "function getProposalRoleExpiry(uint256 _proposalId) external view returns (uint256)",
+  "function assignRoles(address[] _users, uint8[] _roles) external returns (uint256)",
+  "function revokeRoles(address[] _users) external returns (uint256)",
+  "function getProposalBatch(uint256 _proposalId) external view returns (address[] users, uint8[] batchRoles)",
+  "function MAX_ROLE_BATCH() external view returns (uint256)",
+  "function transferAdmin(address _newAdmin, uint8 _formerAdminRole) external returns (uint256)",
+  "function acceptAdmin() external",
+  "function getPendingAdmin() external view returns (address nominee, uint8 formerAdminRole)",
+  "function addCouncilMember(address _member) external returns (uint256)",
+  "function removeCouncilMember(address _member) external returns (uint256)",
+  "function setCouncilThreshold(uint256 _threshold) external returns (uint256)",
+  "function setCouncilTimelock(uint256 _delay) external returns (uint256)",
+  "function setTrustedForwarder(address _forwarder) external returns (uint256)",
+  "function setGuardian(address _guardian) external returns (uint256)",
+  "function guardian() external view returns (address)",
+  "function paused() external view returns (bool)",
+  "function pauseReason() external view returns (string)",
+  "function pause(string _reason) external",
+  "function unpause(string _reason) external",
+  "function setSubmissionLimits(uint256 _cooldown, uint256 _maxOpen) external",
+  "function submissionCooldown() external view returns (uint256)",
+  "function maxOpenGrievances() external view returns (uint256)",
+  "function approveProposal(uint256 _proposalId) external",
+  "function executeProposal(uint256 _proposalId) external",
+  "function cancelProposal(uint256 _proposalId) external",
+  "function proposalCount() external view returns (uint256)",
+  "function getProposal(uint256 _proposalId) external view returns (tuple(uint8 action, address target, uint256 value, address proposer, uint256 approvals, uint256 createdAt, uint256 executableAt, bool executed, bool cancelled))",
+  "function hasApproved(uint256 _proposalId, address _member) external view returns (bool)",
+  "function getCouncil() external view returns (address[] members, uint256 threshold, uint256 timelock)",
+  "function enrollStudent(address _student) external",
+  "function enrollStudents(address[] _students) external returns (uint256)",
   "function getUserRole(address _user) external view returns (uint8)",
   "function admin() external view returns (address)",
-  "event RoleAssigned(address indexed user, uint8 role, address indexed assignedBy, uint256 timestamp)"
+  "function version() external pure returns (string)",
+  "function setRoleEncryptionKey(uint8 _role, bytes32 _publicKey) external",
+  "function roleEncryptionKeys(uint8 _role) external view returns (bytes32)",
+  "function setEnrollmentVerifier(address _verifier) external",
+  "function publishEnrollmentRoot(uint256 _root, uint256 _treeDepth) external",
+  "function enrollmentVerifier() external view returns (address)",
+  "function enrollmentRoot() external view returns (uint256)",
+  "function getEnrolledCommitments() external view returns (uint256[])",
+  "function createDepartment(string _name) external returns (uint256)",
+  "function createCohort(uint256 _departmentId, string _name) external returns (uint256)",
+  "function assignDepartment(address _user, uint256 _departmentId) external",
+  "function assignCohort(address[] _users, uint256 _cohortId) external",
+  "function departmentCount() external view returns (uint256)",
+  "function cohortCount() external view returns (uint256)",
+  "function departments(uint256 _departmentId) external view returns (string)",
+  "function cohorts(uint256 _cohortId) external view returns (uint256 departmentId, string name)",
+  "function userDepartment(address _user) external view returns (uint256)",
+  "function userCohort(address _user) external view returns (uint256)",
+  "function createCategory(string _name) external returns (uint256)",
+  "function setRoutingRule(uint256 _categoryId, uint8 _startLevel, address _handler) external",
+  "function categoryCount() external view returns (uint256)",
+  "function categories(uint256 _categoryId) external view returns (string)",
+  "function routingRules(uint256 _categoryId) external view returns (uint8 startLevel, address handler)",
+  "function setSlaDuration(uint8 _level, uint256 _duration) external",
+  "function slaDurations(uint8 _level) external view returns (uint256)",
+  "function reassignHOD(uint256 _grievanceId, address _newHod, string _reason) external",
+  "event RoleAssigned(address indexed user, uint8 role, address indexed assignedBy, uint256 timestamp)",
+  "event ProposalCreated(uint256 indexed proposalId, uint8 action, address indexed target, uint256 value, address indexed proposer, uint256 timestamp)",
+  "event ProposalExecuted(uint256 indexed proposalId, address indexed executedBy, uint256 timestamp)"
 ];
 
 // Global variables
@@ -19,22 +81,41 @@ let userAddress;
 
 // Role enum mapping (matches GrievanceSystemSecure.sol)
 const ROLE_NAMES = {
-  0: "Student",
-  1: "Counselor",
-  2: "Year Coordinator",
-  3: "HOD",
-  4: "Dean",
-  5: "Admin"
+  0: "Not Enrolled",
+  1: "Student",
+  2: "Counselor",
+  3: "Year Coordinator",
+  4: "HOD",
+  5: "Dean",
+  6: "Admin"
 };
 
 // Role enum values (for secure contract)
 const ROLE = {
-  STUDENT: 0,
-  COUNSELOR: 1,
-  YEAR_COORDINATOR: 2,
-  HOD: 3,
-  DEAN: 4,
-  ADMIN: 5
+  UNREGISTERED: 0,
+  STUDENT: 1,
+  COUNSELOR: 2,
+  YEAR_COORDINATOR: 3,
+  HOD: 4,
+  DEAN: 5,
+  ADMIN: 6
+};
+
+// ProposalAction enum values (matches GrievanceSystemStorage.sol)
+const PROPOSAL_ACTION = {
+  ASSIGN_ROLE: 0,
+  REVOKE_ROLE: 1,
+  TRANSFER_ADMIN: 2,
+  ADD_COUNCIL_MEMBER: 3,
+  REMOVE_COUNCIL_MEMBER: 4,
+  SET_THRESHOLD: 5,
+  SET_TIMELOCK: 6,
+  UPGRADE: 7,
+  ASSIGN_ROLES: 8,
+  REVOKE_ROLES: 9,
+  RENEW_ROLE: 10,
+  SET_FORWARDER: 11,
+  SET_GUARDIAN: 12
 };
 
 // ============ INITIALIZATION ============
@@ -98,6 +179,56 @@ function initAdmin() {
     });
   });
 
+  // Setup CSV role import
+  document.getElementById('roles-csv')?.addEventListener('change', handleRolesCsvSelected);
+  document.getElementById('roles-csv-submit')?.addEventListener('click', handleSubmitRolesCsv);
+
+  // Setup admin council
+  document.getElementById('propose-council-btn')?.addEventListener('click', handleProposeCouncilChange);
+  document.getElementById('propose-admin-btn')?.addEventListener('click', handleProposeAdminTransfer);
+  document.getElementById('accept-admin-btn')?.addEventListener('click', handleAcceptAdmin);
+
+  // Setup student enrollment
+  document.getElementById('enroll-student-btn')?.addEventListener('click', handleEnrollStudent);
+  document.getElementById('unenroll-student-btn')?.addEventListener('click', handleUnenrollStudent);
+  document.getElementById('bulk-enroll-btn')?.addEventListener('click', handleBulkEnroll);
+
+  // Setup departments and cohorts
+  document.getElementById('create-department-btn')?.addEventListener('click', handleCreateDepartment);
+  document.getElementById('create-cohort-btn')?.addEventListener('click', handleCreateCohort);
+  document.getElementById('assign-department-btn')?.addEventListener('click', handleAssignDepartment);
+  document.getElementById('assign-cohort-btn')?.addEventListener('click', handleAssignCohort);
+
+  // Setup categories and routing rules
+  document.getElementById('create-category-btn')?.addEventListener('click', handleCreateCategory);
+  document.getElementById('set-routing-btn')?.addEventListener('click', handleSetRoutingRule);
+
+  // Setup SLA durations
+  document.getElementById('sla-level')?.addEventListener('change', showSlaDuration);
+  document.getElementById('set-sla-btn')?.addEventListener('click', handleSetSlaDuration);
+
+  // Setup submission limits
+  document.getElementById('set-limits-btn')?.addEventListener('click', handleSetSubmissionLimits);
+
+  // Setup maintenance mode
+  document.getElementById('pause-btn')?.addEventListener('click', handlePause);
+  document.getElementById('unpause-btn')?.addEventListener('click', handleUnpause);
+
+  // Setup HOD reassignment
+  document.getElementById('reassign-hod-btn')?.addEventListener('click', handleReassignHOD);
+
+  // Setup encryption key management
+  const encryptionRoleSelect = document.getElementById('encryption-role');
+  if (encryptionRoleSelect) {
+    encryptionRoleSelect.addEventListener('change', showPublishedEncryptionKey);
+  }
+  document.getElementById('generate-key-btn')?.addEventListener('click', handleGenerateKeyPair);
+  document.getElementById('publish-key-btn')?.addEventListener('click', handlePublishEncryptionKey);
+
+  // Setup anonymous submission management
+  document.getElementById('set-verifier-btn')?.addEventListener('click', handleSetVerifier);
+  document.getElementById('publish-root-btn')?.addEventListener('click', handlePublishEnrollmentRoot);
+
   // Check for MetaMask on load
   if (typeof window.ethereum === 'undefined') {
     showMetaMaskWarning();
@@ -253,9 +384,45 @@ async function connectWallet() {
     const connectionDetailsEl = document.getElementById('connection-details');
     if (connectionDetailsEl) connectionDetailsEl.style.display = 'block';
     
+    const maintenancePanelEl = document.getElementById('maintenance-panel');
+    if (maintenancePanelEl) maintenancePanelEl.style.display = 'block';
+    
     const adminPanelEl = document.getElementById('admin-panel');
     if (adminPanelEl) adminPanelEl.style.display = 'block';
     
+    const roleTermsPanelEl = document.getElementById('role-terms-panel');
+    if (roleTermsPanelEl) roleTermsPanelEl.style.display = 'block';
+    
+    const councilPanelEl = document.getElementById('council-panel');
+    if (councilPanelEl) councilPanelEl.style.display = 'block';
+    
+    const adminTransferPanelEl = document.getElementById('admin-transfer-panel');
+    if (adminTransferPanelEl) adminTransferPanelEl.style.display = 'block';
+    
+    const enrollmentPanelEl = document.getElementById('enrollment-panel');
+    if (enrollmentPanelEl) enrollmentPanelEl.style.display = 'block';
+    
+    const departmentsPanelEl = document.getElementById('departments-panel');
+    if (departmentsPanelEl) departmentsPanelEl.style.display = 'block';
+    
+    const categoriesPanelEl = document.getElementById('categories-panel');
+    if (categoriesPanelEl) categoriesPanelEl.style.display = 'block';
+    
+    const slaPanelEl = document.getElementById('sla-panel');
+    if (slaPanelEl) slaPanelEl.style.display = 'block';
+    
+    const limitsPanelEl = document.getElementById('limits-panel');
+    if (limitsPanelEl) limitsPanelEl.style.display = 'block';
+    
+    const reassignPanelEl = document.getElementById('reassign-panel');
+    if (reassignPanelEl) reassignPanelEl.style.display = 'block';
+    
+    const encryptionPanelEl = document.getElementById('encryption-panel');
+    if (encryptionPanelEl) encryptionPanelEl.style.display = 'block';
+    
+    const anonymousPanelEl = document.getElementById('anonymous-panel');
+    if (anonymousPanelEl) anonymousPanelEl.style.display = 'block';
+    
     const verifyPanelEl = document.getElementById('verify-panel');
     if (verifyPanelEl) verifyPanelEl.style.display = 'block';
     
@@ -283,9 +450,20 @@ async function connectWallet() {
     }
     
     contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+    await showContractVersion();
+    await loadMaintenanceMode();
 
     // Verify if connected address is admin
     await checkAdminStatus();
+    await loadCouncil();
+    await loadRoleTerms();
+    await loadAdminTransfer();
+    await loadDepartments();
+    await loadCategories();
+    await showSlaDuration();
+    await showSubmissionLimits();
+    await showPublishedEncryptionKey();
+    await showEnrollmentStatus();
 
   } catch (error) {
     console.error('Error connecting wallet:', error);
@@ -303,11 +481,16 @@ async function checkAdminStatus() {
     
     const adminAddress = await contract.admin();
     const isAdmin = adminAddress.toLowerCase() === userAddress.toLowerCase();
+    const isMember = await isCouncilMember(userAddress);
     
-    if (!isAdmin) {
-      showError(`⚠️ Warning: Connected address is not the admin!\n\nAdmin address: ${adminAddress}\nYour address: ${userAddress}\n\nOnly the admin (contract deployer) can assign roles.`);
+    if (!isAdmin && !isMember) {
+      showError(`⚠️ Warning: Connected address is neither the admin nor a council member!\n\nAdmin address: ${adminAddress}\nYour address: ${userAddress}\n\nOnly council members can propose role changes, and only the admin can manage enrollment and configuration.`);
+    } else if (!isMember) {
+      showSuccess('✅ You are connected as the admin. Role changes need a council member.');
     } else {
-      showSuccess('✅ You are connected as the admin. You can assign roles.');
+      showSuccess(isAdmin
+        ? '✅ You are connected as the admin and a council member.'
+        : '✅ You are connected as a council member. Enrollment and configuration need the admin.');
     }
   } catch (error) {
     console.error('Error checking admin status:', error);
@@ -317,14 +500,16 @@ async function checkAdminStatus() {
 async function handleAssignRole(level, roleName, buttonElement) {
   // Map HTML level to secure contract role enum
   // HTML uses: 0=Counselor, 1=YearCoord, 2=HOD, 3=Dean
-  // Secure contract uses: 1=Counselor, 2=YearCoord, 3=HOD, 4=Dean
-  const roleEnum = level + 1; // Add 1 to convert from HTML level to contract enum
+  // Secure contract uses: 2=Counselor, 3=YearCoord, 4=HOD, 5=Dean
+  const roleEnum = level + ROLE.COUNSELOR; // Offset from HTML level to contract enum
   
   const inputId = level === 0 ? 'counselor-address' : 
                   level === 1 ? 'yearcoord-address' : 
                   level === 2 ? 'hod-address' : 'dean-address';
   const addressInput = document.getElementById(inputId);
   const address = addressInput.value.trim();
+  const expiryInput = document.getElementById(inputId.replace('-address', '-expiry'));
+  const expiresAt = dateInputToTimestamp(expiryInput?.value);
   const statusDiv = document.getElementById(`status-${level}`);
 
   if (!address) {
@@ -339,6 +524,12 @@ async function handleAssignRole(level, roleName, buttonElement) {
     return;
   }
 
+  if (expiresAt !== null && expiresAt <= Date.now() / 1000) {
+    statusDiv.textContent = 'The term must end in the future';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
   if (!contract) {
     alert('Please connect your wallet first!');
     return;
@@ -348,17 +539,25 @@ async function handleAssignRole(level, roleName, buttonElement) {
     statusDiv.textContent = `Assigning ${roleName} role...`;
     statusDiv.className = 'status-message info';
 
-    // Use assignRole with role enum (1-4 for Counselor, YearCoord, HOD, Dean)
-    const tx = await contract.assignRole(address, roleEnum);
+    // Use assignRole with role enum (2-5 for Counselor, YearCoord, HOD, Dean), or assignRoleUntil for a term
+    const tx = expiresAt === null
+      ? await contract.assignRole(address, roleEnum)
+      : await contract.assignRoleUntil(address, roleEnum, expiresAt);
     statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
     
-    await tx.wait();
+    const outcome = getProposalOutcome(await tx.wait());
     
-    statusDiv.textContent = `✅ ${roleName} role assigned successfully to ${address.substring(0, 6)}...${address.substring(38)}!`;
+    statusDiv.textContent = outcome.executed
+      ? `✅ ${roleName} role assigned successfully to ${address.substring(0, 6)}...${address.substring(38)}!`
+      : `📝 Proposal #${outcome.proposalId} to make ${address.substring(0, 6)}...${address.substring(38)} ${roleName} created. ` +
+        'It takes effect once the council approves it and the timelock passes.';
     statusDiv.className = 'status-message success';
+    await loadCouncil();
+    await loadRoleTerms();
     
-    // Clear input after successful assignment
+    // Clear inputs after successful assignment
     addressInput.value = '';
+    if (expiryInput) expiryInput.value = '';
 
   } catch (error) {
     console.error('Error assigning role:', error);
@@ -373,8 +572,8 @@ async function handleAssignRole(level, roleName, buttonElement) {
     }
     
     // Check for common errors
-    if (errorMessage.includes('Only admin')) {
-      errorMessage = '❌ Only the admin (contract deployer) can assign roles. Please connect with the deployer account.';
+    if (errorMessage.includes('Only council members')) {
+      errorMessage = '❌ Only admin council members can propose role changes. Please connect with a council member account.';
     } else if (errorMessage.includes('Cannot assign role to yourself')) {
       errorMessage = '❌ Cannot assign role to yourself.';
     } else if (errorMessage.includes('Cannot assign ADMIN role')) {
@@ -386,89 +585,1538 @@ async function handleAssignRole(level, roleName, buttonElement) {
   }
 }
 
-async function verifyRoles() {
-  const addressInput = document.getElementById('verify-address');
-  const address = addressInput.value.trim();
-  const resultDiv = document.getElementById('verify-result');
-
-  if (!address) {
-    resultDiv.innerHTML = '<p class="status-message error">Please enter an address to check</p>';
-    return;
+/**
+ * Show the version of the implementation behind the proxy (the address stays the same across upgrades)
+ */
+async function showContractVersion() {
+  const versionEl = document.getElementById('contract-version');
+  if (!versionEl || !contract) return;
+  try {
+    versionEl.textContent = `v${await contract.version()}`;
+  } catch (error) {
+    console.warn('Could not read the contract version:', error);
+    versionEl.textContent = 'unknown (deployed before upgrades were supported)';
   }
+}
 
-  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
-    resultDiv.innerHTML = '<p class="status-message error">Invalid Ethereum address format</p>';
-    return;
-  }
+// ============ CSV ROLE IMPORT ============
+
+// Role column values (case-insensitive; "_" and "-" read as spaces). None revokes the current role.
+const CSV_ROLES = {
+  'student': ROLE.STUDENT,
+  'counselor': ROLE.COUNSELOR,
+  'year coordinator': ROLE.YEAR_COORDINATOR,
+  'hod': ROLE.HOD,
+  'dean': ROLE.DEAN,
+  'none': ROLE.UNREGISTERED
+};
+
+// Rows of the loaded CSV with their validation error, on-chain diff and submission result
+let csvRoleRows = [];
+
+function setRolesCsvStatus(message, type) {
+  const statusDiv = document.getElementById('roles-csv-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+/**
+ * Parse "address,role" lines; a header row starting with "address" and blank lines are skipped
+ * @returns {{line: number, address: string, roleName: string, role: number|null, error: string|null}[]}
+ */
+function parseRolesCsv(text) {
+  const rows = [];
+  const seen = new Set();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (!rawLine.trim()) return;
+    const [address = '', roleName = '', ...extra] = rawLine.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    if (index === 0 && address.toLowerCase() === 'address') return;
+
+    const row = { line: index + 1, address, roleName, role: null, error: null };
+    const roleKey = roleName.toLowerCase().replace(/[_-]/g, ' ').replace(/\s+/g, ' ');
+    if (!ethers.utils.isAddress(address)) {
+      row.error = 'Invalid address';
+    } else if (extra.some(cell => cell.length > 0)) {
+      row.error = 'Expected two columns: address,role';
+    } else if (!(roleKey in CSV_ROLES)) {
+      row.error = `Unknown role "${roleName}"`;
+    } else {
+      row.address = ethers.utils.getAddress(address);
+      row.role = CSV_ROLES[roleKey];
+      if (seen.has(row.address)) row.error = 'Address already listed on an earlier line';
+      seen.add(row.address);
+    }
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * Validate the chosen CSV and preview it against the roles currently on-chain
+ */
+async function handleRolesCsvSelected(event) {
+  const file = event.target.files[0];
+  csvRoleRows = [];
+  renderRolesCsvPreview();
+  if (!file) return;
 
   if (!contract) {
     alert('Please connect your wallet first!');
+    event.target.value = '';
     return;
   }
 
   try {
-    resultDiv.innerHTML = '<p class="status-message info">Checking role...</p>';
-    
-    const roleValue = await contract.getUserRole(address);
-    const roleNum = parseInt(roleValue.toString());
-    const roleName = ROLE_NAMES[roleNum] || 'Unknown';
-    
-    // Also check if it's the admin
+    setRolesCsvStatus('Reading current roles...', 'info');
+    const rows = parseRolesCsv(await file.text());
+    if (rows.length === 0) {
+      setRolesCsvStatus('The file has no address,role rows', 'error');
+      return;
+    }
     const adminAddress = await contract.admin();
-    const isAdmin = adminAddress.toLowerCase() === address.toLowerCase();
-    
-    let resultHTML = '<div class="status-message success">';
-    resultHTML += `<strong>Role for ${address.substring(0, 6)}...${address.substring(38)}:</strong><br>`;
-    
-    if (isAdmin) {
-      resultHTML += `<strong style="color: #10b981;">Admin (Contract Deployer)</strong><br>`;
+
+    for (const row of rows) {
+      if (row.error) continue;
+      // Same rules the contract applies to every entry of a batch
+      if (row.address === adminAddress) {
+        row.error = 'The admin changes only through Admin Transfer';
+        continue;
+      }
+      row.currentRole = parseInt((await contract.getUserRole(row.address)).toString());
+      if (row.address.toLowerCase() === userAddress.toLowerCase() && csvRowChange(row) === 'assign') {
+        row.error = 'Cannot assign a role to yourself';
+      }
     }
-    
-    resultHTML += `<strong>Assigned Role:</strong> ${roleName} (${roleNum})`;
-    resultHTML += '</div>';
-    
-    resultDiv.innerHTML = resultHTML;
 
+    csvRoleRows = rows;
+    renderRolesCsvPreview();
   } catch (error) {
-    console.error('Error verifying role:', error);
-    resultDiv.innerHTML = '<p class="status-message error">Error checking role: ' + (error.message || 'Unknown error') + '</p>';
+    console.error('Error reading roles CSV:', error);
+    setRolesCsvStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
   }
 }
 
-function showError(message) {
-  const statusDiv = document.getElementById('status-message') || document.body;
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'status-message error';
-  errorDiv.textContent = message;
-  errorDiv.style.margin = '10px 0';
-  errorDiv.style.padding = '10px';
-  
-  if (statusDiv.id === 'status-message') {
-    statusDiv.innerHTML = '';
-    statusDiv.appendChild(errorDiv);
-  } else {
-    const container = document.querySelector('.container');
-    if (container) {
-      container.insertBefore(errorDiv, container.firstChild);
+function csvRowChange(row) {
+  if (row.error) return 'invalid';
+  if (row.role === row.currentRole) return 'unchanged';
+  return row.role === ROLE.UNREGISTERED ? 'revoke' : 'assign';
+}
+
+function renderRolesCsvPreview() {
+  const preview = document.getElementById('roles-csv-preview');
+  const submitBtn = document.getElementById('roles-csv-submit');
+  const pending = csvRoleRows.filter(row => !row.result && ['assign', 'revoke'].includes(csvRowChange(row)));
+
+  submitBtn.style.display = pending.length > 0 ? 'inline-block' : 'none';
+  submitBtn.textContent = csvRoleRows.some(row => row.failure) ? 'Retry Failed Rows' : 'Submit Changes';
+  if (csvRoleRows.length === 0) {
+    preview.innerHTML = '';
+    return;
+  }
+
+  const counts = { assign: 0, revoke: 0, unchanged: 0, invalid: 0 };
+  const rowsHtml = csvRoleRows.map(row => {
+    const change = csvRowChange(row);
+    counts[change]++;
+    let outcome = { assign: 'Will assign', revoke: 'Will revoke', unchanged: 'No change' }[change] || `❌ ${row.error}`;
+    if (row.result) outcome = row.result;
+    else if (row.failure) outcome = `❌ ${row.failure}`;
+    return `
+      <tr class="csv-${change}">
+        <td>${row.line}</td>
+        <td><code>${escapeHtml(row.address)}</code></td>
+        <td>${row.currentRole === undefined ? '' : ROLE_NAMES[row.currentRole]}</td>
+        <td>${row.role === null ? escapeHtml(row.roleName) : ROLE_NAMES[row.role]}</td>
+        <td>${escapeHtml(outcome)}</td>
+      </tr>`;
+  }).join('');
+
+  preview.innerHTML = `
+    <table class="csv-preview-table">
+      <thead><tr><th>Line</th><th>Address</th><th>Current Role</th><th>New Role</th><th>Result</th></tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>`;
+
+  if (!csvRoleRows.some(row => row.result || row.failure)) {
+    setRolesCsvStatus(
+      `${counts.assign} to assign, ${counts.revoke} to revoke, ${counts.unchanged} unchanged` +
+        (counts.invalid > 0 ? `, ${counts.invalid} invalid (skipped)` : ''),
+      counts.invalid > 0 ? 'error' : 'info'
+    );
+  }
+}
+
+/**
+ * Propose the previewed changes in assignRoles / revokeRoles batches, recording each row's outcome
+ */
+async function handleSubmitRolesCsv() {
+  const submitBtn = document.getElementById('roles-csv-submit');
+  const batchSize = (await contract.MAX_ROLE_BATCH()).toNumber();
+  const batches = [];
+  for (const change of ['assign', 'revoke']) {
+    const rows = csvRoleRows.filter(row => !row.result && csvRowChange(row) === change);
+    for (let i = 0; i < rows.length; i += batchSize) {
+      batches.push({ change, rows: rows.slice(i, i + batchSize) });
+    }
+  }
+
+  submitBtn.disabled = true;
+  for (const [index, batch] of batches.entries()) {
+    setRolesCsvStatus(`Submitting batch ${index + 1} of ${batches.length} (${batch.rows.length} rows)...`, 'info');
+    try {
+      const users = batch.rows.map(row => row.address);
+      const tx = batch.change === 'assign'
+        ? await contract.assignRoles(users, batch.rows.map(row => row.role))
+        : await contract.revokeRoles(users);
+      const outcome = getProposalOutcome(await tx.wait());
+      batch.rows.forEach(row => {
+        row.result = outcome.executed ? '✅ Done' : `📝 In proposal #${outcome.proposalId}`;
+        delete row.failure;
+      });
+    } catch (error) {
+      console.error('Error submitting role batch:', error);
+      const reason = error.reason || error.message || 'Unknown error occurred';
+      batch.rows.forEach(row => { row.failure = reason; });
     }
+    renderRolesCsvPreview();
   }
+  submitBtn.disabled = false;
+
+  const failed = csvRoleRows.filter(row => row.failure && !row.result).length;
+  const proposed = csvRoleRows.some(row => row.result && row.result.startsWith('📝'));
+  setRolesCsvStatus(
+    failed > 0
+      ? `${failed} row(s) failed; see the Result column. Fix the cause and retry, or load a corrected file.`
+      : proposed
+        ? '📝 Changes proposed. They take effect once the council approves them and the timelock passes.'
+        : '✅ All changes applied',
+    failed > 0 ? 'error' : 'success'
+  );
+  await loadCouncil();
 }
 
-function showSuccess(message) {
-  const statusDiv = document.getElementById('status-message') || document.body;
-  const successDiv = document.createElement('div');
-  successDiv.className = 'status-message success';
-  successDiv.textContent = message;
-  successDiv.style.margin = '10px 0';
-  successDiv.style.padding = '10px';
-  
-  if (statusDiv.id === 'status-message') {
-    statusDiv.innerHTML = '';
-    statusDiv.appendChild(successDiv);
-  } else {
-    const container = document.querySelector('.container');
-    if (container) {
-      container.insertBefore(successDiv, container.firstChild);
+// ============ ROLE TERMS ============
+
+const EXPIRING_SOON_DAYS = 30;
+
+function setRoleTermsStatus(message, type) {
+  const statusDiv = document.getElementById('role-terms-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+/**
+ * Unix timestamp for the start of a day picked in a date input (local time), or null if none was picked
+ */
+function dateInputToTimestamp(value) {
+  return value ? Math.floor(new Date(`${value}T00:00`).getTime() / 1000) : null;
+}
+
+/**
+ * List the term-limited roles that have lapsed or end within EXPIRING_SOON_DAYS, soonest first
+ */
+async function loadRoleTerms() {
+  if (!contract) return;
+
+  try {
+    const terms = await contract.getRoleTerms();
+    const now = Math.floor(Date.now() / 1000);
+    const expiring = terms.users
+      .map((user, i) => ({ user, role: terms.userRoles[i], expiresAt: terms.expiries[i].toNumber() }))
+      .filter(term => term.expiresAt <= now + EXPIRING_SOON_DAYS * 86400)
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+
+    const listDiv = document.getElementById('role-terms-list');
+    listDiv.innerHTML = '';
+    for (const term of expiring) {
+      const item = document.createElement('div');
+      item.className = 'proposal-item';
+      item.innerHTML = `
+        <div>
+          <strong>${ROLE_NAMES[term.role]} <code>${shortAddress(term.user)}</code></strong>
+          <p class="role-description">${term.expiresAt <= now ? '⛔ Lapsed' : '⏳ Ends'} ${new Date(term.expiresAt * 1000).toLocaleString()}</p>
+        </div>
+        <div class="proposal-actions">
+          <input type="date" title="New end of the term">
+          <button class="btn btn-small btn-primary">Renew</button>
+          <button class="btn btn-small btn-danger">Revoke</button>
+        </div>`;
+      const [renewButton, revokeButton] = item.querySelectorAll('button');
+      renewButton.addEventListener('click', () => handleRoleTermAction(term.user, item.querySelector('input').value));
+      revokeButton.addEventListener('click', () => handleRoleTermAction(term.user, null));
+      listDiv.appendChild(item);
+    }
+
+    if (!listDiv.hasChildNodes()) {
+      listDiv.innerHTML = `<p class="empty-state">No roles end in the next ${EXPIRING_SOON_DAYS} days.</p>`;
+    }
+    const later = terms.users.length - expiring.length;
+    if (later > 0) {
+      listDiv.insertAdjacentHTML('beforeend', `<p class="role-description">${later} other term-limited role(s) end later.</p>`);
+    }
+  } catch (error) {
+    console.error('Error loading role terms:', error);
+  }
+}
+
+/**
+ * Propose renewing a role until renewDate (a date input value), or revoking it when renewDate is null
+ */
+async function handleRoleTermAction(user, renewDate) {
+  const expiresAt = dateInputToTimestamp(renewDate);
+  if (renewDate !== null && (expiresAt === null || expiresAt <= Date.now() / 1000)) {
+    setRoleTermsStatus('Pick a new end date in the future', 'error');
+    return;
+  }
+  if (renewDate === null && !confirm(`Revoke the role of ${user}?`)) {
+    return;
+  }
+
+  try {
+    setRoleTermsStatus(`${renewDate ? 'Renewing' : 'Revoking'} the role of ${shortAddress(user)}...`, 'info');
+    const tx = renewDate ? await contract.renewRole(user, expiresAt) : await contract.revokeRole(user);
+    const outcome = getProposalOutcome(await tx.wait());
+
+    setRoleTermsStatus(outcome.executed
+      ? `✅ Role of ${shortAddress(user)} ${renewDate ? `renewed until ${renewDate}` : 'revoked'}`
+      : `📝 Proposal #${outcome.proposalId} created. It takes effect once the council approves it and the timelock passes.`,
+      'success');
+    await loadRoleTerms();
+    await loadCouncil();
+  } catch (error) {
+    console.error('Error changing role term:', error);
+    setRoleTermsStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+// ============ MAINTENANCE MODE ============
+
+// Buttons of admin functions the contract rejects while paused (council, admin transfer and local key generation keep working)
+const PAUSABLE_BUTTON_IDS = [
+  'enroll-student-btn', 'bulk-enroll-btn', 'create-department-btn', 'create-cohort-btn',
+  'assign-department-btn', 'assign-cohort-btn', 'create-category-btn', 'set-routing-btn',
+  'set-sla-btn', 'set-limits-btn', 'reassign-hod-btn', 'publish-key-btn', 'set-verifier-btn', 'publish-root-btn'
+];
+
+function setMaintenanceStatus(message, type) {
+  const statusDiv = document.getElementById('maintenance-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+/**
+ * Read the pause state, then update the banner, the Maintenance Mode card and the buttons it disables
+ */
+async function loadMaintenanceMode() {
+  if (!contract) return;
+  let paused = false;
+  let reason = '';
+  let guardian = ethers.constants.AddressZero;
+  try {
+    [paused, reason, guardian] = await Promise.all([contract.paused(), contract.pauseReason(), contract.guardian()]);
+  } catch (error) {
+    // Deployments from before maintenance mode cannot be paused
+    console.warn('Could not read the pause state:', error);
+  }
+
+  const banner = document.getElementById('maintenance-banner');
+  banner.textContent = paused ? `🚧 The system is paused for maintenance: ${reason}` : '';
+  banner.style.display = paused ? 'block' : 'none';
+
+  document.getElementById('maintenance-summary').textContent = `Status: ${paused ? 'Paused' : 'Running'} • Guardian: ${
+    guardian === ethers.constants.AddressZero ? 'none (set one through the council)' : shortAddress(guardian)}`;
+  document.getElementById('pause-btn').style.display = paused ? 'none' : 'inline-block';
+  document.getElementById('unpause-btn').style.display = paused ? 'inline-block' : 'none';
+
+  for (const id of PAUSABLE_BUTTON_IDS) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = paused;
+  }
+}
+
+async function handlePause() {
+  const reasonInput = document.getElementById('maintenance-reason');
+  const reason = reasonInput.value.trim();
+  if (!reason) {
+    setMaintenanceStatus('Please give a reason - every user sees it in the maintenance banner', 'error');
+    return;
+  }
+  if (!confirm('Pause the system? Students and authorities will not be able to act until the admin resumes it.')) {
+    return;
+  }
+
+  try {
+    setMaintenanceStatus('Pausing the system...', 'info');
+    const tx = await contract.pause(reason);
+    setMaintenanceStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setMaintenanceStatus('✅ System paused', 'success');
+    reasonInput.value = '';
+    await loadMaintenanceMode();
+  } catch (error) {
+    console.error('Error pausing the system:', error);
+    setMaintenanceStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleUnpause() {
+  const reasonInput = document.getElementById('maintenance-reason');
+
+  try {
+    setMaintenanceStatus('Resuming the system...', 'info');
+    const tx = await contract.unpause(reasonInput.value.trim());
+    setMaintenanceStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setMaintenanceStatus('✅ System resumed', 'success');
+    reasonInput.value = '';
+    await loadMaintenanceMode();
+  } catch (error) {
+    console.error('Error resuming the system:', error);
+    setMaintenanceStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+// ============ ADMIN COUNCIL ============
+
+function setCouncilStatus(message, type) {
+  const statusDiv = document.getElementById('council-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+function shortAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(38)}`;
+}
+
+function formatDuration(seconds) {
+  if (seconds === 0) return 'none';
+  return seconds % 86400 === 0 ? `${seconds / 86400} day(s)` : `${+(seconds / 3600).toFixed(2)} hour(s)`;
+}
+
+async function isCouncilMember(address) {
+  const council = await contract.getCouncil();
+  return council.members.some(member => member.toLowerCase() === address.toLowerCase());
+}
+
+/**
+ * Proposal ID from a proposing transaction, and whether it already executed (ready at once)
+ */
+function getProposalOutcome(receipt) {
+  const created = receipt.events.find(event => event.event === 'ProposalCreated');
+  return {
+    proposalId: created ? created.args.proposalId.toString() : null,
+    executed: receipt.events.some(event => event.event === 'ProposalExecuted')
+  };
+}
+
+function describeProposal(proposal) {
+  const target = shortAddress(proposal.target);
+  switch (proposal.action) {
+    case PROPOSAL_ACTION.ASSIGN_ROLE: return `Assign ${ROLE_NAMES[proposal.value.toNumber()]} to ${target}`;
+    case PROPOSAL_ACTION.REVOKE_ROLE: return `Revoke the role of ${target}`;
+    case PROPOSAL_ACTION.TRANSFER_ADMIN:
+      return `Nominate ${target} as admin (current admin becomes ${ROLE_NAMES[proposal.value.toNumber()]})`;
+    case PROPOSAL_ACTION.ADD_COUNCIL_MEMBER: return `Add ${target} to the council`;
+    case PROPOSAL_ACTION.REMOVE_COUNCIL_MEMBER: return `Remove ${target} from the council`;
+    case PROPOSAL_ACTION.SET_THRESHOLD: return `Require ${proposal.value} approval(s)`;
+    case PROPOSAL_ACTION.UPGRADE: return `Upgrade the contract to implementation ${target}`;
+    case PROPOSAL_ACTION.ASSIGN_ROLES: return `Assign roles to ${proposal.value} address(es)`;
+    case PROPOSAL_ACTION.REVOKE_ROLES: return `Revoke the roles of ${proposal.value} address(es)`;
+    case PROPOSAL_ACTION.RENEW_ROLE:
+      return `Renew the role of ${target} until ${new Date(proposal.value.toNumber() * 1000).toLocaleString()}`;
+    case PROPOSAL_ACTION.SET_FORWARDER:
+      return proposal.target === ethers.constants.AddressZero
+        ? 'Turn off gasless transactions'
+        : `Trust ${target} to forward gasless transactions`;
+    case PROPOSAL_ACTION.SET_GUARDIAN:
+      return proposal.target === ethers.constants.AddressZero
+        ? 'Remove the pause guardian'
+        : `Let ${target} pause the system`;
+    default: return `Set the timelock to ${formatDuration(proposal.value.toNumber())}`;
+  }
+}
+
+/**
+ * Read the council and its pending proposals and refresh the panel
+ */
+async function loadCouncil() {
+  if (!contract) return;
+
+  try {
+    const council = await contract.getCouncil();
+    const threshold = council.threshold.toNumber();
+    const isMember = council.members.some(member => member.toLowerCase() === userAddress.toLowerCase());
+
+    document.getElementById('council-summary').innerHTML = `
+      <p><strong>${threshold} of ${council.members.length}</strong> approvals needed,
+        timelock: <strong>${formatDuration(council.timelock.toNumber())}</strong></p>
+      <ul>${council.members.map(member => `<li><code>${member}</code></li>`).join('')}</ul>`;
+
+    const listDiv = document.getElementById('proposals-list');
+    listDiv.innerHTML = '';
+    const now = Math.floor(Date.now() / 1000);
+    const proposalCount = (await contract.proposalCount()).toNumber();
+    for (let id = proposalCount; id >= 1; id--) {
+      const proposal = await contract.getProposal(id);
+      if (proposal.executed || proposal.cancelled) continue;
+
+      const executableAt = proposal.executableAt.toNumber();
+      const approvedEnough = proposal.approvals.toNumber() >= threshold;
+      // Enough approvals but not queued: the threshold was lowered after the last approval
+      const queueable = executableAt === 0 && approvedEnough;
+      const ready = executableAt !== 0 && approvedEnough && executableAt <= now;
+      const approved = await contract.hasApproved(id, userAddress);
+      const stage = executableAt === 0
+        ? `${proposal.approvals}/${threshold} approvals`
+        : ready ? 'Ready to execute' : `Executable ${new Date(executableAt * 1000).toLocaleString()}`;
+
+      const item = document.createElement('div');
+      item.className = 'proposal-item';
+      item.innerHTML = `
+        <div>
+          <strong>#${id}: ${escapeHtml(describeProposal(proposal))}</strong>
+          <p class="role-description">Proposed by <code>${shortAddress(proposal.proposer)}</code> · ${stage}</p>
+        </div>
+        <div class="proposal-actions"></div>`;
+
+      if (proposal.action === PROPOSAL_ACTION.ASSIGN_ROLES || proposal.action === PROPOSAL_ACTION.REVOKE_ROLES) {
+        const batch = await contract.getProposalBatch(id);
+        const entries = batch.users.map((user, i) => proposal.action === PROPOSAL_ACTION.ASSIGN_ROLES
+          ? `<li><code>${shortAddress(user)}</code> → ${ROLE_NAMES[batch.batchRoles[i]]}</li>`
+          : `<li><code>${shortAddress(user)}</code></li>`);
+        item.firstElementChild.insertAdjacentHTML('beforeend', `<ul class="proposal-batch">${entries.join('')}</ul>`);
+      } else if (proposal.action === PROPOSAL_ACTION.ASSIGN_ROLE) {
+        const expiresAt = (await contract.getProposalRoleExpiry(id)).toNumber();
+        if (expiresAt !== 0) {
+          item.firstElementChild.insertAdjacentHTML('beforeend',
+            `<p class="role-description">Term ends ${new Date(expiresAt * 1000).toLocaleString()}</p>`);
+        }
+      }
+
+      const actions = item.querySelector('.proposal-actions');
+      const addButton = (label, className, action) => {
+        const button = document.createElement('button');
+        button.className = `btn btn-small ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', () => handleProposalAction(id, action));
+        actions.appendChild(button);
+      };
+      if (isMember && !approved) addButton('Approve', 'btn-primary', 'approve');
+      if (isMember && (ready || queueable)) {
+        addButton(ready || council.timelock.isZero() ? 'Execute' : 'Start timelock', 'btn-primary', 'execute');
+      }
+      if (isMember && proposal.proposer.toLowerCase() === userAddress.toLowerCase()) {
+        addButton('Cancel', 'btn-danger', 'cancel');
+      }
+      listDiv.appendChild(item);
+    }
+
+    if (!listDiv.hasChildNodes()) {
+      listDiv.innerHTML = '<p class="empty-state">No pending proposals.</p>';
+    }
+  } catch (error) {
+    console.error('Error loading council:', error);
+  }
+}
+
+async function handleProposeCouncilChange() {
+  const action = document.getElementById('council-action').value;
+  const valueInput = document.getElementById('council-value');
+  const value = valueInput.value.trim();
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  const needsAddress = ['add', 'remove', 'forwarder', 'guardian'].includes(action);
+  if (needsAddress && !/^0x[a-fA-F0-9]{40}$/.test(value)) {
+    setCouncilStatus('Invalid Ethereum address format', 'error');
+    return;
+  }
+  if (!needsAddress && (value === '' || isNaN(Number(value)) || Number(value) < 0)) {
+    setCouncilStatus('Please enter a number', 'error');
+    return;
+  }
+
+  try {
+    setCouncilStatus('Creating proposal...', 'info');
+    let tx;
+    if (action === 'add') {
+      tx = await contract.addCouncilMember(value);
+    } else if (action === 'remove') {
+      tx = await contract.removeCouncilMember(value);
+    } else if (action === 'forwarder') {
+      tx = await contract.setTrustedForwarder(value);
+    } else if (action === 'guardian') {
+      tx = await contract.setGuardian(value);
+    } else if (action === 'threshold') {
+      tx = await contract.setCouncilThreshold(parseInt(value));
+    } else {
+      tx = await contract.setCouncilTimelock(Math.round(Number(value) * 3600));
     }
+    setCouncilStatus('Transaction sent! Waiting for confirmation...', 'info');
+    const outcome = getProposalOutcome(await tx.wait());
+
+    setCouncilStatus(outcome.executed
+      ? `✅ Proposal #${outcome.proposalId} executed`
+      : `📝 Proposal #${outcome.proposalId} created and approved by you`, 'success');
+    valueInput.value = '';
+    await loadCouncil();
+    await checkAdminStatus();
+    await loadMaintenanceMode();
+  } catch (error) {
+    console.error('Error creating proposal:', error);
+    setCouncilStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleProposalAction(proposalId, action) {
+  if (action === 'cancel' && !confirm(`Cancel proposal #${proposalId}? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    setCouncilStatus(`${action === 'approve' ? 'Approving' : action === 'execute' ? 'Executing' : 'Cancelling'} proposal #${proposalId}...`, 'info');
+    const tx = action === 'approve'
+      ? await contract.approveProposal(proposalId)
+      : action === 'execute'
+        ? await contract.executeProposal(proposalId)
+        : await contract.cancelProposal(proposalId);
+    const receipt = await tx.wait();
+
+    const executed = receipt.events.some(event => event.event === 'ProposalExecuted');
+    setCouncilStatus(executed
+      ? `✅ Proposal #${proposalId} executed`
+      : `✅ Proposal #${proposalId} ${action === 'cancel' ? 'cancelled' : action === 'execute' ? 'queued' : 'approved'}`, 'success');
+    await loadCouncil();
+    await loadRoleTerms();
+    await loadMaintenanceMode();
+    await showContractVersion(); // An executed upgrade changes it
+  } catch (error) {
+    console.error(`Error on proposal #${proposalId}:`, error);
+    setCouncilStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
   }
 }
+
+// ============ ADMIN TRANSFER ============
+
+function setAdminTransferStatus(message, type) {
+  const statusDiv = document.getElementById('admin-transfer-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+/**
+ * Show the current admin and any nomination waiting to be accepted
+ */
+async function loadAdminTransfer() {
+  if (!contract) return;
+
+  try {
+    const adminAddress = await contract.admin();
+    const pending = await contract.getPendingAdmin();
+    const hasNominee = pending.nominee !== ethers.constants.AddressZero;
+
+    document.getElementById('admin-transfer-summary').innerHTML = `
+      <p><strong>Current admin:</strong> <code>${adminAddress}</code></p>
+      <p><strong>Nominee:</strong> ${hasNominee
+        ? `<code>${pending.nominee}</code> (not accepted yet; current admin then becomes ${ROLE_NAMES[pending.formerAdminRole]})`
+        : 'none'}</p>`;
+
+    const isNominee = hasNominee && pending.nominee.toLowerCase() === userAddress.toLowerCase();
+    document.getElementById('accept-admin-btn').style.display = isNominee ? 'inline-block' : 'none';
+  } catch (error) {
+    console.error('Error loading admin transfer:', error);
+  }
+}
+
+async function handleProposeAdminTransfer() {
+  const addressInput = document.getElementById('new-admin-address');
+  const address = addressInput.value.trim();
+  const formerAdminRole = parseInt(document.getElementById('former-admin-role').value);
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    setAdminTransferStatus('Invalid Ethereum address format', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setAdminTransferStatus('Proposing admin transfer...', 'info');
+    const tx = await contract.transferAdmin(address, formerAdminRole);
+    setAdminTransferStatus('Transaction sent! Waiting for confirmation...', 'info');
+    const outcome = getProposalOutcome(await tx.wait());
+
+    setAdminTransferStatus(outcome.executed
+      ? `✅ ${shortAddress(address)} nominated. They must connect to this page and click "Accept Admin Role".`
+      : `📝 Proposal #${outcome.proposalId} created. Once the council executes it, ${shortAddress(address)} can accept.`, 'success');
+    addressInput.value = '';
+    await loadCouncil();
+    await loadAdminTransfer();
+  } catch (error) {
+    console.error('Error proposing admin transfer:', error);
+    setAdminTransferStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleAcceptAdmin() {
+  if (!confirm('Become the admin of this grievance system? Your current role will be replaced.')) {
+    return;
+  }
+
+  try {
+    setAdminTransferStatus('Accepting admin role...', 'info');
+    const tx = await contract.acceptAdmin();
+    await tx.wait();
+
+    setAdminTransferStatus('✅ You are now the admin.', 'success');
+    await checkAdminStatus();
+    await loadAdminTransfer();
+  } catch (error) {
+    console.error('Error accepting admin role:', error);
+    setAdminTransferStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+// ============ STUDENT ENROLLMENT ============
+
+async function handleEnrollStudent() {
+  const addressInput = document.getElementById('student-address');
+  const address = addressInput.value.trim();
+  const statusDiv = document.getElementById('enrollment-status');
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    statusDiv.textContent = 'Invalid Ethereum address format';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Enrolling student...';
+    statusDiv.className = 'status-message info';
+
+    const tx = await contract.enrollStudent(address);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    statusDiv.textContent = `✅ ${address.substring(0, 6)}...${address.substring(38)} enrolled as a student`;
+    statusDiv.className = 'status-message success';
+    addressInput.value = '';
+  } catch (error) {
+    console.error('Error enrolling student:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleUnenrollStudent() {
+  const addressInput = document.getElementById('student-address');
+  const address = addressInput.value.trim();
+  const statusDiv = document.getElementById('enrollment-status');
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    statusDiv.textContent = 'Invalid Ethereum address format';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    // revokeRole removes any role, so make sure this really is a student
+    const roleNum = parseInt((await contract.getUserRole(address)).toString());
+    if (roleNum !== ROLE.STUDENT) {
+      throw new Error(`Address is not an enrolled student (current role: ${ROLE_NAMES[roleNum] || 'Unknown'})`);
+    }
+
+    statusDiv.textContent = 'Unenrolling student...';
+    statusDiv.className = 'status-message info';
+
+    const tx = await contract.revokeRole(address);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    const outcome = getProposalOutcome(await tx.wait());
+
+    statusDiv.textContent = outcome.executed
+      ? `✅ ${address.substring(0, 6)}...${address.substring(38)} unenrolled. ` +
+        'Republish the enrollment root if anonymous submissions are enabled.'
+      : `📝 Proposal #${outcome.proposalId} to unenroll ${address.substring(0, 6)}...${address.substring(38)} created. ` +
+        'It takes effect once the council approves it and the timelock passes.';
+    statusDiv.className = 'status-message success';
+    await loadCouncil();
+    addressInput.value = '';
+  } catch (error) {
+    console.error('Error unenrolling student:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleBulkEnroll() {
+  const textarea = document.getElementById('student-addresses');
+  const statusDiv = document.getElementById('enrollment-status');
+
+  // One address per line (commas and spaces also accepted)
+  const addresses = textarea.value.split(/[\s,]+/).filter(a => a.length > 0);
+  const invalid = addresses.filter(a => !/^0x[a-fA-F0-9]{40}$/.test(a));
+
+  if (addresses.length === 0) {
+    statusDiv.textContent = 'Please enter at least one address';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (invalid.length > 0) {
+    statusDiv.textContent = `Invalid Ethereum address: ${invalid[0]}`;
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = `Enrolling ${addresses.length} students...`;
+    statusDiv.className = 'status-message info';
+
+    const tx = await contract.enrollStudents(addresses);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    const receipt = await tx.wait();
+
+    const enrolled = receipt.events.filter(e => e.event === 'RoleAssigned').length;
+    statusDiv.textContent = `✅ ${enrolled} students enrolled (${addresses.length - enrolled} already enrolled)`;
+    statusDiv.className = 'status-message success';
+    textarea.value = '';
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+// ============ DEPARTMENTS & COHORTS ============
+
+function setDepartmentsStatus(message, type) {
+  const statusDiv = document.getElementById('departments-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+function fillSelect(select, options, placeholder) {
+  select.innerHTML = `<option value="0">${placeholder}</option>`;
+  for (const option of options) {
+    const el = document.createElement('option');
+    el.value = option.id;
+    el.textContent = option.label;
+    select.appendChild(el);
+  }
+}
+
+/**
+ * Read all departments and cohorts from the contract and refresh the panel
+ */
+async function loadDepartments() {
+  if (!contract) return;
+
+  try {
+    const departmentCount = (await contract.departmentCount()).toNumber();
+    const cohortCount = (await contract.cohortCount()).toNumber();
+
+    const departmentList = [];
+    for (let id = 1; id <= departmentCount; id++) {
+      departmentList.push({ id, label: await contract.departments(id), cohorts: [] });
+    }
+
+    const cohortList = [];
+    for (let id = 1; id <= cohortCount; id++) {
+      const cohort = await contract.cohorts(id);
+      const department = departmentList[cohort.departmentId.toNumber() - 1];
+      department.cohorts.push(cohort.name);
+      cohortList.push({ id, label: `${department.label} - ${cohort.name}` });
+    }
+
+    fillSelect(document.getElementById('cohort-department'), departmentList, 'Select department');
+    fillSelect(document.getElementById('assign-department-id'), departmentList, 'No department (clear)');
+    fillSelect(document.getElementById('assign-cohort-id'), cohortList, 'No cohort (clear)');
+
+    const listDiv = document.getElementById('departments-list');
+    listDiv.innerHTML = departmentList.length === 0
+      ? '<p class="empty-state">No departments yet.</p>'
+      : '<ul>' + departmentList.map(d =>
+          `<li><strong>${d.id}. ${escapeHtml(d.label)}</strong>${d.cohorts.length ? ': ' + d.cohorts.map(escapeHtml).join(', ') : ''}</li>`
+        ).join('') + '</ul>';
+  } catch (error) {
+    console.error('Error loading departments:', error);
+  }
+}
+
+async function handleCreateDepartment() {
+  const nameInput = document.getElementById('department-name');
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    setDepartmentsStatus('Please enter a department name', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setDepartmentsStatus(`Creating department ${name}...`, 'info');
+    const tx = await contract.createDepartment(name);
+    setDepartmentsStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setDepartmentsStatus(`✅ Department ${name} created`, 'success');
+    nameInput.value = '';
+    await loadDepartments();
+  } catch (error) {
+    console.error('Error creating department:', error);
+    setDepartmentsStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleCreateCohort() {
+  const departmentId = parseInt(document.getElementById('cohort-department').value);
+  const nameInput = document.getElementById('cohort-name');
+  const name = nameInput.value.trim();
+
+  if (!departmentId || !name) {
+    setDepartmentsStatus('Please select a department and enter a cohort name', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setDepartmentsStatus(`Creating cohort ${name}...`, 'info');
+    const tx = await contract.createCohort(departmentId, name);
+    setDepartmentsStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setDepartmentsStatus(`✅ Cohort ${name} created`, 'success');
+    nameInput.value = '';
+    await loadDepartments();
+  } catch (error) {
+    console.error('Error creating cohort:', error);
+    setDepartmentsStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleAssignDepartment() {
+  const addressInput = document.getElementById('department-member-address');
+  const address = addressInput.value.trim();
+  const departmentId = parseInt(document.getElementById('assign-department-id').value);
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    setDepartmentsStatus('Invalid Ethereum address format', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setDepartmentsStatus('Assigning department...', 'info');
+    const tx = await contract.assignDepartment(address, departmentId);
+    setDepartmentsStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setDepartmentsStatus(`✅ Department updated for ${address.substring(0, 6)}...${address.substring(38)}`, 'success');
+    addressInput.value = '';
+  } catch (error) {
+    console.error('Error assigning department:', error);
+    setDepartmentsStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleAssignCohort() {
+  const textarea = document.getElementById('cohort-member-addresses');
+  const cohortId = parseInt(document.getElementById('assign-cohort-id').value);
+
+  // One address per line (commas and spaces also accepted)
+  const addresses = textarea.value.split(/[\s,]+/).filter(a => a.length > 0);
+  const invalid = addresses.filter(a => !/^0x[a-fA-F0-9]{40}$/.test(a));
+
+  if (addresses.length === 0) {
+    setDepartmentsStatus('Please enter at least one address', 'error');
+    return;
+  }
+
+  if (invalid.length > 0) {
+    setDepartmentsStatus(`Invalid Ethereum address: ${invalid[0]}`, 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setDepartmentsStatus(`Updating cohort for ${addresses.length} addresses...`, 'info');
+    const tx = await contract.assignCohort(addresses, cohortId);
+    setDepartmentsStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setDepartmentsStatus(`✅ Cohort updated for ${addresses.length} addresses`, 'success');
+    textarea.value = '';
+  } catch (error) {
+    console.error('Error assigning cohort:', error);
+    setDepartmentsStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+// ============ CATEGORIES & ROUTING ============
+
+function setCategoriesStatus(message, type) {
+  const statusDiv = document.getElementById('categories-status');
+  statusDiv.textContent = message;
+  statusDiv.className = `status-message ${type}`;
+}
+
+/**
+ * Read all categories and their routing rules and refresh the panel
+ */
+async function loadCategories() {
+  if (!contract) return;
+
+  try {
+    const categoryCount = (await contract.categoryCount()).toNumber();
+
+    // Category 0 (General) can be routed like any other
+    const categoryList = [{ id: 0, label: 'General' }];
+    for (let id = 1; id <= categoryCount; id++) {
+      categoryList.push({ id, label: await contract.categories(id) });
+    }
+
+    for (const category of categoryList) {
+      const rule = await contract.routingRules(category.id);
+      category.level = rule.startLevel;
+      category.handler = rule.handler;
+    }
+
+    const select = document.getElementById('routing-category');
+    select.innerHTML = '';
+    for (const category of categoryList) {
+      const el = document.createElement('option');
+      el.value = category.id;
+      el.textContent = category.label;
+      select.appendChild(el);
+    }
+
+    const describeRule = (category) => {
+      if (category.level === ROLE.UNREGISTERED) return 'Counselors (default)';
+      const handler = category.handler === ethers.constants.AddressZero
+        ? 'any'
+        : `${category.handler.substring(0, 6)}...${category.handler.substring(38)}`;
+      return `${ROLE_NAMES[category.level]} (${handler})`;
+    };
+
+    document.getElementById('categories-list').innerHTML = '<ul>' + categoryList.map(c =>
+      `<li><strong>${c.id}. ${escapeHtml(c.label)}</strong>: ${describeRule(c)}</li>`
+    ).join('') + '</ul>';
+  } catch (error) {
+    console.error('Error loading categories:', error);
+  }
+}
+
+async function handleCreateCategory() {
+  const nameInput = document.getElementById('category-name');
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    setCategoriesStatus('Please enter a category name', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setCategoriesStatus(`Creating category ${name}...`, 'info');
+    const tx = await contract.createCategory(name);
+    setCategoriesStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setCategoriesStatus(`✅ Category ${name} created`, 'success');
+    nameInput.value = '';
+    await loadCategories();
+  } catch (error) {
+    console.error('Error creating category:', error);
+    setCategoriesStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+async function handleSetRoutingRule() {
+  const categoryId = parseInt(document.getElementById('routing-category').value);
+  const level = parseInt(document.getElementById('routing-level').value);
+  const handlerInput = document.getElementById('routing-handler');
+  const handler = handlerInput.value.trim() || ethers.constants.AddressZero;
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(handler)) {
+    setCategoriesStatus('Invalid Ethereum address format', 'error');
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    setCategoriesStatus('Saving routing rule...', 'info');
+    const tx = await contract.setRoutingRule(categoryId, level, handler);
+    setCategoriesStatus('Transaction sent! Waiting for confirmation...', 'info');
+    await tx.wait();
+
+    setCategoriesStatus(`✅ New grievances in this category now start at ${ROLE_NAMES[level]}`, 'success');
+    handlerInput.value = '';
+    await loadCategories();
+  } catch (error) {
+    console.error('Error setting routing rule:', error);
+    setCategoriesStatus('Error: ' + (error.reason || error.message || 'Unknown error occurred'), 'error');
+  }
+}
+
+// ============ SLA DEADLINES ============
+
+/**
+ * Show the current SLA of the selected level
+ */
+async function showSlaDuration() {
+  const level = parseInt(document.getElementById('sla-level').value);
+  const currentDiv = document.getElementById('sla-current');
+  if (!contract || !currentDiv) return;
+
+  try {
+    const seconds = (await contract.slaDurations(level)).toNumber();
+    currentDiv.textContent = seconds === 0
+      ? `No SLA set for ${ROLE_NAMES[level]}`
+      : `Current SLA for ${ROLE_NAMES[level]}: ${+(seconds / 86400).toFixed(2)} days`;
+  } catch (error) {
+    console.error('Error reading SLA duration:', error);
+  }
+}
+
+async function handleSetSlaDuration() {
+  const level = parseInt(document.getElementById('sla-level').value);
+  const daysInput = document.getElementById('sla-days');
+  const days = parseFloat(daysInput.value);
+  const statusDiv = document.getElementById('sla-status');
+
+  if (isNaN(days) || days < 0) {
+    statusDiv.textContent = 'Please enter a number of days (0 disables the SLA)';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = `Setting ${ROLE_NAMES[level]} SLA...`;
+    statusDiv.className = 'status-message info';
+    const tx = await contract.setSlaDuration(level, Math.round(days * 86400));
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    statusDiv.textContent = days === 0
+      ? `✅ SLA disabled for ${ROLE_NAMES[level]}`
+      : `✅ ${ROLE_NAMES[level]} SLA set to ${days} days`;
+    statusDiv.className = 'status-message success';
+    daysInput.value = '';
+    await showSlaDuration();
+  } catch (error) {
+    console.error('Error setting SLA duration:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+// ============ SUBMISSION LIMITS ============
+
+async function showSubmissionLimits() {
+  const currentDiv = document.getElementById('limits-current');
+  if (!contract || !currentDiv) return;
+
+  try {
+    const [cooldown, maxOpen] = await Promise.all([contract.submissionCooldown(), contract.maxOpenGrievances()]);
+    currentDiv.textContent = `Current limits: wait ${formatDuration(cooldown.toNumber())} between submissions • ${
+      maxOpen.isZero() ? 'no cap on' : `at most ${maxOpen}`} open grievances per student`;
+  } catch (error) {
+    console.error('Error reading submission limits:', error);
+  }
+}
+
+async function handleSetSubmissionLimits() {
+  const hoursInput = document.getElementById('limits-cooldown');
+  const maxOpenInput = document.getElementById('limits-max-open');
+  const hours = parseFloat(hoursInput.value);
+  const maxOpen = parseInt(maxOpenInput.value);
+  const statusDiv = document.getElementById('limits-status');
+
+  if (isNaN(hours) || hours < 0 || hours > 720 || isNaN(maxOpen) || maxOpen < 0) {
+    statusDiv.textContent = 'Please enter a wait of 0 to 720 hours and a number of open grievances (0 for no limit)';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Saving submission limits...';
+    statusDiv.className = 'status-message info';
+    const tx = await contract.setSubmissionLimits(Math.round(hours * 3600), maxOpen);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    statusDiv.textContent = '✅ Submission limits saved';
+    statusDiv.className = 'status-message success';
+    hoursInput.value = '';
+    maxOpenInput.value = '';
+    await showSubmissionLimits();
+  } catch (error) {
+    console.error('Error setting submission limits:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+// ============ HOD REASSIGNMENT ============
+
+async function handleReassignHOD() {
+  const grievanceId = parseInt(document.getElementById('reassign-grievance-id').value);
+  const hodAddress = document.getElementById('reassign-hod-address').value.trim();
+  const reason = document.getElementById('reassign-reason').value.trim();
+  const statusDiv = document.getElementById('reassign-status');
+
+  if (!grievanceId || grievanceId < 1) {
+    statusDiv.textContent = 'Please enter a grievance ID';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+  if (!ethers.utils.isAddress(hodAddress)) {
+    statusDiv.textContent = 'Please enter a valid HOD address';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+  if (!reason) {
+    statusDiv.textContent = 'Please give a reason for the reassignment';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = `Reassigning grievance #${grievanceId}...`;
+    statusDiv.className = 'status-message info';
+    const tx = await contract.reassignHOD(grievanceId, hodAddress, reason);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    statusDiv.textContent = `✅ Grievance #${grievanceId} reassigned to ${shortAddress(hodAddress)}`;
+    statusDiv.className = 'status-message success';
+    document.getElementById('reassign-grievance-id').value = '';
+    document.getElementById('reassign-hod-address').value = '';
+    document.getElementById('reassign-reason').value = '';
+  } catch (error) {
+    console.error('Error reassigning HOD:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+// ============ ENCRYPTION KEYS ============
+
+async function showPublishedEncryptionKey() {
+  const role = parseInt(document.getElementById('encryption-role').value);
+  const statusDiv = document.getElementById('encryption-status');
+  if (!contract || !statusDiv) return;
+
+  try {
+    const publicKey = await contract.roleEncryptionKeys(role);
+    if (publicKey === ethers.constants.HashZero) {
+      statusDiv.textContent = `⚠️ No key published for ${ROLE_NAMES[role]} - students cannot submit grievances until all four roles have keys.`;
+      statusDiv.className = 'status-message error';
+    } else {
+      statusDiv.textContent = `Published ${ROLE_NAMES[role]} key: ${publicKey}`;
+      statusDiv.className = 'status-message info';
+    }
+  } catch (error) {
+    console.error('Error loading encryption key:', error);
+  }
+}
+
+function handleGenerateKeyPair() {
+  const role = parseInt(document.getElementById('encryption-role').value);
+  const statusDiv = document.getElementById('encryption-status');
+  const keyPair = generateRoleKeyPair();
+
+  document.getElementById('encryption-public-key').value = keyPair.publicKey;
+  statusDiv.innerHTML = `
+    <strong>New ${ROLE_NAMES[role]} keypair generated.</strong><br>
+    Copy the secret key now and share it privately with every ${ROLE_NAMES[role]} - it is not stored anywhere:<br>
+    <code class="secret-key-output">${keyPair.secretKey}</code><br>
+    Then click "Publish Public Key". Grievances submitted before publishing stay readable only with the previous key.
+  `;
+  statusDiv.className = 'status-message info';
+}
+
+async function handlePublishEncryptionKey() {
+  const role = parseInt(document.getElementById('encryption-role').value);
+  const publicKey = document.getElementById('encryption-public-key').value.trim();
+  const statusDiv = document.getElementById('encryption-status');
+
+  if (!/^0x[a-fA-F0-9]{64}$/.test(publicKey)) {
+    statusDiv.textContent = 'Invalid public key format (expected 0x followed by 64 hex characters)';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = `Publishing ${ROLE_NAMES[role]} encryption key...`;
+    statusDiv.className = 'status-message info';
+
+    const tx = await contract.setRoleEncryptionKey(role, publicKey);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    statusDiv.textContent = `✅ ${ROLE_NAMES[role]} encryption key published`;
+    statusDiv.className = 'status-message success';
+    document.getElementById('encryption-public-key').value = '';
+  } catch (error) {
+    console.error('Error publishing encryption key:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+// ============ ANONYMOUS SUBMISSIONS ============
+
+async function showEnrollmentStatus() {
+  const statusDiv = document.getElementById('anonymous-status');
+  if (!contract || !statusDiv) return;
+
+  try {
+    const verifier = await contract.enrollmentVerifier();
+    const root = await contract.enrollmentRoot();
+    const commitments = await contract.getEnrolledCommitments();
+
+    document.getElementById('verifier-address').value =
+      verifier === ethers.constants.AddressZero ? '' : verifier;
+
+    let upToDate = false;
+    if (!root.isZero()) {
+      const group = await buildEnrollmentGroup(commitments);
+      upToDate = group.root.toString() === root.toString();
+    }
+
+    statusDiv.innerHTML = `
+      <strong>Registered identities:</strong> ${commitments.length}<br>
+      <strong>Published root:</strong> ${root.isZero() ? 'none' : (upToDate ? 'up to date ✅' : 'outdated ⚠️ - publish again')}
+    `;
+    statusDiv.className = upToDate ? 'status-message info' : 'status-message error';
+  } catch (error) {
+    console.error('Error loading enrollment status:', error);
+  }
+}
+
+async function handleSetVerifier() {
+  const address = document.getElementById('verifier-address').value.trim();
+  const statusDiv = document.getElementById('anonymous-status');
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    statusDiv.textContent = 'Invalid Ethereum address format';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Setting Semaphore verifier...';
+    statusDiv.className = 'status-message info';
+
+    const tx = await contract.setEnrollmentVerifier(address);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    await showEnrollmentStatus();
+  } catch (error) {
+    console.error('Error setting verifier:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handlePublishEnrollmentRoot() {
+  const statusDiv = document.getElementById('anonymous-status');
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Building enrollment tree...';
+    statusDiv.className = 'status-message info';
+
+    const commitments = await contract.getEnrolledCommitments();
+    if (commitments.length === 0) {
+      throw new Error('No student has registered an anonymous identity yet');
+    }
+    const group = await buildEnrollmentGroup(commitments);
+
+    const tx = await contract.publishEnrollmentRoot(group.root.toString(), ENROLLMENT_TREE_DEPTH);
+    statusDiv.textContent = 'Transaction sent! Waiting for confirmation...';
+    await tx.wait();
+
+    await showEnrollmentStatus();
+  } catch (error) {
+    console.error('Error publishing enrollment root:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message || 'Unknown error occurred');
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function verifyRoles() {
+  const addressInput = document.getElementById('verify-address');
+  const address = addressInput.value.trim();
+  const resultDiv = document.getElementById('verify-result');
+
+  if (!address) {
+    resultDiv.innerHTML = '<p class="status-message error">Please enter an address to check</p>';
+    return;
+  }
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    resultDiv.innerHTML = '<p class="status-message error">Invalid Ethereum address format</p>';
+    return;
+  }
+
+  if (!contract) {
+    alert('Please connect your wallet first!');
+    return;
+  }
+
+  try {
+    resultDiv.innerHTML = '<p class="status-message info">Checking role...</p>';
+    
+    const roleValue = await contract.getUserRole(address);
+    const roleNum = parseInt(roleValue.toString());
+    const roleName = ROLE_NAMES[roleNum] || 'Unknown';
+    
+    // Also check if it's the admin
+    const adminAddress = await contract.admin();
+    const isAdmin = adminAddress.toLowerCase() === address.toLowerCase();
+    
+    let resultHTML = '<div class="status-message success">';
+    resultHTML += `<strong>Role for ${address.substring(0, 6)}...${address.substring(38)}:</strong><br>`;
+    
+    if (isAdmin) {
+      resultHTML += `<strong style="color: #10b981;">Admin</strong><br>`;
+    }
+    if (await isCouncilMember(address)) {
+      resultHTML += `<strong style="color: #10b981;">Admin Council Member</strong><br>`;
+    }
+    
+    resultHTML += `<strong>Assigned Role:</strong> ${roleName} (${roleNum})`;
+    resultHTML += '</div>';
+    
+    resultDiv.innerHTML = resultHTML;
+
+  } catch (error) {
+    console.error('Error verifying role:', error);
+    resultDiv.innerHTML = '<p class="status-message error">Error checking role: ' + (error.message || 'Unknown error') + '</p>';
+  }
+}
+
+function showError(message) {
+  const statusDiv = document.getElementById('status-message') || document.body;
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'status-message error';
+  errorDiv.textContent = message;
+  errorDiv.style.margin = '10px 0';
+  errorDiv.style.padding = '10px';
+  
+  if (statusDiv.id === 'status-message') {
+    statusDiv.innerHTML = '';
+    statusDiv.appendChild(errorDiv);
+  } else {
+    const container = document.querySelector('.container');
+    if (container) {
+      container.insertBefore(errorDiv, container.firstChild);
+    }
+  }
+}
+
+function showSuccess(message) {
+  const statusDiv = document.getElementById('status-message') || document.body;
+  const successDiv = document.createElement('div');
+  successDiv.className = 'status-message success';
+  successDiv.textContent = message;
+  successDiv.style.margin = '10px 0';
+  successDiv.style.padding = '10px';
+  
+  if (statusDiv.id === 'status-message') {
+    statusDiv.innerHTML = '';
+    statusDiv.appendChild(successDiv);
+  } else {
+    const container = document.querySelector('.container');
+    if (container) {
+      container.insertBefore(successDiv, container.firstChild);
+    }
+  }
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
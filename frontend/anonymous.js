@@ -0,0 +1,70 @@
+// ============ ANONYMOUS SUBMISSION (SEMAPHORE) ============
+// Students prove they are enrolled without revealing which student they are.
+//
+// 1. A student derives a Semaphore identity from a MetaMask signature (deterministic,
+//    so it can be recovered on any device) and registers its commitment on-chain once.
+// 2. The admin builds the enrollment Merkle tree from all registered commitments and
+//    publishes its root.
+// 3. To submit anonymously the student generates a Groth16 proof of membership in the
+//    tree. The nullifier is scoped to the contract's current epoch, so each identity can
+//    submit one anonymous grievance per epoch.
+//
+// Semaphore packages are loaded on demand from CDN (ES modules); proving artifacts are
+// fetched by @semaphore-protocol/proof from the PSE trusted setup.
+
+const SEMAPHORE_VERSION = '3.15.2';
+const ENROLLMENT_GROUP_ID = 1;
+const ENROLLMENT_TREE_DEPTH = 20;
+
+let semaphoreModules = null;
+
+async function loadSemaphore() {
+  if (!semaphoreModules) {
+    const cdn = (pkg) => `https://cdn.jsdelivr.net/npm/@semaphore-protocol/${pkg}@${SEMAPHORE_VERSION}/+esm`;
+    const [identity, group, proof] = await Promise.all([
+      import(cdn('identity')),
+      import(cdn('group')),
+      import(cdn('proof'))
+    ]);
+    semaphoreModules = {
+      Identity: identity.Identity,
+      Group: group.Group,
+      generateProof: proof.generateProof
+    };
+  }
+  return semaphoreModules;
+}
+
+/**
+ * Derive the student's anonymous identity from a MetaMask signature
+ */
+async function deriveAnonymousIdentity(signer) {
+  const { Identity } = await loadSemaphore();
+  const message = 'Grievance Redressal System - anonymous identity\n\n' +
+    'Signing this derives your private identity for anonymous grievances. ' +
+    'Never sign this message on any other site.\n\n' +
+    `Contract: ${CONTRACT_ADDRESS.toLowerCase()}`;
+  const signature = await signer.signMessage(message);
+  return new Identity(signature);
+}
+
+/**
+ * Rebuild the enrollment tree from the on-chain list of identity commitments
+ */
+async function buildEnrollmentGroup(commitments) {
+  const { Group } = await loadSemaphore();
+  return new Group(ENROLLMENT_GROUP_ID, ENROLLMENT_TREE_DEPTH, commitments.map(c => c.toString()));
+}
+
+/**
+ * Generate a proof of enrollment bound to a signal
+ * @returns {Promise<{merkleTreeRoot: string, nullifierHash: string, proof: string[]}>}
+ */
+async function generateEnrollmentProof(identity, group, epoch, signal) {
+  const { generateProof } = await loadSemaphore();
+  return generateProof(identity, group, epoch.toString(), signal.toString());
+}
+
+function generateTrackingCode() {
+  return ethers.utils.hexlify(nacl.randomBytes(32));
+}
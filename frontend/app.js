@@ -4,7 +4,7 @@
 
 // Contract ABI (Interface) - For GrievanceSystemSecure contract
 const CONTRACT_ABI = [
-  "function submitGrievance(string memory _description) external returns (uint256)",
+  "function submitGrievance(string memory _description, bytes32 _contentHash, uint256 _categoryId) external returns (uint256)",
   "function reviewGrievance(uint256 _grievanceId) external",
   "function resolveGrievanceByCounselorOrCoordinator(uint256 _grievanceId, string memory _remarks) external",
   "function escalateToYearCoordinator(uint256 _grievanceId, string memory _remarks) external",
@@ -13,16 +13,74 @@ const CONTRACT_ABI = [
   "function resolveGrievance(uint256 _grievanceId, string memory _remarks) external",
   "function escalateGrievance(uint256 _grievanceId, string memory _remarks) external",
   "function closeGrievance(uint256 _grievanceId, string memory _remarks) external",
-  "function getGrievanceById(uint256 _grievanceId) external view returns (tuple(uint256 grievanceId, address studentAddress, string description, uint8 status, address assignedHOD, address currentHandler, uint256 submittedAt, uint256 lastUpdatedAt, string resolutionRemarks, address resolvedBy))",
+  "function getGrievanceById(uint256 _grievanceId) external view returns (tuple(uint256 grievanceId, address studentAddress, string description, bytes32 contentHash, uint8 status, address assignedHOD, address currentHandler, uint256 submittedAt, uint256 lastUpdatedAt, string resolutionRemarks, address resolvedBy))",
   "function grievanceLevel(uint256 _grievanceId) external view returns (uint8)",
-  "function getVisibleGrievances() external view returns (uint256[])",
+  "function getVisibleGrievancesPage(uint256 _offset, uint256 _limit) external view returns (uint256[] page, uint256 nextOffset, bool hasMore)",
   "function getTotalGrievances() external view returns (uint256)",
   "function getUserRole(address _user) external view returns (uint8)",
-  "event GrievanceSubmitted(uint256 indexed grievanceId, address indexed student, string description, uint256 timestamp)",
+  "function roleEncryptionKeys(uint8 _role) external view returns (bytes32)",
+  "function registerIdentityCommitment(uint256 _identityCommitment) external",
+  "function submitAnonymousGrievance(string memory _description, bytes32 _contentHash, uint256 _categoryId, bytes32 _trackingHash, uint256 _nullifierHash, uint256[8] calldata _proof) external returns (uint256)",
+  "function getAnonymousGrievance(bytes32 _trackingCode) external view returns (tuple(uint256 grievanceId, address studentAddress, string description, bytes32 contentHash, uint8 status, address assignedHOD, address currentHandler, uint256 submittedAt, uint256 lastUpdatedAt, string resolutionRemarks, address resolvedBy))",
+  "function identityCommitments(address _student) external view returns (uint256)",
+  "function getEnrolledCommitments() external view returns (uint256[])",
+  "function enrollmentVerifier() external view returns (address)",
+  "function trustedForwarder() external view returns (address)",
+  "function paused() external view returns (bool)",
+  "function pauseReason() external view returns (string)",
+  "function getSubmissionQuota() external view returns (uint256 openGrievances, uint256 maxOpen, uint256 nextSubmissionAt)",
+  "function submissionCooldown() external view returns (uint256)",
+  "function enrollmentRoot() external view returns (uint256)",
+  "function usedNullifiers(uint256 _nullifierHash) external view returns (bool)",
+  "function currentAnonymousEpoch() external view returns (uint256)",
+  "function anonymousSignal(bytes32 _contentHash, bytes32 _trackingHash, uint256 _categoryId) external pure returns (uint256)",
+  "function categoryCount() external view returns (uint256)",
+  "function categories(uint256 _categoryId) external view returns (string)",
+  "function grievanceCategory(uint256 _grievanceId) external view returns (uint256)",
+  "function getDeadline(uint256 _grievanceId) external view returns (uint256)",
+  "function enforceDeadline(uint256 _grievanceId) external",
+  "function acceptResolution(uint256 _grievanceId) external",
+  "function disputeResolution(uint256 _grievanceId, string memory _reason) external",
+  "function isResolutionFinal(uint256 _grievanceId) external view returns (bool)",
+  "function version() external pure returns (string)",
+  "function withdrawGrievance(uint256 _grievanceId, string memory _reason) external",
+  "function requestInformation(uint256 _grievanceId, string _question) external",
+  "function provideInformation(uint256 _grievanceId, string _answer) external",
+  "function getMessages(uint256 _grievanceId) external view returns (tuple(address author, string body, uint256 timestamp)[])",
+  "function recuse(uint256 _grievanceId, string _reason) external",
+  "function reassignHOD(uint256 _grievanceId, address _newHod, string _reason) external",
+  "function remandGrievance(uint256 _grievanceId, uint8 _targetLevel, address _hodAddress, string _instructions) external",
+  "function remandCount(uint256 _grievanceId) external view returns (uint256)",
+  "function getGrievanceHistory(uint256 _grievanceId) external view returns (tuple(address actor, uint8 actorRole, uint8 fromStatus, uint8 toStatus, uint8 fromLevel, uint8 toLevel, string remarks, uint256 timestamp)[])",
+  "function flagConflicts(uint256 _grievanceId, address[] _staff) external",
+  "function getConflicts(uint256 _grievanceId) external view returns (address[])",
+  "function linkDuplicates(uint256 _primaryId, uint256[] _duplicateIds) external",
+  "function unlinkDuplicate(uint256 _grievanceId) external",
+  "function actOnGroup(uint256 _primaryId, bytes4 _action, address _hodAddress, string[] _remarks) external returns (uint256)",
+  "function getDuplicates(uint256 _primaryId) external view returns (uint256[])",
+  "function getPrimary(uint256 _grievanceId) external view returns (uint256)",
+  "function addAttachments(uint256 _grievanceId, bytes32 _remarkHash, string[] _cids, bytes32[] _contentHashes) external",
+  "function getAttachments(uint256 _grievanceId) external view returns (tuple(string cid, bytes32 contentHash, bytes32 remarkHash, address addedBy, uint256 timestamp)[])",
+  "function resolvedAt(uint256 _grievanceId) external view returns (uint256)",
+  "function RESOLUTION_RESPONSE_WINDOW() external view returns (uint256)",
+  "function grievanceCohort(uint256 _grievanceId) external view returns (uint256)",
+  "function cohorts(uint256 _cohortId) external view returns (uint256 departmentId, string name)",
+  "function departments(uint256 _departmentId) external view returns (string)",
+  "event GrievanceSubmitted(uint256 indexed grievanceId, address indexed student, bytes32 contentHash, uint256 timestamp)",
   "event GrievanceAssignedToHOD(uint256 indexed grievanceId, address indexed hod, address indexed assignedBy, uint256 timestamp)",
   "event GrievanceEscalated(uint256 indexed grievanceId, address indexed escalatedBy, address indexed toHandler, uint256 timestamp)",
   "event GrievanceResolved(uint256 indexed grievanceId, address indexed resolvedBy, string remarks, uint256 timestamp)",
-  "event GrievanceClosed(uint256 indexed grievanceId, address indexed closedBy, string remarks, uint256 timestamp)"
+  "event GrievanceClosed(uint256 indexed grievanceId, address indexed closedBy, string remarks, uint256 timestamp)",
+  "event ResolutionAccepted(uint256 indexed grievanceId, address indexed student, uint256 timestamp)",
+  "event ResolutionDisputed(uint256 indexed grievanceId, address indexed student, uint8 reopenedAt, string reason, uint256 timestamp)",
+  "event GrievanceWithdrawn(uint256 indexed grievanceId, address indexed student, uint8 previousStatus, string reason, uint256 timestamp)",
+  "event GrievanceRemanded(uint256 indexed grievanceId, address indexed dean, uint8 toLevel, address indexed toHandler, string instructions, uint256 timestamp)",
+  "event GrievanceReassigned(uint256 indexed grievanceId, address indexed fromHod, address indexed toHod, address reassignedBy, string reason, uint256 timestamp)",
+  "event HandlerRecused(uint256 indexed grievanceId, address indexed handler, uint8 returnedTo, address indexed requestedBy, string reason, uint256 timestamp)",
+  "event DuplicateLinked(uint256 indexed grievanceId, uint256 indexed primaryId, address indexed linkedBy, uint256 timestamp)",
+  "event DuplicateUnlinked(uint256 indexed grievanceId, uint256 indexed primaryId, address indexed unlinkedBy, uint256 timestamp)",
+  "event GroupActionApplied(uint256 indexed primaryId, bytes4 action, uint256 grievancesActedOn, address indexed actedBy, uint256 timestamp)",
+  "event AttachmentAdded(uint256 indexed grievanceId, address indexed addedBy, string cid, bytes32 contentHash, bytes32 remarkHash, uint256 timestamp)"
 ];
 
 // Status enum (matches GrievanceSystemSecure.sol)
@@ -32,26 +90,30 @@ const STATUS = {
   2: "ASSIGNED_TO_HOD",
   3: "ESCALATED",
   4: "RESOLVED",
-  5: "CLOSED"
+  5: "CLOSED",
+  6: "WITHDRAWN",
+  7: "REQUEST_INFO"
 };
 
 // Role enum (matches GrievanceSystemSecure.sol)
 const ROLE = {
-  STUDENT: 0,
-  COUNSELOR: 1,
-  YEAR_COORDINATOR: 2,
-  HOD: 3,
-  DEAN: 4,
-  ADMIN: 5
+  UNREGISTERED: 0,
+  STUDENT: 1,
+  COUNSELOR: 2,
+  YEAR_COORDINATOR: 3,
+  HOD: 4,
+  DEAN: 5,
+  ADMIN: 6
 };
 
 const ROLE_NAMES = {
-  0: "Student",
-  1: "Counselor",
-  2: "Year Coordinator",
-  3: "HOD",
-  4: "Dean",
-  5: "Admin"
+  0: "Not Enrolled",
+  1: "Student",
+  2: "Counselor",
+  3: "Year Coordinator",
+  4: "HOD",
+  5: "Dean",
+  6: "Admin"
 };
 
 // Global variables
@@ -59,15 +121,29 @@ let provider;
 let signer;
 let contract;
 let userAddress;
-let userRole = ROLE.STUDENT; // Default to STUDENT (0)
-let userRoleName = "Student";
+let userRole = ROLE.UNREGISTERED; // Default until the contract says otherwise
+let userRoleName = ROLE_NAMES[ROLE.UNREGISTERED];
 let isAuthority = false;
+let systemPaused = false; // Maintenance mode: the contract rejects every action until the admin resumes it
+
+// Category names by id (0 = General), loaded from the contract
+let categoryNames = { 0: "General" };
 
 // Cache for grievances data
 let cachedMyGrievances = null;
 let cachedAuthorityGrievances = null;
 let grievancesLoaded = false;
 
+// Grievance lists load in pages as they are scrolled (list element id => scroll state)
+const GRIEVANCE_PAGE_SIZE = 25; // Index entries per getVisibleGrievancesPage call (contract allows up to MAX_PAGE_SIZE)
+const grievanceScrolls = new Map();
+
+// Unwrapped grievance data keys (grievanceId => Uint8Array), kept in memory only
+const grievanceDataKeys = new Map();
+
+// Anonymous submission prepared by the enrolled wallet, waiting to be broadcast from another account
+const PENDING_ANONYMOUS_KEY = 'grievance-pending-anonymous';
+
 // ============ INITIALIZATION ============
 
 // Wait for ethers.js to load before initializing (with fallback CDN support)
@@ -173,8 +249,14 @@ async function showDashboard() {
   
   // Initialize dashboard functionality
   setupEventListeners();
+  renderPendingAnonymousSubmission();
   await checkUserRole();
+  await loadCategories();
+  await showSubmissionQuota();
   await loadGrievances();
+
+  // Keep SLA countdowns current without reloading the lists
+  setInterval(refreshSlaBadges, 60 * 1000);
 }
 
 function showMetaMaskWarning() {
@@ -234,8 +316,8 @@ function setupEventListeners() {
     disconnectBtn.addEventListener('click', () => {
       showWalletOverlay();
       userAddress = null;
-      userRole = ROLE.STUDENT;
-      userRoleName = "Student";
+      userRole = ROLE.UNREGISTERED;
+      userRoleName = ROLE_NAMES[ROLE.UNREGISTERED];
     });
   }
 
@@ -247,11 +329,33 @@ function setupEventListeners() {
     });
   });
 
+  // Anonymous grievances: broadcast a prepared submission, track by code
+  document.getElementById('broadcast-anonymous-btn')?.addEventListener('click', handleBroadcastAnonymous);
+  document.getElementById('discard-anonymous-btn')?.addEventListener('click', () => {
+    sessionStorage.removeItem(PENDING_ANONYMOUS_KEY);
+    renderPendingAnonymousSubmission();
+  });
+  document.getElementById('track-anonymous-btn')?.addEventListener('click', handleTrackAnonymous);
+
+  // Category filters on the list views
+  document.querySelectorAll('.category-filter').forEach(select => {
+    select.addEventListener('change', () => applyCategoryFilter(select));
+  });
+
+  // Role decryption key import (authorities)
+  document.getElementById('save-role-key-btn')?.addEventListener('click', handleSaveRoleKey);
+
   // Action buttons
   document.getElementById('review-btn')?.addEventListener('click', handleReview);
   document.getElementById('resolve-btn')?.addEventListener('click', handleResolve);
+  document.getElementById('request-info-btn')?.addEventListener('click', handleRequestInfo);
   document.getElementById('escalate-btn')?.addEventListener('click', handleEscalate);
   document.getElementById('close-btn')?.addEventListener('click', handleClose);
+  document.getElementById('remand-btn')?.addEventListener('click', handleRemand);
+  document.getElementById('recuse-btn')?.addEventListener('click', handleRecuse);
+  document.getElementById('reassign-hod-btn')?.addEventListener('click', handleReassignHOD);
+  document.getElementById('link-duplicates-btn')?.addEventListener('click', handleLinkDuplicates);
+  document.getElementById('unlink-duplicate-btn')?.addEventListener('click', handleUnlinkDuplicate);
 }
 
 // ============ WALLET CONNECTION ============
@@ -356,6 +460,9 @@ async function connectWallet() {
       console.log('✅ On Sepolia network! ChainId:', chainId);
     }
 
+    await showContractVersion();
+    await checkMaintenanceMode();
+
     // Update connection details in overlay
     const connectedAddressEl = document.getElementById('connected-address');
     if (connectedAddressEl) {
@@ -399,6 +506,102 @@ async function connectWallet() {
   }
 }
 
+// ============ GASLESS TRANSACTIONS ============
+
+// GrievanceForwarder (contracts/GrievanceForwarder.sol): relayed calls are signed as EIP-712 ForwardRequests
+const FORWARDER_ABI = [
+  "function nonces(address) view returns (uint256)"
+];
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+const RELAY_REQUEST_LIFETIME = 15 * 60; // Seconds the relayer has to submit a signed request
+
+let forwarderContract = null;
+
+function isRelayMode() {
+  return typeof RELAY_MODE !== 'undefined' && RELAY_MODE;
+}
+
+async function getForwarder() {
+  if (!forwarderContract) {
+    const address = await contract.trustedForwarder();
+    if (address === ethers.constants.AddressZero) {
+      throw new Error('Gasless transactions are not enabled on this contract (no trusted forwarder)');
+    }
+    forwarderContract = new ethers.Contract(address, FORWARDER_ABI, provider);
+  }
+  return forwarderContract;
+}
+
+/**
+ * Send a transaction to the grievance system, gasless through the relayer when RELAY_MODE is on
+ * In relay mode the user only signs typed data; the returned object's wait() resolves to a receipt
+ * with parsed events, like a regular transaction's.
+ */
+async function sendTransaction(method, ...args) {
+  if (systemPaused) {
+    throw new Error('The system is paused for maintenance - please try again once it resumes');
+  }
+  if (!isRelayMode()) {
+    return contract[method](...args);
+  }
+
+  const forwarder = await getForwarder();
+  const { chainId } = await provider.getNetwork();
+  const gas = await contract.estimateGas[method](...args); // Also surfaces revert reasons before signing
+  const request = {
+    from: userAddress,
+    to: contract.address,
+    gas: gas.mul(120).div(100).toString(),
+    nonce: (await forwarder.nonces(userAddress)).toString(),
+    deadline: Math.floor(Date.now() / 1000) + RELAY_REQUEST_LIFETIME,
+    data: contract.interface.encodeFunctionData(method, args)
+  };
+  const domain = { name: 'GrievanceForwarder', version: '1', chainId, verifyingContract: forwarder.address };
+  const signature = await signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ request, signature })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Relayer responded with HTTP ${response.status}`);
+  }
+
+  return {
+    hash: result.txHash,
+    wait: async () => {
+      const receipt = await provider.waitForTransaction(result.txHash);
+      if (receipt.status === 0) {
+        throw new Error('Relayed transaction failed');
+      }
+      receipt.events = receipt.logs
+        .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+        .map(log => {
+          try {
+            const parsed = contract.interface.parseLog(log);
+            return { ...log, event: parsed.name, args: parsed.args };
+          } catch (e) {
+            return log; // Event not in CONTRACT_ABI
+          }
+        });
+      return receipt;
+    }
+  };
+}
+
 // ============ ROLE CHECKING ============
 
 async function checkUserRole() {
@@ -418,6 +621,11 @@ async function checkUserRole() {
     const submitTabBtn = document.querySelector('[data-tab="submit"]');
     const submitTabContent = document.getElementById('submit-tab');
     const authorityTabBtn = document.getElementById('authority-tab');
+    const notEnrolledCard = document.getElementById('not-enrolled');
+    
+    if (notEnrolledCard) {
+      notEnrolledCard.style.display = userRole === ROLE.UNREGISTERED ? 'block' : 'none';
+    }
     
     // Hide submit tab for non-students
     if (userRole !== ROLE.STUDENT) {
@@ -429,6 +637,12 @@ async function checkUserRole() {
         authorityTabBtn.style.display = 'inline-block';
         // Switch to authority tab by default
         setTimeout(() => switchTab('authority-grievances'), 100);
+      } else if (userRole === ROLE.UNREGISTERED) {
+        // Not enrolled: only the anonymous tracking lookup is useful
+        const notEnrolledAddress = document.getElementById('not-enrolled-address');
+        if (notEnrolledAddress) notEnrolledAddress.textContent = userAddress;
+        if (authorityTabBtn) authorityTabBtn.style.display = 'none';
+        switchTab('my-grievances');
       }
     } else {
       // Student: show submit tab, hide authority tab
@@ -437,6 +651,8 @@ async function checkUserRole() {
       if (authorityTabBtn) authorityTabBtn.style.display = 'none';
     }
     
+    updateRoleKeyStatus();
+    
     // Update role display in overlay
     const userRoleDisplay = document.getElementById('user-role-display');
     if (userRoleDisplay) {
@@ -456,10 +672,49 @@ async function checkUserRole() {
     
   } catch (error) {
     console.error('Error checking role:', error);
-    // Default to student on error
-    userRole = ROLE.STUDENT;
-    userRoleName = "Student";
+    // No access until the role can be confirmed
+    userRole = ROLE.UNREGISTERED;
+    userRoleName = ROLE_NAMES[ROLE.UNREGISTERED];
+  }
+}
+
+/**
+ * Show the version of the contract implementation in the header
+ * Upgrades keep the contract address, so this is how users see which release they are on
+ */
+async function showContractVersion() {
+  const versionEl = document.getElementById('contract-version');
+  if (!versionEl) return;
+  try {
+    versionEl.textContent = `Contract v${await contract.version()}`;
+  } catch (error) {
+    // Deployments from before upgrades were supported have no version()
+    console.warn('Could not read the contract version:', error);
+    versionEl.textContent = '';
+  }
+}
+
+/**
+ * Show the maintenance banner and disable action buttons while the contract is paused
+ * Grievances stay readable; the styles for .maintenance-mode disable every button that sends a transaction.
+ */
+async function checkMaintenanceMode() {
+  try {
+    systemPaused = await contract.paused();
+  } catch (error) {
+    // Deployments from before maintenance mode cannot be paused
+    console.warn('Could not read the pause state:', error);
+    systemPaused = false;
+  }
+
+  const banner = document.getElementById('maintenance-banner');
+  if (banner) {
+    banner.textContent = systemPaused
+      ? `🚧 The system is paused for maintenance: ${await contract.pauseReason()}. You can still view grievances; actions are disabled until it resumes.`
+      : '';
+    banner.style.display = systemPaused ? 'block' : 'none';
   }
+  document.body.classList.toggle('maintenance-mode', systemPaused);
 }
 
 // ============ TAB SWITCHING ============
@@ -494,6 +749,7 @@ async function handleSubmitGrievance(e) {
   e.preventDefault();
   
   const description = document.getElementById('grievance-description').value;
+  const categoryId = parseInt(document.getElementById('grievance-category')?.value || '0');
   const statusDiv = document.getElementById('submit-status');
   
   if (!description.trim()) {
@@ -502,19 +758,47 @@ async function handleSubmitGrievance(e) {
     return;
   }
 
+  const files = document.getElementById('grievance-attachments')?.files || [];
+
+  if (document.getElementById('submit-anonymously')?.checked) {
+    if (files.length > 0) {
+      // Attaching afterwards takes a transaction from a wallet that can see the grievance
+      statusDiv.textContent = 'Evidence files cannot be attached to anonymous grievances';
+      statusDiv.className = 'status-message error';
+      return;
+    }
+    await prepareAnonymousSubmission(description, categoryId, statusDiv);
+    return;
+  }
+
   try {
-    statusDiv.textContent = 'Submitting grievance...';
+    statusDiv.textContent = 'Encrypting grievance...';
     statusDiv.className = 'status-message info';
 
-    const tx = await contract.submitGrievance(description);
+    const roleKeys = await getRoleEncryptionKeys();
+    const studentKey = await getStudentEncryptionKey(userAddress);
+    const { envelope, dataKey } = encryptDescription(description, studentKey, roleKeys);
+
+    statusDiv.textContent = isRelayMode()
+      ? 'Sign the request in MetaMask - no gas needed, the institution pays for it...'
+      : 'Submitting grievance...';
+    const tx = await sendTransaction('submitGrievance', envelope, contentCommitment(description, dataKey), categoryId);
     statusDiv.textContent = 'Transaction pending...';
     
-    await tx.wait();
+    const receipt = await tx.wait();
+
+    if (files.length > 0) {
+      const grievanceId = receipt.events.find(event => event.event === 'GrievanceSubmitted').args.grievanceId;
+      grievanceDataKeys.set(grievanceId.toString(), dataKey);
+      statusDiv.textContent = 'Uploading evidence...';
+      await attachFiles(grievanceId, files);
+    }
     
     statusDiv.textContent = 'Grievance submitted successfully!';
     statusDiv.className = 'status-message success';
     
     document.getElementById('grievance-form').reset();
+    await showSubmissionQuota();
     document.getElementById('char-count').textContent = '0';
     
     // Reload grievances
@@ -524,11 +808,418 @@ async function handleSubmitGrievance(e) {
 
   } catch (error) {
     console.error('Error submitting grievance:', error);
+    if (error.code === 4001) {
+      statusDiv.textContent = 'Error: MetaMask encryption key is required to keep your grievance private';
+      statusDiv.className = 'status-message error';
+      return;
+    }
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+/**
+ * Show how many more grievances the student can submit and when, under the admin's submission limits
+ * Anonymous submissions are not counted; they are limited to one per epoch instead.
+ */
+async function showSubmissionQuota() {
+  const quotaDiv = document.getElementById('submission-quota');
+  if (!quotaDiv || userRole !== ROLE.STUDENT) return;
+
+  let quota, cooldown;
+  try {
+    [quota, cooldown] = await Promise.all([contract.getSubmissionQuota(), contract.submissionCooldown()]);
+  } catch (error) {
+    // Deployments from before submission limits have no quota
+    console.warn('Could not read the submission quota:', error);
+    quotaDiv.style.display = 'none';
+    return;
+  }
+
+  const maxOpen = quota.maxOpen.toNumber();
+  const nextSubmissionAt = quota.nextSubmissionAt.toNumber();
+  const remaining = Math.max(maxOpen - quota.openGrievances.toNumber(), 0);
+  const lines = [];
+  if (maxOpen > 0) {
+    lines.push(remaining > 0
+      ? `You can have ${maxOpen} open grievance(s) at a time - ${remaining} more allowed now.`
+      : `You already have ${maxOpen} open grievance(s), the most allowed. You can submit again once one is resolved, closed or withdrawn.`);
+  }
+  if (nextSubmissionAt > 0) {
+    lines.push(`Next submission allowed after ${new Date(nextSubmissionAt * 1000).toLocaleString()}.`);
+  } else if (!cooldown.isZero()) {
+    lines.push(`Students must wait ${formatTimeLeft(cooldown.toNumber())} between submissions.`);
+  }
+
+  quotaDiv.textContent = lines.join(' ');
+  quotaDiv.className = `status-message ${(maxOpen > 0 && remaining === 0) || nextSubmissionAt > 0 ? 'error' : 'info'}`;
+  quotaDiv.style.display = lines.length > 0 ? 'block' : 'none';
+}
+
+// ============ ANONYMOUS SUBMISSION ============
+
+// Runs with the enrolled wallet: builds the encrypted grievance and the enrollment proof,
+// but does NOT send it - sending from this wallet would reveal who submitted it.
+async function prepareAnonymousSubmission(description, categoryId, statusDiv) {
+  try {
+    statusDiv.className = 'status-message info';
+    statusDiv.textContent = 'Checking anonymous submission setup...';
+
+    const verifier = await contract.enrollmentVerifier();
+    const root = await contract.enrollmentRoot();
+    if (verifier === ethers.constants.AddressZero || root.isZero()) {
+      throw new Error('Anonymous submission has not been enabled by the admin yet');
+    }
+
+    statusDiv.textContent = 'Sign the message in MetaMask to derive your anonymous identity...';
+    const identity = await deriveAnonymousIdentity(signer);
+
+    const registered = await contract.identityCommitments(userAddress);
+    if (registered.isZero()) {
+      statusDiv.textContent = 'Registering your anonymous identity (one-time)...';
+      const tx = await sendTransaction('registerIdentityCommitment', identity.commitment.toString());
+      await tx.wait();
+      statusDiv.textContent = '✅ Anonymous identity registered. The admin must publish an updated enrollment root before you can submit anonymously.';
+      statusDiv.className = 'status-message success';
+      return;
+    }
+    if (registered.toString() !== identity.commitment.toString()) {
+      throw new Error('The identity registered for this wallet does not match the derived identity');
+    }
+
+    const group = await buildEnrollmentGroup(await contract.getEnrolledCommitments());
+    if (group.root.toString() !== root.toString()) {
+      throw new Error('The published enrollment root is out of date. Please ask the admin to publish it again.');
+    }
+
+    statusDiv.textContent = 'Encrypting grievance...';
+    const trackingCode = generateTrackingCode();
+    const trackingHash = ethers.utils.keccak256(trackingCode);
+    const trackingKey = nacl.util.encodeBase64(trackingCodeKeyPair(trackingCode).publicKey);
+    const { envelope, dataKey } = encryptDescription(description, trackingKey, await getRoleEncryptionKeys());
+    const contentHash = contentCommitment(description, dataKey);
+
+    statusDiv.textContent = 'Generating zero-knowledge proof of enrollment (this can take a minute)...';
+    const epoch = await contract.currentAnonymousEpoch();
+    const signal = await contract.anonymousSignal(contentHash, trackingHash, categoryId);
+    const fullProof = await generateEnrollmentProof(identity, group, epoch, signal);
+
+    if (await contract.usedNullifiers(fullProof.nullifierHash)) {
+      throw new Error('You have already submitted an anonymous grievance this week');
+    }
+
+    sessionStorage.setItem(PENDING_ANONYMOUS_KEY, JSON.stringify({
+      envelope,
+      contentHash,
+      categoryId,
+      trackingHash,
+      trackingCode,
+      nullifierHash: fullProof.nullifierHash,
+      proof: fullProof.proof,
+      preparedBy: userAddress
+    }));
+
+    document.getElementById('grievance-form').reset();
+    document.getElementById('char-count').textContent = '0';
+    statusDiv.textContent = '';
+    renderPendingAnonymousSubmission();
+
+  } catch (error) {
+    console.error('Error preparing anonymous grievance:', error);
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+function getPendingAnonymousSubmission() {
+  const pending = sessionStorage.getItem(PENDING_ANONYMOUS_KEY);
+  return pending ? JSON.parse(pending) : null;
+}
+
+function renderPendingAnonymousSubmission() {
+  const panel = document.getElementById('anonymous-pending');
+  if (!panel) return;
+
+  const pending = getPendingAnonymousSubmission();
+  if (!pending) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const sameWallet = userAddress && pending.preparedBy.toLowerCase() === userAddress.toLowerCase();
+  document.getElementById('anonymous-tracking-code').textContent = pending.trackingCode;
+  document.getElementById('broadcast-anonymous-btn').disabled = sameWallet;
+
+  const hint = document.getElementById('anonymous-pending-hint');
+  hint.textContent = sameWallet
+    ? '⚠️ Switch MetaMask to a different account (one not linked to you) to send this grievance. The page will reload and keep it ready.'
+    : '✅ Connected with a different account - you can send the anonymous grievance now.';
+  hint.className = sameWallet ? 'status-message error' : 'status-message success';
+
+  panel.style.display = 'block';
+}
+
+async function handleBroadcastAnonymous() {
+  const pending = getPendingAnonymousSubmission();
+  const hint = document.getElementById('anonymous-pending-hint');
+  if (!pending) return;
+
+  try {
+    hint.textContent = 'Sending anonymous grievance...';
+    hint.className = 'status-message info';
+
+    const tx = await contract.submitAnonymousGrievance(
+      pending.envelope,
+      pending.contentHash,
+      pending.categoryId,
+      pending.trackingHash,
+      pending.nullifierHash,
+      pending.proof
+    );
+    await tx.wait();
+
+    sessionStorage.removeItem(PENDING_ANONYMOUS_KEY);
+    alert(`Anonymous grievance submitted!\n\nKeep your tracking code - it is the only way to follow your grievance:\n${pending.trackingCode}`);
+    renderPendingAnonymousSubmission();
+
+  } catch (error) {
+    console.error('Error submitting anonymous grievance:', error);
+    hint.textContent = 'Error: ' + (error.reason || error.message);
+    hint.className = 'status-message error';
+  }
+}
+
+async function handleTrackAnonymous() {
+  const trackingCode = document.getElementById('tracking-code-input').value.trim();
+  if (!/^0x[a-fA-F0-9]{64}$/.test(trackingCode)) {
+    alert('Invalid tracking code (expected 0x followed by 64 hex characters)');
+    return;
+  }
+  await showGrievanceDetails(null, trackingCode);
+}
+
+// ============ ENCRYPTION ============
+
+// Fetch the published public key of every authority role
+async function getRoleEncryptionKeys() {
+  const roleKeys = {};
+  for (const role of ENCRYPTION_ROLES) {
+    const publicKey = await contract.roleEncryptionKeys(role);
+    if (publicKey === ethers.constants.HashZero) {
+      throw new Error(`Encryption key for ${ROLE_NAMES[role]} has not been published yet. Please contact the admin.`);
+    }
+    roleKeys[role] = publicKey;
+  }
+  return roleKeys;
+}
+
+// Unwrap the data key of a grievance: MetaMask for its student, role key for authorities.
+// With interactive = false, MetaMask is never prompted (used while rendering lists).
+async function getGrievanceDataKey(grievance, interactive = true) {
+  const id = grievance.grievanceId.toString();
+  if (grievanceDataKeys.has(id)) return grievanceDataKeys.get(id);
+
+  let dataKey = null;
+  try {
+    if (grievance.studentAddress.toLowerCase() === userAddress.toLowerCase()) {
+      if (interactive) {
+        dataKey = await unwrapDataKeyWithMetaMask(grievance.description, userAddress);
+      }
+    } else if (isAuthority) {
+      const roleKey = getStoredRoleKey(userRole);
+      if (roleKey) {
+        dataKey = unwrapDataKeyWithRoleKey(grievance.description, userRole, roleKey);
+      }
+    }
+  } catch (error) {
+    console.log('Could not unwrap data key for grievance', id, ':', error.message);
+  }
+
+  if (dataKey) grievanceDataKeys.set(id, dataKey);
+  return dataKey;
+}
+
+/**
+ * Decrypt description and resolution remarks of a grievance
+ * @returns {{description: string|null, remarks: string|null, verified: boolean, dataKey: Uint8Array|null}}
+ */
+async function decryptGrievance(grievance, interactive = true) {
+  if (!parseEnvelope(grievance.description)) {
+    // Submitted before encryption was enabled
+    return { description: grievance.description, remarks: grievance.resolutionRemarks, verified: false, dataKey: null };
+  }
+
+  const dataKey = await getGrievanceDataKey(grievance, interactive);
+  if (!dataKey) {
+    return { description: null, remarks: null, verified: false, dataKey: null };
+  }
+
+  const description = decryptWithDataKey(grievance.description, dataKey);
+  return {
+    description,
+    remarks: grievance.resolutionRemarks ? decryptWithDataKey(grievance.resolutionRemarks, dataKey) : '',
+    verified: description !== null && contentCommitment(description, dataKey) === grievance.contentHash,
+    dataKey
+  };
+}
+
+// Encrypt remarks with the grievance's data key before they go on-chain
+async function sealRemarks(grievanceId, remarks) {
+  const grievance = await contract.getGrievanceById(grievanceId);
+  if (!parseEnvelope(grievance.description)) return remarks;
+
+  const dataKey = await getGrievanceDataKey(grievance);
+  if (!dataKey) {
+    throw new Error('Import your role decryption key (Assigned Grievances tab) before adding remarks');
+  }
+  return encryptRemarks(remarks, dataKey);
+}
+
+function readRemarks(text, dataKey) {
+  if (!text || !parseEnvelope(text)) return text;
+  return dataKey ? decryptWithDataKey(text, dataKey) : '🔒 Encrypted remarks';
+}
+
+// ============ ATTACHMENTS ============
+
+// Encrypt and upload files, then record them on-chain. Files supporting a remark are
+// linked to it by the keccak256 of the sealed remark as it appears in the event log.
+async function attachFiles(grievanceId, files, remarkHash = ethers.constants.HashZero) {
+  const grievance = await contract.getGrievanceById(grievanceId);
+  const dataKey = parseEnvelope(grievance.description) ? await getGrievanceDataKey(grievance) : null;
+  if (!dataKey) {
+    throw new Error('Attachments are encrypted with the grievance key, which you do not hold for this grievance');
+  }
+
+  const { cids, contentHashes } = await uploadAttachments(files, dataKey);
+  const tx = await sendTransaction('addAttachments', grievanceId, remarkHash, cids, contentHashes);
+  await tx.wait();
+}
+
+// Attach the files picked in the action modal to the remarks about to be sent.
+// Runs before the action itself: once escalated, the sender may no longer see the grievance.
+async function attachActionFiles(grievanceId, sealedRemarks, statusDiv) {
+  const files = document.getElementById('action-attachments').files;
+  if (files.length === 0) return;
+  statusDiv.textContent = 'Uploading supporting files...';
+  await attachFiles(grievanceId, files, ethers.utils.id(sealedRemarks));
+}
+
+function attachmentListHTML(attachments) {
+  if (attachments.length === 0) return '';
+  return `<ul class="attachment-list">${attachments.map(({ attachment, index }) => `
+    <li class="attachment-item">
+      <code title="${escapeHtml(attachment.cid)}">📎 ${escapeHtml(attachment.cid)}</code>
+      <button type="button" class="btn btn-small btn-secondary btn-download-attachment" data-attachment-index="${index}">Download</button>
+    </li>`).join('')}
+  </ul>`;
+}
+
+async function handleDownloadAttachment(button, attachment, dataKey) {
+  if (!dataKey) {
+    alert('You do not hold the key for this grievance, so its attachments cannot be decrypted');
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const file = await downloadAttachment(attachment, dataKey);
+    if (!file.verified && !confirm(`⚠️ ${file.name} does not match the hash recorded on-chain. Save it anyway?`)) {
+      return;
+    }
+    saveBlob(file.blob, file.name);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    alert('Error downloading attachment: ' + error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function handleAddAttachments(grievanceId, input, statusDiv) {
+  if (input.files.length === 0) {
+    statusDiv.textContent = 'Choose one or more files first';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Uploading attachments...';
+    statusDiv.className = 'status-message info';
+    await attachFiles(grievanceId, input.files);
+    statusDiv.textContent = 'Attachments added!';
+    statusDiv.className = 'status-message success';
+    setTimeout(() => showGrievanceDetails(grievanceId), 1000);
+  } catch (error) {
     statusDiv.textContent = 'Error: ' + (error.reason || error.message);
     statusDiv.className = 'status-message error';
   }
 }
 
+function updateRoleKeyStatus() {
+  const keySection = document.getElementById('role-key-section');
+  const keyStatus = document.getElementById('role-key-status');
+  if (!keySection || !keyStatus) return;
+
+  keySection.style.display = isAuthority ? 'block' : 'none';
+  if (getStoredRoleKey(userRole)) {
+    keyStatus.textContent = `✅ ${userRoleName} decryption key stored in this browser`;
+    keyStatus.className = 'status-message success';
+  } else {
+    keyStatus.textContent = `⚠️ No ${userRoleName} decryption key in this browser - grievance contents cannot be read`;
+    keyStatus.className = 'status-message error';
+  }
+}
+
+function handleSaveRoleKey() {
+  const input = document.getElementById('role-key-input');
+  const keyStatus = document.getElementById('role-key-status');
+
+  try {
+    storeRoleKey(userRole, input.value);
+    input.value = '';
+    grievanceDataKeys.clear();
+    updateRoleKeyStatus();
+    loadAuthorityGrievances();
+  } catch (error) {
+    keyStatus.textContent = 'Error: ' + error.message;
+    keyStatus.className = 'status-message error';
+  }
+}
+
+// ============ CATEGORIES ============
+
+async function loadCategories() {
+  try {
+    const count = (await contract.categoryCount()).toNumber();
+    for (let id = 1; id <= count; id++) {
+      categoryNames[id] = await contract.categories(id);
+    }
+  } catch (error) {
+    console.error('Error loading categories:', error);
+  }
+
+  const options = Object.entries(categoryNames)
+    .map(([id, name]) => `<option value="${id}">${escapeHtml(name)}</option>`)
+    .join('');
+
+  const categorySelect = document.getElementById('grievance-category');
+  if (categorySelect) categorySelect.innerHTML = options;
+
+  document.querySelectorAll('.category-filter').forEach(select => {
+    select.innerHTML = '<option value="">All categories</option>' + options;
+  });
+}
+
+// Show only the cards of the selected category in the list the filter belongs to
+function applyCategoryFilter(select) {
+  const listDiv = document.getElementById(select.dataset.list);
+  if (!listDiv) return;
+  listDiv.querySelectorAll('.grievance-card').forEach(card => {
+    card.style.display = !select.value || card.dataset.category === select.value ? '' : 'none';
+  });
+}
+
 // ============ LOAD GRIEVANCES ============
 
 async function loadGrievances() {
@@ -543,85 +1234,132 @@ async function loadGrievances() {
 async function loadMyGrievances() {
   const listDiv = document.getElementById('my-grievances-list');
   if (!listDiv) return;
-  
-  listDiv.innerHTML = '<p class="empty-state">Loading...</p>';
-
-  try {
-    // Use getVisibleGrievances() which returns role-filtered grievances
-    const grievanceIds = await contract.getVisibleGrievances();
-    
-    if (grievanceIds.length === 0) {
-      if (userRole === ROLE.STUDENT) {
-        listDiv.innerHTML = '<p class="empty-state">No grievances submitted yet.</p>';
-      } else {
-        listDiv.innerHTML = '<p class="empty-state">No grievances visible for your role.</p>';
-      }
-      return;
-    }
-
-    listDiv.innerHTML = '';
-    
-    for (const id of grievanceIds) {
-      try {
-        const grievance = await contract.getGrievanceById(id);
-        const grievanceCard = createGrievanceCard(grievance, userRole !== ROLE.STUDENT);
-        listDiv.appendChild(grievanceCard);
-      } catch (e) {
-        console.log('Skipping grievance', id.toString(), ':', e.message);
-      }
-    }
 
-  } catch (error) {
-    console.error('Error loading grievances:', error);
-    listDiv.innerHTML = '<p class="empty-state error">Error loading grievances: ' + (error.message || 'Unknown error') + '</p>';
+  let emptyMessage = 'No grievances visible for your role.';
+  if (userRole === ROLE.STUDENT) {
+    emptyMessage = 'No grievances submitted yet.';
+  } else if (userRole === ROLE.UNREGISTERED) {
+    emptyMessage = 'This wallet is not enrolled. Use a tracking code above to follow an anonymous grievance.';
   }
+
+  await startGrievanceScroll(listDiv, 'Loading...', emptyMessage, async (id) => {
+    const { grievance, content, categoryId, deadline } = await fetchGrievanceForCard(id);
+    const grievanceCard = createGrievanceCard(grievance, userRole !== ROLE.STUDENT, content, categoryId, deadline);
+    await addStudentActions(grievanceCard, grievance);
+    return grievanceCard;
+  });
 }
 
 async function loadAuthorityGrievances() {
   const listDiv = document.getElementById('authority-grievances-list');
   if (!listDiv) return;
-  
-  listDiv.innerHTML = '<p class="empty-state">Loading grievances...</p>';
+
+  let emptyMessage = 'No grievances available for your role.';
+  if (userRole === ROLE.HOD) {
+    emptyMessage = 'No grievances assigned to you yet.';
+  } else if (userRole === ROLE.DEAN) {
+    emptyMessage = 'No escalated or remanded grievances to review.';
+  }
+
+  await startGrievanceScroll(listDiv, 'Loading grievances...', emptyMessage, async (id) => {
+    const { grievance, content, categoryId, deadline } = await fetchGrievanceForCard(id);
+    return createGrievanceCard(grievance, true, content, categoryId, deadline);
+  });
+}
+
+async function fetchGrievanceForCard(id) {
+  const grievance = await contract.getGrievanceById(id);
+  const content = await decryptGrievance(grievance, false);
+  const categoryId = await contract.grievanceCategory(id);
+  const deadline = await contract.getDeadline(id);
+  return { grievance, content, categoryId, deadline };
+}
+
+/**
+ * Fill a grievance list page by page with getVisibleGrievancesPage (role-filtered), loading
+ * the next page whenever the bottom of the list scrolls into view.
+ * Pages can come back short because the contract skips grievances the caller may not see,
+ * so loading continues until the list reaches the bottom of the screen or runs out.
+ * @param {HTMLElement} listDiv List to fill (replaces any scroll already running on it)
+ * @param {function(ethers.BigNumber): Promise<HTMLElement>} renderCard Card for one grievance
+ */
+async function startGrievanceScroll(listDiv, loadingMessage, emptyMessage, renderCard) {
+  grievanceScrolls.get(listDiv.id)?.observer.disconnect();
+
+  const sentinel = document.createElement('p');
+  sentinel.className = 'empty-state scroll-sentinel';
+  sentinel.textContent = loadingMessage;
+  listDiv.innerHTML = '';
+  listDiv.appendChild(sentinel);
+
+  const scroll = { offset: 0, hasMore: true, loading: false, shown: 0 };
+  scroll.observer = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) loadNextGrievancePage(listDiv, scroll, sentinel, emptyMessage, renderCard);
+  }, { rootMargin: '200px' });
+  grievanceScrolls.set(listDiv.id, scroll);
+
+  await loadNextGrievancePage(listDiv, scroll, sentinel, emptyMessage, renderCard);
+  if (scroll.hasMore && grievanceScrolls.get(listDiv.id) === scroll) {
+    scroll.observer.observe(sentinel);
+  }
+}
+
+async function loadNextGrievancePage(listDiv, scroll, sentinel, emptyMessage, renderCard) {
+  if (scroll.loading || !scroll.hasMore) return;
+  scroll.loading = true;
 
   try {
-    // Use getVisibleGrievances() which returns role-filtered grievances
-    const grievanceIds = await contract.getVisibleGrievances();
-    
-    if (grievanceIds.length === 0) {
-      if (userRole === ROLE.HOD) {
-        listDiv.innerHTML = '<p class="empty-state">No grievances assigned to you yet.</p>';
-      } else if (userRole === ROLE.DEAN) {
-        listDiv.innerHTML = '<p class="empty-state">No escalated grievances to review.</p>';
-      } else {
-        listDiv.innerHTML = '<p class="empty-state">No grievances available for your role.</p>';
+    do {
+      const [ids, nextOffset, hasMore] = await contract.getVisibleGrievancesPage(scroll.offset, GRIEVANCE_PAGE_SIZE);
+      for (const id of ids) {
+        try {
+          const card = await renderCard(id);
+          // Stop if the list was reloaded meanwhile
+          if (grievanceScrolls.get(listDiv.id) !== scroll) return;
+          sentinel.before(card);
+          scroll.shown++;
+        } catch (e) {
+          console.log('Skipping grievance', id.toString(), ':', e.message);
+        }
       }
-      return;
-    }
+      scroll.offset = nextOffset.toNumber();
+      scroll.hasMore = hasMore;
+    } while (scroll.hasMore && isNearViewport(sentinel));
 
-    listDiv.innerHTML = '';
-    
-    for (const id of grievanceIds) {
-      try {
-        const grievance = await contract.getGrievanceById(id);
-        const grievanceCard = createGrievanceCard(grievance, true);
-        listDiv.appendChild(grievanceCard);
-      } catch (e) {
-        console.log('Skipping grievance', id.toString(), ':', e.message);
+    const filter = document.querySelector(`.category-filter[data-list="${listDiv.id}"]`);
+    if (filter) applyCategoryFilter(filter);
+
+    if (!scroll.hasMore) {
+      scroll.observer.disconnect();
+      if (scroll.shown === 0) {
+        sentinel.textContent = emptyMessage;
+      } else {
+        sentinel.remove();
       }
     }
-
   } catch (error) {
-    console.error('Error loading authority grievances:', error);
-    listDiv.innerHTML = '<p class="empty-state error">Error loading grievances: ' + (error.message || 'Unknown error') + '</p>';
+    console.error('Error loading grievances:', error);
+    scroll.observer.disconnect();
+    sentinel.className = 'empty-state error';
+    sentinel.textContent = 'Error loading grievances: ' + (error.message || 'Unknown error');
+  } finally {
+    scroll.loading = false;
   }
 }
 
+// False for lists in hidden tabs; their observer loads more once the tab is shown
+function isNearViewport(element) {
+  return element.offsetParent !== null && element.getBoundingClientRect().top < window.innerHeight + 200;
+}
+
 // ============ GRIEVANCE CARD CREATION ============
 
-function createGrievanceCard(grievance, isAuthorityView) {
+function createGrievanceCard(grievance, isAuthorityView, content, categoryId, deadline) {
   const card = document.createElement('div');
   card.className = 'grievance-card';
   card.dataset.grievanceId = grievance.grievanceId.toString();
+  card.dataset.category = categoryId.toString();
+  const categoryName = categoryNames[categoryId.toString()] || `Category #${categoryId}`;
 
   const statusClass = getStatusClass(grievance.status);
   const statusText = STATUS[grievance.status] || "UNKNOWN";
@@ -637,31 +1375,42 @@ function createGrievanceCard(grievance, isAuthorityView) {
   }
 
   const date = new Date(grievance.submittedAt.toNumber() * 1000).toLocaleDateString();
-  const description = grievance.description.length > 150 
-    ? grievance.description.substring(0, 150) + '...' 
-    : grievance.description;
+  const plaintext = content && content.description !== null
+    ? content.description
+    : '🔒 Encrypted - open details to decrypt';
+  const description = plaintext.length > 150 
+    ? plaintext.substring(0, 150) + '...' 
+    : plaintext;
 
   card.innerHTML = `
     <div class="grievance-header">
       <div class="grievance-id">Grievance #${grievance.grievanceId}</div>
       <span class="status-badge ${statusClass}">${statusText}</span>
     </div>
+    ${deadline.isZero() ? '' : `<span class="sla-badge" data-deadline="${deadline}"></span>`}
     <div class="grievance-body">
       <p class="grievance-description">${escapeHtml(description)}</p>
       <div class="grievance-meta">
+        <span><strong>Category:</strong> ${escapeHtml(categoryName)}</span>
         <span><strong>Level:</strong> ${levelText}</span>
         <span><strong>Submitted:</strong> ${date}</span>
       </div>
     </div>
     <div class="grievance-actions">
       <button class="btn btn-small btn-view" data-grievance-id="${grievance.grievanceId}">View Details</button>
-      ${isAuthorityView && grievance.status !== 4 && grievance.status !== 5 
+      ${isAuthorityView && ![4, 5, 6, 7].includes(grievance.status) && (userRole !== ROLE.DEAN || grievance.status === 3)
         ? `<button class="btn btn-small btn-action" data-grievance-id="${grievance.grievanceId}">Take Action</button>` 
         : ''}
+      <button class="btn btn-small btn-danger btn-enforce" style="display: none;">Escalate Overdue</button>
     </div>
   `;
 
-  // Add event listeners
+  updateSlaBadge(card);
+  card.querySelector('.btn-enforce').addEventListener('click', () => {
+    handleEnforceDeadline(grievance.grievanceId);
+  });
+
+  // Add event listeners
   card.querySelector('.btn-view').addEventListener('click', () => {
     showGrievanceDetails(grievance.grievanceId);
   });
@@ -678,6 +1427,201 @@ function createGrievanceCard(grievance, isAuthorityView) {
   return card;
 }
 
+// ============ STUDENT ACTIONS ============
+
+/**
+ * Add Withdraw (and, once resolved, Accept / Dispute) to the student's own grievance until its outcome is final
+ */
+async function addStudentActions(card, grievance) {
+  if (grievance.studentAddress.toLowerCase() !== userAddress.toLowerCase()) return;
+  if (await contract.isResolutionFinal(grievance.grievanceId)) return;
+
+  const withdrawBtn = document.createElement('button');
+  withdrawBtn.className = 'btn btn-small btn-secondary';
+  withdrawBtn.textContent = 'Withdraw';
+  withdrawBtn.addEventListener('click', () => handleWithdrawGrievance(grievance.grievanceId));
+  card.querySelector('.grievance-actions').appendChild(withdrawBtn);
+
+  if (grievance.status !== 7) {
+    const flagBtn = document.createElement('button');
+    flagBtn.className = 'btn btn-small btn-secondary';
+    flagBtn.textContent = 'Flag Conflict';
+    flagBtn.addEventListener('click', () => handleFlagConflicts(grievance.grievanceId));
+    card.querySelector('.grievance-actions').appendChild(flagBtn);
+  }
+
+  if (grievance.status === 7) {
+    const answerBtn = document.createElement('button');
+    answerBtn.className = 'btn btn-small btn-primary';
+    answerBtn.textContent = 'Answer Question';
+    answerBtn.addEventListener('click', () => handleProvideInformation(grievance.grievanceId));
+    card.querySelector('.grievance-actions').prepend(answerBtn);
+  }
+
+  if (grievance.status !== 4) return;
+
+  const responseWindow = await contract.RESOLUTION_RESPONSE_WINDOW();
+  const respondBy = (await contract.resolvedAt(grievance.grievanceId)).add(responseWindow);
+  const respondByDate = new Date(respondBy.toNumber() * 1000).toLocaleDateString();
+
+  const response = document.createElement('div');
+  response.className = 'resolution-response';
+  response.innerHTML = `
+    <p>Is this resolution acceptable? Respond by ${respondByDate}, after which it becomes final.</p>
+    <button class="btn btn-small btn-primary btn-accept">Accept Resolution</button>
+    <button class="btn btn-small btn-danger btn-dispute">Dispute</button>
+  `;
+  response.querySelector('.btn-accept').addEventListener('click', () => handleAcceptResolution(grievance.grievanceId));
+  response.querySelector('.btn-dispute').addEventListener('click', () => handleDisputeResolution(grievance.grievanceId));
+  card.querySelector('.grievance-actions').before(response);
+}
+
+async function handleAcceptResolution(grievanceId) {
+  if (!confirm(`Accept the resolution of grievance #${grievanceId}? It cannot be disputed afterwards.`)) {
+    return;
+  }
+
+  try {
+    const tx = await sendTransaction('acceptResolution', grievanceId);
+    await tx.wait();
+    alert(`Resolution of grievance #${grievanceId} accepted.`);
+    await loadMyGrievances();
+  } catch (error) {
+    console.error('Error accepting resolution:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
+async function handleDisputeResolution(grievanceId) {
+  const reason = prompt(
+    `Why is the resolution of grievance #${grievanceId} not acceptable?\n\n` +
+    'The grievance will be reopened one level up (Year Coordinator for Counselor resolutions, otherwise the Dean).'
+  );
+  if (!reason || !reason.trim()) return;
+
+  try {
+    // Encrypted like remarks, so only you and the authorities can read it
+    const sealedReason = await sealRemarks(grievanceId, reason.trim());
+    const tx = await sendTransaction('disputeResolution', grievanceId, sealedReason);
+    await tx.wait();
+    alert(`Grievance #${grievanceId} reopened.`);
+    await loadMyGrievances();
+  } catch (error) {
+    console.error('Error disputing resolution:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
+async function handleWithdrawGrievance(grievanceId) {
+  const reason = prompt(
+    `Withdraw grievance #${grievanceId}? No authority can act on it afterwards.\n\n` +
+    'Reason (optional, e.g. "Settled informally"):'
+  );
+  if (reason === null) return;
+
+  try {
+    const sealedReason = reason.trim() ? await sealRemarks(grievanceId, reason.trim()) : '';
+    const tx = await sendTransaction('withdrawGrievance', grievanceId, sealedReason);
+    await tx.wait();
+    alert(`Grievance #${grievanceId} withdrawn.`);
+    await loadMyGrievances();
+  } catch (error) {
+    console.error('Error withdrawing grievance:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
+async function handleFlagConflicts(grievanceId) {
+  const input = prompt(
+    `Which staff must never handle grievance #${grievanceId}? (e.g. the HOD it is about)\n\n` +
+    'Enter wallet addresses separated by commas. Flags cannot be taken back; anyone flagged who is handling ' +
+    'the grievance now is taken off it.'
+  );
+  if (!input || !input.trim()) return;
+
+  const staff = input.split(/[\s,]+/).filter(Boolean);
+  if (staff.some(address => !/^0x[a-fA-F0-9]{40}$/.test(address))) {
+    alert('Error: Invalid wallet address');
+    return;
+  }
+
+  try {
+    const tx = await sendTransaction('flagConflicts', grievanceId, staff);
+    await tx.wait();
+    alert(`${staff.length} address(es) flagged on grievance #${grievanceId}.`);
+    await loadMyGrievances();
+  } catch (error) {
+    console.error('Error flagging staff:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
+async function handleProvideInformation(grievanceId) {
+  try {
+    const grievance = await contract.getGrievanceById(grievanceId);
+    const messages = await contract.getMessages(grievanceId);
+    const dataKey = await getGrievanceDataKey(grievance);
+    const question = readRemarks(messages[messages.length - 1].body, dataKey);
+
+    const answer = prompt(`The handler of grievance #${grievanceId} asks:\n\n${question}\n\nYour answer:`);
+    if (!answer || !answer.trim()) return;
+
+    const sealedAnswer = await sealRemarks(grievanceId, answer.trim());
+    const tx = await sendTransaction('provideInformation', grievanceId, sealedAnswer);
+    await tx.wait();
+    alert(`Answer sent. Grievance #${grievanceId} is back with its handler.`);
+    await loadMyGrievances();
+  } catch (error) {
+    console.error('Error answering question:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
+// ============ SLA DEADLINES ============
+
+function formatTimeLeft(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// Render a card's SLA countdown; once overdue, anyone may escalate it
+function updateSlaBadge(card) {
+  const badge = card.querySelector('.sla-badge');
+  if (!badge) return;
+
+  const secondsLeft = parseInt(badge.dataset.deadline) - Math.floor(Date.now() / 1000);
+  const overdue = secondsLeft < 0;
+  badge.className = `sla-badge ${overdue ? 'sla-overdue' : secondsLeft < 86400 ? 'sla-due-soon' : 'sla-on-track'}`;
+  badge.textContent = overdue
+    ? `⚠️ SLA missed ${formatTimeLeft(-secondsLeft)} ago`
+    : `⏱️ ${formatTimeLeft(secondsLeft)} left at this level`;
+  card.querySelector('.btn-enforce').style.display = overdue ? '' : 'none';
+}
+
+function refreshSlaBadges() {
+  document.querySelectorAll('.grievance-card').forEach(updateSlaBadge);
+}
+
+async function handleEnforceDeadline(grievanceId) {
+  if (!confirm(`Grievance #${grievanceId} has missed its SLA deadline. Escalate it to the next level?`)) {
+    return;
+  }
+
+  try {
+    const tx = await sendTransaction('enforceDeadline', grievanceId);
+    await tx.wait();
+    alert(`Grievance #${grievanceId} escalated.`);
+    await loadGrievances();
+  } catch (error) {
+    console.error('Error enforcing deadline:', error);
+    alert('Error: ' + (error.reason || error.message));
+  }
+}
+
 // ============ GRIEVANCE DETAILS ============
 
 // Helper function to get role name for an address
@@ -691,8 +1635,72 @@ async function getRoleNameForAddress(address) {
   }
 }
 
-// Helper function to query events and build timeline
+// Helper function to describe which department/cohort a grievance belongs to
+async function getGrievanceScopeLabel(grievanceId) {
+  try {
+    const cohortId = await contract.grievanceCohort(grievanceId);
+    if (cohortId.isZero()) return 'Institution-wide';
+    const cohort = await contract.cohorts(cohortId);
+    const departmentName = await contract.departments(cohort.departmentId);
+    return `${departmentName} - ${cohort.name}`;
+  } catch (error) {
+    return 'Unknown';
+  }
+}
+
+// Build the timeline from the grievance's on-chain action log
 async function getGrievanceTimeline(grievanceId) {
+  try {
+    const history = await contract.getGrievanceHistory(grievanceId);
+    // Grievances submitted before the action log only have part of it; rebuild theirs from events
+    if (history.length === 0 || history[0].fromLevel !== ROLE.UNREGISTERED) {
+      return getEventTimeline(grievanceId);
+    }
+
+    return history
+      .filter(record => record.fromStatus !== 7 && record.toStatus !== 7) // Shown in the clarification thread
+      .map(record => {
+        const type = getActionType(record);
+        let remarks = record.remarks || null;
+        if (type === 'accepted') {
+          remarks = 'Resolution accepted by the student';
+        } else if (type === 'recused' && record.actorRole === ROLE.STUDENT) {
+          remarks = 'Conflict of interest flagged; the handler was taken off the grievance';
+        }
+        return {
+          type,
+          address: record.actor,
+          remarks,
+          timestamp: record.timestamp.toNumber(),
+          roleName: record.actor === ethers.constants.AddressZero ? 'Anonymous Student' : ROLE_NAMES[record.actorRole]
+        };
+      });
+  } catch (error) {
+    console.error('Error loading grievance history:', error);
+    return [];
+  }
+}
+
+// Name an action log entry after the transition it records (timeline types below)
+function getActionType(record) {
+  const { fromStatus, toStatus, fromLevel, toLevel } = record;
+  if (fromLevel === ROLE.UNREGISTERED) return record.actorRole === ROLE.ADMIN ? 'imported' : 'submitted';
+  if (toStatus === 6) return 'withdrawn';
+  if (toStatus === 5) return 'closed';
+  if (toStatus === 4) return fromStatus === 4 ? 'accepted' : 'resolved';
+  if (fromStatus === 4) return 'disputed';
+  if (fromStatus === 3) return 'remanded';
+  if (toStatus === 3) return 'escalated';
+  if (fromStatus === 2 && toStatus === 2) return 'reassigned';
+  if (toStatus === 2) return toLevel !== fromLevel ? 'escalated' : 'assigned';
+  if (toLevel > fromLevel) return 'escalated';
+  // Reviews carry no remarks; recusals need a reason unless the student's conflict flag caused them
+  if (fromStatus === 0 && !record.remarks && record.actorRole !== ROLE.STUDENT) return 'reviewed';
+  return 'recused';
+}
+
+// Timeline of grievances from before the action log, from the events they emitted
+async function getEventTimeline(grievanceId) {
   const timeline = [];
   
   try {
@@ -702,13 +1710,25 @@ async function getGrievanceTimeline(grievanceId) {
     const escalatedFilter = contract.filters.GrievanceEscalated(grievanceId);
     const assignedFilter = contract.filters.GrievanceAssignedToHOD(grievanceId);
     const closedFilter = contract.filters.GrievanceClosed(grievanceId);
+    const acceptedFilter = contract.filters.ResolutionAccepted(grievanceId);
+    const disputedFilter = contract.filters.ResolutionDisputed(grievanceId);
+    const withdrawnFilter = contract.filters.GrievanceWithdrawn(grievanceId);
+    const recusedFilter = contract.filters.HandlerRecused(grievanceId);
+    const reassignedFilter = contract.filters.GrievanceReassigned(grievanceId);
+    const remandedFilter = contract.filters.GrievanceRemanded(grievanceId);
     
-    const [submittedEvents, resolvedEvents, escalatedEvents, assignedEvents, closedEvents] = await Promise.all([
+    const [submittedEvents, resolvedEvents, escalatedEvents, assignedEvents, closedEvents, acceptedEvents, disputedEvents, withdrawnEvents, recusedEvents, reassignedEvents, remandedEvents] = await Promise.all([
       contract.queryFilter(submittedFilter),
       contract.queryFilter(resolvedFilter),
       contract.queryFilter(escalatedFilter),
       contract.queryFilter(assignedFilter),
-      contract.queryFilter(closedFilter)
+      contract.queryFilter(closedFilter),
+      contract.queryFilter(acceptedFilter),
+      contract.queryFilter(disputedFilter),
+      contract.queryFilter(withdrawnFilter),
+      contract.queryFilter(recusedFilter),
+      contract.queryFilter(reassignedFilter),
+      contract.queryFilter(remandedFilter)
     ]);
     
     // Process submitted events
@@ -716,9 +1736,9 @@ async function getGrievanceTimeline(grievanceId) {
       timeline.push({
         type: 'submitted',
         address: event.args.student,
-        remarks: event.args.description,
+        remarks: null, // Description is encrypted and shown above the timeline
         timestamp: event.args.timestamp.toNumber(),
-        roleName: 'Student'
+        roleName: event.args.student === ethers.constants.AddressZero ? 'Anonymous Student' : 'Student'
       });
     });
     
@@ -766,6 +1786,73 @@ async function getGrievanceTimeline(grievanceId) {
       });
     });
     
+    // Process student responses to resolutions
+    acceptedEvents.forEach(event => {
+      timeline.push({
+        type: 'accepted',
+        address: event.args.student,
+        remarks: 'Resolution accepted by the student',
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: 'Student'
+      });
+    });
+    
+    disputedEvents.forEach(event => {
+      timeline.push({
+        type: 'disputed',
+        address: event.args.student,
+        remarks: event.args.reason,
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: 'Student'
+      });
+    });
+    
+    withdrawnEvents.forEach(event => {
+      timeline.push({
+        type: 'withdrawn',
+        address: event.args.student,
+        remarks: event.args.reason || null,
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: 'Student'
+      });
+    });
+    
+    // Handlers stepping aside, or taken off by the student's conflict flag
+    recusedEvents.forEach(event => {
+      const byStudent = event.args.requestedBy !== event.args.handler;
+      timeline.push({
+        type: 'recused',
+        address: event.args.requestedBy,
+        remarks: byStudent
+          ? `Conflict of interest flagged; ${event.args.handler.substring(0, 6)}...${event.args.handler.substring(38)} taken off the grievance`
+          : event.args.reason,
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: byStudent ? 'Student' : null // Will be filled
+      });
+    });
+    
+    // HOD handovers by a Year Coordinator or the admin
+    reassignedEvents.forEach(event => {
+      timeline.push({
+        type: 'reassigned',
+        address: event.args.reassignedBy,
+        remarks: event.args.reason,
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: null // Will be filled
+      });
+    });
+    
+    // Dean sending the grievance back down with instructions
+    remandedEvents.forEach(event => {
+      timeline.push({
+        type: 'remanded',
+        address: event.args.dean,
+        remarks: event.args.instructions,
+        timestamp: event.args.timestamp.toNumber(),
+        roleName: 'Dean'
+      });
+    });
+    
     // Sort by timestamp
     timeline.sort((a, b) => a.timestamp - b.timestamp);
     
@@ -783,19 +1870,85 @@ async function getGrievanceTimeline(grievanceId) {
   return timeline;
 }
 
-async function showGrievanceDetails(grievanceId) {
+async function showGrievanceDetails(grievanceId, trackingCode = null) {
   try {
-    const grievance = await contract.getGrievanceById(grievanceId);
+    let grievance;
+    if (trackingCode) {
+      // Anonymous grievance: the tracking code both locates it and unlocks the student's key
+      grievance = await contract.getAnonymousGrievance(trackingCode);
+      grievanceId = grievance.grievanceId;
+      const dataKey = unwrapDataKeyWithTrackingCode(grievance.description, trackingCode);
+      if (dataKey) grievanceDataKeys.set(grievanceId.toString(), dataKey);
+    } else {
+      grievance = await contract.getGrievanceById(grievanceId);
+    }
     const modal = document.getElementById('grievance-modal');
     const modalBody = document.getElementById('modal-body');
 
     const submittedDate = new Date(grievance.submittedAt.toNumber() * 1000).toLocaleString();
     const updatedDate = new Date(grievance.lastUpdatedAt.toNumber() * 1000).toLocaleString();
     const statusClass = getStatusClass(grievance.status);
+    const scopeLabel = await getGrievanceScopeLabel(grievanceId);
+    const categoryId = await contract.grievanceCategory(grievanceId);
+
+    // Decrypt description and remarks (prompts MetaMask for the student's own grievance)
+    const content = await decryptGrievance(grievance);
+    let descriptionHTML;
+    if (content.description === null) {
+      descriptionHTML = '<p class="detail-description">🔒 Encrypted - you do not hold a key for this grievance</p>';
+    } else {
+      descriptionHTML = `<p class="detail-description">${escapeHtml(content.description)}</p>`;
+      if (content.dataKey) {
+        descriptionHTML += content.verified
+          ? '<small style="color: #10b981;">✅ Matches on-chain content hash</small>'
+          : '<small style="color: #ef4444;">⚠️ Does not match on-chain content hash</small>';
+      }
+    }
+
+    // Attachments are grouped by the remark they support; the rest belong to the grievance itself
+    const attachments = await contract.getAttachments(grievanceId).catch(() => []);
+    const unclaimedAttachments = new Set(attachments.map((attachment, index) => index));
+    const claimAttachments = (sealedText) => {
+      if (!sealedText) return [];
+      const remarkHash = ethers.utils.id(sealedText);
+      return attachments
+        .map((attachment, index) => ({ attachment, index }))
+        .filter(({ attachment, index }) => attachment.remarkHash === remarkHash && unclaimedAttachments.delete(index));
+    };
 
     // Get timeline for full traceability
     const timeline = await getGrievanceTimeline(grievanceId);
+    timeline.forEach(item => {
+      item.attachments = claimAttachments(item.remarks);
+      item.remarks = readRemarks(item.remarks, content.dataKey);
+    });
     
+    // Clarification thread (questions from the handler, answers from the student)
+    let threadHTML = '';
+    if (grievance.studentAddress !== ethers.constants.AddressZero) {
+      const messages = await contract.getMessages(grievanceId).catch(() => []);
+      if (messages.length > 0) {
+        threadHTML = '<div class="thread-section"><h3>Clarification Thread</h3>';
+        for (const message of messages) {
+          const fromStudent = message.author.toLowerCase() === grievance.studentAddress.toLowerCase();
+          const author = fromStudent ? 'Student' : await getRoleNameForAddress(message.author);
+          threadHTML += `
+            <div class="thread-message ${fromStudent ? 'thread-student' : 'thread-handler'}">
+              <div class="thread-meta">
+                <strong>${escapeHtml(author)}</strong>
+                <span>${new Date(message.timestamp.toNumber() * 1000).toLocaleString()}</span>
+              </div>
+              <p>${escapeHtml(readRemarks(message.body, content.dataKey))}</p>
+              ${attachmentListHTML(claimAttachments(message.body))}
+            </div>`;
+        }
+        if (grievance.status === 7) {
+          threadHTML += '<p class="thread-waiting">⏳ Waiting for the student to answer (SLA paused)</p>';
+        }
+        threadHTML += '</div>';
+      }
+    }
+
     // Build timeline HTML
     let timelineHTML = '';
     if (timeline.length > 0) {
@@ -804,17 +1957,33 @@ async function showGrievanceDetails(grievanceId) {
         const dateTime = new Date(item.timestamp * 1000).toLocaleString();
         const typeLabels = {
           'submitted': 'Submitted',
+          'imported': 'Imported From Legacy System',
+          'reviewed': 'Marked In Review',
           'assigned': 'Assigned to HOD',
           'escalated': 'Escalated',
           'resolved': 'Resolved',
-          'closed': 'Closed'
+          'closed': 'Closed',
+          'accepted': 'Resolution Accepted',
+          'disputed': 'Resolution Disputed',
+          'withdrawn': 'Withdrawn',
+          'recused': 'Handed Back for Reassignment',
+          'reassigned': 'Reassigned to Another HOD',
+          'remanded': 'Remanded by Dean'
         };
         const typeColors = {
           'submitted': '#4CAF50',
+          'imported': '#4CAF50',
+          'reviewed': '#64748b',
           'assigned': '#2196F3',
           'escalated': '#FF9800',
           'resolved': '#9C27B0',
-          'closed': '#F44336'
+          'closed': '#F44336',
+          'accepted': '#10b981',
+          'disputed': '#e11d48',
+          'withdrawn': '#6b7280',
+          'recused': '#0ea5e9',
+          'reassigned': '#6366f1',
+          'remanded': '#d97706'
         };
         
         timelineHTML += `
@@ -827,12 +1996,39 @@ async function showGrievanceDetails(grievanceId) {
               <strong>By:</strong> ${item.roleName} (<code style="font-size: 0.85em;">${item.address.substring(0, 6)}...${item.address.substring(38)}</code>)
             </div>
             ${item.remarks ? `<div style="margin-top: 8px; padding: 10px; background: white; border-radius: 4px;"><strong>Remarks:</strong> ${escapeHtml(item.remarks)}</div>` : ''}
+            ${attachmentListHTML(item.attachments)}
           </div>
         `;
       });
       timelineHTML += '</div>';
     }
 
+    // Evidence on the grievance itself, plus an upload control for its student and handlers
+    const grievanceAttachments = [...unclaimedAttachments].map(index => ({ attachment: attachments[index], index }));
+    const canAttach = !trackingCode && userRole !== ROLE.ADMIN && content.dataKey &&
+      !(await contract.isResolutionFinal(grievanceId));
+    let attachmentsHTML = '';
+    if (grievanceAttachments.length > 0 || canAttach) {
+      attachmentsHTML = `
+        <div class="detail-item">
+          <strong>Evidence:</strong>
+          ${attachmentListHTML(grievanceAttachments) || '<p>No files attached</p>'}
+          ${canAttach
+            ? `<div class="attachment-add">
+                <input type="file" id="detail-attachments" multiple>
+                <button type="button" class="btn btn-small btn-primary" id="detail-attach-btn">Add Files</button>
+              </div>
+              <div id="detail-attach-status" class="status-message"></div>`
+            : ''}
+        </div>`;
+    }
+
+    // Duplicates follow their primary: the student sees which grievance theirs was handled with
+    const primaryId = await contract.getPrimary(grievanceId).catch(() => ethers.constants.Zero);
+    const duplicates = primaryId.isZero() && userRole !== ROLE.STUDENT && !trackingCode
+      ? await contract.getDuplicates(grievanceId).catch(() => [])
+      : [];
+
     // Get resolved by role name
     let resolvedByDisplay = '';
     if (grievance.resolvedBy !== ethers.constants.AddressZero) {
@@ -859,9 +2055,31 @@ async function showGrievanceDetails(grievanceId) {
               <code>${grievance.currentHandler}</code>
             </div>`
           : ''}
+        ${!primaryId.isZero()
+          ? `<div class="detail-item">
+              <strong>Handled Together With:</strong>
+              Grievance #${primaryId} (reports of the same issue are reviewed, escalated and resolved as one)
+            </div>`
+          : ''}
+        ${duplicates.length > 0
+          ? `<div class="detail-item">
+              <strong>Linked Duplicates:</strong>
+              ${duplicates.map(id => `#${id}`).join(', ')}
+            </div>`
+          : ''}
+        <div class="detail-item">
+          <strong>Category:</strong>
+          ${escapeHtml(categoryNames[categoryId.toString()] || `Category #${categoryId}`)}
+        </div>
+        <div class="detail-item">
+          <strong>Department / Cohort:</strong>
+          ${escapeHtml(scopeLabel)}
+        </div>
         <div class="detail-item">
           <strong>Student Address:</strong>
-          <code>${grievance.studentAddress}</code>
+          ${grievance.studentAddress === ethers.constants.AddressZero
+            ? 'Anonymous (enrollment proven with a zero-knowledge proof)'
+            : `<code>${grievance.studentAddress}</code>`}
         </div>
         <div class="detail-item">
           <strong>Submitted At:</strong>
@@ -873,8 +2091,9 @@ async function showGrievanceDetails(grievanceId) {
         </div>
         <div class="detail-item">
           <strong>Description:</strong>
-          <p class="detail-description">${escapeHtml(grievance.description)}</p>
+          ${descriptionHTML}
         </div>
+        ${attachmentsHTML}
         ${resolvedByDisplay
           ? `<div class="detail-item">
               <strong>Resolved By:</strong>
@@ -884,13 +2103,24 @@ async function showGrievanceDetails(grievanceId) {
         ${grievance.resolutionRemarks 
           ? `<div class="detail-item">
               <strong>Final Resolution Remarks:</strong>
-              <p class="detail-remarks">${escapeHtml(grievance.resolutionRemarks)}</p>
+              <p class="detail-remarks">${escapeHtml(readRemarks(grievance.resolutionRemarks, content.dataKey))}</p>
             </div>`
           : ''}
       </div>
+      ${threadHTML}
       ${timelineHTML}
     `;
 
+    modalBody.querySelectorAll('.btn-download-attachment').forEach(button => {
+      const attachment = attachments[Number(button.dataset.attachmentIndex)];
+      button.addEventListener('click', () => handleDownloadAttachment(button, attachment, content.dataKey));
+    });
+    document.getElementById('detail-attach-btn')?.addEventListener('click', () => handleAddAttachments(
+      grievanceId,
+      document.getElementById('detail-attachments'),
+      document.getElementById('detail-attach-status')
+    ));
+
     modal.style.display = 'block';
   } catch (error) {
     console.error('Error loading grievance details:', error);
@@ -906,18 +2136,37 @@ async function showActionModal(grievanceId) {
     const modal = document.getElementById('action-modal');
     document.getElementById('action-grievance-id').value = grievanceId;
     document.getElementById('action-remarks').value = '';
+    document.getElementById('action-attachments').value = '';
 
     // Show/hide buttons based on role
     const reviewBtn = document.getElementById('review-btn');
     const resolveBtn = document.getElementById('resolve-btn');
     const escalateBtn = document.getElementById('escalate-btn');
     const closeBtn = document.getElementById('close-btn');
+    const requestInfoBtn = document.getElementById('request-info-btn');
+    const recuseBtn = document.getElementById('recuse-btn');
+    const reassignHodBtn = document.getElementById('reassign-hod-btn');
+    const remandBtn = document.getElementById('remand-btn');
+    const linkDuplicatesBtn = document.getElementById('link-duplicates-btn');
+    const unlinkDuplicateBtn = document.getElementById('unlink-duplicate-btn');
+    const remandLevelGroup = document.getElementById('remand-level-group');
+    const instructionsDiv = document.getElementById('remand-instructions');
+    const duplicatesDiv = document.getElementById('duplicate-info');
     
     // Hide all first
     reviewBtn.style.display = 'none';
     resolveBtn.style.display = 'none';
     escalateBtn.style.display = 'none';
     closeBtn.style.display = 'none';
+    requestInfoBtn.style.display = 'none';
+    recuseBtn.style.display = 'none';
+    reassignHodBtn.style.display = 'none';
+    remandBtn.style.display = 'none';
+    linkDuplicatesBtn.style.display = 'none';
+    unlinkDuplicateBtn.style.display = 'none';
+    remandLevelGroup.style.display = 'none';
+    instructionsDiv.style.display = 'none';
+    duplicatesDiv.style.display = 'none';
     
     // Show appropriate buttons based on role
     if (userRole === ROLE.COUNSELOR || userRole === ROLE.YEAR_COORDINATOR) {
@@ -929,6 +2178,45 @@ async function showActionModal(grievanceId) {
       escalateBtn.style.display = 'inline-block';
     } else if (userRole === ROLE.DEAN && grievance.status === 3) {
       closeBtn.style.display = 'inline-block';
+      remandBtn.style.display = 'inline-block';
+      remandLevelGroup.style.display = 'block';
+    }
+    // Anonymous students cannot answer questions
+    if (grievance.studentAddress !== ethers.constants.AddressZero && (userRole !== ROLE.DEAN || grievance.status === 3)) {
+      requestInfoBtn.style.display = 'inline-block';
+    }
+    // Only whoever is handling the grievance right now can step aside
+    const handler = grievance.status === 2 ? grievance.assignedHOD : grievance.currentHandler;
+    if (grievance.status <= 2 && handler.toLowerCase() === userAddress.toLowerCase()) {
+      recuseBtn.style.display = 'inline-block';
+    }
+    // Year Coordinators can move a grievance waiting for its HOD to another HOD
+    if (userRole === ROLE.YEAR_COORDINATOR && grievance.status === 2) {
+      reassignHodBtn.style.display = 'inline-block';
+    }
+    // Handlers of a remanded grievance work to the Dean's latest instructions
+    if (userRole !== ROLE.DEAN && (await contract.remandCount(grievanceId)).gt(0)) {
+      const remands = await contract.queryFilter(contract.filters.GrievanceRemanded(grievanceId));
+      const dataKey = await getGrievanceDataKey(grievance);
+      instructionsDiv.textContent = `Dean's instructions: ${readRemarks(remands[remands.length - 1].args.instructions, dataKey)}`;
+      instructionsDiv.style.display = 'block';
+    }
+    // Open grievances can be grouped: a primary's actions also apply to its duplicates
+    if (grievance.status <= 3) {
+      const primaryId = await contract.getPrimary(grievanceId);
+      if (primaryId.gt(0)) {
+        duplicatesDiv.textContent = `🔗 Duplicate of grievance #${primaryId}: act on #${primaryId} to handle both, or unlink this one to handle it separately.`;
+        duplicatesDiv.style.display = 'block';
+        unlinkDuplicateBtn.style.display = 'inline-block';
+      } else {
+        const duplicates = await contract.getDuplicates(grievanceId);
+        if (duplicates.length > 0) {
+          duplicatesDiv.textContent = `🔗 Linked duplicates: ${duplicates.map(id => `#${id}`).join(', ')}. ` +
+            'Review, escalation, resolution and closing apply to them too; each student gets the remarks sealed for them.';
+          duplicatesDiv.style.display = 'block';
+        }
+        linkDuplicatesBtn.style.display = 'inline-block';
+      }
     }
 
     modal.style.display = 'block';
@@ -940,6 +2228,37 @@ async function showActionModal(grievanceId) {
 
 // ============ ACTIONS ============
 
+/**
+ * Send a handler action, applying it to the grievance's linked duplicates too (GrievanceDuplicates)
+ * sealedRemarks are the primary's; each duplicate gets the same remarks sealed with its own data key,
+ * so every student reads the shared outcome. Duplicates the caller can no longer see get an empty
+ * entry: they have left the group's stage, and the contract skips them.
+ */
+async function sendGroupAction(method, grievanceId, { hodAddress, remarks, sealedRemarks } = {}) {
+  const args = hodAddress ? [grievanceId, hodAddress] : [grievanceId];
+  if (sealedRemarks !== undefined) args.push(sealedRemarks);
+
+  const duplicates = await contract.getDuplicates(grievanceId);
+  if (duplicates.length === 0) {
+    return sendTransaction(method, ...args);
+  }
+
+  const groupRemarks = [];
+  if (sealedRemarks !== undefined) {
+    groupRemarks.push(sealedRemarks);
+    for (const duplicateId of duplicates) {
+      groupRemarks.push(await sealRemarks(duplicateId, remarks).catch(() => ''));
+    }
+  }
+  return sendTransaction(
+    'actOnGroup',
+    grievanceId,
+    contract.interface.getSighash(method),
+    hodAddress || ethers.constants.AddressZero,
+    groupRemarks
+  );
+}
+
 async function handleReview() {
   const grievanceId = document.getElementById('action-grievance-id').value;
   const statusDiv = document.getElementById('action-status');
@@ -948,7 +2267,7 @@ async function handleReview() {
     statusDiv.textContent = 'Marking as in review...';
     statusDiv.className = 'status-message info';
 
-    const tx = await contract.reviewGrievance(grievanceId);
+    const tx = await sendGroupAction('reviewGrievance', grievanceId);
     await tx.wait();
 
     statusDiv.textContent = 'Grievance marked as in review!';
@@ -965,6 +2284,40 @@ async function handleReview() {
   }
 }
 
+async function handleRequestInfo() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const question = document.getElementById('action-remarks').value;
+  const statusDiv = document.getElementById('action-status');
+
+  if (!question.trim()) {
+    statusDiv.textContent = 'Please enter your question for the student in the remarks box';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Sending question to the student...';
+    statusDiv.className = 'status-message info';
+
+    const sealedQuestion = await sealRemarks(grievanceId, question);
+    await attachActionFiles(grievanceId, sealedQuestion, statusDiv);
+    const tx = await sendTransaction('requestInformation', grievanceId, sealedQuestion);
+    await tx.wait();
+
+    statusDiv.textContent = 'Question sent! The grievance waits for the student (SLA paused).';
+    statusDiv.className = 'status-message success';
+    document.getElementById('action-modal').style.display = 'none';
+    
+    setTimeout(() => {
+      loadAuthorityGrievances();
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
 async function handleResolve() {
   const grievanceId = document.getElementById('action-grievance-id').value;
   const remarks = document.getElementById('action-remarks').value;
@@ -980,12 +2333,14 @@ async function handleResolve() {
     statusDiv.textContent = 'Resolving grievance...';
     statusDiv.className = 'status-message info';
 
+    const sealedRemarks = await sealRemarks(grievanceId, remarks);
+    await attachActionFiles(grievanceId, sealedRemarks, statusDiv);
     let tx;
     // Route to correct function based on role
     if (userRole === ROLE.COUNSELOR || userRole === ROLE.YEAR_COORDINATOR) {
-      tx = await contract.resolveGrievanceByCounselorOrCoordinator(grievanceId, remarks);
+      tx = await sendGroupAction('resolveGrievanceByCounselorOrCoordinator', grievanceId, { remarks, sealedRemarks });
     } else if (userRole === ROLE.HOD) {
-      tx = await contract.resolveGrievance(grievanceId, remarks);
+      tx = await sendGroupAction('resolveGrievance', grievanceId, { remarks, sealedRemarks });
     } else {
       throw new Error('You do not have permission to resolve grievances');
     }
@@ -1025,25 +2380,32 @@ async function handleEscalate() {
     statusDiv.textContent = 'Escalating grievance...';
     statusDiv.className = 'status-message info';
 
+    const sealedRemarks = await sealRemarks(grievanceId, remarks);
+    await attachActionFiles(grievanceId, sealedRemarks, statusDiv);
     let tx;
     // Route to correct function based on role
     if (userRole === ROLE.COUNSELOR) {
       // Counselor escalates to Year Coordinator
-      tx = await contract.escalateToYearCoordinator(grievanceId, remarks);
+      tx = await sendGroupAction('escalateToYearCoordinator', grievanceId, { remarks, sealedRemarks });
     } else if (userRole === ROLE.YEAR_COORDINATOR) {
-      // Year Coordinator escalates to HOD - needs HOD address
+      // Year Coordinator escalates to HOD - needs the address of the grievance's department HOD
       // For now, we'll need to get a list of HODs or allow manual input
       // This is a simplified version - in production, you'd want a dropdown or search
-      const hodAddress = prompt('Enter HOD address to escalate to:');
+      const scopeLabel = await getGrievanceScopeLabel(grievanceId);
+      const conflicts = await contract.getConflicts(grievanceId);
+      const hodAddress = prompt(
+        `Enter HOD address to escalate to (must belong to: ${scopeLabel}):` +
+        (conflicts.length ? `\n\nNot allowed (conflict of interest):\n${conflicts.join('\n')}` : '')
+      );
       if (!hodAddress || !hodAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
         statusDiv.textContent = 'Error: Invalid HOD address';
         statusDiv.className = 'status-message error';
         return;
       }
-      tx = await contract.escalateToHOD(grievanceId, hodAddress, remarks);
+      tx = await sendGroupAction('escalateToHOD', grievanceId, { hodAddress, remarks, sealedRemarks });
     } else if (userRole === ROLE.HOD) {
       // HOD escalates to Dean
-      tx = await contract.escalateGrievance(grievanceId, remarks);
+      tx = await sendGroupAction('escalateGrievance', grievanceId, { remarks, sealedRemarks });
     } else {
       throw new Error('You do not have permission to escalate grievances');
     }
@@ -1068,6 +2430,199 @@ async function handleEscalate() {
   }
 }
 
+async function handleRecuse() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const reason = document.getElementById('action-remarks').value;
+  const statusDiv = document.getElementById('action-status');
+
+  if (!reason.trim()) {
+    statusDiv.textContent = 'Please explain the conflict of interest in the remarks box';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+  if (!confirm(`Step aside from grievance #${grievanceId}? You cannot be given it again.`)) {
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Handing the grievance back for reassignment...';
+    statusDiv.className = 'status-message info';
+
+    const sealedReason = await sealRemarks(grievanceId, reason);
+    const tx = await sendTransaction('recuse', grievanceId, sealedReason);
+    await tx.wait();
+
+    statusDiv.textContent = 'You have recused yourself. The grievance is back for reassignment.';
+    statusDiv.className = 'status-message success';
+    document.getElementById('action-modal').style.display = 'none';
+    
+    setTimeout(() => {
+      loadAuthorityGrievances();
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleReassignHOD() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const reason = document.getElementById('action-remarks').value;
+  const statusDiv = document.getElementById('action-status');
+
+  if (!reason.trim()) {
+    statusDiv.textContent = 'Please explain why the grievance is moving to another HOD in the remarks box';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  try {
+    const scopeLabel = await getGrievanceScopeLabel(grievanceId);
+    const conflicts = await contract.getConflicts(grievanceId);
+    const hodAddress = prompt(
+      `Enter the new HOD address (must belong to: ${scopeLabel}):` +
+      (conflicts.length ? `\n\nNot allowed (conflict of interest):\n${conflicts.join('\n')}` : '')
+    );
+    if (!hodAddress || !hodAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+      statusDiv.textContent = 'Error: Invalid HOD address';
+      statusDiv.className = 'status-message error';
+      return;
+    }
+
+    statusDiv.textContent = 'Reassigning grievance...';
+    statusDiv.className = 'status-message info';
+
+    const sealedReason = await sealRemarks(grievanceId, reason);
+    const tx = await sendTransaction('reassignHOD', grievanceId, hodAddress, sealedReason);
+    await tx.wait();
+
+    statusDiv.textContent = 'Grievance moved to the new HOD!';
+    statusDiv.className = 'status-message success';
+    document.getElementById('action-modal').style.display = 'none';
+    
+    setTimeout(() => {
+      loadAuthorityGrievances();
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleLinkDuplicates() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const statusDiv = document.getElementById('action-status');
+
+  const input = prompt(
+    `Enter the IDs of grievances that duplicate #${grievanceId}, separated by commas.\n\n` +
+    'They must be at the same stage as this one; from now on its actions apply to them too.'
+  );
+  if (!input) return;
+  const duplicateIds = input.split(',').map(id => id.trim()).filter(id => id);
+  if (duplicateIds.length === 0 || !duplicateIds.every(id => /^[0-9]+$/.test(id))) {
+    statusDiv.textContent = 'Error: Enter grievance IDs as numbers, e.g. 12, 15, 18';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  try {
+    statusDiv.textContent = 'Linking duplicates...';
+    statusDiv.className = 'status-message info';
+
+    const tx = await sendTransaction('linkDuplicates', grievanceId, duplicateIds);
+    await tx.wait();
+
+    statusDiv.textContent = `Linked ${duplicateIds.length} duplicate(s) to grievance #${grievanceId}!`;
+    statusDiv.className = 'status-message success';
+    
+    setTimeout(() => {
+      showActionModal(grievanceId);
+      loadAuthorityGrievances();
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleUnlinkDuplicate() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const statusDiv = document.getElementById('action-status');
+
+  try {
+    statusDiv.textContent = 'Unlinking grievance...';
+    statusDiv.className = 'status-message info';
+
+    const tx = await sendTransaction('unlinkDuplicate', grievanceId);
+    await tx.wait();
+
+    statusDiv.textContent = 'Grievance unlinked - it is now handled on its own';
+    statusDiv.className = 'status-message success';
+    
+    setTimeout(() => {
+      showActionModal(grievanceId);
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
+async function handleRemand() {
+  const grievanceId = document.getElementById('action-grievance-id').value;
+  const instructions = document.getElementById('action-remarks').value;
+  const levelSelect = document.getElementById('remand-level');
+  const targetLevel = parseInt(levelSelect.value);
+  const statusDiv = document.getElementById('action-status');
+
+  if (!instructions.trim()) {
+    statusDiv.textContent = 'Please enter your instructions for the lower level in the remarks box';
+    statusDiv.className = 'status-message error';
+    return;
+  }
+
+  // At HOD level the Dean may pick a different HOD, e.g. when the previous one left or has a conflict
+  let hodAddress = ethers.constants.AddressZero;
+  if (targetLevel === ROLE.HOD) {
+    const input = prompt('Enter the address of the HOD to take it over, or leave empty to send it back to the HOD who escalated it:');
+    if (input === null) return;
+    if (input.trim()) {
+      if (!input.trim().match(/^0x[a-fA-F0-9]{40}$/)) {
+        statusDiv.textContent = 'Error: Invalid HOD address';
+        statusDiv.className = 'status-message error';
+        return;
+      }
+      hodAddress = input.trim();
+    }
+  }
+
+  try {
+    statusDiv.textContent = `Sending the grievance back to ${levelSelect.options[levelSelect.selectedIndex].text}...`;
+    statusDiv.className = 'status-message info';
+
+    const sealedInstructions = await sealRemarks(grievanceId, instructions);
+    await attachActionFiles(grievanceId, sealedInstructions, statusDiv);
+    const tx = await sendTransaction('remandGrievance', grievanceId, targetLevel, hodAddress, sealedInstructions);
+    await tx.wait();
+
+    statusDiv.textContent = 'Grievance remanded! It stays in your list so you can follow it up.';
+    statusDiv.className = 'status-message success';
+    document.getElementById('action-modal').style.display = 'none';
+    
+    setTimeout(() => {
+      loadAuthorityGrievances();
+    }, 1000);
+
+  } catch (error) {
+    statusDiv.textContent = 'Error: ' + (error.reason || error.message);
+    statusDiv.className = 'status-message error';
+  }
+}
+
 async function handleClose() {
   const grievanceId = document.getElementById('action-grievance-id').value;
   const remarks = document.getElementById('action-remarks').value;
@@ -1083,7 +2638,9 @@ async function handleClose() {
     statusDiv.textContent = 'Closing grievance...';
     statusDiv.className = 'status-message info';
 
-    const tx = await contract.closeGrievance(grievanceId, remarks);
+    const sealedRemarks = await sealRemarks(grievanceId, remarks);
+    await attachActionFiles(grievanceId, sealedRemarks, statusDiv);
+    const tx = await sendGroupAction('closeGrievance', grievanceId, { remarks, sealedRemarks });
     await tx.wait();
 
     statusDiv.textContent = 'Grievance closed successfully!';
@@ -1113,7 +2670,9 @@ function getStatusClass(status) {
     2: 'status-review',          // ASSIGNED_TO_HOD
     3: 'status-escalated',       // ESCALATED
     4: 'status-resolved',        // RESOLVED
-    5: 'status-closed'           // CLOSED
+    5: 'status-closed',          // CLOSED
+    6: 'status-withdrawn',       // WITHDRAWN
+    7: 'status-info'             // REQUEST_INFO
   };
   return classes[status] || 'status-submitted';
 }
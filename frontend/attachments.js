@@ -0,0 +1,106 @@
+// ============ EVIDENCE ATTACHMENTS ============
+// Files are too large for the chain, so they are stored on IPFS and only referenced
+// on-chain (GrievanceAttachments module): the CID of the stored file plus the keccak256
+// of the encrypted file, which is checked again after download. Hashing the ciphertext
+// rather than the original keeps anyone holding a candidate file from confirming it.
+//
+// Before upload each file is sealed with the grievance's data key (see crypto.js), so
+// the IPFS node and gateway only ever see ciphertext. The sealed plaintext is a small
+// JSON object carrying the file name and MIME type alongside the base64 file content.
+//
+// Any IPFS node exposing the Kubo RPC API works; scripts/attachmentServer.js is a
+// dependency-free stand-in for local development (see QUICKSTART).
+
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // 5 MB per file
+const MAX_ATTACHMENTS_PER_CALL = 10; // Matches GrievanceSystemStorage.MAX_ATTACHMENTS_PER_CALL
+
+/**
+ * Encrypt and upload files
+ * @param {FileList|File[]} files Files picked by the user
+ * @param {Uint8Array} dataKey Grievance data key
+ * @returns {Promise<{cids: string[], contentHashes: string[]}>} Arguments for addAttachments
+ */
+async function uploadAttachments(files, dataKey) {
+  files = Array.from(files);
+  if (files.length > MAX_ATTACHMENTS_PER_CALL) {
+    throw new Error(`Attach at most ${MAX_ATTACHMENTS_PER_CALL} files at a time`);
+  }
+
+  const cids = [];
+  const contentHashes = [];
+  for (const file of files) {
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+    }
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const sealed = JSON.stringify(sealWithDataKey(JSON.stringify({
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      data: nacl.util.encodeBase64(bytes)
+    }), dataKey));
+
+    cids.push(await ipfsAdd(new Blob([sealed], { type: 'application/json' })));
+    contentHashes.push(ethers.utils.id(sealed));
+  }
+  return { cids, contentHashes };
+}
+
+/**
+ * Download, decrypt and verify one attachment
+ * @param {{cid: string, contentHash: string}} attachment Entry from getAttachments
+ * @returns {Promise<{name: string, blob: Blob, verified: boolean}>}
+ */
+async function downloadAttachment(attachment, dataKey) {
+  const response = await fetch(`${IPFS_GATEWAY_URL}/ipfs/${attachment.cid}`);
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${attachment.cid} (HTTP ${response.status})`);
+  }
+
+  const sealed = await response.text();
+  const opened = decryptWithDataKey(sealed, dataKey);
+  const file = opened && parseAttachmentPayload(opened);
+  if (!file) {
+    throw new Error('Attachment could not be decrypted with this grievance key');
+  }
+
+  const bytes = nacl.util.decodeBase64(file.data);
+  return {
+    name: file.name,
+    blob: new Blob([bytes], { type: file.type }),
+    verified: ethers.utils.id(sealed) === attachment.contentHash
+  };
+}
+
+function parseAttachmentPayload(text) {
+  try {
+    const file = JSON.parse(text);
+    return file && typeof file.data === 'string' ? file : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Kubo RPC: POST /api/v0/add with the file as multipart form data
+async function ipfsAdd(blob) {
+  const form = new FormData();
+  form.append('file', blob, 'attachment');
+  const response = await fetch(`${IPFS_API_URL}/api/v0/add?cid-version=1&pin=true`, {
+    method: 'POST',
+    body: form
+  });
+  if (!response.ok) {
+    throw new Error(`Attachment upload failed (HTTP ${response.status}). Is the IPFS node at ${IPFS_API_URL} running?`);
+  }
+  return (await response.json()).Hash;
+}
+
+function saveBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
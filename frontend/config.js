@@ -4,8 +4,18 @@
 
 const CONTRACT_ADDRESS = "0xE574b11C5C2fcAE752499DD93Cf5BA1Ca8382756"; // Replace with your deployed contract address
 
+// IPFS node used for evidence attachments (Kubo RPC API for uploads, HTTP gateway for downloads)
+// For local development run `npm run attachments` (scripts/attachmentServer.js), which serves both
+const IPFS_API_URL = "http://127.0.0.1:5001";
+const IPFS_GATEWAY_URL = "http://127.0.0.1:8080";
+
+// Gasless transactions: when RELAY_MODE is true, users sign their transactions and the institution's
+// relayer (scripts/relayer.js) submits them and pays the gas. Requires a trusted forwarder on the contract.
+const RELAY_MODE = false;
+const RELAYER_URL = "http://127.0.0.1:3001";
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CONTRACT_ADDRESS };
+  module.exports = { CONTRACT_ADDRESS, IPFS_API_URL, IPFS_GATEWAY_URL, RELAY_MODE, RELAYER_URL };
 }
 
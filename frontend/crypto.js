@@ -0,0 +1,209 @@
+// ============ GRIEVANCE CONTENT ENCRYPTION ============
+// Descriptions and remarks are never written to the chain in plaintext.
+//
+// Each grievance gets a random 32-byte data key. The description is sealed with
+// that key (xsalsa20-poly1305 secretbox) and the data key itself is wrapped:
+//   - to the student's MetaMask encryption key (so they can read their own grievance)
+//   - to the x25519 public key of every authority role published on-chain
+// Remarks added later are sealed with the same data key.
+//
+// Wrapped keys use MetaMask's "x25519-xsalsa20-poly1305" format, so the student can
+// unwrap with eth_decrypt while authorities unwrap with their role's secret key.
+// Anonymous grievances wrap the student's copy to a key derived from the tracking code
+// instead, since a MetaMask key would identify the student.
+//
+// Requires tweetnacl + tweetnacl-util (loaded from CDN before this file).
+
+const ENVELOPE_VERSION = 1;
+const WRAP_VERSION = 'x25519-xsalsa20-poly1305';
+
+// Authority roles that receive a wrapped copy of every data key
+// (values match the Role enum in GrievanceSystemSecure.sol)
+const ENCRYPTION_ROLES = [2, 3, 4, 5]; // COUNSELOR, YEAR_COORDINATOR, HOD, DEAN
+
+// ============ KEY HELPERS ============
+
+/**
+ * Generate a new role keypair (admin panel)
+ * @returns {{publicKey: string, secretKey: string}} publicKey as bytes32 hex, secretKey as base64
+ */
+function generateRoleKeyPair() {
+  const keyPair = nacl.box.keyPair();
+  return {
+    publicKey: ethers.utils.hexlify(keyPair.publicKey),
+    secretKey: nacl.util.encodeBase64(keyPair.secretKey)
+  };
+}
+
+function roleKeyStorageName(role) {
+  return `grievance-role-key:${CONTRACT_ADDRESS.toLowerCase()}:${role}`;
+}
+
+// Role secret keys are distributed off-chain and kept only in this browser
+function getStoredRoleKey(role) {
+  return localStorage.getItem(roleKeyStorageName(role));
+}
+
+function storeRoleKey(role, secretKeyB64) {
+  const secretKey = nacl.util.decodeBase64(secretKeyB64.trim());
+  if (secretKey.length !== nacl.box.secretKeyLength) {
+    throw new Error('Invalid role key: expected a base64-encoded 32-byte secret key');
+  }
+  localStorage.setItem(roleKeyStorageName(role), secretKeyB64.trim());
+}
+
+// ============ ENVELOPES ============
+
+function parseEnvelope(text) {
+  try {
+    const envelope = JSON.parse(text);
+    return envelope && envelope.version === ENVELOPE_VERSION ? envelope : null;
+  } catch (e) {
+    return null; // Plaintext from a pre-encryption deployment
+  }
+}
+
+function wrapKey(dataKey, recipientPublicKey) {
+  const ephemeral = nacl.box.keyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const message = nacl.util.decodeUTF8(nacl.util.encodeBase64(dataKey));
+  return {
+    version: WRAP_VERSION,
+    nonce: nacl.util.encodeBase64(nonce),
+    ephemPublicKey: nacl.util.encodeBase64(ephemeral.publicKey),
+    ciphertext: nacl.util.encodeBase64(nacl.box(message, nonce, recipientPublicKey, ephemeral.secretKey))
+  };
+}
+
+function sealWithDataKey(plaintext, dataKey) {
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const sealed = nacl.secretbox(nacl.util.decodeUTF8(plaintext), nonce, dataKey);
+  return {
+    version: ENVELOPE_VERSION,
+    nonce: nacl.util.encodeBase64(nonce),
+    ciphertext: nacl.util.encodeBase64(sealed)
+  };
+}
+
+/**
+ * Encrypt a grievance description for the student and every authority role
+ * @param {string} plaintext Description entered by the student
+ * @param {string} studentPublicKey Base64 key from eth_getEncryptionPublicKey (or trackingCodeKeyPair)
+ * @param {Object<number, string>} roleKeys Role enum value => bytes32 public key
+ * @returns {{envelope: string, dataKey: Uint8Array}}
+ */
+function encryptDescription(plaintext, studentPublicKey, roleKeys) {
+  const dataKey = nacl.randomBytes(nacl.secretbox.keyLength);
+  const envelope = sealWithDataKey(plaintext, dataKey);
+
+  envelope.keys = { student: wrapKey(dataKey, nacl.util.decodeBase64(studentPublicKey)) };
+  for (const role of ENCRYPTION_ROLES) {
+    envelope.keys[role] = wrapKey(dataKey, ethers.utils.arrayify(roleKeys[role]));
+  }
+
+  return { envelope: JSON.stringify(envelope), dataKey };
+}
+
+/**
+ * Commitment to a grievance description, stored on-chain as its contentHash
+ * Keyed with the data key, so only key holders can check a guessed text against it; keccak256
+ * has no length extension, so prefixing the key is enough to make it a MAC.
+ * @returns {string} bytes32 hex
+ */
+function contentCommitment(plaintext, dataKey) {
+  return ethers.utils.keccak256(ethers.utils.concat([dataKey, ethers.utils.toUtf8Bytes(plaintext)]));
+}
+
+/**
+ * Encrypt remarks with an existing grievance data key
+ */
+function encryptRemarks(plaintext, dataKey) {
+  return JSON.stringify(sealWithDataKey(plaintext, dataKey));
+}
+
+/**
+ * Open any envelope sealed with a data key (description or remarks)
+ * @returns {string|null} Plaintext, or null if the key does not match
+ */
+function decryptWithDataKey(text, dataKey) {
+  const envelope = parseEnvelope(text);
+  if (!envelope) return text;
+  const opened = nacl.secretbox.open(
+    nacl.util.decodeBase64(envelope.ciphertext),
+    nacl.util.decodeBase64(envelope.nonce),
+    dataKey
+  );
+  return opened ? nacl.util.encodeUTF8(opened) : null;
+}
+
+function openWrappedKey(wrapped, secretKey) {
+  if (!wrapped) return null;
+  const opened = nacl.box.open(
+    nacl.util.decodeBase64(wrapped.ciphertext),
+    nacl.util.decodeBase64(wrapped.nonce),
+    nacl.util.decodeBase64(wrapped.ephemPublicKey),
+    secretKey
+  );
+  return opened ? nacl.util.decodeBase64(nacl.util.encodeUTF8(opened)) : null;
+}
+
+/**
+ * Unwrap a grievance data key with a role secret key (authorities)
+ */
+function unwrapDataKeyWithRoleKey(descriptionEnvelope, role, secretKeyB64) {
+  const envelope = parseEnvelope(descriptionEnvelope);
+  if (!envelope || !envelope.keys) return null;
+  return openWrappedKey(envelope.keys[role], nacl.util.decodeBase64(secretKeyB64));
+}
+
+/**
+ * Keypair derived from an anonymous grievance's secret tracking code
+ */
+function trackingCodeKeyPair(trackingCode) {
+  const seed = ethers.utils.keccak256(ethers.utils.concat([
+    ethers.utils.toUtf8Bytes('grievance-tracking-key'),
+    trackingCode
+  ]));
+  return nacl.box.keyPair.fromSecretKey(ethers.utils.arrayify(seed));
+}
+
+/**
+ * Unwrap a grievance data key with a tracking code (anonymous student)
+ */
+function unwrapDataKeyWithTrackingCode(descriptionEnvelope, trackingCode) {
+  const envelope = parseEnvelope(descriptionEnvelope);
+  if (!envelope || !envelope.keys) return null;
+  return openWrappedKey(envelope.keys.student, trackingCodeKeyPair(trackingCode).secretKey);
+}
+
+/**
+ * Unwrap a grievance data key through MetaMask (the submitting student)
+ */
+async function unwrapDataKeyWithMetaMask(descriptionEnvelope, address) {
+  const envelope = parseEnvelope(descriptionEnvelope);
+  const wrapped = envelope && envelope.keys && envelope.keys.student;
+  if (!wrapped) return null;
+
+  const payload = ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(wrapped)));
+  const dataKeyB64 = await window.ethereum.request({
+    method: 'eth_decrypt',
+    params: [payload, address]
+  });
+  return nacl.util.decodeBase64(dataKeyB64);
+}
+
+/**
+ * Get (and cache) the student's MetaMask encryption public key
+ */
+async function getStudentEncryptionKey(address) {
+  const storageName = `grievance-student-key:${address.toLowerCase()}`;
+  let publicKey = localStorage.getItem(storageName);
+  if (!publicKey) {
+    publicKey = await window.ethereum.request({
+      method: 'eth_getEncryptionPublicKey',
+      params: [address]
+    });
+    localStorage.setItem(storageName, publicKey);
+  }
+  return publicKey;
+}
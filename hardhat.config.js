@@ -9,6 +9,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // Storage layouts are compared before every upgrade (scripts/upgradeSecure.js)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
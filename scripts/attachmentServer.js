@@ -0,0 +1,128 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Local stand-in for the IPFS node that stores grievance attachments
+ * Implements just enough of Kubo for the frontend: POST /api/v0/add (RPC API) and GET /ipfs/<cid> (gateway).
+ * Files are kept in ./attachments, named by a CIDv1 (raw codec, sha2-256) of their content.
+ * Usage: npm run attachments   (ATTACHMENT_DIR, API_PORT and GATEWAY_PORT override the defaults)
+ */
+const STORAGE_DIR = path.resolve(process.env.ATTACHMENT_DIR || "attachments");
+const API_PORT = Number(process.env.API_PORT || 5001);
+const GATEWAY_PORT = Number(process.env.GATEWAY_PORT || 8080);
+const MAX_UPLOAD_BYTES = 16 * 1024 * 1024;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// CIDv1: version 0x01, raw codec 0x55, sha2-256 multihash (0x12, 32-byte length), multibase "b"
+function cidFor(content) {
+  const digest = crypto.createHash("sha256").update(content).digest();
+  return "b" + base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        reject(Object.assign(new Error("Upload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Content of the first part of a multipart/form-data body
+function firstMultipartFile(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!match) return null;
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+
+  const partStart = body.indexOf(boundary);
+  const headersEnd = body.indexOf("\r\n\r\n", partStart);
+  const partEnd = body.indexOf(Buffer.concat([Buffer.from("\r\n"), boundary]), headersEnd);
+  if (partStart === -1 || headersEnd === -1 || partEnd === -1) return null;
+  return body.subarray(headersEnd + 4, partEnd);
+}
+
+function send(res, status, body, contentType = "application/json") {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(body);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "OPTIONS") {
+    return send(res, 204, "");
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/v0/add") {
+    const content = firstMultipartFile(await readBody(req), req.headers["content-type"]);
+    if (!content) {
+      return send(res, 400, JSON.stringify({ Message: "Expected a multipart/form-data file" }));
+    }
+    const cid = cidFor(content);
+    fs.writeFileSync(path.join(STORAGE_DIR, cid), content);
+    console.log(`📎 Stored ${cid} (${content.length} bytes)`);
+    return send(res, 200, JSON.stringify({ Name: "attachment", Hash: cid, Size: String(content.length) }));
+  }
+
+  const gatewayMatch = /^\/ipfs\/(b[a-z2-7]+)$/.exec(url.pathname);
+  if (req.method === "GET" && gatewayMatch) {
+    const file = path.join(STORAGE_DIR, gatewayMatch[1]);
+    if (!fs.existsSync(file)) {
+      return send(res, 404, JSON.stringify({ Message: "Not found" }));
+    }
+    return send(res, 200, fs.readFileSync(file), "application/octet-stream");
+  }
+
+  send(res, 404, JSON.stringify({ Message: "Not found" }));
+}
+
+function listen(port, label) {
+  http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error("❌", error.message);
+      send(res, error.status || 500, JSON.stringify({ Message: error.message }));
+    });
+  }).listen(port, "127.0.0.1", () => console.log(`🌐 ${label} listening on http://127.0.0.1:${port}`));
+}
+
+fs.mkdirSync(STORAGE_DIR, { recursive: true });
+console.log(`📁 Storing attachments in ${STORAGE_DIR}`);
+listen(API_PORT, "IPFS API (/api/v0/add)");
+if (GATEWAY_PORT !== API_PORT) {
+  listen(GATEWAY_PORT, "Gateway (/ipfs/<cid>)");
+}
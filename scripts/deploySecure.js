@@ -1,7 +1,11 @@
 const hre = require("hardhat");
+const { getStorageLayout } = require("./storageLayout");
+const { MODULE_NAMES, writeDeployment } = require("./deployment");
 
 /**
- * Deployment script for GrievanceSystemSecure contract
+ * Deployment script for GrievanceSystemSecure behind GrievanceSystemProxy
+ * Records the addresses and the implementation's storage layout in deployments/<network>.json,
+ * which scripts/upgradeSecure.js checks later upgrades against
  * Usage: npx hardhat run scripts/deploySecure.js --network sepolia
  */
 async function main() {
@@ -12,31 +16,104 @@ async function main() {
   console.log("📝 Deploying contract with account:", deployer.address);
   console.log("💰 Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
-  // Deploy the contract
+  // Deploy the modules (reached through the main contract)
+  const moduleFactories = [];
+  const moduleAddresses = [];
+  for (const name of MODULE_NAMES) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const module = await factory.deploy();
+    await module.waitForDeployment();
+    moduleFactories.push(factory);
+    moduleAddresses.push(await module.getAddress());
+    console.log(`🧩 ${name} module deployed to:`, moduleAddresses[moduleAddresses.length - 1]);
+  }
+
+  // Deploy the implementation (with its modules), then the proxy that initializes it
   const GrievanceSystemSecure = await hre.ethers.getContractFactory("GrievanceSystemSecure");
-  const grievanceSystem = await GrievanceSystemSecure.deploy();
+  const implementation = await GrievanceSystemSecure.deploy(moduleAddresses);
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("🧱 GrievanceSystemSecure implementation deployed to:", implementationAddress);
 
-  await grievanceSystem.waitForDeployment();
-  const contractAddress = await grievanceSystem.getAddress();
+  const initData = GrievanceSystemSecure.interface.encodeFunctionData("initialize");
+  const GrievanceSystemProxy = await hre.ethers.getContractFactory("GrievanceSystemProxy");
+  const proxy = await GrievanceSystemProxy.deploy(implementationAddress, initData);
+  await proxy.waitForDeployment();
+  const contractAddress = await proxy.getAddress();
 
-  console.log("✅ GrievanceSystemSecure deployed to:", contractAddress);
+  // Talk to the proxy with the modules' functions included
+  const grievanceSystem = await hre.ethers.getContractAt(
+    [...GrievanceSystemSecure.interface.fragments, ...moduleFactories.flatMap(f => f.interface.fragments)],
+    contractAddress,
+    deployer
+  );
+  const version = await grievanceSystem.version();
+
+  console.log(`✅ GrievanceSystemSecure v${version} deployed behind proxy:`, contractAddress);
   console.log("📋 Contract address (save this for frontend):", contractAddress);
-  console.log("🔐 Deployer is automatically set as ADMIN");
+  console.log("🔐 Deployer is automatically set as ADMIN and sole admin council member");
+
+  // Record the deployment for upgrades (the in-process hardhat network is gone once the script exits)
+  if (hre.network.name !== "hardhat") {
+    writeDeployment({
+      network: hre.network.name,
+      chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+      proxy: contractAddress,
+      implementations: {
+        [implementationAddress]: {
+          version,
+          modules: Object.fromEntries(MODULE_NAMES.map((name, i) => [name, moduleAddresses[i]])),
+          storageLayout: await getStorageLayout(hre, "GrievanceSystemSecure")
+        }
+      }
+    });
+  }
+
+  // Enable anonymous submissions if a Semaphore v3 verifier is available on this network
+  if (process.env.SEMAPHORE_VERIFIER) {
+    const tx = await grievanceSystem.setEnrollmentVerifier(process.env.SEMAPHORE_VERIFIER);
+    await tx.wait();
+    console.log("🕶️ Anonymous submissions use Semaphore verifier:", process.env.SEMAPHORE_VERIFIER);
+  } else {
+    console.log("ℹ️ SEMAPHORE_VERIFIER not set - set the verifier later from the admin panel to enable anonymous submissions");
+  }
+
+  // Deploy the forwarder for gasless transactions; the council starts 1-of-1, so this proposal executes at once
+  const GrievanceForwarder = await hre.ethers.getContractFactory("GrievanceForwarder");
+  const forwarder = await GrievanceForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  await (await grievanceSystem.setTrustedForwarder(forwarderAddress)).wait();
+  console.log("⛽ GrievanceForwarder deployed and trusted for gasless transactions:", forwarderAddress);
 
   // Wait for block confirmations on mainnet/testnet
   if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("\n⏳ Waiting for block confirmations...");
-    await grievanceSystem.deploymentTransaction().wait(5);
+    await proxy.deploymentTransaction().wait(5);
     console.log("✅ Contract confirmed");
 
     // Verify contract on Etherscan (optional)
     if (hre.network.name === "sepolia" && process.env.ETHERSCAN_API_KEY) {
       console.log("\n🔍 Verifying contract on Etherscan...");
       try {
+        for (const moduleAddress of moduleAddresses) {
+          await hre.run("verify:verify", {
+            address: moduleAddress,
+            constructorArguments: [],
+          });
+        }
         await hre.run("verify:verify", {
-          address: contractAddress,
+          address: implementationAddress,
+          constructorArguments: [moduleAddresses],
+        });
+        await hre.run("verify:verify", {
+          address: forwarderAddress,
           constructorArguments: [],
         });
+        await hre.run("verify:verify", {
+          address: contractAddress,
+          constructorArguments: [implementationAddress, initData],
+        });
         console.log("✅ Contract verified on Etherscan");
       } catch (error) {
         console.log("❌ Verification failed:", error.message);
@@ -47,11 +124,15 @@ async function main() {
   console.log("\n🎉 Deployment completed successfully!");
   console.log("\n📝 Next steps:");
   console.log("1. Update frontend/appSecure.js with contract address:", contractAddress);
+  console.log("   (the proxy address never changes; upgrade with scripts/upgradeSecure.js)");
   console.log("2. Use admin panel to assign roles (deployer is admin)");
+  console.log("   enroll students, and publish an encryption key for each authority role");
   console.log("3. Connect MetaMask to frontend");
+  console.log("4. Optional: fund a relayer account, run scripts/relayer.js and set RELAY_MODE in frontend/config.js");
+  console.log("   so students submit without paying gas");
   console.log("\n🔐 SECURITY NOTES:");
   console.log("- Only deployer can assign roles");
-  console.log("- Only STUDENT role can submit grievances");
+  console.log("- Only enrolled STUDENT wallets can submit grievances");
   console.log("- HODs can only see assigned grievances");
   console.log("- All access control enforced on-chain");
 }
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Shared by scripts/deploySecure.js and scripts/upgradeSecure.js
+ * deployments/<network>.json records the proxy and every implementation deployed for it:
+ * { network, chainId, proxy, implementations: { <address>: { version, modules, storageLayout } } }
+ */
+
+// Modules GrievanceSystemSecure is deployed with, in registration order
+const MODULE_NAMES = [
+  "GrievanceAdministration",
+  "GrievanceCouncil",
+  "GrievanceConversation",
+  "GrievanceAttachments",
+  "GrievanceOutcomes",
+  "GrievanceMigration",
+  "GrievanceQueries",
+  "GrievanceRecusal",
+  "GrievanceDuplicates"
+];
+
+function deploymentFile(network) {
+  return path.join(__dirname, "..", "deployments", `${network}.json`);
+}
+
+function readDeployment(network) {
+  const file = deploymentFile(network);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment recorded for ${network} (${file}); deploy with scripts/deploySecure.js first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(record) {
+  const file = deploymentFile(record.network);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2));
+  console.log("🗂️ Deployment recorded in", path.relative(process.cwd(), file));
+}
+
+module.exports = { MODULE_NAMES, readDeployment, writeDeployment };
@@ -0,0 +1,47 @@
+const hre = require("hardhat");
+
+/**
+ * Keeper script: escalate every grievance whose SLA deadline has passed
+ * enforceDeadline is permissionless, so any funded account can run this (e.g. from cron)
+ * Usage: CONTRACT_ADDRESS=0x... npx hardhat run scripts/enforceDeadlines.js --network sepolia
+ */
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error("Set CONTRACT_ADDRESS to the deployed GrievanceSystemSecure address");
+  }
+
+  const [keeper] = await hre.ethers.getSigners();
+  const grievanceSystem = await hre.ethers.getContractAt("GrievanceSystemSecure", contractAddress, keeper);
+
+  const total = await grievanceSystem.getTotalGrievances();
+  const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+  console.log(`⏱️ Checking ${total} grievances for missed SLA deadlines as ${keeper.address}`);
+
+  let escalated = 0;
+  for (let id = 1n; id <= total; id++) {
+    const deadline = await grievanceSystem.getDeadline(id);
+    if (deadline === 0n || deadline >= now) {
+      continue;
+    }
+
+    try {
+      const tx = await grievanceSystem.enforceDeadline(id);
+      await tx.wait();
+      escalated++;
+      console.log(`⬆️ Grievance #${id} escalated (deadline ${new Date(Number(deadline) * 1000).toISOString()})`);
+    } catch (error) {
+      // Someone else may have acted on it since the deadline was read
+      console.log(`❌ Grievance #${id} not escalated:`, error.shortMessage || error.message);
+    }
+  }
+
+  console.log(`✅ Done - ${escalated} grievance(s) escalated`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,203 @@
+const hre = require("hardhat");
+const { MODULE_NAMES, readDeployment } = require("./deployment");
+
+/**
+ * Migration script: copy authorities and grievances from a legacy GrievanceSystem deployment
+ * into a new GrievanceSystemSecure (run before it takes its first grievance)
+ *  1. Legacy authorities get the matching role through council proposals (immediate on the
+ *     1-of-1 council of a fresh deployment)
+ *  2. Legacy submitters are enrolled as students
+ *  3. Grievances are imported in ID order with importGrievances; re-running resumes where it stopped
+ *  4. The migration is closed with finishMigration (set KEEP_MIGRATION_OPEN=1 to skip)
+ * Must be run by the admin of the new contract.
+ * Usage: LEGACY_ADDRESS=0x... npx hardhat run scripts/migrateLegacy.js --network sepolia
+ *   CONTRACT_ADDRESS   New contract (default: the proxy in deployments/<network>.json)
+ *   LEGACY_FROM_BLOCK  Block the legacy contract was deployed at, to find its AuthorityAssigned events
+ *   LEGACY_HOD         HOD to hand open HOD-level grievances to (default: the legacy HOD, if there is only one)
+ *   IMPORT_BATCH       Grievances per transaction (default 20)
+ */
+
+// Role and Status enums of GrievanceSystemSecure (GrievanceSystemStorage.sol)
+const Role = { UNREGISTERED: 0, STUDENT: 1, COUNSELOR: 2, YEAR_COORDINATOR: 3, HOD: 4, DEAN: 5, ADMIN: 6 };
+const Status = { SUBMITTED: 0, IN_REVIEW: 1, ASSIGNED_TO_HOD: 2, ESCALATED: 3, RESOLVED: 4, CLOSED: 5 };
+
+// Legacy enums (GrievanceSystem.sol)
+const LEGACY_STATUS = { SUBMITTED: 0, IN_REVIEW: 1, ESCALATED: 2, RESOLVED: 3, CLOSED: 4 };
+const LEGACY_LEVEL_ROLES = [Role.COUNSELOR, Role.YEAR_COORDINATOR, Role.HOD, Role.DEAN]; // Indexed by AuthorityLevel
+const ROLE_NAMES = Object.fromEntries(Object.entries(Role).map(([name, value]) => [value, name]));
+
+/**
+ * Map a legacy grievance onto the secure contract's Status and level
+ * Legacy grievances move up one level per escalation and any authority at that level can act;
+ * here HOD-level grievances need a specific HOD and the Dean closes rather than resolves.
+ * @param {string|null} hod HOD for open HOD-level grievances
+ * @returns {{grievance: object, level: number, note: string|null}}
+ */
+function mapLegacyGrievance(legacy, hod) {
+  let level = LEGACY_LEVEL_ROLES[Number(legacy.currentLevel)];
+  let status;
+  let assignedHOD = hre.ethers.ZeroAddress;
+  let note = null;
+
+  switch (Number(legacy.status)) {
+    case LEGACY_STATUS.RESOLVED:
+      if (level === Role.DEAN) {
+        status = Status.CLOSED; // The Dean's decision is final here
+      } else {
+        status = Status.RESOLVED;
+        if (level === Role.HOD) assignedHOD = legacy.resolvedBy; // So the resolving HOD keeps seeing it
+      }
+      break;
+    case LEGACY_STATUS.CLOSED:
+      status = Status.CLOSED;
+      level = Role.DEAN;
+      break;
+    default: // Open: SUBMITTED, IN_REVIEW, or ESCALATED to its current level
+      if (level === Role.DEAN) {
+        status = Status.ESCALATED;
+      } else if (level === Role.HOD && hod) {
+        status = Status.ASSIGNED_TO_HOD;
+        assignedHOD = hod;
+      } else if (level === Role.HOD) {
+        level = Role.YEAR_COORDINATOR;
+        status = Status.IN_REVIEW;
+        note = "waiting at HOD level with no HOD to assign; moved to the Year Coordinators to pick one";
+      } else {
+        status = Number(legacy.status) === LEGACY_STATUS.SUBMITTED ? Status.SUBMITTED : Status.IN_REVIEW;
+      }
+  }
+
+  return {
+    grievance: {
+      grievanceId: legacy.grievanceId,
+      studentAddress: legacy.studentAddress,
+      description: legacy.description,
+      contentHash: hre.ethers.id(legacy.description),
+      status,
+      assignedHOD,
+      currentHandler: hre.ethers.ZeroAddress,
+      submittedAt: legacy.submittedAt,
+      lastUpdatedAt: legacy.lastUpdatedAt,
+      resolutionRemarks: legacy.resolutionRemarks,
+      resolvedBy: status === Status.RESOLVED || status === Status.CLOSED ? legacy.resolvedBy : hre.ethers.ZeroAddress
+    },
+    level,
+    note
+  };
+}
+
+/**
+ * Current legacy authorities, one role each (the highest level when a wallet holds several)
+ * @returns {Promise<Map<string, number>>} address => Role
+ */
+async function readLegacyAuthorities(legacy, fromBlock) {
+  const events = await legacy.queryFilter(legacy.filters.AuthorityAssigned(), fromBlock);
+  const authorities = new Map();
+  for (const event of events) {
+    const [authority, level] = event.args;
+    // removeAuthority emits nothing, so check the assignment still stands
+    if (!(await legacy.hasAuthorityRole(authority, level))) continue;
+
+    const role = LEGACY_LEVEL_ROLES[Number(level)];
+    if (authorities.has(authority) && authorities.get(authority) !== role) {
+      console.log(`⚠️ ${authority} holds several legacy levels; keeping the highest`);
+    }
+    authorities.set(authority, Math.max(role, authorities.get(authority) || 0));
+  }
+  return authorities;
+}
+
+async function main() {
+  const legacyAddress = process.env.LEGACY_ADDRESS;
+  if (!legacyAddress) {
+    throw new Error("Set LEGACY_ADDRESS to the legacy GrievanceSystem address");
+  }
+  const contractAddress = process.env.CONTRACT_ADDRESS || readDeployment(hre.network.name).proxy;
+  const batchSize = parseInt(process.env.IMPORT_BATCH || "20");
+
+  const [signer] = await hre.ethers.getSigners();
+  const legacy = await hre.ethers.getContractAt("GrievanceSystem", legacyAddress, signer);
+  const fragments = [...(await hre.ethers.getContractFactory("GrievanceSystemSecure")).interface.fragments];
+  for (const name of MODULE_NAMES) {
+    fragments.push(...(await hre.ethers.getContractFactory(name)).interface.fragments);
+  }
+  const grievanceSystem = await hre.ethers.getContractAt(fragments, contractAddress, signer);
+
+  console.log(`🚚 Migrating legacy GrievanceSystem ${legacyAddress} into ${contractAddress} as ${signer.address}`);
+  if (!(await grievanceSystem.isMigrationOpen())) {
+    throw new Error("Migration is closed on the new contract (it already has native grievances or was finished)");
+  }
+
+  // 1. Authorities
+  const authorities = await readLegacyAuthorities(legacy, parseInt(process.env.LEGACY_FROM_BLOCK || "0"));
+  console.log(`👥 ${authorities.size} legacy authorities found`);
+  for (const [authority, role] of authorities) {
+    const currentRole = Number(await grievanceSystem.getUserRole(authority));
+    if (currentRole === role) continue;
+    if (currentRole !== Role.UNREGISTERED) {
+      console.log(`⚠️ ${authority} is already ${ROLE_NAMES[currentRole]}; not changing it to ${ROLE_NAMES[role]}`);
+      continue;
+    }
+    const receipt = await (await grievanceSystem.assignRole(authority, role)).wait();
+    const executed = receipt.logs.some(log => log.fragment && log.fragment.name === "ProposalExecuted");
+    console.log(executed
+      ? `✅ ${authority} is now ${ROLE_NAMES[role]}`
+      : `🗳️ ${authority} proposed as ${ROLE_NAMES[role]}; the council must approve it before HOD grievances are imported`);
+  }
+
+  // 2. Students
+  const total = Number(await legacy.getTotalGrievances());
+  const legacyGrievances = [];
+  for (let id = 1; id <= total; id++) {
+    legacyGrievances.push(await legacy.getGrievanceById(id));
+  }
+
+  const submitters = [...new Set(legacyGrievances.map(g => g.studentAddress))];
+  const toEnroll = [];
+  for (const submitter of submitters) {
+    const role = Number(await grievanceSystem.getUserRole(submitter));
+    if (role === Role.UNREGISTERED) {
+      toEnroll.push(submitter);
+    } else if (role !== Role.STUDENT) {
+      console.log(`⚠️ Submitter ${submitter} is ${ROLE_NAMES[role]}; their grievances are imported but they cannot act on them as a student`);
+    }
+  }
+  for (let i = 0; i < toEnroll.length; i += 100) {
+    await (await grievanceSystem.enrollStudents(toEnroll.slice(i, i + 100))).wait();
+  }
+  console.log(`🎓 ${toEnroll.length} legacy submitter(s) enrolled as students`);
+
+  // 3. Grievances
+  const hods = [...authorities].filter(([, role]) => role === Role.HOD).map(([address]) => address);
+  const hod = process.env.LEGACY_HOD || (hods.length === 1 ? hods[0] : null);
+  const alreadyImported = Number(await grievanceSystem.getTotalGrievances());
+  const pending = legacyGrievances.slice(alreadyImported).map(g => mapLegacyGrievance(g, hod));
+  if (alreadyImported > 0) {
+    console.log(`↪️ Resuming after grievance #${alreadyImported}`);
+  }
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    await (await grievanceSystem.importGrievances(batch.map(m => m.grievance), batch.map(m => m.level))).wait();
+    for (const mapped of batch) {
+      console.log(`📥 Grievance #${mapped.grievance.grievanceId} imported` + (mapped.note ? ` (${mapped.note})` : ""));
+    }
+  }
+
+  // 4. Close the migration
+  if (process.env.KEEP_MIGRATION_OPEN) {
+    console.log("ℹ️ Migration left open; close it from the admin account with finishMigration() when done");
+  } else {
+    await (await grievanceSystem.finishMigration()).wait();
+    console.log("🔒 Migration finished; no more grievances can be imported");
+  }
+
+  console.log(`✅ Done - ${total} legacy grievance(s) now on ${contractAddress}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+const http = require("http");
+const hre = require("hardhat");
+
+/**
+ * Gasless transaction relayer: submits users' signed ForwardRequests to the GrievanceForwarder
+ * and pays their gas from the institution's account (the first configured signer - keep it funded)
+ * Only requests to the grievance system from registered users are relayed, and each is simulated
+ * first so a request that would revert costs nothing.
+ * Usage: CONTRACT_ADDRESS=0x... npx hardhat run scripts/relayer.js --network sepolia
+ *        (RELAYER_PORT and MAX_RELAY_GAS override the defaults; set RELAY_MODE in frontend/config.js)
+ */
+const RELAYER_PORT = Number(process.env.RELAYER_PORT || 3001);
+const MAX_RELAY_GAS = BigInt(process.env.MAX_RELAY_GAS || 1500000);
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(body);
+}
+
+function rejectRequest(message) {
+  throw Object.assign(new Error(message), { status: 400 });
+}
+
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error("Set CONTRACT_ADDRESS to the deployed GrievanceSystemSecure address");
+  }
+
+  const [relayer] = await hre.ethers.getSigners();
+  const grievanceSystem = await hre.ethers.getContractAt("GrievanceSystemSecure", contractAddress, relayer);
+  const forwarderAddress = await grievanceSystem.trustedForwarder();
+  if (forwarderAddress === hre.ethers.ZeroAddress) {
+    throw new Error("Relaying is off: the council has not set a trusted forwarder (setTrustedForwarder)");
+  }
+  const forwarder = await hre.ethers.getContractAt("GrievanceForwarder", forwarderAddress, relayer);
+
+  console.log("⛽ Relaying for GrievanceSystemSecure at:", contractAddress);
+  console.log("📨 Through GrievanceForwarder at:", forwarderAddress);
+  console.log("💰 Relayer account:", relayer.address,
+    "balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(relayer.address)), "ETH");
+
+  // Requests are checked, sent and mined one at a time: the relayer account's transactions need
+  // consecutive nonces, and the next request is only verified and simulated once the previous one
+  // is on-chain, so a replay or a reused forwarder nonce fails the checks instead of reverting there
+  let queue = Promise.resolve();
+  function serialize(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function relay(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      rejectRequest("Expected a JSON body");
+    }
+    const { request, signature } = payload || {};
+    if (!request || typeof request !== "object" || !hre.ethers.isHexString(signature)) {
+      rejectRequest("Expected { request, signature }");
+    }
+
+    let forwardRequest;
+    try {
+      forwardRequest = {
+        from: hre.ethers.getAddress(request.from),
+        to: hre.ethers.getAddress(request.to),
+        gas: BigInt(request.gas),
+        nonce: BigInt(request.nonce),
+        deadline: BigInt(request.deadline),
+        data: request.data
+      };
+    } catch (error) {
+      rejectRequest("Malformed request: from and to must be addresses, gas, nonce and deadline integers");
+    }
+    if ([forwardRequest.gas, forwardRequest.nonce, forwardRequest.deadline].some((value) => value < 0n)) {
+      rejectRequest("Malformed request: gas, nonce and deadline cannot be negative");
+    }
+    if (!hre.ethers.isHexString(forwardRequest.data)) {
+      rejectRequest("Malformed request: data must be hex-encoded calldata");
+    }
+
+    // The relayer pays for these, so it only spends on this system's users
+    if (forwardRequest.to.toLowerCase() !== contractAddress.toLowerCase()) {
+      rejectRequest("Requests can only target the grievance system");
+    }
+    if (forwardRequest.gas > MAX_RELAY_GAS) {
+      rejectRequest(`Gas limit above the relayer's cap of ${MAX_RELAY_GAS}`);
+    }
+    if (await grievanceSystem.getUserRole(forwardRequest.from) === 0n) {
+      rejectRequest("Only registered users can send gasless transactions");
+    }
+
+    return serialize(async () => {
+      if (!await forwarder.verify(forwardRequest, signature)) {
+        rejectRequest("Invalid signature, nonce or expired request");
+      }
+
+      // Simulate first: a request the contract rejects is answered with its revert reason for free
+      try {
+        await forwarder.execute.staticCall(forwardRequest, signature);
+      } catch (error) {
+        rejectRequest(error.reason || error.shortMessage || "Transaction would revert");
+      }
+
+      const tx = await forwarder.execute(forwardRequest, signature);
+      console.log(`📤 Relayed nonce ${forwardRequest.nonce} from ${forwardRequest.from}: ${tx.hash}`);
+      await tx.wait();
+      return { txHash: tx.hash };
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let response;
+    if (req.method === "OPTIONS") {
+      response = Promise.resolve(send(res, 204, ""));
+    } else if (req.method === "GET" && url.pathname === "/forwarder") {
+      response = Promise.resolve(send(res, 200, JSON.stringify({ forwarder: forwarderAddress })));
+    } else if (req.method === "POST" && url.pathname === "/relay") {
+      response = readBody(req).then(relay).then((result) => send(res, 200, JSON.stringify(result)));
+    } else {
+      response = Promise.resolve(send(res, 404, JSON.stringify({ error: "Not found" })));
+    }
+    response.catch((error) => {
+      console.error("❌", error.message);
+      send(res, error.status || 500, JSON.stringify({ error: error.message }));
+    });
+  });
+
+  server.listen(RELAYER_PORT, "127.0.0.1", () => {
+    console.log(`🌐 Relayer listening on http://127.0.0.1:${RELAYER_PORT} (POST /relay)`);
+  });
+  await new Promise((resolve) => server.on("close", resolve));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,92 @@
+/**
+ * Storage layout checks for upgrades of GrievanceSystemProxy
+ * Every implementation shares the proxy's storage, so an upgrade may only append state:
+ * existing variables must keep their slot, offset and type. Layouts come from the solc
+ * "storageLayout" output enabled in hardhat.config.js.
+ */
+
+/**
+ * Read a contract's storage layout from its build info
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName e.g. "GrievanceSystemSecure"
+ * @returns {Promise<{storage: object[], types: object}>}
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const layout = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${contractName}; is "storageLayout" in the compiler outputSelection?`);
+  }
+  return { storage: layout.storage, types: layout.types || {} };
+}
+
+/**
+ * List the ways a new layout breaks an old one (empty when the upgrade is safe)
+ * Appending variables, enum values and members of structs held in mappings is allowed;
+ * moving, removing or retyping anything that already holds data is not.
+ * @returns {string[]} One message per incompatibility
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const errors = [];
+
+  oldLayout.storage.forEach((oldVar, i) => {
+    const newVar = newLayout.storage[i];
+    if (!newVar) {
+      errors.push(`${oldVar.label}: removed`);
+    } else if (newVar.label !== oldVar.label || newVar.slot !== oldVar.slot || newVar.offset !== oldVar.offset) {
+      errors.push(`${oldVar.label} (slot ${oldVar.slot}, offset ${oldVar.offset}): replaced by ` +
+        `${newVar.label} (slot ${newVar.slot}, offset ${newVar.offset})`);
+    } else {
+      compareTypes(oldLayout, newLayout, oldVar.type, newVar.type, true, oldVar.label, errors);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @param {boolean} inPlace Whether the value sits at a fixed position (so it cannot grow)
+ */
+function compareTypes(oldLayout, newLayout, oldTypeId, newTypeId, inPlace, path, errors) {
+  const oldType = oldLayout.types[oldTypeId];
+  const newType = newLayout.types[newTypeId];
+
+  if (!oldType || !newType || oldType.encoding !== newType.encoding) {
+    errors.push(`${path}: type changed from ${describe(oldType)} to ${describe(newType)}`);
+    return;
+  }
+  if (inPlace && oldType.numberOfBytes !== newType.numberOfBytes) {
+    errors.push(`${path}: size changed from ${oldType.numberOfBytes} to ${newType.numberOfBytes} bytes`);
+    return;
+  }
+
+  if (oldType.encoding === "mapping") {
+    if (oldLayout.types[oldType.key].label !== newLayout.types[newType.key].label) {
+      errors.push(`${path}: key type changed from ${oldLayout.types[oldType.key].label} to ${newLayout.types[newType.key].label}`);
+      return;
+    }
+    // Each mapping value starts at its own hashed slot, so structs in mappings may grow
+    compareTypes(oldLayout, newLayout, oldType.value, newType.value, false, `${path}[key]`, errors);
+  } else if (oldType.base) {
+    // Array elements are packed one after another, so they may not grow
+    compareTypes(oldLayout, newLayout, oldType.base, newType.base, true, `${path}[]`, errors);
+  } else if (oldType.members) {
+    oldType.members.forEach((member, i) => {
+      const newMember = (newType.members || [])[i];
+      if (!newMember || newMember.label !== member.label || newMember.slot !== member.slot || newMember.offset !== member.offset) {
+        errors.push(`${path}.${member.label}: moved, renamed or removed`);
+      } else {
+        compareTypes(oldLayout, newLayout, member.type, newMember.type, true, `${path}.${member.label}`, errors);
+      }
+    });
+  } else if (oldType.label !== newType.label) {
+    errors.push(`${path}: type changed from ${oldType.label} to ${newType.label}`);
+  }
+}
+
+function describe(type) {
+  return type ? type.label : "(unknown)";
+}
+
+module.exports = { getStorageLayout, compareStorageLayouts };
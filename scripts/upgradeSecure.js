@@ -0,0 +1,120 @@
+const hre = require("hardhat");
+const { getStorageLayout, compareStorageLayouts } = require("./storageLayout");
+const { MODULE_NAMES, readDeployment, writeDeployment } = require("./deployment");
+
+// ERC-1967 implementation slot of GrievanceSystemProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Upgrade script: deploy a new GrievanceSystemSecure implementation and propose switching the
+ * proxy to it through the admin council
+ * Refuses to deploy if the new storage layout moves, removes or retypes state the proxy already holds.
+ * Modules whose code is unchanged are reused; the rest are deployed again.
+ * Must be run by a council member. With more than one approval required or a timelock, the proposal
+ * waits for the council (admin panel) and the proxy keeps running the current implementation until then.
+ * Usage: npx hardhat run scripts/upgradeSecure.js --network sepolia
+ *        IMPLEMENTATION=<contract name> to deploy a contract other than GrievanceSystemSecure
+ */
+async function main() {
+  const implementationName = process.env.IMPLEMENTATION || "GrievanceSystemSecure";
+  const record = readDeployment(hre.network.name);
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`🔄 Upgrading GrievanceSystemProxy ${record.proxy} to ${implementationName} as ${signer.address}`);
+
+  // Compare against the layout of the implementation the proxy runs now
+  const currentAddress = hre.ethers.getAddress(
+    "0x" + (await hre.ethers.provider.getStorage(record.proxy, IMPLEMENTATION_SLOT)).slice(-40)
+  );
+  const current = record.implementations[currentAddress];
+  if (!current) {
+    throw new Error(`Current implementation ${currentAddress} is not in the deployment record`);
+  }
+  console.log(`📦 Current implementation: v${current.version} at ${currentAddress}`);
+
+  const newLayout = await getStorageLayout(hre, implementationName);
+  const layoutErrors = compareStorageLayouts(current.storageLayout, newLayout);
+  if (layoutErrors.length > 0) {
+    layoutErrors.forEach(error => console.log("❌", error));
+    throw new Error("Storage layout is not upgrade-safe: only append new state to GrievanceSystemStorage");
+  }
+  console.log("✅ Storage layout is compatible");
+
+  // Deploy changed modules, reuse the others
+  const modules = {};
+  const deployedModules = [];
+  for (const name of MODULE_NAMES) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const previous = current.modules[name];
+    if (previous && await hre.ethers.provider.getCode(previous) === (await hre.artifacts.readArtifact(name)).deployedBytecode) {
+      modules[name] = previous;
+      console.log(`🧩 ${name} unchanged, reusing:`, previous);
+      continue;
+    }
+    const module = await factory.deploy();
+    await module.waitForDeployment();
+    modules[name] = await module.getAddress();
+    deployedModules.push(modules[name]);
+    console.log(`🧩 ${name} module deployed to:`, modules[name]);
+  }
+
+  const Implementation = await hre.ethers.getContractFactory(implementationName);
+  const implementation = await Implementation.deploy(Object.values(modules));
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  const version = await implementation.version();
+  console.log(`🧱 ${implementationName} v${version} deployed to:`, implementationAddress);
+  if (version === current.version) {
+    console.log("⚠️ The new implementation reports the same version as the current one; bump version()");
+  }
+
+  record.implementations[implementationAddress] = { version, modules, storageLayout: newLayout };
+  writeDeployment(record);
+
+  // Propose the upgrade
+  const GrievanceCouncil = await hre.ethers.getContractFactory("GrievanceCouncil");
+  const grievanceSystem = await hre.ethers.getContractAt(
+    [...Implementation.interface.fragments, ...GrievanceCouncil.interface.fragments],
+    record.proxy,
+    signer
+  );
+  const receipt = await (await grievanceSystem.upgradeTo(implementationAddress)).wait();
+  const events = receipt.logs
+    .map(log => { try { return grievanceSystem.interface.parseLog(log); } catch (e) { return null; } })
+    .filter(Boolean);
+  const proposalId = events.find(e => e.name === "ProposalCreated").args.proposalId;
+
+  if (events.some(e => e.name === "Upgraded")) {
+    console.log(`\n🎉 Proxy upgraded to v${await grievanceSystem.version()} (proposal #${proposalId})`);
+  } else {
+    console.log(`\n🗳️ Upgrade proposed as council proposal #${proposalId}`);
+    console.log("   Council members approve it from the admin panel; once the approvals and timelock are");
+    console.log("   met, executing it switches the proxy to", implementationAddress);
+  }
+
+  // Verify the new contracts on Etherscan (optional)
+  if (hre.network.name === "sepolia" && process.env.ETHERSCAN_API_KEY) {
+    console.log("\n🔍 Verifying contracts on Etherscan...");
+    try {
+      for (const moduleAddress of deployedModules) {
+        await hre.run("verify:verify", {
+          address: moduleAddress,
+          constructorArguments: [],
+        });
+      }
+      await hre.run("verify:verify", {
+        address: implementationAddress,
+        constructorArguments: [Object.values(modules)],
+      });
+      console.log("✅ Contract verified on Etherscan");
+    } catch (error) {
+      console.log("❌ Verification failed:", error.message);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
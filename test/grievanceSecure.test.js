@@ -1,22 +1,28 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const hre = require("hardhat");
+const { getStorageLayout, compareStorageLayouts } = require("../scripts/storageLayout");
+const { MODULE_NAMES } = require("../scripts/deployment");
 
 /**
  * @title Comprehensive Security Tests for GrievanceSystemSecure
  * @notice Tests all security features including RBAC, access control, and visibility rules
  */
 describe("GrievanceSystemSecure", function () {
-  let grievanceSystem;
+  let grievanceSystem, implementation, administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates;
   let admin, student, student2, counselor, yearCoord, hod, hod2, dean, unauthorized;
   
   // Role enum values
   const Role = {
-    STUDENT: 0,
-    COUNSELOR: 1,
-    YEAR_COORDINATOR: 2,
-    HOD: 3,
-    DEAN: 4,
-    ADMIN: 5
+    UNREGISTERED: 0,
+    STUDENT: 1,
+    COUNSELOR: 2,
+    YEAR_COORDINATOR: 3,
+    HOD: 4,
+    DEAN: 5,
+    ADMIN: 6
   };
   
   // Status enum values
@@ -26,19 +32,60 @@ describe("GrievanceSystemSecure", function () {
     ASSIGNED_TO_HOD: 2,
     ESCALATED: 3,
     RESOLVED: 4,
-    CLOSED: 5
+    CLOSED: 5,
+    WITHDRAWN: 6,
+    REQUEST_INFO: 7
   };
   
+  async function deployModules() {
+    const deployed = [];
+    for (const name of MODULE_NAMES) {
+      const module = await (await ethers.getContractFactory(name)).deploy();
+      await module.waitForDeployment();
+      deployed.push(module);
+    }
+    return deployed;
+  }
+
+  // Merged ABI of the implementation and every module
+  async function systemInterface() {
+    const fragments = [...(await ethers.getContractFactory("GrievanceSystemSecure")).interface.fragments];
+    for (const name of MODULE_NAMES) {
+      const factory = await ethers.getContractFactory(name);
+      fragments.push(...factory.interface.fragments.filter(f => f.type !== "function" || f.name !== "moduleSelectors"));
+    }
+    return fragments;
+  }
+
+  // Everything is reached through GrievanceSystemProxy: the implementation serves the core functions and
+  // forwards admin, council, conversation, attachment and sign-off functions to its modules, so tests talk
+  // to the proxy address with all ABIs combined
+  async function deployGrievanceSystem() {
+    [administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates] = await deployModules();
+
+    const GrievanceSystemSecure = await ethers.getContractFactory("GrievanceSystemSecure");
+    implementation = await GrievanceSystemSecure.deploy(
+      await Promise.all([administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates].map(m => m.getAddress()))
+    );
+    await implementation.waitForDeployment();
+
+    const GrievanceSystemProxy = await ethers.getContractFactory("GrievanceSystemProxy");
+    const proxy = await GrievanceSystemProxy.deploy(
+      await implementation.getAddress(),
+      GrievanceSystemSecure.interface.encodeFunctionData("initialize")
+    );
+    await proxy.waitForDeployment();
+
+    return ethers.getContractAt(await systemInterface(), await proxy.getAddress(), admin);
+  }
+  
   beforeEach(async function () {
     [admin, student, student2, counselor, yearCoord, hod, hod2, dean, unauthorized] = await ethers.getSigners();
     
-    const GrievanceSystemSecure = await ethers.getContractFactory("GrievanceSystemSecure");
-    grievanceSystem = await GrievanceSystemSecure.deploy();
-    await grievanceSystem.waitForDeployment();
+    grievanceSystem = await deployGrievanceSystem();
     
     // Assign roles (admin is automatically set as deployer)
-    await grievanceSystem.assignRole(student.address, Role.STUDENT);
-    await grievanceSystem.assignRole(student2.address, Role.STUDENT);
+    await grievanceSystem.enrollStudents([student.address, student2.address]);
     await grievanceSystem.assignRole(counselor.address, Role.COUNSELOR);
     await grievanceSystem.assignRole(yearCoord.address, Role.YEAR_COORDINATOR);
     await grievanceSystem.assignRole(hod.address, Role.HOD);
@@ -59,104 +106,1623 @@ describe("GrievanceSystemSecure", function () {
     it("Should initialize with zero grievances", async function () {
       expect(await grievanceSystem.getTotalGrievances()).to.equal(0);
     });
+
+    it("Should route every module function to its module", async function () {
+      // Modules inherit the public storage getters, which the main contract serves itself
+      const core = (await ethers.getContractFactory("GrievanceSystemSecure")).interface;
+      for (const module of [administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates]) {
+        const address = await module.getAddress();
+        const selectors = await module.moduleSelectors();
+        module.interface.forEachFunction((fn) => {
+          if (fn.name !== "moduleSelectors" && !core.hasFunction(fn.selector)) {
+            expect(selectors).to.include(fn.selector, fn.name);
+          }
+        });
+        for (const selector of selectors) {
+          expect(await grievanceSystem.selectorModules(selector)).to.equal(address);
+        }
+      }
+    });
+
+    it("Should reject functions no module serves", async function () {
+      await expect(
+        admin.sendTransaction({ to: await grievanceSystem.getAddress(), data: "0x12345678" })
+      ).to.be.revertedWith("GrievanceSystemSecure: Function does not exist");
+    });
+
+    it("Should keep the administration module inert when called directly", async function () {
+      await expect(
+        administration.enrollStudent(unauthorized.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should reject a module without code", async function () {
+      const GrievanceSystemSecure = await ethers.getContractFactory("GrievanceSystemSecure");
+      await expect(
+        GrievanceSystemSecure.deploy([unauthorized.address])
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid module");
+    });
+
+    it("Should reject two modules serving the same function", async function () {
+      const GrievanceSystemSecure = await ethers.getContractFactory("GrievanceSystemSecure");
+      const moduleAddress = await administration.getAddress();
+      await expect(
+        GrievanceSystemSecure.deploy([moduleAddress, moduleAddress])
+      ).to.be.revertedWith("GrievanceSystemSecure: Duplicate module selector");
+    });
+  });
+
+  describe("Role Assignment Security", function () {
+    it("Should allow admin to assign roles", async function () {
+      await grievanceSystem.assignRole(unauthorized.address, Role.STUDENT);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.STUDENT);
+    });
+
+    it("Should prevent non-admin from assigning roles", async function () {
+      await expect(
+        grievanceSystem.connect(counselor).assignRole(unauthorized.address, Role.STUDENT)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+    });
+
+    it("Should prevent self-assignment of roles", async function () {
+      await expect(
+        grievanceSystem.connect(unauthorized).assignRole(unauthorized.address, Role.STUDENT)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+    });
+
+    it("Should prevent assigning ADMIN role", async function () {
+      await expect(
+        grievanceSystem.assignRole(unauthorized.address, Role.ADMIN)
+      ).to.be.revertedWith("GrievanceSystemSecure: Cannot assign ADMIN role");
+    });
+
+    it("Should prevent changing admin role", async function () {
+      await expect(
+        grievanceSystem.assignRole(admin.address, Role.STUDENT)
+      ).to.be.revertedWith("GrievanceSystemSecure: Cannot change admin role");
+    });
+
+    it("Should allow admin to revoke roles", async function () {
+      await grievanceSystem.revokeRole(counselor.address);
+      expect(await grievanceSystem.getUserRole(counselor.address)).to.equal(Role.UNREGISTERED);
+    });
+
+    it("Should prevent assigning UNREGISTERED role", async function () {
+      await expect(
+        grievanceSystem.assignRole(counselor.address, Role.UNREGISTERED)
+      ).to.be.revertedWith("GrievanceSystemSecure: Use revokeRole to remove a role");
+    });
+
+    it("Should prevent revoking an address without a role", async function () {
+      await expect(
+        grievanceSystem.revokeRole(unauthorized.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Address has no role");
+    });
+
+    it("Should prevent revoking admin role", async function () {
+      await expect(
+        grievanceSystem.revokeRole(admin.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Cannot revoke admin role");
+    });
+
+    it("Should assign and revoke roles in batches", async function () {
+      const [staff1, staff2, staff3] = (await ethers.getSigners()).slice(11, 14);
+      const users = [staff1.address, staff2.address, staff3.address];
+      const proposalId = (await grievanceSystem.proposalCount()) + 1n;
+
+      await expect(grievanceSystem.assignRoles(users, [Role.COUNSELOR, Role.YEAR_COORDINATOR, Role.HOD]))
+        .to.emit(grievanceSystem, "ProposalCreated")
+        .withArgs(proposalId, 8, ethers.ZeroAddress, 3, admin.address, anyValue) // ProposalAction.ASSIGN_ROLES
+        .and.to.emit(grievanceSystem, "RoleAssigned")
+        .withArgs(staff3.address, Role.HOD, admin.address, anyValue);
+      expect(await grievanceSystem.getUserRole(staff1.address)).to.equal(Role.COUNSELOR);
+      expect(await grievanceSystem.getUserRole(staff2.address)).to.equal(Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.getProposalBatch(proposalId))
+        .to.deep.equal([users, [BigInt(Role.COUNSELOR), BigInt(Role.YEAR_COORDINATOR), BigInt(Role.HOD)]]);
+
+      await grievanceSystem.revokeRoles([staff1.address, staff3.address]);
+      expect(await grievanceSystem.getUserRole(staff1.address)).to.equal(Role.UNREGISTERED);
+      expect(await grievanceSystem.getUserRole(staff2.address)).to.equal(Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.getUserRole(staff3.address)).to.equal(Role.UNREGISTERED);
+    });
+
+    it("Should reject a batch if any entry is invalid", async function () {
+      const [staff1, staff2] = (await ethers.getSigners()).slice(11, 13);
+
+      await expect(grievanceSystem.assignRoles([staff1.address, admin.address], [Role.COUNSELOR, Role.DEAN]))
+        .to.be.revertedWith("GrievanceSystemSecure: Cannot change admin role");
+      await expect(grievanceSystem.assignRoles([staff1.address, staff1.address], [Role.COUNSELOR, Role.DEAN]))
+        .to.be.revertedWith("GrievanceSystemSecure: Duplicate address in batch");
+      await expect(grievanceSystem.assignRoles([staff1.address], [Role.COUNSELOR, Role.DEAN]))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid role batch");
+      await expect(grievanceSystem.assignRoles([], []))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid role batch");
+      await expect(grievanceSystem.revokeRoles([counselor.address, staff2.address]))
+        .to.be.revertedWith("GrievanceSystemSecure: Address has no role");
+      await expect(grievanceSystem.connect(counselor).revokeRoles([staff1.address]))
+        .to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+
+      const tooMany = Array.from({ length: 51 }, () => ethers.Wallet.createRandom().address);
+      await expect(grievanceSystem.assignRoles(tooMany, tooMany.map(() => Role.COUNSELOR)))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid role batch");
+      expect(await grievanceSystem.getUserRole(staff1.address)).to.equal(Role.UNREGISTERED);
+    });
+  });
+
+  describe("Role Terms", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should treat a role as unregistered once its term ends", async function () {
+      const expiresAt = (await time.latest()) + 30 * DAY;
+      await expect(grievanceSystem.assignRoleUntil(counselor.address, Role.COUNSELOR, expiresAt))
+        .to.emit(grievanceSystem, "RoleExpirySet")
+        .withArgs(counselor.address, Role.COUNSELOR, expiresAt, admin.address, anyValue);
+      expect(await grievanceSystem.getRoleTerms())
+        .to.deep.equal([[counselor.address], [BigInt(Role.COUNSELOR)], [BigInt(expiresAt)]]);
+
+      await grievanceSystem.connect(student).submitGrievance("Library hours", ethers.id("Library hours"), 0);
+      expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([1n]);
+
+      await time.increaseTo(expiresAt);
+      expect(await grievanceSystem.getUserRole(counselor.address)).to.equal(Role.UNREGISTERED);
+      expect(await grievanceSystem.roles(counselor.address)).to.equal(Role.COUNSELOR);
+      await expect(grievanceSystem.connect(counselor).getGrievanceById(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+      await expect(grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Needs the Year Coordinator"))
+        .to.be.revertedWith("GrievanceSystemSecure: Only Counselor can escalate to Year Coordinator");
+
+      // Revoking a lapsed role still works and drops the term
+      await grievanceSystem.revokeRole(counselor.address);
+      expect(await grievanceSystem.roleExpiresAt(counselor.address)).to.equal(0);
+      expect(await grievanceSystem.getRoleTerms()).to.deep.equal([[], [], []]);
+    });
+
+    it("Should enroll a staff member whose term has ended as a student", async function () {
+      const expiresAt = (await time.latest()) + DAY;
+      await grievanceSystem.assignRoleUntil(unauthorized.address, Role.COUNSELOR, expiresAt);
+      await grievanceSystem.createDepartment("Computer Science");
+      await grievanceSystem.assignDepartment(unauthorized.address, 1);
+      await expect(grievanceSystem.enrollStudent(unauthorized.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Address already holds another role");
+
+      await time.increaseTo(expiresAt);
+      await expect(grievanceSystem.enrollStudent(unauthorized.address))
+        .to.emit(grievanceSystem, "RoleAssigned")
+        .withArgs(unauthorized.address, Role.STUDENT, admin.address, anyValue);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.STUDENT);
+      expect(await grievanceSystem.roleExpiresAt(unauthorized.address)).to.equal(0);
+      expect(await grievanceSystem.userDepartment(unauthorized.address)).to.equal(0);
+      expect(await grievanceSystem.getRoleTerms()).to.deep.equal([[], [], []]);
+
+      await grievanceSystem.connect(unauthorized).submitGrievance("Lab access", ethers.id("Lab access"), 0);
+    });
+
+    it("Should renew a term, reinstating a lapsed role", async function () {
+      const firstTerm = (await time.latest()) + DAY;
+      await grievanceSystem.assignRoleUntil(hod.address, Role.HOD, firstTerm);
+      await grievanceSystem.assignRoleUntil(dean.address, Role.DEAN, firstTerm);
+      await time.increaseTo(firstTerm);
+      expect(await grievanceSystem.getUserRole(hod.address)).to.equal(Role.UNREGISTERED);
+
+      const secondTerm = firstTerm + 365 * DAY;
+      await expect(grievanceSystem.renewRole(hod.address, secondTerm))
+        .to.emit(grievanceSystem, "RoleRenewed")
+        .withArgs(hod.address, Role.HOD, firstTerm, secondTerm, admin.address, anyValue);
+      expect(await grievanceSystem.getUserRole(hod.address)).to.equal(Role.HOD);
+      expect(await grievanceSystem.roleExpiresAt(hod.address)).to.equal(secondTerm);
+
+      // A permanent assignment ends the term
+      await grievanceSystem.assignRole(dean.address, Role.DEAN);
+      expect(await grievanceSystem.getUserRole(dean.address)).to.equal(Role.DEAN);
+      expect(await grievanceSystem.getRoleTerms())
+        .to.deep.equal([[hod.address], [BigInt(Role.HOD)], [BigInt(secondTerm)]]);
+    });
+
+    it("Should reject terms that have already ended", async function () {
+      const now = await time.latest();
+      await expect(grievanceSystem.assignRoleUntil(unauthorized.address, Role.COUNSELOR, now))
+        .to.be.revertedWith("GrievanceSystemSecure: Expiry must be in the future");
+      await expect(grievanceSystem.assignRoleUntil(unauthorized.address, Role.COUNSELOR, 0))
+        .to.be.revertedWith("GrievanceSystemSecure: Expiry must be in the future");
+      await expect(grievanceSystem.renewRole(counselor.address, now))
+        .to.be.revertedWith("GrievanceSystemSecure: Expiry must be in the future");
+      await expect(grievanceSystem.renewRole(unauthorized.address, now + DAY))
+        .to.be.revertedWith("GrievanceSystemSecure: Address has no role");
+      await expect(grievanceSystem.renewRole(admin.address, now + DAY))
+        .to.be.revertedWith("GrievanceSystemSecure: Cannot change admin role");
+
+      // The expiry is checked again when a timelocked proposal executes
+      await grievanceSystem.setCouncilTimelock(2 * DAY);
+      const proposalId = (await grievanceSystem.proposalCount()) + 1n;
+      await grievanceSystem.assignRoleUntil(unauthorized.address, Role.COUNSELOR, now + DAY);
+      expect(await grievanceSystem.getProposalRoleExpiry(proposalId)).to.equal(now + DAY);
+      await time.increase(2 * DAY);
+      await expect(grievanceSystem.executeProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Expiry must be in the future");
+    });
+  });
+
+  describe("Admin Council", function () {
+    const DAY = 24 * 60 * 60;
+    let member2, member3;
+
+    // 2-of-3 council with a one-day timelock, built through the 1-of-1 bootstrap council
+    async function setUpCouncil() {
+      await grievanceSystem.addCouncilMember(member2.address);
+      await grievanceSystem.addCouncilMember(member3.address);
+      await grievanceSystem.setCouncilThreshold(2);
+      const tx = await grievanceSystem.setCouncilTimelock(DAY);
+      const proposalId = await grievanceSystem.proposalCount();
+      await grievanceSystem.connect(member2).approveProposal(proposalId);
+      return tx;
+    }
+
+    beforeEach(async function () {
+      [member2, member3] = (await ethers.getSigners()).slice(9, 11);
+    });
+
+    it("Should start as a 1-of-1 council that executes proposals at once", async function () {
+      const [members, threshold, timelock] = await grievanceSystem.getCouncil();
+      expect(members).to.deep.equal([admin.address]);
+      expect(threshold).to.equal(1);
+      expect(timelock).to.equal(0);
+
+      const proposalId = (await grievanceSystem.proposalCount()) + 1n;
+      await expect(grievanceSystem.assignRole(unauthorized.address, Role.COUNSELOR))
+        .to.emit(grievanceSystem, "ProposalCreated")
+        .withArgs(proposalId, 0, unauthorized.address, Role.COUNSELOR, admin.address, anyValue)
+        .and.to.emit(grievanceSystem, "ProposalExecuted")
+        .withArgs(proposalId, admin.address, anyValue)
+        .and.to.emit(grievanceSystem, "RoleAssigned")
+        .withArgs(unauthorized.address, Role.COUNSELOR, admin.address, anyValue);
+      expect((await grievanceSystem.getProposal(proposalId)).executed).to.equal(true);
+    });
+
+    it("Should need M-of-N approvals and the timelock once configured", async function () {
+      await setUpCouncil();
+      const [members, threshold, timelock] = await grievanceSystem.getCouncil();
+      expect(members).to.deep.equal([admin.address, member2.address, member3.address]);
+      expect(threshold).to.equal(2);
+      expect(timelock).to.equal(DAY);
+
+      await grievanceSystem.assignRole(unauthorized.address, Role.DEAN);
+      const proposalId = await grievanceSystem.proposalCount();
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.UNREGISTERED);
+      await expect(grievanceSystem.executeProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Not enough approvals");
+
+      await expect(grievanceSystem.connect(member2).approveProposal(proposalId))
+        .to.emit(grievanceSystem, "ProposalQueued");
+      await expect(grievanceSystem.connect(member3).executeProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Timelock has not passed");
+
+      await time.increase(DAY);
+      await expect(grievanceSystem.connect(unauthorized).executeProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+      await grievanceSystem.connect(member3).executeProposal(proposalId);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.DEAN);
+      await expect(grievanceSystem.connect(member3).executeProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Proposal is not pending");
+    });
+
+    it("Should let only the proposer cancel a pending proposal", async function () {
+      await setUpCouncil();
+      await grievanceSystem.revokeRole(dean.address);
+      const proposalId = await grievanceSystem.proposalCount();
+
+      await expect(grievanceSystem.approveProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Already approved");
+      expect(await grievanceSystem.hasApproved(proposalId, admin.address)).to.equal(true);
+
+      await expect(grievanceSystem.connect(member3).cancelProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Only the proposer can cancel");
+      await expect(grievanceSystem.cancelProposal(proposalId))
+        .to.emit(grievanceSystem, "ProposalCancelled")
+        .withArgs(proposalId, admin.address, anyValue);
+      await expect(grievanceSystem.connect(member2).approveProposal(proposalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Proposal is not pending");
+      expect(await grievanceSystem.getUserRole(dean.address)).to.equal(Role.DEAN);
+    });
+
+    it("Should check proposals again when executing them", async function () {
+      await setUpCouncil();
+      await grievanceSystem.removeCouncilMember(member3.address);
+      const removalId = await grievanceSystem.proposalCount();
+      await grievanceSystem.setCouncilThreshold(3);
+      const thresholdId = await grievanceSystem.proposalCount();
+      await grievanceSystem.connect(member2).approveProposal(removalId);
+      await grievanceSystem.connect(member3).approveProposal(removalId);
+      await grievanceSystem.connect(member2).approveProposal(thresholdId);
+
+      await time.increase(DAY);
+      await grievanceSystem.executeProposal(thresholdId);
+      await expect(grievanceSystem.executeProposal(removalId))
+        .to.be.revertedWith("GrievanceSystemSecure: Council would fall below its threshold");
+    });
+
+    it("Should only count approvals from current council members", async function () {
+      await setUpCouncil();
+      await grievanceSystem.connect(member3).assignRole(unauthorized.address, Role.DEAN);
+      const assignId = await grievanceSystem.proposalCount();
+      await grievanceSystem.removeCouncilMember(member3.address);
+      const removalId = await grievanceSystem.proposalCount();
+      await grievanceSystem.connect(member2).approveProposal(removalId);
+      await time.increase(DAY);
+      await grievanceSystem.executeProposal(removalId);
+
+      expect((await grievanceSystem.getProposal(assignId)).approvals).to.equal(0);
+      await expect(grievanceSystem.executeProposal(assignId))
+        .to.be.revertedWith("GrievanceSystemSecure: Not enough approvals");
+      await grievanceSystem.approveProposal(assignId);
+      expect((await grievanceSystem.getProposal(assignId)).executableAt).to.equal(0);
+
+      await expect(grievanceSystem.connect(member2).approveProposal(assignId))
+        .to.emit(grievanceSystem, "ProposalApproved")
+        .withArgs(assignId, member2.address, 2, anyValue)
+        .and.to.emit(grievanceSystem, "ProposalQueued");
+    });
+
+    it("Should let a proposal with enough approvals for a lowered threshold be executed", async function () {
+      await setUpCouncil();
+      await grievanceSystem.assignRole(unauthorized.address, Role.DEAN);
+      const assignId = await grievanceSystem.proposalCount();
+      await grievanceSystem.setCouncilThreshold(1);
+      const thresholdId = await grievanceSystem.proposalCount();
+      await grievanceSystem.connect(member2).approveProposal(thresholdId);
+      await time.increase(DAY);
+      await grievanceSystem.executeProposal(thresholdId);
+
+      await expect(grievanceSystem.connect(member2).executeProposal(assignId))
+        .to.emit(grievanceSystem, "ProposalQueued")
+        .and.not.to.emit(grievanceSystem, "ProposalExecuted");
+      await expect(grievanceSystem.executeProposal(assignId))
+        .to.be.revertedWith("GrievanceSystemSecure: Timelock has not passed");
+
+      await time.increase(DAY);
+      await grievanceSystem.executeProposal(assignId);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.DEAN);
+    });
+
+    it("Should approve a role batch as one proposal and apply all of it or none", async function () {
+      await setUpCouncil();
+      await grievanceSystem.revokeRoles([counselor.address, yearCoord.address]);
+      const batchId = await grievanceSystem.proposalCount();
+      await grievanceSystem.revokeRole(yearCoord.address);
+      const singleId = await grievanceSystem.proposalCount();
+      for (const id of [batchId, singleId]) {
+        await grievanceSystem.connect(member2).approveProposal(id);
+      }
+
+      await time.increase(DAY);
+      await grievanceSystem.executeProposal(singleId);
+      await expect(grievanceSystem.executeProposal(batchId))
+        .to.be.revertedWith("GrievanceSystemSecure: Address has no role");
+      expect(await grievanceSystem.getUserRole(counselor.address)).to.equal(Role.COUNSELOR);
+    });
+
+    it("Should only hand over the admin role when the nominee accepts", async function () {
+      await expect(grievanceSystem.transferAdmin(member2.address, Role.UNREGISTERED))
+        .to.emit(grievanceSystem, "AdminTransferStarted")
+        .withArgs(admin.address, member2.address, Role.UNREGISTERED, anyValue);
+      expect(await grievanceSystem.admin()).to.equal(admin.address);
+      expect((await grievanceSystem.getPendingAdmin()).nominee).to.equal(member2.address);
+
+      await expect(grievanceSystem.connect(member3).acceptAdmin())
+        .to.be.revertedWith("GrievanceSystemSecure: Not the nominated admin");
+
+      await expect(grievanceSystem.connect(member2).acceptAdmin())
+        .to.emit(grievanceSystem, "RoleRevoked")
+        .withArgs(admin.address, Role.ADMIN, member2.address, anyValue)
+        .and.to.emit(grievanceSystem, "AdminTransferred")
+        .withArgs(admin.address, member2.address, Role.UNREGISTERED, anyValue);
+      expect(await grievanceSystem.admin()).to.equal(member2.address);
+      expect(await grievanceSystem.getUserRole(member2.address)).to.equal(Role.ADMIN);
+      expect(await grievanceSystem.getUserRole(admin.address)).to.equal(Role.UNREGISTERED);
+      expect((await grievanceSystem.getPendingAdmin()).nominee).to.equal(ethers.ZeroAddress);
+
+      // The old admin stays on the council
+      await grievanceSystem.assignRole(unauthorized.address, Role.COUNSELOR);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.COUNSELOR);
+      await expect(grievanceSystem.connect(member2).acceptAdmin())
+        .to.be.revertedWith("GrievanceSystemSecure: Not the nominated admin");
+    });
+
+    it("Should let the former admin keep the chosen role", async function () {
+      await grievanceSystem.transferAdmin(unauthorized.address, Role.DEAN);
+      // A mistyped nomination is replaced by proposing again
+      await grievanceSystem.transferAdmin(member2.address, Role.DEAN);
+      await expect(grievanceSystem.connect(unauthorized).acceptAdmin())
+        .to.be.revertedWith("GrievanceSystemSecure: Not the nominated admin");
+
+      await expect(grievanceSystem.connect(member2).acceptAdmin())
+        .to.emit(grievanceSystem, "RoleAssigned")
+        .withArgs(admin.address, Role.DEAN, member2.address, anyValue);
+      expect(await grievanceSystem.getUserRole(admin.address)).to.equal(Role.DEAN);
+
+      await expect(grievanceSystem.transferAdmin(admin.address, Role.ADMIN))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid role for the former admin");
+      await expect(grievanceSystem.transferAdmin(member2.address, Role.STUDENT))
+        .to.be.revertedWith("GrievanceSystemSecure: Already admin");
+    });
+
+    it("Should validate council changes", async function () {
+      await expect(grievanceSystem.setCouncilThreshold(0))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid threshold");
+      await expect(grievanceSystem.setCouncilThreshold(2))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid threshold");
+      await expect(grievanceSystem.setCouncilTimelock(31 * DAY))
+        .to.be.revertedWith("GrievanceSystemSecure: Timelock too long");
+      await expect(grievanceSystem.addCouncilMember(admin.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Already a council member");
+      await expect(grievanceSystem.removeCouncilMember(member2.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Not a council member");
+      await expect(grievanceSystem.removeCouncilMember(admin.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Council would fall below its threshold");
+      await expect(grievanceSystem.getProposal(99))
+        .to.be.revertedWith("GrievanceSystemSecure: Proposal does not exist");
+    });
+  });
+
+  describe("Upgrades", function () {
+    async function deployImplementation(name, modules) {
+      const deployed = await (await ethers.getContractFactory(name)).deploy(
+        await Promise.all(modules.map(m => m.getAddress()))
+      );
+      await deployed.waitForDeployment();
+      return deployed;
+    }
+
+    it("Should report the implementation version and modules through the proxy", async function () {
+      expect(await grievanceSystem.version()).to.equal("1.0.0");
+      expect(await grievanceSystem.getModules()).to.deep.equal(
+        await Promise.all([administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates].map(m => m.getAddress()))
+      );
+    });
+
+    it("Should only initialize once, and never on the implementation itself", async function () {
+      await expect(grievanceSystem.initialize())
+        .to.be.revertedWith("GrievanceSystemSecure: Already initialized");
+      await expect(implementation.initialize())
+        .to.be.revertedWith("GrievanceSystemSecure: Already initialized");
+    });
+
+    it("Should keep state across an upgrade", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Broken lab equipment", ethers.id("Broken lab equipment"), 0);
+      await grievanceSystem.connect(counselor).reviewGrievance(1);
+      await grievanceSystem.connect(counselor).requestInformation(1, "Which lab?");
+      const before = await grievanceSystem.getGrievanceById(1);
+
+      const v2 = await deployImplementation(
+        "GrievanceSystemSecureV2",
+        [administration, council, conversation, attachments, outcomes, migration, queries, recusal, duplicates]
+      );
+      await expect(grievanceSystem.upgradeTo(await v2.getAddress()))
+        .to.emit(grievanceSystem, "Upgraded")
+        .withArgs(await v2.getAddress())
+        .and.to.emit(grievanceSystem, "ProposalExecuted");
+
+      expect(await grievanceSystem.version()).to.equal("2.0.0-test");
+      expect(await grievanceSystem.admin()).to.equal(admin.address);
+      expect(await grievanceSystem.getUserRole(student.address)).to.equal(Role.STUDENT);
+      expect(await grievanceSystem.getUserRole(dean.address)).to.equal(Role.DEAN);
+      expect(await grievanceSystem.getTotalGrievances()).to.equal(1);
+      expect(await grievanceSystem.getGrievanceById(1)).to.deep.equal(before);
+      expect((await grievanceSystem.connect(student).getMessages(1)).length).to.equal(1);
+
+      // The workflow carries on where it stopped
+      await grievanceSystem.connect(student).provideInformation(1, "Chemistry lab 2");
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Equipment replaced");
+      await grievanceSystem.connect(student).acceptResolution(1);
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(true);
+    });
+
+    it("Should route calls to the modules of the new implementation", async function () {
+      const [newAdministration, newCouncil] = await deployModules();
+      const v2 = await deployImplementation("GrievanceSystemSecureV2", [newAdministration, newCouncil, outcomes]);
+      await grievanceSystem.upgradeTo(await v2.getAddress());
+
+      expect(await grievanceSystem.selectorModules(newCouncil.interface.getFunction("upgradeTo").selector))
+        .to.equal(await newCouncil.getAddress());
+      expect(await grievanceSystem.selectorModules(conversation.interface.getFunction("getMessages").selector))
+        .to.equal(ethers.ZeroAddress);
+      await expect(grievanceSystem.connect(student).getMessages(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Function does not exist");
+      await grievanceSystem.enrollStudent(unauthorized.address);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.STUDENT);
+    });
+
+    it("Should only upgrade to a grievance system implementation", async function () {
+      await expect(grievanceSystem.connect(counselor).upgradeTo(await implementation.getAddress()))
+        .to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+      await expect(grievanceSystem.upgradeTo(await implementation.getAddress()))
+        .to.be.revertedWith("GrievanceSystemSecure: Already the current implementation");
+      for (const target of [unauthorized.address, await council.getAddress(), await grievanceSystem.getAddress()]) {
+        await expect(grievanceSystem.upgradeTo(target))
+          .to.be.revertedWith("GrievanceSystemSecure: Invalid implementation");
+      }
+      await expect(grievanceSystem.proxiableUUID())
+        .to.be.revertedWith("GrievanceSystemSecure: Must not be called through the proxy");
+    });
+
+    it("Should keep modules and upgrades on the implementation's storage layout", async function () {
+      const layout = await getStorageLayout(hre, "GrievanceSystemSecure");
+      for (const name of [...MODULE_NAMES, "GrievanceSystemSecureV2"]) {
+        const other = await getStorageLayout(hre, name);
+        expect(other.storage.length, name).to.equal(layout.storage.length);
+        expect(compareStorageLayouts(layout, other), name).to.deep.equal([]);
+      }
+
+      // Dropping a variable shifts everything after it
+      const shifted = { ...layout, storage: layout.storage.filter(v => v.label !== "grievanceCounter") };
+      expect(compareStorageLayouts(layout, shifted)).to.not.be.empty;
+    });
+  });
+
+  describe("Legacy Migration", function () {
+    const DAY = 24 * 60 * 60;
+    let now;
+
+    // Legacy grievance already mapped onto this contract's Status and Role, as scripts/migrateLegacy.js does
+    function legacyGrievance(grievanceId, overrides = {}) {
+      const description = overrides.description || `Legacy grievance ${grievanceId}`;
+      return {
+        grievanceId,
+        studentAddress: student.address,
+        description,
+        contentHash: ethers.id(description),
+        status: Status.SUBMITTED,
+        assignedHOD: ethers.ZeroAddress,
+        currentHandler: ethers.ZeroAddress,
+        submittedAt: now - 30 * DAY,
+        lastUpdatedAt: now - 20 * DAY,
+        resolutionRemarks: "",
+        resolvedBy: ethers.ZeroAddress,
+        ...overrides
+      };
+    }
+
+    beforeEach(async function () {
+      now = await time.latest();
+    });
+
+    it("Should import legacy grievances with their IDs, submitters and timestamps", async function () {
+      const batch = [
+        legacyGrievance(1),
+        legacyGrievance(2, { status: Status.ASSIGNED_TO_HOD, assignedHOD: hod.address }),
+        legacyGrievance(3, {
+          studentAddress: student2.address,
+          status: Status.RESOLVED,
+          resolvedBy: counselor.address,
+          resolutionRemarks: "Timetable fixed"
+        }),
+        legacyGrievance(4, { status: Status.CLOSED, resolvedBy: dean.address, resolutionRemarks: "Closed" })
+      ];
+      const levels = [Role.COUNSELOR, Role.HOD, Role.COUNSELOR, Role.DEAN];
+
+      await expect(grievanceSystem.importGrievances(batch, levels))
+        .to.emit(grievanceSystem, "GrievanceImported")
+        .withArgs(2, student.address, Status.ASSIGNED_TO_HOD, Role.HOD, batch[1].submittedAt, anyValue);
+      expect(await grievanceSystem.getTotalGrievances()).to.equal(4);
+      expect(await grievanceSystem.importedGrievanceCount()).to.equal(4);
+
+      const imported = await grievanceSystem.connect(student).getGrievanceById(1);
+      expect(imported.studentAddress).to.equal(student.address);
+      expect(imported.description).to.equal("Legacy grievance 1");
+      expect(imported.submittedAt).to.equal(batch[0].submittedAt);
+      expect(imported.lastUpdatedAt).to.equal(batch[0].lastUpdatedAt);
+      expect(await grievanceSystem.connect(student).getVisibleGrievances()).to.deep.equal([1n, 2n, 4n]);
+
+      // Imported grievances carry on in the new workflow
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([2n]);
+      await grievanceSystem.connect(hod).resolveGrievance(2, "Handled after migration");
+      await grievanceSystem.connect(counselor).reviewGrievance(1);
+
+      // A resolution from 20 days ago is past its response window, the student cannot dispute it any more
+      expect(await grievanceSystem.isResolutionFinal(3)).to.equal(true);
+      await expect(grievanceSystem.connect(student2).disputeResolution(3, "Too late"))
+        .to.be.revertedWith("GrievanceSystemSecure: Resolution is already final");
+    });
+
+    it("Should only import grievances in order and in a consistent state", async function () {
+      await expect(grievanceSystem.importGrievances([legacyGrievance(2)], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Legacy grievances must be imported in order");
+      await expect(grievanceSystem.importGrievances([legacyGrievance(1)], []))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid import batch");
+      await expect(grievanceSystem.importGrievances([legacyGrievance(1, { submittedAt: now + DAY })], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid timestamps");
+      await expect(grievanceSystem.importGrievances([legacyGrievance(1)], [Role.DEAN]))
+        .to.be.revertedWith("GrievanceSystemSecure: Status does not match level");
+      await expect(grievanceSystem.importGrievances(
+        [legacyGrievance(1, { status: Status.ASSIGNED_TO_HOD, assignedHOD: counselor.address })],
+        [Role.HOD]
+      )).to.be.revertedWith("GrievanceSystemSecure: Status does not match level");
+      await expect(grievanceSystem.importGrievances(
+        [legacyGrievance(1, { status: Status.RESOLVED })],
+        [Role.COUNSELOR]
+      )).to.be.revertedWith("GrievanceSystemSecure: Status does not match level");
+      await expect(grievanceSystem.importGrievances([legacyGrievance(1, { status: Status.WITHDRAWN })], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Status does not match level");
+    });
+
+    it("Should only let the admin import, and only until the migration closes", async function () {
+      await expect(grievanceSystem.connect(counselor).importGrievances([legacyGrievance(1)], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+
+      await grievanceSystem.importGrievances([legacyGrievance(1)], [Role.COUNSELOR]);
+      await grievanceSystem.importGrievances([legacyGrievance(2)], [Role.COUNSELOR]);
+      expect(await grievanceSystem.isMigrationOpen()).to.equal(true);
+
+      // The first native grievance closes the migration
+      await grievanceSystem.connect(student).submitGrievance("New grievance", ethers.id("New grievance"), 0);
+      expect(await grievanceSystem.isMigrationOpen()).to.equal(false);
+      await expect(grievanceSystem.importGrievances([legacyGrievance(4)], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Migration is closed");
+    });
+
+    it("Should let the admin finish the migration", async function () {
+      await grievanceSystem.importGrievances([legacyGrievance(1)], [Role.COUNSELOR]);
+      await expect(grievanceSystem.finishMigration())
+        .to.emit(grievanceSystem, "MigrationFinished")
+        .withArgs(1, admin.address, anyValue);
+
+      await expect(grievanceSystem.importGrievances([legacyGrievance(2)], [Role.COUNSELOR]))
+        .to.be.revertedWith("GrievanceSystemSecure: Migration is closed");
+      await expect(grievanceSystem.finishMigration())
+        .to.be.revertedWith("GrievanceSystemSecure: Migration already finished");
+    });
+  });
+
+  describe("Student Enrollment", function () {
+    it("Should leave unknown wallets UNREGISTERED", async function () {
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.UNREGISTERED);
+    });
+
+    it("Should allow admin to enroll a student", async function () {
+      await expect(grievanceSystem.enrollStudent(unauthorized.address))
+        .to.emit(grievanceSystem, "RoleAssigned")
+        .withArgs(unauthorized.address, Role.STUDENT, admin.address, anyValue);
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.STUDENT);
+
+      await expect(
+        grievanceSystem.enrollStudent(unauthorized.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Student already enrolled");
+    });
+
+    it("Should enroll students in bulk, skipping existing students", async function () {
+      const [extra1, extra2] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+      expect(
+        await grievanceSystem.enrollStudents.staticCall([student.address, extra1, extra2])
+      ).to.equal(2);
+
+      await grievanceSystem.enrollStudents([student.address, extra1, extra2]);
+      expect(await grievanceSystem.getUserRole(extra1)).to.equal(Role.STUDENT);
+      expect(await grievanceSystem.getUserRole(extra2)).to.equal(Role.STUDENT);
+    });
+
+    it("Should not enroll an address holding another role", async function () {
+      await expect(
+        grievanceSystem.enrollStudents([unauthorized.address, counselor.address])
+      ).to.be.revertedWith("GrievanceSystemSecure: Address already holds another role");
+      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.UNREGISTERED);
+    });
+
+    it("Should prevent non-admin from enrolling students", async function () {
+      await expect(
+        grievanceSystem.connect(student).enrollStudent(unauthorized.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should prevent unregistered wallets from submitting or viewing grievances", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
+
+      await expect(
+        grievanceSystem.connect(unauthorized).submitGrievance("Spam", ethers.id("Spam"), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+      await expect(
+        grievanceSystem.connect(unauthorized).getGrievanceById(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+      expect(await grievanceSystem.connect(unauthorized).getVisibleGrievances()).to.deep.equal([]);
+    });
+
+    it("Should unenroll a student back to UNREGISTERED", async function () {
+      await grievanceSystem.revokeRole(student.address);
+      expect(await grievanceSystem.getUserRole(student.address)).to.equal(Role.UNREGISTERED);
+      await expect(
+        grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+  });
+
+  describe("Grievance Submission Security", function () {
+    it("Should allow only STUDENT to submit grievances", async function () {
+      const description = "Test grievance";
+      await expect(grievanceSystem.connect(student).submitGrievance(description, ethers.id(description), 0))
+        .to.emit(grievanceSystem, "GrievanceSubmitted");
+    });
+
+    it("Should prevent COUNSELOR from submitting grievances", async function () {
+      const description = "Test grievance";
+      await expect(
+        grievanceSystem.connect(counselor).submitGrievance(description, ethers.id(description), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should prevent YEAR_COORDINATOR from submitting grievances", async function () {
+      const description = "Test grievance";
+      await expect(
+        grievanceSystem.connect(yearCoord).submitGrievance(description, ethers.id(description), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should prevent HOD from submitting grievances", async function () {
+      const description = "Test grievance";
+      await expect(
+        grievanceSystem.connect(hod).submitGrievance(description, ethers.id(description), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should prevent DEAN from submitting grievances", async function () {
+      const description = "Test grievance";
+      await expect(
+        grievanceSystem.connect(dean).submitGrievance(description, ethers.id(description), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should reject empty description", async function () {
+      await expect(
+        grievanceSystem.connect(student).submitGrievance("", ethers.id(""), 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Description cannot be empty");
+    });
+
+    it("Should track student grievances correctly", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Grievance 1", ethers.id("Grievance 1"), 0);
+      await grievanceSystem.connect(student).submitGrievance("Grievance 2", ethers.id("Grievance 2"), 0);
+      
+      const grievances = await grievanceSystem.connect(student).getVisibleGrievances();
+      expect(grievances.length).to.equal(2);
+    });
+  });
+
+  describe("Encrypted Content", function () {
+    const counselorKey = ethers.hexlify(ethers.randomBytes(32));
+
+    it("Should allow admin to publish a role encryption key", async function () {
+      await expect(grievanceSystem.setRoleEncryptionKey(Role.COUNSELOR, counselorKey))
+        .to.emit(grievanceSystem, "RoleEncryptionKeySet");
+      expect(await grievanceSystem.roleEncryptionKeys(Role.COUNSELOR)).to.equal(counselorKey);
+    });
+
+    it("Should prevent non-admin from publishing encryption keys", async function () {
+      await expect(
+        grievanceSystem.connect(counselor).setRoleEncryptionKey(Role.COUNSELOR, counselorKey)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should only accept keys for authority roles", async function () {
+      await expect(
+        grievanceSystem.setRoleEncryptionKey(Role.STUDENT, counselorKey)
+      ).to.be.revertedWith("GrievanceSystemSecure: Encryption keys are only held by authority roles");
+      await expect(
+        grievanceSystem.setRoleEncryptionKey(Role.DEAN, ethers.ZeroHash)
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid public key");
+    });
+
+    it("Should store the content hash and emit it instead of the description", async function () {
+      const ciphertext = '{"version":1,"nonce":"...","ciphertext":"..."}';
+      const contentHash = ethers.id("Plaintext grievance");
+      await expect(grievanceSystem.connect(student).submitGrievance(ciphertext, contentHash, 0))
+        .to.emit(grievanceSystem, "GrievanceSubmitted")
+        .withArgs(1, student.address, contentHash, anyValue);
+
+      const grievance = await grievanceSystem.connect(student).getGrievanceById(1);
+      expect(grievance.description).to.equal(ciphertext);
+      expect(grievance.contentHash).to.equal(contentHash);
+    });
+
+    it("Should reject a missing content hash", async function () {
+      await expect(
+        grievanceSystem.connect(student).submitGrievance("ciphertext", ethers.ZeroHash, 0)
+      ).to.be.revertedWith("GrievanceSystemSecure: Content hash required");
+    });
+  });
+
+  describe("Anonymous Submission", function () {
+    const TREE_DEPTH = 20;
+    const enrollmentRoot = 12345n;
+    let verifier;
+
+    // Builds a proof the mock verifier accepts for the given public inputs
+    async function mockProof(nullifierHash, contentHash, trackingHash, categoryId = 0, root = enrollmentRoot) {
+      const signal = await grievanceSystem.anonymousSignal(contentHash, trackingHash, categoryId);
+      const epoch = await grievanceSystem.currentAnonymousEpoch();
+      const digest = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256", "uint256", "uint256", "uint256"],
+        [root, nullifierHash, signal, epoch, TREE_DEPTH]
+      ));
+      return [BigInt(digest), 0, 0, 0, 0, 0, 0, 0];
+    }
+
+    async function submitAnonymously(from, trackingCode, nullifierHash = 1n) {
+      const contentHash = ethers.id("Anonymous grievance");
+      const trackingHash = ethers.keccak256(trackingCode);
+      const proof = await mockProof(nullifierHash, contentHash, trackingHash);
+      return grievanceSystem.connect(from).submitAnonymousGrievance(
+        "ciphertext", contentHash, 0, trackingHash, nullifierHash, proof
+      );
+    }
+
+    beforeEach(async function () {
+      const MockSemaphoreVerifier = await ethers.getContractFactory("MockSemaphoreVerifier");
+      verifier = await MockSemaphoreVerifier.deploy();
+      await verifier.waitForDeployment();
+    });
+
+    it("Should let students register one identity commitment", async function () {
+      await expect(grievanceSystem.connect(student).registerIdentityCommitment(111))
+        .to.emit(grievanceSystem, "IdentityCommitmentRegistered")
+        .withArgs(student.address, 111, anyValue);
+      await grievanceSystem.connect(student2).registerIdentityCommitment(222);
+
+      expect(await grievanceSystem.getEnrolledCommitments()).to.deep.equal([111n, 222n]);
+      await expect(
+        grievanceSystem.connect(student).registerIdentityCommitment(333)
+      ).to.be.revertedWith("GrievanceSystemSecure: Identity already registered");
+    });
+
+    it("Should drop a student's identity commitment when they are unenrolled", async function () {
+      await grievanceSystem.connect(student).registerIdentityCommitment(111);
+      await grievanceSystem.connect(student2).registerIdentityCommitment(222);
+
+      await expect(grievanceSystem.revokeRole(student.address))
+        .to.emit(grievanceSystem, "IdentityCommitmentRemoved")
+        .withArgs(student.address, 111, anyValue);
+      expect(await grievanceSystem.getEnrolledCommitments()).to.deep.equal([222n]);
+      expect(await grievanceSystem.identityCommitments(student.address)).to.equal(0);
+
+      await grievanceSystem.revokeRole(student2.address);
+      expect(await grievanceSystem.getEnrolledCommitments()).to.deep.equal([]);
+    });
+
+    it("Should prevent authorities from registering identity commitments", async function () {
+      await expect(
+        grievanceSystem.connect(counselor).registerIdentityCommitment(111)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should only let admin configure the verifier and enrollment root", async function () {
+      await expect(
+        grievanceSystem.connect(student).setEnrollmentVerifier(await verifier.getAddress())
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(
+        grievanceSystem.connect(student).publishEnrollmentRoot(enrollmentRoot, TREE_DEPTH)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(
+        grievanceSystem.publishEnrollmentRoot(enrollmentRoot, 8)
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid tree depth");
+    });
+
+    it("Should reject anonymous submissions until configured", async function () {
+      await expect(
+        submitAnonymously(unauthorized, ethers.id("code"))
+      ).to.be.revertedWith("GrievanceSystemSecure: Anonymous submission is not enabled");
+    });
+
+    describe("when enabled", function () {
+      beforeEach(async function () {
+        await grievanceSystem.setEnrollmentVerifier(await verifier.getAddress());
+        await grievanceSystem.publishEnrollmentRoot(enrollmentRoot, TREE_DEPTH);
+      });
+
+      it("Should accept a valid proof from any sender without recording it", async function () {
+        const trackingCode = ethers.id("secret tracking code");
+        await expect(submitAnonymously(unauthorized, trackingCode))
+          .to.emit(grievanceSystem, "AnonymousGrievanceSubmitted")
+          .and.to.emit(grievanceSystem, "GrievanceSubmitted")
+          .withArgs(1, ethers.ZeroAddress, anyValue, anyValue);
+
+        const grievance = await grievanceSystem.getAnonymousGrievance(trackingCode);
+        expect(grievance.grievanceId).to.equal(1);
+        expect(grievance.studentAddress).to.equal(ethers.ZeroAddress);
+        expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([1n]);
+        expect(await grievanceSystem.connect(unauthorized).getVisibleGrievances()).to.deep.equal([]);
+      });
+
+      it("Should reject a reused nullifier", async function () {
+        await submitAnonymously(unauthorized, ethers.id("code 1"), 7n);
+        await expect(
+          submitAnonymously(unauthorized, ethers.id("code 2"), 7n)
+        ).to.be.revertedWith("GrievanceSystemSecure: Anonymous submission limit reached for this epoch");
+      });
+
+      it("Should reject a reused tracking code", async function () {
+        await submitAnonymously(unauthorized, ethers.id("code"), 1n);
+        await expect(
+          submitAnonymously(unauthorized, ethers.id("code"), 2n)
+        ).to.be.revertedWith("GrievanceSystemSecure: Tracking code already used");
+      });
+
+      it("Should reject a proof bound to different content", async function () {
+        const trackingHash = ethers.keccak256(ethers.id("code"));
+        const proof = await mockProof(1n, ethers.id("Original"), trackingHash);
+        await expect(
+          grievanceSystem.submitAnonymousGrievance("ciphertext", ethers.id("Swapped"), 0, trackingHash, 1n, proof)
+        ).to.be.revertedWith("MockSemaphoreVerifier: Invalid proof");
+      });
+
+      it("Should reject a proof bound to a different category", async function () {
+        await grievanceSystem.createCategory("Harassment");
+        const contentHash = ethers.id("Anonymous grievance");
+        const trackingHash = ethers.keccak256(ethers.id("code"));
+        const proof = await mockProof(1n, contentHash, trackingHash, 0);
+        await expect(
+          grievanceSystem.submitAnonymousGrievance("ciphertext", contentHash, 1, trackingHash, 1n, proof)
+        ).to.be.revertedWith("MockSemaphoreVerifier: Invalid proof");
+      });
+
+      it("Should reject a proof against an outdated root", async function () {
+        await grievanceSystem.publishEnrollmentRoot(67890n, TREE_DEPTH);
+        await expect(
+          submitAnonymously(unauthorized, ethers.id("code"))
+        ).to.be.revertedWith("MockSemaphoreVerifier: Invalid proof");
+      });
+
+      it("Should stop a student given a staff role from submitting anonymously", async function () {
+        await grievanceSystem.connect(student).registerIdentityCommitment(111);
+        await grievanceSystem.connect(student2).registerIdentityCommitment(222);
+
+        await expect(grievanceSystem.assignRole(student.address, Role.COUNSELOR))
+          .to.emit(grievanceSystem, "IdentityCommitmentRemoved")
+          .withArgs(student.address, 111, anyValue);
+        expect(await grievanceSystem.getEnrolledCommitments()).to.deep.equal([222n]);
+        expect(await grievanceSystem.identityCommitments(student.address)).to.equal(0);
+
+        // The republished root leaves their commitment out, so proofs from the old tree fail
+        await grievanceSystem.publishEnrollmentRoot(67890n, TREE_DEPTH);
+        await expect(
+          submitAnonymously(student, ethers.id("code"))
+        ).to.be.revertedWith("MockSemaphoreVerifier: Invalid proof");
+        await expect(
+          grievanceSystem.connect(student).registerIdentityCommitment(333)
+        ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+      });
+
+      it("Should reject unknown tracking codes", async function () {
+        await expect(
+          grievanceSystem.getAnonymousGrievance(ethers.id("wrong code"))
+        ).to.be.revertedWith("GrievanceSystemSecure: Unknown tracking code");
+      });
+    });
+  });
+
+  describe("Department & Cohort Scoping", function () {
+    let counselor2, yearCoord2;
+    const CSE = 1, ECE = 2;
+    const CSE_2027 = 1, ECE_2027 = 2;
+
+    beforeEach(async function () {
+      [, , , , , , , , , counselor2, yearCoord2] = await ethers.getSigners();
+      await grievanceSystem.assignRole(counselor2.address, Role.COUNSELOR);
+      await grievanceSystem.assignRole(yearCoord2.address, Role.YEAR_COORDINATOR);
+
+      await grievanceSystem.createDepartment("Computer Science");
+      await grievanceSystem.createDepartment("Electronics");
+      await grievanceSystem.createCohort(CSE, "CSE - Batch of 2027");
+      await grievanceSystem.createCohort(ECE, "ECE - Batch of 2027");
+
+      await grievanceSystem.assignCohort([student.address, yearCoord.address], CSE_2027);
+      await grievanceSystem.assignCohort([student2.address, yearCoord2.address], ECE_2027);
+      await grievanceSystem.assignDepartment(counselor.address, CSE);
+      await grievanceSystem.assignDepartment(hod.address, CSE);
+      await grievanceSystem.assignDepartment(counselor2.address, ECE);
+      await grievanceSystem.assignDepartment(hod2.address, ECE);
+
+      await grievanceSystem.connect(student).submitGrievance("CSE grievance", ethers.id("CSE grievance"), 0);
+      await grievanceSystem.connect(student2).submitGrievance("ECE grievance", ethers.id("ECE grievance"), 0);
+    });
+
+    it("Should let admin manage departments and cohorts", async function () {
+      await expect(grievanceSystem.createDepartment("Mechanical"))
+        .to.emit(grievanceSystem, "DepartmentCreated")
+        .withArgs(3, "Mechanical", admin.address, anyValue);
+      expect(await grievanceSystem.departments(3)).to.equal("Mechanical");
+
+      await grievanceSystem.createCohort(3, "MECH - Batch of 2028");
+      const cohort = await grievanceSystem.cohorts(3);
+      expect(cohort.departmentId).to.equal(3);
+      expect(cohort.name).to.equal("MECH - Batch of 2028");
+
+      await expect(
+        grievanceSystem.createCohort(4, "Unknown")
+      ).to.be.revertedWith("GrievanceSystemSecure: Department does not exist");
+      await expect(
+        grievanceSystem.createDepartment("")
+      ).to.be.revertedWith("GrievanceSystemSecure: Name cannot be empty");
+      await expect(
+        grievanceSystem.connect(counselor).createDepartment("Civil")
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should bind departments and cohorts to the right roles only", async function () {
+      await expect(
+        grievanceSystem.assignDepartment(student.address, CSE)
+      ).to.be.revertedWith("GrievanceSystemSecure: Departments are assigned to Counselors and HODs");
+      await expect(
+        grievanceSystem.assignCohort([counselor.address], CSE_2027)
+      ).to.be.revertedWith("GrievanceSystemSecure: Cohorts are assigned to Students and Year Coordinators");
+      await expect(
+        grievanceSystem.assignDepartment(counselor.address, 3)
+      ).to.be.revertedWith("GrievanceSystemSecure: Department does not exist");
+    });
+
+    it("Should record the student's cohort on each grievance", async function () {
+      expect(await grievanceSystem.grievanceCohort(1)).to.equal(CSE_2027);
+      expect(await grievanceSystem.grievanceCohort(2)).to.equal(ECE_2027);
+    });
+
+    it("Counselors should only see their own department's grievances", async function () {
+      expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(counselor2).getVisibleGrievances()).to.deep.equal([2n]);
+
+      await expect(
+        grievanceSystem.connect(counselor).getGrievanceById(2)
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+    });
+
+    it("Counselors should not act on other departments' grievances", async function () {
+      await expect(
+        grievanceSystem.connect(counselor).reviewGrievance(2)
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+      await expect(
+        grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(2, "Resolved")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+      await expect(
+        grievanceSystem.connect(counselor).escalateToYearCoordinator(2, "Escalating")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+    });
+
+    it("Year Coordinators should only see their own cohort's grievances", async function () {
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Escalating");
+      await grievanceSystem.connect(counselor2).escalateToYearCoordinator(2, "Escalating");
+
+      expect(await grievanceSystem.connect(yearCoord).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(yearCoord2).getVisibleGrievances()).to.deep.equal([2n]);
+      await expect(
+        grievanceSystem.connect(yearCoord).escalateToHOD(2, hod2.address, "Escalating")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+    });
+
+    it("Should only escalate to the HOD of the grievance's department", async function () {
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Escalating");
+
+      await expect(
+        grievanceSystem.connect(yearCoord).escalateToHOD(1, hod2.address, "Escalating")
+      ).to.be.revertedWith("GrievanceSystemSecure: HOD is not in the grievance's department");
+      await expect(grievanceSystem.connect(yearCoord).escalateToHOD(1, hod.address, "Escalating"))
+        .to.emit(grievanceSystem, "GrievanceAssignedToHOD")
+        .withArgs(1, hod.address, yearCoord.address, anyValue);
+    });
+
+    it("Should only assign to the HOD of the grievance's department", async function () {
+      await expect(
+        grievanceSystem.connect(counselor2).assignGrievanceToHOD(2, hod.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: HOD is not in the grievance's department");
+      await grievanceSystem.connect(counselor2).assignGrievanceToHOD(2, hod2.address);
+      expect((await grievanceSystem.getGrievanceById(2)).assignedHOD).to.equal(hod2.address);
+    });
+
+    it("Should keep grievances without a cohort visible institution-wide", async function () {
+      await grievanceSystem.enrollStudent(unauthorized.address);
+      await grievanceSystem.connect(unauthorized).submitGrievance("Unscoped", ethers.id("Unscoped"), 0);
+
+      expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([1n, 3n]);
+      expect(await grievanceSystem.connect(counselor2).getVisibleGrievances()).to.deep.equal([2n, 3n]);
+    });
+
+    it("Should clear department bindings when the role changes", async function () {
+      await grievanceSystem.assignRole(counselor.address, Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.userDepartment(counselor.address)).to.equal(0);
+
+      await grievanceSystem.revokeRole(student.address);
+      expect(await grievanceSystem.userCohort(student.address)).to.equal(0);
+    });
+  });
+
+  describe("Categories & Routing", function () {
+    const EXAM = 1, HARASSMENT = 2, HOSTEL = 3;
+
+    beforeEach(async function () {
+      await grievanceSystem.createCategory("Exam");
+      await grievanceSystem.createCategory("Harassment");
+      await grievanceSystem.createCategory("Hostel");
+      await grievanceSystem.setRoutingRule(EXAM, Role.YEAR_COORDINATOR, ethers.ZeroAddress);
+      await grievanceSystem.setRoutingRule(HARASSMENT, Role.DEAN, dean.address);
+    });
+
+    it("Should let only admin manage categories", async function () {
+      await expect(grievanceSystem.createCategory("Fees"))
+        .to.emit(grievanceSystem, "CategoryCreated")
+        .withArgs(4, "Fees", admin.address, anyValue);
+      expect(await grievanceSystem.categories(4)).to.equal("Fees");
+
+      await expect(
+        grievanceSystem.connect(counselor).createCategory("Fees")
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(
+        grievanceSystem.connect(counselor).setRoutingRule(HOSTEL, Role.HOD, hod.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should validate routing rules", async function () {
+      await expect(
+        grievanceSystem.setRoutingRule(9, Role.COUNSELOR, ethers.ZeroAddress)
+      ).to.be.revertedWith("GrievanceSystemSecure: Category does not exist");
+      await expect(
+        grievanceSystem.setRoutingRule(HOSTEL, Role.STUDENT, ethers.ZeroAddress)
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid routing level");
+      await expect(
+        grievanceSystem.setRoutingRule(HOSTEL, Role.HOD, counselor.address)
+      ).to.be.revertedWith("GrievanceSystemSecure: Handler must hold the routing level's role");
+      await expect(
+        grievanceSystem.setRoutingRule(HOSTEL, Role.HOD, ethers.ZeroAddress)
+      ).to.be.revertedWith("GrievanceSystemSecure: HOD routing requires a handler");
+    });
+
+    it("Should reject unknown categories", async function () {
+      await expect(
+        grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 9)
+      ).to.be.revertedWith("GrievanceSystemSecure: Category does not exist");
+    });
+
+    it("Should start uncategorized grievances at Counselor level", async function () {
+      await expect(grievanceSystem.connect(student).submitGrievance("General", ethers.id("General"), 0))
+        .to.emit(grievanceSystem, "GrievanceRouted")
+        .withArgs(1, 0, Role.COUNSELOR, ethers.ZeroAddress, anyValue);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.COUNSELOR);
+    });
+
+    it("Should route exam grievances to the Year Coordinator", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Exam", ethers.id("Exam"), EXAM);
+
+      expect(await grievanceSystem.grievanceCategory(1)).to.equal(EXAM);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([]);
+      expect(await grievanceSystem.connect(yearCoord).getVisibleGrievances()).to.deep.equal([1n]);
+      await grievanceSystem.connect(yearCoord).escalateToHOD(1, hod.address, "Needs HOD");
+    });
+
+    it("Should route harassment grievances straight to the Dean", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Harassment", ethers.id("Harassment"), HARASSMENT);
+
+      const grievance = await grievanceSystem.getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.ESCALATED);
+      expect(grievance.currentHandler).to.equal(dean.address);
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(counselor).getVisibleGrievances()).to.deep.equal([]);
+      await grievanceSystem.connect(dean).closeGrievance(1, "Handled");
+    });
+
+    it("Should assign HOD-routed grievances to the configured HOD", async function () {
+      await grievanceSystem.setRoutingRule(HOSTEL, Role.HOD, hod2.address);
+      await expect(grievanceSystem.connect(student).submitGrievance("Hostel", ethers.id("Hostel"), HOSTEL))
+        .to.emit(grievanceSystem, "GrievanceAssignedToHOD")
+        .withArgs(1, hod2.address, anyValue, anyValue);
+
+      const grievance = await grievanceSystem.getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.ASSIGNED_TO_HOD);
+      expect(grievance.assignedHOD).to.equal(hod2.address);
+      expect(await grievanceSystem.connect(hod2).getVisibleGrievances()).to.deep.equal([1n]);
+      await grievanceSystem.connect(hod2).resolveGrievance(1, "Fixed");
+    });
+
+    it("Should fall back to Counselor level when the handler lost its role", async function () {
+      await grievanceSystem.setRoutingRule(HOSTEL, Role.HOD, hod2.address);
+      await grievanceSystem.revokeRole(hod2.address);
+
+      await grievanceSystem.connect(student).submitGrievance("Hostel", ethers.id("Hostel"), HOSTEL);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.COUNSELOR);
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.SUBMITTED);
+    });
+  });
+
+  describe("SLA Deadlines", function () {
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await grievanceSystem.setSlaDuration(Role.COUNSELOR, 3 * DAY);
+      await grievanceSystem.setSlaDuration(Role.YEAR_COORDINATOR, 5 * DAY);
+      await grievanceSystem.setSlaDuration(Role.HOD, 7 * DAY);
+      await grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 0);
+    });
+
+    it("Should let only admin set SLA durations for escalating levels", async function () {
+      await expect(grievanceSystem.setSlaDuration(Role.COUNSELOR, DAY))
+        .to.emit(grievanceSystem, "SlaDurationSet")
+        .withArgs(Role.COUNSELOR, DAY, admin.address, anyValue);
+      expect(await grievanceSystem.slaDurations(Role.COUNSELOR)).to.equal(DAY);
+
+      await expect(
+        grievanceSystem.connect(counselor).setSlaDuration(Role.COUNSELOR, DAY)
+      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(
+        grievanceSystem.setSlaDuration(Role.DEAN, DAY)
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid SLA level");
+    });
+
+    it("Should not escalate before the deadline", async function () {
+      const submittedAt = (await grievanceSystem.getGrievanceById(1)).submittedAt;
+      expect(await grievanceSystem.getDeadline(1)).to.equal(submittedAt + BigInt(3 * DAY));
+
+      await expect(
+        grievanceSystem.connect(unauthorized).enforceDeadline(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Deadline has not passed");
+    });
+
+    it("Should let anyone escalate an overdue Counselor grievance to the Year Coordinator", async function () {
+      await time.increase(3 * DAY + 1);
+
+      await expect(grievanceSystem.connect(unauthorized).enforceDeadline(1))
+        .to.emit(grievanceSystem, "DeadlineEnforced")
+        .withArgs(1, Role.COUNSELOR, Role.YEAR_COORDINATOR, unauthorized.address,
+          await grievanceSystem.SLA_ESCALATION_REMARK(), anyValue);
+
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.connect(yearCoord).getVisibleGrievances()).to.deep.equal([1n]);
+
+      // The Year Coordinator SLA starts now
+      await expect(grievanceSystem.enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Deadline has not passed");
+    });
+
+    it("Should escalate an overdue Year Coordinator grievance to the Dean", async function () {
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Needs YC");
+      await time.increase(5 * DAY + 1);
+
+      await grievanceSystem.connect(unauthorized).enforceDeadline(1);
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.ESCALATED);
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([1n]);
+    });
+
+    it("Should run HOD assignments on the HOD SLA", async function () {
+      await time.increase(2 * DAY);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+
+      // Past the Counselor SLA, but the HOD clock started at assignment
+      await time.increase(2 * DAY);
+      await expect(grievanceSystem.enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Deadline has not passed");
+
+      await time.increase(5 * DAY + 1);
+      await expect(grievanceSystem.connect(unauthorized).enforceDeadline(1))
+        .to.emit(grievanceSystem, "DeadlineEnforced")
+        .withArgs(1, Role.HOD, Role.DEAN, unauthorized.address, anyValue, anyValue);
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.ESCALATED);
+    });
+
+    it("Should not apply SLAs to finished, escalated or unconfigured levels", async function () {
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Done");
+      await time.increase(30 * DAY);
+      expect(await grievanceSystem.getDeadline(1)).to.equal(0);
+      await expect(grievanceSystem.enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: No SLA applies to this grievance");
+
+      await grievanceSystem.setSlaDuration(Role.COUNSELOR, 0);
+      await grievanceSystem.connect(student).submitGrievance("Test 2", ethers.id("Test 2"), 0);
+      await time.increase(30 * DAY);
+      await expect(grievanceSystem.enforceDeadline(2))
+        .to.be.revertedWith("GrievanceSystemSecure: No SLA applies to this grievance");
+    });
+  });
+
+  describe("Resolution Acceptance & Disputes", function () {
+    const WINDOW = 7 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 0);
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Fixed");
+    });
+
+    it("Should let the student accept a resolution and make it final", async function () {
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(false);
+
+      await expect(grievanceSystem.connect(student).acceptResolution(1))
+        .to.emit(grievanceSystem, "ResolutionAccepted")
+        .withArgs(1, student.address, anyValue);
+
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(true);
+      await expect(
+        grievanceSystem.connect(student).disputeResolution(1, "Not fixed")
+      ).to.be.revertedWith("GrievanceSystemSecure: Resolution is already final");
+    });
+
+    it("Should only let the submitting student respond", async function () {
+      await expect(
+        grievanceSystem.connect(student2).acceptResolution(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Not your grievance");
+      await expect(
+        grievanceSystem.connect(counselor).disputeResolution(1, "Not fixed")
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+
+      await grievanceSystem.connect(student).submitGrievance("Open", ethers.id("Open"), 0);
+      await expect(
+        grievanceSystem.connect(student).acceptResolution(2)
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is not resolved");
+    });
+
+    it("Should reopen a disputed Counselor resolution with the Year Coordinators", async function () {
+      await expect(
+        grievanceSystem.connect(student).disputeResolution(1, "")
+      ).to.be.revertedWith("GrievanceSystemSecure: Dispute reason required");
+
+      await expect(grievanceSystem.connect(student).disputeResolution(1, "Not fixed"))
+        .to.emit(grievanceSystem, "ResolutionDisputed")
+        .withArgs(1, student.address, Role.YEAR_COORDINATOR, "Not fixed", anyValue);
+
+      const grievance = await grievanceSystem.getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.IN_REVIEW);
+      expect(grievance.resolvedBy).to.equal(ethers.ZeroAddress);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+      await grievanceSystem.connect(yearCoord).resolveGrievanceByCounselorOrCoordinator(1, "Fixed properly");
+
+      // A second dispute goes to the Dean
+      await grievanceSystem.connect(student).disputeResolution(1, "Still not fixed");
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.ESCALATED);
+      await grievanceSystem.connect(dean).closeGrievance(1, "Final decision");
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(true);
+    });
+
+    it("Should send a disputed HOD resolution to the Dean", async function () {
+      await grievanceSystem.connect(student).submitGrievance("HOD case", ethers.id("HOD case"), 0);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(2, hod.address);
+      await grievanceSystem.connect(hod).resolveGrievance(2, "Fixed");
+
+      await expect(grievanceSystem.connect(student).disputeResolution(2, "Not fixed"))
+        .to.emit(grievanceSystem, "ResolutionDisputed")
+        .withArgs(2, student.address, Role.DEAN, "Not fixed", anyValue);
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([2n]);
+    });
+
+    it("Should finalize unanswered resolutions after the response window", async function () {
+      await time.increase(WINDOW + 1);
+
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(true);
+      await expect(
+        grievanceSystem.connect(student).disputeResolution(1, "Too late")
+      ).to.be.revertedWith("GrievanceSystemSecure: Resolution is already final");
+    });
+  });
+
+  describe("Grievance Withdrawal", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 0);
+    });
+
+    it("Should let the student withdraw an open grievance", async function () {
+      await expect(grievanceSystem.connect(student).withdrawGrievance(1, "Settled informally"))
+        .to.emit(grievanceSystem, "GrievanceWithdrawn")
+        .withArgs(1, student.address, Status.SUBMITTED, "Settled informally", anyValue);
+
+      expect((await grievanceSystem.connect(student).getGrievanceById(1)).status).to.equal(Status.WITHDRAWN);
+      expect(await grievanceSystem.connect(student).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.isResolutionFinal(1)).to.equal(true);
+
+      await expect(
+        grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Fixed")
+      ).to.be.revertedWith("GrievanceSystemSecure: Cannot resolve grievance in current status");
+      await expect(
+        grievanceSystem.connect(student).withdrawGrievance(1, "Again")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance can no longer be withdrawn");
+    });
+
+    it("Should only let the submitting student withdraw", async function () {
+      await expect(
+        grievanceSystem.connect(student2).withdrawGrievance(1, "")
+      ).to.be.revertedWith("GrievanceSystemSecure: Not your grievance");
+      await expect(
+        grievanceSystem.connect(counselor).withdrawGrievance(1, "")
+      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should allow withdrawal of a resolution awaiting response but not of a final one", async function () {
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Fixed");
+      await grievanceSystem.connect(student).withdrawGrievance(1, "");
+
+      await grievanceSystem.connect(student).submitGrievance("Test 2", ethers.id("Test 2"), 0);
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(2, "Fixed");
+      await grievanceSystem.connect(student).acceptResolution(2);
+      await expect(
+        grievanceSystem.connect(student).withdrawGrievance(2, "")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance can no longer be withdrawn");
+    });
+
+    it("Should keep grievances withdrawn while escalated in the Dean's view", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test 2", ethers.id("Test 2"), 0);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(2, hod.address);
+      await grievanceSystem.connect(hod).escalateGrievance(2, "Needs Dean");
+      await grievanceSystem.connect(student).withdrawGrievance(1, "");
+      await grievanceSystem.connect(student).withdrawGrievance(2, "");
+
+      expect(await grievanceSystem.statusBeforeWithdrawal(2)).to.equal(Status.ESCALATED);
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([2n]);
+      expect((await grievanceSystem.connect(dean).getGrievanceById(2)).status).to.equal(Status.WITHDRAWN);
+      await expect(
+        grievanceSystem.connect(dean).getGrievanceById(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Can only view escalated, closed or remanded grievances");
+      await expect(
+        grievanceSystem.connect(dean).closeGrievance(2, "Closing")
+      ).to.be.revertedWith("GrievanceSystemSecure: Can only close escalated grievances");
+    });
   });
 
-  describe("Role Assignment Security", function () {
-    it("Should allow admin to assign roles", async function () {
-      await grievanceSystem.assignRole(unauthorized.address, Role.STUDENT);
-      expect(await grievanceSystem.getUserRole(unauthorized.address)).to.equal(Role.STUDENT);
+  describe("Clarification Requests", function () {
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await grievanceSystem.setSlaDuration(Role.COUNSELOR, 3 * DAY);
+      await grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 0);
     });
 
-    it("Should prevent non-admin from assigning roles", async function () {
+    it("Should let the handler ask and the student answer", async function () {
+      await grievanceSystem.connect(counselor).reviewGrievance(1);
+
+      await expect(grievanceSystem.connect(counselor).requestInformation(1, "Which course?"))
+        .to.emit(grievanceSystem, "InformationRequested")
+        .withArgs(1, counselor.address, "Which course?", anyValue);
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.REQUEST_INFO);
+
+      await expect(grievanceSystem.connect(student).provideInformation(1, "CS101"))
+        .to.emit(grievanceSystem, "InformationProvided")
+        .withArgs(1, student.address, "CS101", anyValue);
+      expect((await grievanceSystem.getGrievanceById(1)).status).to.equal(Status.IN_REVIEW);
+
+      const messages = await grievanceSystem.connect(student).getMessages(1);
+      expect(messages.map(m => [m.author, m.body])).to.deep.equal([
+        [counselor.address, "Which course?"],
+        [student.address, "CS101"]
+      ]);
       await expect(
-        grievanceSystem.connect(counselor).assignRole(unauthorized.address, Role.STUDENT)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+        grievanceSystem.connect(student2).getMessages(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
     });
 
-    it("Should prevent self-assignment of roles", async function () {
+    it("Should only let the authority handling the grievance ask", async function () {
       await expect(
-        grievanceSystem.connect(unauthorized).assignRole(unauthorized.address, Role.STUDENT)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
-    });
+        grievanceSystem.connect(yearCoord).requestInformation(1, "Which course?")
+      ).to.be.revertedWith("GrievanceSystemSecure: You are not handling this grievance");
+      await expect(
+        grievanceSystem.connect(hod).requestInformation(1, "Which course?")
+      ).to.be.revertedWith("GrievanceSystemSecure: You are not handling this grievance");
 
-    it("Should prevent assigning ADMIN role", async function () {
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
       await expect(
-        grievanceSystem.assignRole(unauthorized.address, Role.ADMIN)
-      ).to.be.revertedWith("GrievanceSystemSecure: Cannot assign ADMIN role");
-    });
+        grievanceSystem.connect(hod2).requestInformation(1, "Which course?")
+      ).to.be.revertedWith("GrievanceSystemSecure: You are not handling this grievance");
+      await grievanceSystem.connect(hod).requestInformation(1, "Which course?");
 
-    it("Should prevent changing admin role", async function () {
+      // Nothing else can happen until the student answers
       await expect(
-        grievanceSystem.assignRole(admin.address, Role.STUDENT)
-      ).to.be.revertedWith("GrievanceSystemSecure: Cannot change admin role");
+        grievanceSystem.connect(hod).resolveGrievance(1, "Fixed")
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance must be assigned to HOD to resolve");
+      await expect(
+        grievanceSystem.connect(hod).requestInformation(1, "And the section?")
+      ).to.be.revertedWith("GrievanceSystemSecure: You are not handling this grievance");
+      await grievanceSystem.connect(student).provideInformation(1, "CS101");
+      await grievanceSystem.connect(hod).resolveGrievance(1, "Fixed");
     });
 
-    it("Should allow admin to revoke roles", async function () {
-      await grievanceSystem.revokeRole(counselor.address);
-      expect(await grievanceSystem.getUserRole(counselor.address)).to.equal(0); // Default to 0 (STUDENT enum, but should be unassigned)
-    });
+    it("Should validate answers", async function () {
+      await expect(
+        grievanceSystem.connect(student).provideInformation(1, "CS101")
+      ).to.be.revertedWith("GrievanceSystemSecure: No open question on this grievance");
 
-    it("Should prevent revoking admin role", async function () {
+      await grievanceSystem.connect(counselor).requestInformation(1, "Which course?");
       await expect(
-        grievanceSystem.revokeRole(admin.address)
-      ).to.be.revertedWith("GrievanceSystemSecure: Cannot revoke admin role");
+        grievanceSystem.connect(student2).provideInformation(1, "CS101")
+      ).to.be.revertedWith("GrievanceSystemSecure: Not your grievance");
+      await expect(
+        grievanceSystem.connect(student).provideInformation(1, "")
+      ).to.be.revertedWith("GrievanceSystemSecure: Message cannot be empty");
     });
-  });
 
-  describe("Grievance Submission Security", function () {
-    it("Should allow only STUDENT to submit grievances", async function () {
-      const description = "Test grievance";
-      await expect(grievanceSystem.connect(student).submitGrievance(description))
-        .to.emit(grievanceSystem, "GrievanceSubmitted");
+    it("Should pause the SLA clock while waiting for the student", async function () {
+      const deadline = await grievanceSystem.getDeadline(1);
+      await time.increase(2 * DAY);
+      await grievanceSystem.connect(counselor).requestInformation(1, "Which course?");
+      expect(await grievanceSystem.getDeadline(1)).to.equal(0);
+
+      await time.increase(10 * DAY);
+      await expect(grievanceSystem.enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: No SLA applies to this grievance");
+
+      await grievanceSystem.connect(student).provideInformation(1, "CS101");
+      const waited = BigInt(await time.latest()) - (await grievanceSystem.getMessages(1))[0].timestamp;
+      expect(await grievanceSystem.getDeadline(1)).to.equal(deadline + waited);
+      await expect(grievanceSystem.enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Deadline has not passed");
     });
 
-    it("Should prevent COUNSELOR from submitting grievances", async function () {
-      const description = "Test grievance";
-      await expect(
-        grievanceSystem.connect(counselor).submitGrievance(description)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    it("Should keep a Dean's open question in the Dean's view", async function () {
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+      await grievanceSystem.connect(hod).escalateGrievance(1, "Needs Dean");
+      await grievanceSystem.connect(dean).requestInformation(1, "Any witnesses?");
+
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([1n]);
+      await grievanceSystem.connect(student).provideInformation(1, "Yes");
+      await grievanceSystem.connect(dean).closeGrievance(1, "Handled");
     });
+  });
 
-    it("Should prevent YEAR_COORDINATOR from submitting grievances", async function () {
-      const description = "Test grievance";
-      await expect(
-        grievanceSystem.connect(yearCoord).submitGrievance(description)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+  describe("Evidence Attachments", function () {
+    const CID = "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+    const fileHash = ethers.id("lecture recording");
+
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test", ethers.id("Test"), 0);
     });
 
-    it("Should prevent HOD from submitting grievances", async function () {
-      const description = "Test grievance";
-      await expect(
-        grievanceSystem.connect(hod).submitGrievance(description)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    it("Should record attachments for the grievance and for remarks", async function () {
+      await expect(grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [CID], [fileHash]))
+        .to.emit(grievanceSystem, "AttachmentAdded")
+        .withArgs(1, student.address, CID, fileHash, ethers.ZeroHash, anyValue);
+
+      await grievanceSystem.connect(counselor).reviewGrievance(1);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+      const remarkHash = ethers.id("Marks corrected");
+      await grievanceSystem.connect(hod).resolveGrievance(1, "Marks corrected");
+      await grievanceSystem.connect(hod).addAttachments(1, remarkHash, [CID, "bafkreitwo"], [fileHash, ethers.id("memo")]);
+
+      const list = await grievanceSystem.connect(student).getAttachments(1);
+      expect(list.map(a => [a.cid, a.remarkHash, a.addedBy])).to.deep.equal([
+        [CID, ethers.ZeroHash, student.address],
+        [CID, remarkHash, hod.address],
+        ["bafkreitwo", remarkHash, hod.address]
+      ]);
     });
 
-    it("Should prevent DEAN from submitting grievances", async function () {
-      const description = "Test grievance";
+    it("Should only let parties to the grievance attach and list files", async function () {
       await expect(
-        grievanceSystem.connect(dean).submitGrievance(description)
-      ).to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+        grievanceSystem.connect(student2).addAttachments(1, ethers.ZeroHash, [CID], [fileHash])
+      ).to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+      await expect(
+        grievanceSystem.connect(yearCoord).getAttachments(1)
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is not at Year Coordinator level");
+      await expect(
+        grievanceSystem.addAttachments(1, ethers.ZeroHash, [CID], [fileHash])
+      ).to.be.revertedWith("GrievanceSystemSecure: Only the student or an authority on this grievance can attach files");
+
+      await grievanceSystem.connect(counselor).addAttachments(1, ethers.ZeroHash, [CID], [fileHash]);
+      expect(await grievanceSystem.getAttachments(1)).to.have.length(1);
     });
 
-    it("Should reject empty description", async function () {
+    it("Should validate the attachment list", async function () {
       await expect(
-        grievanceSystem.connect(student).submitGrievance("")
-      ).to.be.revertedWith("GrievanceSystemSecure: Description cannot be empty");
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [], [])
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid attachment list");
+      await expect(
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [CID], [])
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid attachment list");
+      await expect(
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, Array(11).fill(CID), Array(11).fill(fileHash))
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid attachment list");
+      await expect(
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [""], [fileHash])
+      ).to.be.revertedWith("GrievanceSystemSecure: Invalid CID");
+      await expect(
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [CID], [ethers.ZeroHash])
+      ).to.be.revertedWith("GrievanceSystemSecure: Content hash required");
     });
 
-    it("Should track student grievances correctly", async function () {
-      await grievanceSystem.connect(student).submitGrievance("Grievance 1");
-      await grievanceSystem.connect(student).submitGrievance("Grievance 2");
-      
-      const grievances = await grievanceSystem.connect(student).getVisibleGrievances();
-      expect(grievances.length).to.equal(2);
+    it("Should reject attachments once the grievance is final", async function () {
+      await grievanceSystem.connect(student).withdrawGrievance(1, "");
+      await expect(
+        grievanceSystem.connect(student).addAttachments(1, ethers.ZeroHash, [CID], [fileHash])
+      ).to.be.revertedWith("GrievanceSystemSecure: Grievance is final");
     });
   });
 
   describe("Grievance Visibility Security", function () {
     beforeEach(async function () {
-      await grievanceSystem.connect(student).submitGrievance("Student 1 grievance");
-      await grievanceSystem.connect(student2).submitGrievance("Student 2 grievance");
+      await grievanceSystem.connect(student).submitGrievance("Student 1 grievance", ethers.id("Student 1 grievance"), 0);
+      await grievanceSystem.connect(student2).submitGrievance("Student 2 grievance", ethers.id("Student 2 grievance"), 0);
     });
 
     it("Student should only see their own grievances", async function () {
@@ -218,9 +1784,114 @@ describe("GrievanceSystemSecure", function () {
     });
   });
 
+  describe("Paginated Queries", function () {
+    // Follow nextOffset until hasMore is false; indexes are unordered, so sort for comparison
+    async function readAllPages(query, limit) {
+      const ids = [];
+      let offset = 0;
+      let hasMore = true;
+      while (hasMore) {
+        const [page, nextOffset, more] = await query(offset, limit);
+        expect(page.length).to.be.at.most(limit);
+        ids.push(...page);
+        [offset, hasMore] = [nextOffset, more];
+      }
+      return ids.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    beforeEach(async function () {
+      for (const description of ["Library hours", "Hostel water", "Exam timetable", "Canteen prices"]) {
+        await grievanceSystem.connect(student).submitGrievance(description, ethers.id(description), 0);
+      }
+      await grievanceSystem.connect(student2).submitGrievance("Lab access", ethers.id("Lab access"), 0);
+
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(2, "Needs the Year Coordinator");
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(3, hod.address);
+      await grievanceSystem.connect(hod).escalateGrievance(3, "Needs the Dean");
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(4, hod.address);
+      await grievanceSystem.connect(hod).escalateGrievance(4, "Needs the Dean");
+      await grievanceSystem.connect(student).withdrawGrievance(4, "Sorted out directly");
+      await grievanceSystem.connect(student2).withdrawGrievance(5, "No longer needed");
+    });
+
+    it("Should keep the status and level indexes in step with every transition", async function () {
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.SUBMITTED)).to.equal(1);
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.IN_REVIEW)).to.equal(1);
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.ESCALATED)).to.equal(1);
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.WITHDRAWN)).to.equal(2);
+      expect(await grievanceSystem.getGrievanceCountByLevel(Role.COUNSELOR)).to.equal(4);
+      expect(await grievanceSystem.getGrievanceCountByLevel(Role.YEAR_COORDINATOR)).to.equal(1);
+
+      const byStatus = (status) => (offset, limit) => grievanceSystem.getGrievancesByStatus(status, offset, limit);
+      expect(await readAllPages(byStatus(Status.WITHDRAWN), 1)).to.deep.equal([4n, 5n]);
+      expect(await readAllPages(byStatus(Status.ESCALATED), 10)).to.deep.equal([3n]);
+
+      // Moving out of a status swaps the last entry into its place
+      await grievanceSystem.connect(dean).closeGrievance(3, "Decided");
+      await grievanceSystem.connect(yearCoord).resolveGrievanceByCounselorOrCoordinator(2, "Fixed");
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.ESCALATED)).to.equal(0);
+      expect(await readAllPages(byStatus(Status.CLOSED), 10)).to.deep.equal([3n]);
+      expect(await readAllPages(byStatus(Status.RESOLVED), 10)).to.deep.equal([2n]);
+      expect(await readAllPages(byStatus(Status.IN_REVIEW), 10)).to.deep.equal([]);
+    });
+
+    it("Should page through the same grievances getVisibleGrievances returns", async function () {
+      for (const user of [student, student2, counselor, yearCoord, hod, dean, unauthorized]) {
+        const visible = await grievanceSystem.connect(user).getVisibleGrievances();
+        const paged = await readAllPages(
+          (offset, limit) => grievanceSystem.connect(user).getVisibleGrievancesPage(offset, limit),
+          2
+        );
+        expect(paged).to.deep.equal([...visible]);
+      }
+      // The Dean sees the grievance withdrawn while escalated, not the one withdrawn at Counselor level
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([3n, 4n]);
+    });
+
+    it("Should return short pages and report where to continue", async function () {
+      const [first, nextOffset, hasMore] = await grievanceSystem.connect(student).getVisibleGrievancesPage(0, 3);
+      expect(first.length).to.equal(3);
+      expect(nextOffset).to.equal(3);
+      expect(hasMore).to.equal(true);
+
+      const [last, end, more] = await grievanceSystem.connect(student).getVisibleGrievancesPage(nextOffset, 3);
+      expect(last.length).to.equal(1);
+      expect(end).to.equal(4);
+      expect(more).to.equal(false);
+
+      const [all, allEnd, allMore] = await grievanceSystem.getAllGrievancesPage(2, 10);
+      expect(all).to.deep.equal([3n, 4n, 5n]);
+      expect(allEnd).to.equal(5);
+      expect(allMore).to.equal(false);
+    });
+
+    it("Should bound page sizes and keep the admin listings admin-only", async function () {
+      const maxPageSize = await grievanceSystem.MAX_PAGE_SIZE();
+      await expect(grievanceSystem.connect(student).getVisibleGrievancesPage(0, 0))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid page size");
+      await expect(grievanceSystem.connect(student).getVisibleGrievancesPage(0, maxPageSize + 1n))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid page size");
+      await expect(grievanceSystem.connect(counselor).getAllGrievancesPage(0, 10))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(grievanceSystem.connect(counselor).getGrievancesByStatus(Status.SUBMITTED, 0, 10))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+
+    it("Should skip grievances that are already indexed when backfilling", async function () {
+      await grievanceSystem.indexGrievances(1, 5);
+      expect(await grievanceSystem.getGrievanceCountByLevel(Role.COUNSELOR)).to.equal(4);
+      expect(await grievanceSystem.getGrievanceCountByStatus(Status.WITHDRAWN)).to.equal(2);
+
+      await expect(grievanceSystem.indexGrievances(3, 6))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid grievance range");
+      await expect(grievanceSystem.connect(counselor).indexGrievances(1, 5))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+    });
+  });
+
   describe("Grievance Assignment to HOD", function () {
     beforeEach(async function () {
-      await grievanceSystem.connect(student).submitGrievance("Test grievance");
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
     });
 
     it("Should allow counselor to assign grievance to HOD", async function () {
@@ -258,9 +1929,124 @@ describe("GrievanceSystemSecure", function () {
     });
   });
 
+  describe("Conflict of Interest", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("About my HOD", ethers.id("About my HOD"), 0);
+    });
+
+    it("Should keep flagged staff from being assigned the grievance", async function () {
+      await expect(grievanceSystem.connect(student).flagConflicts(1, [hod.address]))
+        .to.emit(grievanceSystem, "ConflictFlagged")
+        .withArgs(1, hod.address, student.address, anyValue);
+
+      await expect(grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address))
+        .to.be.revertedWith("GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Needs a HOD");
+      await expect(grievanceSystem.connect(yearCoord).escalateToHOD(1, hod.address, "Needs a HOD"))
+        .to.be.revertedWith("GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+      await grievanceSystem.connect(yearCoord).escalateToHOD(1, hod2.address, "Needs a HOD");
+
+      expect(await grievanceSystem.connect(hod2).getConflicts(1)).to.deep.equal([hod.address]);
+      await expect(grievanceSystem.connect(student2).flagConflicts(1, [hod2.address]))
+        .to.be.revertedWith("GrievanceSystemSecure: Not your grievance");
+      const tooMany = Array.from({ length: 5 }, () => ethers.Wallet.createRandom().address);
+      await expect(grievanceSystem.connect(student).flagConflicts(1, tooMany))
+        .to.be.revertedWith("GrievanceSystemSecure: Too many conflict flags");
+    });
+
+    it("Should return a recused HOD's grievance to the level that assigned it", async function () {
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+      await expect(grievanceSystem.connect(hod2).recuse(1, "Not mine"))
+        .to.be.revertedWith("GrievanceSystemSecure: Only the current handler can recuse");
+      await expect(grievanceSystem.connect(hod).recuse(1, "Family member of the student"))
+        .to.emit(grievanceSystem, "HandlerRecused")
+        .withArgs(1, hod.address, Role.COUNSELOR, hod.address, "Family member of the student", anyValue);
+
+      const grievance = await grievanceSystem.connect(counselor).getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.IN_REVIEW);
+      expect(grievance.assignedHOD).to.equal(ethers.ZeroAddress);
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([]);
+      await expect(grievanceSystem.connect(hod).getGrievanceById(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Not assigned to this grievance");
+      await expect(grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address))
+        .to.be.revertedWith("GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+
+      // Escalated straight to a HOD: back to the Year Coordinators
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Needs a HOD");
+      await grievanceSystem.connect(yearCoord).escalateToHOD(1, hod2.address, "Needs a HOD");
+      await grievanceSystem.connect(hod2).recuse(1, "Conflict");
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+      expect((await grievanceSystem.connect(yearCoord).getGrievanceById(1)).status).to.equal(Status.IN_REVIEW);
+    });
+
+    it("Should take a flagged handler off the grievance they are handling", async function () {
+      await grievanceSystem.connect(counselor).reviewGrievance(1);
+      await expect(grievanceSystem.connect(student).flagConflicts(1, [counselor.address]))
+        .to.emit(grievanceSystem, "HandlerRecused")
+        .withArgs(1, counselor.address, Role.COUNSELOR, student.address, "", anyValue);
+
+      expect((await grievanceSystem.connect(student).getGrievanceById(1)).currentHandler).to.equal(ethers.ZeroAddress);
+      await expect(grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Done"))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+      await expect(grievanceSystem.connect(counselor).getGrievanceById(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is outside your department or cohort");
+    });
+  });
+
+  describe("HOD Reassignment", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+    });
+
+    it("Should move a grievance to another HOD and off the old HOD's list", async function () {
+      await expect(grievanceSystem.connect(yearCoord).reassignHOD(1, hod2.address, "HOD on leave"))
+        .to.emit(grievanceSystem, "GrievanceReassigned")
+        .withArgs(1, hod.address, hod2.address, yearCoord.address, "HOD on leave", anyValue);
+
+      const grievance = await grievanceSystem.connect(hod2).getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.ASSIGNED_TO_HOD);
+      expect(grievance.assignedHOD).to.equal(hod2.address);
+      expect(grievance.currentHandler).to.equal(hod2.address);
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([]);
+      expect(await grievanceSystem.connect(hod2).getVisibleGrievances()).to.deep.equal([1n]);
+      await expect(grievanceSystem.connect(hod).resolveGrievance(1, "Resolved"))
+        .to.be.revertedWith("GrievanceSystemSecure: You are not assigned to this grievance");
+      await grievanceSystem.connect(hod2).resolveGrievance(1, "Resolved");
+
+      // The admin can move it too
+      await grievanceSystem.connect(student2).submitGrievance("Another grievance", ethers.id("Another grievance"), 0);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(2, hod2.address);
+      await grievanceSystem.connect(admin).reassignHOD(2, hod.address, "Wrong HOD");
+      expect(await grievanceSystem.connect(hod2).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([2n]);
+    });
+
+    it("Should restrict who can reassign and to whom", async function () {
+      for (const signer of [counselor, hod, student, unauthorized]) {
+        await expect(grievanceSystem.connect(signer).reassignHOD(1, hod2.address, "Move"))
+          .to.be.revertedWith("GrievanceSystemSecure: Only Year Coordinator or admin can reassign");
+      }
+      await expect(grievanceSystem.connect(yearCoord).reassignHOD(1, hod.address, "Move"))
+        .to.be.revertedWith("GrievanceSystemSecure: Already assigned to this HOD");
+      await expect(grievanceSystem.connect(yearCoord).reassignHOD(1, dean.address, "Move"))
+        .to.be.revertedWith("GrievanceSystemSecure: Address must be a HOD");
+      await expect(grievanceSystem.connect(yearCoord).reassignHOD(1, hod2.address, ""))
+        .to.be.revertedWith("GrievanceSystemSecure: Reassignment reason required");
+
+      await grievanceSystem.connect(student).flagConflicts(1, [hod2.address]);
+      await expect(grievanceSystem.connect(yearCoord).reassignHOD(1, hod2.address, "Move"))
+        .to.be.revertedWith("GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+
+      await grievanceSystem.connect(hod).resolveGrievance(1, "Resolved");
+      await expect(grievanceSystem.connect(admin).reassignHOD(1, hod.address, "Move"))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is not waiting for a HOD");
+    });
+  });
+
   describe("HOD Resolution & Escalation Security", function () {
     beforeEach(async function () {
-      await grievanceSystem.connect(student).submitGrievance("Test grievance");
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
       await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
     });
 
@@ -303,7 +2089,7 @@ describe("GrievanceSystemSecure", function () {
 
   describe("Dean Actions Security", function () {
     beforeEach(async function () {
-      await grievanceSystem.connect(student).submitGrievance("Test grievance");
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
       await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
       await grievanceSystem.connect(hod).escalateGrievance(1, "Escalating to Dean");
     });
@@ -324,17 +2110,516 @@ describe("GrievanceSystemSecure", function () {
     });
 
     it("Should prevent closing non-escalated grievances", async function () {
-      await grievanceSystem.connect(student2).submitGrievance("Another grievance");
+      await grievanceSystem.connect(student2).submitGrievance("Another grievance", ethers.id("Another grievance"), 0);
       await expect(
         grievanceSystem.connect(dean).closeGrievance(2, "Closed")
       ).to.be.revertedWith("GrievanceSystemSecure: Can only close escalated grievances");
     });
   });
 
+  describe("Dean Remand", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
+      await grievanceSystem.connect(counselor).assignGrievanceToHOD(1, hod.address);
+      await grievanceSystem.connect(hod).escalateGrievance(1, "Escalating to Dean");
+    });
+
+    it("Should send an escalated grievance back to its HOD with instructions", async function () {
+      await expect(grievanceSystem.connect(dean).remandGrievance(1, Role.HOD, ethers.ZeroAddress, "Interview the lab staff first"))
+        .to.emit(grievanceSystem, "GrievanceRemanded")
+        .withArgs(1, dean.address, Role.HOD, hod.address, "Interview the lab staff first", anyValue);
+
+      const grievance = await grievanceSystem.connect(hod).getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.ASSIGNED_TO_HOD);
+      expect(grievance.currentHandler).to.equal(hod.address);
+      expect(await grievanceSystem.remandCount(1)).to.equal(1);
+      await expect(grievanceSystem.connect(dean).closeGrievance(1, "Closing"))
+        .to.be.revertedWith("GrievanceSystemSecure: Can only close escalated grievances");
+
+      // Still in the Dean's history, and listed once after coming back
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([1n]);
+      expect((await grievanceSystem.connect(dean).getGrievanceById(1)).status).to.equal(Status.ASSIGNED_TO_HOD);
+      await grievanceSystem.connect(hod).escalateGrievance(1, "Done as instructed");
+      const [page] = await grievanceSystem.connect(dean).getVisibleGrievancesPage(0, 10);
+      expect(page).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(dean).getVisibleGrievances()).to.deep.equal([1n]);
+    });
+
+    it("Should reopen a remanded grievance for the Year Coordinators", async function () {
+      await grievanceSystem.connect(dean).remandGrievance(1, Role.YEAR_COORDINATOR, ethers.ZeroAddress, "Pick a HOD without a conflict");
+
+      const grievance = await grievanceSystem.connect(yearCoord).getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.IN_REVIEW);
+      expect(grievance.assignedHOD).to.equal(ethers.ZeroAddress);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([]);
+      const [page] = await grievanceSystem.connect(dean).getVisibleGrievancesPage(0, 10);
+      expect(page).to.deep.equal([1n]);
+
+      await grievanceSystem.connect(yearCoord).escalateToHOD(1, hod2.address, "Taking over");
+      expect(await grievanceSystem.connect(hod2).getVisibleGrievances()).to.deep.equal([1n]);
+    });
+
+    it("Should validate remands", async function () {
+      await expect(grievanceSystem.connect(hod).remandGrievance(1, Role.HOD, ethers.ZeroAddress, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: Only Dean can perform this action");
+      await expect(grievanceSystem.connect(dean).remandGrievance(1, Role.DEAN, ethers.ZeroAddress, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid remand level");
+      await expect(grievanceSystem.connect(dean).remandGrievance(1, Role.HOD, ethers.ZeroAddress, ""))
+        .to.be.revertedWith("GrievanceSystemSecure: Remand instructions required");
+
+      await grievanceSystem.connect(student2).submitGrievance("Another grievance", ethers.id("Another grievance"), 0);
+      await expect(grievanceSystem.connect(dean).remandGrievance(2, Role.COUNSELOR, ethers.ZeroAddress, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: Can only remand escalated grievances");
+
+      // Overdue at Year Coordinator level: no HOD to send it back to
+      await grievanceSystem.setSlaDuration(Role.YEAR_COORDINATOR, 24 * 60 * 60);
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(2, "Needs a coordinator");
+      await time.increase(2 * 24 * 60 * 60);
+      await grievanceSystem.enforceDeadline(2);
+      await expect(grievanceSystem.connect(dean).remandGrievance(2, Role.HOD, ethers.ZeroAddress, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: No HOD has handled this grievance");
+      await expect(grievanceSystem.connect(dean).remandGrievance(2, Role.HOD, counselor.address, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: Address must be a HOD");
+
+      // The Dean can pick a HOD instead
+      await grievanceSystem.connect(dean).remandGrievance(2, Role.HOD, hod2.address, "Take this one on");
+      expect((await grievanceSystem.connect(hod2).getGrievanceById(2)).assignedHOD).to.equal(hod2.address);
+    });
+
+    it("Should send a remanded grievance to a HOD the Dean chooses", async function () {
+      await grievanceSystem.connect(student).flagConflicts(1, [hod2.address]);
+      await expect(grievanceSystem.connect(dean).remandGrievance(1, Role.HOD, hod2.address, "Redo"))
+        .to.be.revertedWith("GrievanceSystemSecure: HOD has a conflict of interest with this grievance");
+
+      const hod3 = unauthorized;
+      await grievanceSystem.assignRole(hod3.address, Role.HOD);
+      await expect(grievanceSystem.connect(dean).remandGrievance(1, Role.HOD, hod3.address, "A fresh pair of eyes"))
+        .to.emit(grievanceSystem, "GrievanceRemanded")
+        .withArgs(1, dean.address, Role.HOD, hod3.address, "A fresh pair of eyes", anyValue);
+
+      const grievance = await grievanceSystem.connect(hod3).getGrievanceById(1);
+      expect(grievance.status).to.equal(Status.ASSIGNED_TO_HOD);
+      expect(grievance.assignedHOD).to.equal(hod3.address);
+      expect(grievance.currentHandler).to.equal(hod3.address);
+      expect(await grievanceSystem.connect(hod3).getVisibleGrievances()).to.deep.equal([1n]);
+      expect(await grievanceSystem.connect(hod).getVisibleGrievances()).to.deep.equal([]);
+      await grievanceSystem.connect(hod3).resolveGrievance(1, "Resolved after a second look");
+    });
+
+    it("Should let a HOD given a Dean-routed grievance recuse back to the Year Coordinators", async function () {
+      await grievanceSystem.createCategory("Harassment");
+      await grievanceSystem.setRoutingRule(1, Role.DEAN, dean.address);
+      await grievanceSystem.connect(student2).submitGrievance("Harassment case", ethers.id("Harassment case"), 1);
+      expect(await grievanceSystem.grievanceLevel(2)).to.equal(Role.DEAN);
+
+      await grievanceSystem.connect(dean).remandGrievance(2, Role.HOD, hod.address, "Investigate in the department");
+      expect(await grievanceSystem.grievanceLevel(2)).to.equal(Role.HOD);
+
+      await grievanceSystem.connect(hod).recuse(2, "I know the accused");
+      const grievance = await grievanceSystem.connect(yearCoord).getGrievanceById(2);
+      expect(grievance.status).to.equal(Status.IN_REVIEW);
+      expect(await grievanceSystem.grievanceLevel(2)).to.equal(Role.YEAR_COORDINATOR);
+      await grievanceSystem.connect(yearCoord).escalateToHOD(2, hod2.address, "Over to you");
+      expect(await grievanceSystem.connect(hod2).getVisibleGrievances()).to.deep.equal([2n]);
+    });
+  });
+
+  describe("Action History", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
+    });
+
+    it("Should log every transition with its actor, levels and remarks", async function () {
+      await expect(grievanceSystem.connect(counselor).reviewGrievance(1))
+        .to.emit(grievanceSystem, "GrievanceActionRecorded")
+        .withArgs(1, counselor.address, Role.COUNSELOR, Status.SUBMITTED, Status.IN_REVIEW, Role.COUNSELOR, Role.COUNSELOR, "", anyValue);
+      await grievanceSystem.connect(counselor).escalateToYearCoordinator(1, "Needs a coordinator");
+      await grievanceSystem.connect(yearCoord).escalateToHOD(1, hod.address, "Needs the HOD");
+      await grievanceSystem.connect(hod).escalateGrievance(1, "Needs the Dean");
+      await grievanceSystem.connect(dean).closeGrievance(1, "Closed");
+
+      const history = await grievanceSystem.connect(student).getGrievanceHistory(1);
+      expect(history.map(record => record.remarks)).to.deep.equal(
+        ["", "", "Needs a coordinator", "Needs the HOD", "Needs the Dean", "Closed"]
+      );
+      expect(history.map(record => record.actor)).to.deep.equal(
+        [student.address, counselor.address, counselor.address, yearCoord.address, hod.address, dean.address]
+      );
+      expect(history[0].fromLevel).to.equal(Role.UNREGISTERED);
+      expect(history[0].toLevel).to.equal(Role.COUNSELOR);
+      expect(history[2].fromLevel).to.equal(Role.COUNSELOR);
+      expect(history[2].toLevel).to.equal(Role.YEAR_COORDINATOR);
+      expect(history[4].actorRole).to.equal(Role.HOD);
+      expect(history[4].fromStatus).to.equal(Status.ASSIGNED_TO_HOD);
+      expect(history[4].toStatus).to.equal(Status.ESCALATED);
+      expect(history[5].toStatus).to.equal(Status.CLOSED);
+    });
+
+    it("Should log deadline escalations and student responses, visible to those who can view the grievance", async function () {
+      await grievanceSystem.setSlaDuration(Role.COUNSELOR, 24 * 60 * 60);
+      await time.increase(2 * 24 * 60 * 60);
+      await grievanceSystem.connect(unauthorized).enforceDeadline(1);
+      await grievanceSystem.connect(yearCoord).resolveGrievanceByCounselorOrCoordinator(1, "Fixed");
+      await grievanceSystem.connect(student).acceptResolution(1);
+
+      const history = await grievanceSystem.connect(yearCoord).getGrievanceHistory(1);
+      expect(history).to.have.length(4);
+      expect(history[1].actor).to.equal(unauthorized.address);
+      expect(history[1].actorRole).to.equal(Role.UNREGISTERED);
+      expect(history[1].remarks).to.equal(await grievanceSystem.SLA_ESCALATION_REMARK());
+      expect(history[3].fromStatus).to.equal(Status.RESOLVED);
+      expect(history[3].toStatus).to.equal(Status.RESOLVED);
+
+      await expect(grievanceSystem.connect(student2).getGrievanceHistory(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+    });
+  });
+
+  describe("Gasless Transactions", function () {
+    let forwarder;
+
+    const FORWARD_REQUEST_TYPES = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "data", type: "bytes" }
+      ]
+    };
+
+    beforeEach(async function () {
+      forwarder = await (await ethers.getContractFactory("GrievanceForwarder")).deploy();
+      await forwarder.waitForDeployment();
+      await expect(grievanceSystem.setTrustedForwarder(await forwarder.getAddress()))
+        .to.emit(grievanceSystem, "TrustedForwarderSet")
+        .withArgs(await forwarder.getAddress(), anyValue);
+    });
+
+    // EIP-712 ForwardRequest signed by `signer` for a grievance system call, to be executed by `via`
+    async function signRequest(signer, method, args, overrides = {}, via = forwarder) {
+      const request = {
+        from: signer.address,
+        to: await grievanceSystem.getAddress(),
+        gas: 1000000n,
+        nonce: await via.nonces(signer.address),
+        deadline: BigInt(await time.latest()) + 3600n,
+        data: grievanceSystem.interface.encodeFunctionData(method, args),
+        ...overrides
+      };
+      const domain = {
+        name: "GrievanceForwarder",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await via.getAddress()
+      };
+      return { request, signature: await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request) };
+    }
+
+    it("Should act for the signer when a relayer forwards their request", async function () {
+      const { request, signature } = await signRequest(student, "submitGrievance", ["Relayed", ethers.id("Relayed"), 0]);
+      expect(await forwarder.verify(request, signature)).to.equal(true);
+
+      await expect(forwarder.connect(unauthorized).execute(request, signature))
+        .to.emit(grievanceSystem, "GrievanceSubmitted")
+        .withArgs(1, student.address, ethers.id("Relayed"), anyValue);
+      const grievance = await grievanceSystem.connect(student).getGrievanceById(1);
+      expect(grievance.studentAddress).to.equal(student.address);
+      expect(await grievanceSystem.connect(student).getVisibleGrievances()).to.deep.equal([1n]);
+
+      // Role checks apply to the signer, not the relayer
+      const review = await signRequest(counselor, "reviewGrievance", [1]);
+      await forwarder.connect(unauthorized).execute(review.request, review.signature);
+      expect((await grievanceSystem.connect(student).getGrievanceById(1)).status).to.equal(Status.IN_REVIEW);
+      const denied = await signRequest(student2, "reviewGrievance", [1]);
+      await expect(forwarder.execute(denied.request, denied.signature))
+        .to.be.revertedWith("GrievanceSystemSecure: Only counselor or year coordinator can perform this action");
+      expect(await forwarder.nonces(student2.address)).to.equal(0);
+    });
+
+    it("Should reject replayed, forged and expired requests", async function () {
+      const { request, signature } = await signRequest(student, "submitGrievance", ["Relayed", ethers.id("Relayed"), 0]);
+      await forwarder.execute(request, signature);
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWith("GrievanceForwarder: Invalid or expired request signature");
+
+      const forged = await signRequest(student2, "submitGrievance", ["Forged", ethers.id("Forged"), 0], { from: student.address, nonce: 1n });
+      await expect(forwarder.execute(forged.request, forged.signature))
+        .to.be.revertedWith("GrievanceForwarder: Invalid or expired request signature");
+
+      const expired = await signRequest(student, "submitGrievance", ["Late", ethers.id("Late"), 0]);
+      await time.increase(2 * 60 * 60);
+      expect(await forwarder.verify(expired.request, expired.signature)).to.equal(false);
+      await expect(forwarder.execute(expired.request, expired.signature))
+        .to.be.revertedWith("GrievanceForwarder: Invalid or expired request signature");
+    });
+
+    it("Should only trust the forwarder the council set", async function () {
+      // Calls from any other forwarder count as that contract's own
+      const rogue = await (await ethers.getContractFactory("GrievanceForwarder")).deploy();
+      const viaRogue = await signRequest(student, "submitGrievance", ["Relayed", ethers.id("Relayed"), 0], {}, rogue);
+      await expect(rogue.execute(viaRogue.request, viaRogue.signature))
+        .to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+
+      await expect(grievanceSystem.connect(student).setTrustedForwarder(await rogue.getAddress()))
+        .to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+      await expect(grievanceSystem.setTrustedForwarder(student.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid forwarder");
+
+      // Turning relaying off makes the trusted forwarder an ordinary caller too
+      const { request, signature } = await signRequest(student, "submitGrievance", ["Relayed", ethers.id("Relayed"), 0]);
+      await grievanceSystem.setTrustedForwarder(ethers.ZeroAddress);
+      await expect(forwarder.execute(request, signature))
+        .to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+
+    it("Should act for the signer in relayed group actions", async function () {
+      await grievanceSystem.connect(student).submitGrievance("Exam paper leaked", ethers.id("Exam paper leaked"), 0);
+      await grievanceSystem.connect(student2).submitGrievance("Exam paper leaked", ethers.id("Exam paper leaked"), 0);
+      await grievanceSystem.connect(counselor).linkDuplicates(1, [2]);
+
+      const review = grievanceSystem.interface.getFunction("reviewGrievance").selector;
+      const { request, signature } = await signRequest(counselor, "actOnGroup", [1, review, ethers.ZeroAddress, []]);
+      await expect(forwarder.connect(unauthorized).execute(request, signature))
+        .to.emit(grievanceSystem, "GroupActionApplied")
+        .withArgs(1, review, 2, counselor.address, anyValue);
+      expect((await grievanceSystem.connect(student2).getGrievanceById(2)).currentHandler).to.equal(counselor.address);
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Test grievance", ethers.id("Test grievance"), 0);
+    });
+
+    it("Should block grievance and admin actions while paused, keeping views and the council working", async function () {
+      await expect(grievanceSystem.pause("Investigating a bad role assignment"))
+        .to.emit(grievanceSystem, "SystemPaused")
+        .withArgs(admin.address, "Investigating a bad role assignment", anyValue);
+      expect(await grievanceSystem.paused()).to.equal(true);
+      expect(await grievanceSystem.pauseReason()).to.equal("Investigating a bad role assignment");
+
+      await expect(grievanceSystem.connect(student).submitGrievance("Another", ethers.id("Another"), 0))
+        .to.be.revertedWith("GrievanceSystemSecure: System is paused for maintenance");
+      await expect(grievanceSystem.connect(counselor).reviewGrievance(1))
+        .to.be.revertedWith("GrievanceSystemSecure: System is paused for maintenance");
+      await expect(grievanceSystem.connect(counselor).requestInformation(1, "Which course?"))
+        .to.be.revertedWith("GrievanceSystemSecure: System is paused for maintenance");
+      await expect(grievanceSystem.connect(student).withdrawGrievance(1, "Never mind"))
+        .to.be.revertedWith("GrievanceSystemSecure: System is paused for maintenance");
+      await expect(grievanceSystem.enrollStudent(unauthorized.address))
+        .to.be.revertedWith("GrievanceSystemSecure: System is paused for maintenance");
+
+      expect((await grievanceSystem.connect(student).getGrievanceById(1)).status).to.equal(Status.SUBMITTED);
+      await grievanceSystem.revokeRole(counselor.address);
+      expect(await grievanceSystem.getUserRole(counselor.address)).to.equal(Role.UNREGISTERED);
+
+      await expect(grievanceSystem.unpause("Role revoked"))
+        .to.emit(grievanceSystem, "SystemUnpaused")
+        .withArgs(admin.address, "Role revoked", anyValue);
+      expect(await grievanceSystem.pauseReason()).to.equal("");
+      await grievanceSystem.connect(yearCoord).reviewGrievance(1);
+    });
+
+    it("Should stop SLA and response-window clocks while paused", async function () {
+      const DAY = 24 * 60 * 60;
+      await grievanceSystem.setSlaDuration(Role.COUNSELOR, 3 * DAY);
+      await grievanceSystem.connect(student2).submitGrievance("Exam results", ethers.id("Exam results"), 0);
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(2, "Remarked");
+      const deadline = await grievanceSystem.getDeadline(1);
+
+      await time.increase(DAY);
+      await grievanceSystem.pause("Upgrading");
+      const pausedAt = BigInt(await time.latest());
+      await time.increase(10 * DAY);
+      expect(await grievanceSystem.isResolutionFinal(2)).to.equal(false);
+      await grievanceSystem.unpause("Upgraded");
+      const pausedFor = BigInt(await time.latest()) - pausedAt;
+      expect(await grievanceSystem.getDeadline(1)).to.equal(deadline + pausedFor);
+
+      await expect(grievanceSystem.connect(unauthorized).enforceDeadline(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Deadline has not passed");
+      expect(await grievanceSystem.isResolutionFinal(2)).to.equal(false);
+      await expect(grievanceSystem.connect(student2).disputeResolution(2, "Still wrong"))
+        .to.emit(grievanceSystem, "ResolutionDisputed");
+
+      await time.increaseTo(deadline + pausedFor + 1n);
+      await grievanceSystem.connect(unauthorized).enforceDeadline(1);
+      expect(await grievanceSystem.grievanceLevel(1)).to.equal(Role.YEAR_COORDINATOR);
+    });
+
+    it("Should let the council-appointed guardian pause but not unpause", async function () {
+      await expect(grievanceSystem.connect(dean).pause("Suspicious activity"))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin or guardian can pause");
+      await expect(grievanceSystem.connect(dean).setGuardian(dean.address))
+        .to.be.revertedWith("GrievanceSystemSecure: Only council members can perform this action");
+
+      await expect(grievanceSystem.setGuardian(dean.address))
+        .to.emit(grievanceSystem, "GuardianSet")
+        .withArgs(dean.address, anyValue);
+      await expect(grievanceSystem.connect(dean).pause(""))
+        .to.be.revertedWith("GrievanceSystemSecure: Invalid pause reason");
+      await grievanceSystem.connect(dean).pause("Suspicious activity");
+      await expect(grievanceSystem.pause("Again"))
+        .to.be.revertedWith("GrievanceSystemSecure: Already paused");
+
+      await expect(grievanceSystem.connect(dean).unpause("All clear"))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await grievanceSystem.unpause("All clear");
+      await expect(grievanceSystem.unpause("All clear"))
+        .to.be.revertedWith("GrievanceSystemSecure: Not paused");
+    });
+  });
+
+  describe("Submission Limits", function () {
+    it("Should make students wait out the cooldown between submissions", async function () {
+      await expect(grievanceSystem.setSubmissionLimits(60 * 60, 0))
+        .to.emit(grievanceSystem, "SubmissionLimitsSet")
+        .withArgs(60 * 60, 0, admin.address, anyValue);
+
+      await grievanceSystem.connect(student).submitGrievance("First", ethers.id("First"), 0);
+      await expect(grievanceSystem.connect(student).submitGrievance("Second", ethers.id("Second"), 0))
+        .to.be.revertedWith("GrievanceSystemSecure: Submission cooldown has not passed");
+      await grievanceSystem.connect(student2).submitGrievance("Other student", ethers.id("Other student"), 0);
+
+      const [, , nextSubmissionAt] = await grievanceSystem.connect(student).getSubmissionQuota();
+      expect(nextSubmissionAt).to.equal((await grievanceSystem.lastSubmissionAt(student.address)) + 3600n);
+      await time.increaseTo(nextSubmissionAt);
+      await grievanceSystem.connect(student).submitGrievance("Second", ethers.id("Second"), 0);
+    });
+
+    it("Should cap open grievances until one is resolved, closed or withdrawn", async function () {
+      await grievanceSystem.setSubmissionLimits(0, 2);
+      await grievanceSystem.connect(student).submitGrievance("First", ethers.id("First"), 0);
+      await grievanceSystem.connect(student).submitGrievance("Second", ethers.id("Second"), 0);
+      await expect(grievanceSystem.connect(student).submitGrievance("Third", ethers.id("Third"), 0))
+        .to.be.revertedWith("GrievanceSystemSecure: Open grievance limit reached");
+      expect(await grievanceSystem.connect(student).getSubmissionQuota()).to.deep.equal([2n, 2n, 0n]);
+
+      await grievanceSystem.connect(counselor).resolveGrievanceByCounselorOrCoordinator(1, "Fixed");
+      await grievanceSystem.connect(student).submitGrievance("Third", ethers.id("Third"), 0);
+
+      // A disputed resolution reopens the grievance, which counts towards the cap again
+      await grievanceSystem.connect(student).disputeResolution(1, "Not fixed");
+      expect((await grievanceSystem.connect(student).getSubmissionQuota())[0]).to.equal(3);
+      await grievanceSystem.connect(student).withdrawGrievance(2, "Settled");
+      await grievanceSystem.connect(student).withdrawGrievance(3, "Settled");
+      await grievanceSystem.connect(student).submitGrievance("Fourth", ethers.id("Fourth"), 0);
+    });
+
+    it("Should only let the admin set sensible limits", async function () {
+      await expect(grievanceSystem.connect(counselor).setSubmissionLimits(60, 1))
+        .to.be.revertedWith("GrievanceSystemSecure: Only admin can perform this action");
+      await expect(grievanceSystem.setSubmissionLimits(31 * 24 * 60 * 60, 1))
+        .to.be.revertedWith("GrievanceSystemSecure: Cooldown too long");
+      await expect(grievanceSystem.connect(counselor).getSubmissionQuota())
+        .to.be.revertedWith("GrievanceSystemSecure: Only students can perform this action");
+    });
+  });
+
+  describe("Duplicate Grievances", function () {
+    const selector = (name) => grievanceSystem.interface.getFunction(name).selector;
+
+    beforeEach(async function () {
+      await grievanceSystem.connect(student).submitGrievance("Exam paper leaked", ethers.id("Exam paper leaked"), 0);
+      await grievanceSystem.connect(student2).submitGrievance("Exam paper leaked", ethers.id("Exam paper leaked"), 0);
+      await grievanceSystem.connect(student2).submitGrievance("Exam paper was leaked", ethers.id("Exam paper was leaked"), 0);
+    });
+
+    it("Should move duplicates through review, escalation and resolution with their primary", async function () {
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(1, [2, 3]))
+        .to.emit(grievanceSystem, "DuplicateLinked")
+        .withArgs(2, 1, counselor.address, anyValue)
+        .and.to.emit(grievanceSystem, "DuplicateLinked")
+        .withArgs(3, 1, counselor.address, anyValue);
+      expect(await grievanceSystem.connect(counselor).getDuplicates(1)).to.deep.equal([2n, 3n]);
+      expect(await grievanceSystem.connect(student2).getPrimary(2)).to.equal(1);
+
+      await grievanceSystem.connect(counselor).actOnGroup(1, selector("reviewGrievance"), ethers.ZeroAddress, []);
+      await grievanceSystem.connect(counselor).actOnGroup(1, selector("escalateToYearCoordinator"), ethers.ZeroAddress, ["To YC #1", "To YC #2", "To YC #3"]);
+      await grievanceSystem.connect(yearCoord).actOnGroup(1, selector("escalateToHOD"), hod.address, ["To HOD #1", "To HOD #2", "To HOD #3"]);
+      expect(await grievanceSystem.hodGrievances(hod.address, 2)).to.equal(3);
+
+      // Each grievance is resolved on its own terms: events, action log and remarks sealed for its student
+      await expect(grievanceSystem.connect(hod).actOnGroup(1, selector("resolveGrievance"), ethers.ZeroAddress, ["Retest #1", "Retest #2", "Retest #3"]))
+        .to.emit(grievanceSystem, "GrievanceResolved")
+        .withArgs(2, hod.address, "Retest #2", anyValue)
+        .and.to.emit(grievanceSystem, "GrievanceResolved")
+        .withArgs(3, hod.address, "Retest #3", anyValue)
+        .and.to.emit(grievanceSystem, "GroupActionApplied")
+        .withArgs(1, selector("resolveGrievance"), 3, hod.address, anyValue);
+      for (const id of [2, 3]) {
+        const grievance = await grievanceSystem.connect(student2).getGrievanceById(id);
+        expect(grievance.status).to.equal(Status.RESOLVED);
+        expect(grievance.resolutionRemarks).to.equal(`Retest #${id}`);
+        expect((await grievanceSystem.connect(student2).getGrievanceHistory(id)).length).to.equal(5);
+      }
+
+      // Students still sign off individually
+      await grievanceSystem.connect(student2).disputeResolution(3, "A retest is not enough");
+      await grievanceSystem.connect(student).acceptResolution(1);
+      expect(await grievanceSystem.isResolutionFinal(2)).to.equal(false);
+    });
+
+    it("Should skip duplicates that left the primary's stage and allow unlinking", async function () {
+      await grievanceSystem.connect(counselor).linkDuplicates(1, [2, 3]);
+      await grievanceSystem.connect(student2).withdrawGrievance(2, "Sorted out with the examiner");
+
+      await expect(grievanceSystem.connect(counselor).actOnGroup(1, selector("resolveGrievanceByCounselorOrCoordinator"), ethers.ZeroAddress, ["Fixed"]))
+        .to.be.revertedWith("GrievanceSystemSecure: Remarks must cover every grievance in the group");
+      await expect(grievanceSystem.connect(counselor).actOnGroup(1, selector("requestInformation"), ethers.ZeroAddress, ["?", "?", "?"]))
+        .to.be.revertedWith("GrievanceSystemSecure: Action cannot be applied to a group");
+      await expect(grievanceSystem.connect(counselor).actOnGroup(2, selector("reviewGrievance"), ethers.ZeroAddress, []))
+        .to.be.revertedWith("GrievanceSystemSecure: Act on the primary grievance instead");
+
+      await expect(grievanceSystem.connect(counselor).actOnGroup(1, selector("resolveGrievanceByCounselorOrCoordinator"), ethers.ZeroAddress, ["Fixed #1", "", "Fixed #3"]))
+        .to.emit(grievanceSystem, "GroupActionApplied")
+        .withArgs(1, anyValue, 2, counselor.address, anyValue);
+      expect((await grievanceSystem.connect(student2).getGrievanceById(2)).status).to.equal(Status.WITHDRAWN);
+      expect((await grievanceSystem.connect(student2).getGrievanceById(3)).status).to.equal(Status.RESOLVED);
+
+      await expect(grievanceSystem.connect(counselor).unlinkDuplicate(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is not a duplicate");
+      await grievanceSystem.connect(counselor).unlinkDuplicate(2);
+      expect(await grievanceSystem.connect(counselor).getDuplicates(1)).to.deep.equal([3n]);
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(1, [2]))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is not open for handling");
+    });
+
+    it("Should only link open grievances at the same stage, by their handlers", async function () {
+      await expect(grievanceSystem.connect(student).linkDuplicates(1, [2]))
+        .to.be.revertedWith("GrievanceSystemSecure: Only handlers can manage duplicates");
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(1, [1]))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance cannot duplicate itself");
+
+      await grievanceSystem.connect(counselor).reviewGrievance(2);
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(1, [2]))
+        .to.be.revertedWith("GrievanceSystemSecure: Duplicate is not at the primary's stage");
+      await grievanceSystem.connect(counselor).linkDuplicates(1, [3]);
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(2, [3]))
+        .to.be.revertedWith("GrievanceSystemSecure: Grievance is already a duplicate");
+      await expect(grievanceSystem.connect(counselor).linkDuplicates(3, [2]))
+        .to.be.revertedWith("GrievanceSystemSecure: Primary is itself a duplicate");
+
+      await expect(grievanceSystem.connect(student).getDuplicates(1))
+        .to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+      await expect(grievanceSystem.connect(student).getPrimary(3))
+        .to.be.revertedWith("GrievanceSystemSecure: Not authorized to view this grievance");
+
+      await expect(grievanceSystem.connect(counselor).unlinkDuplicate(3))
+        .to.emit(grievanceSystem, "DuplicateUnlinked")
+        .withArgs(3, 1, counselor.address, anyValue);
+      expect(await grievanceSystem.connect(counselor).getDuplicates(1)).to.deep.equal([]);
+      expect(await grievanceSystem.connect(student2).getPrimary(3)).to.equal(0);
+    });
+  });
+
   describe("Full Workflow Security", function () {
     it("Should complete full workflow with proper access control", async function () {
       // 1. Student submits
-      await grievanceSystem.connect(student).submitGrievance("Full workflow test");
+      await grievanceSystem.connect(student).submitGrievance("Full workflow test", ethers.id("Full workflow test"), 0);
       
       // 2. Counselor reviews
       await grievanceSystem.connect(counselor).reviewGrievance(1);